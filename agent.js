@@ -0,0 +1,54 @@
+// Agent entry point - monitors this machine and reports to a central dashboard
+//   CENTRAL_URL=https://monitor.example.com AGENT_TOKEN=secret node agent.js
+const os = require('os');
+const path = require('path');
+const { createBackend, resolveBackendName } = require('./lib/collectors');
+const { createAgent } = require('./lib/agent');
+
+const CENTRAL_URL = process.env.CENTRAL_URL;
+const AGENT_TOKEN = process.env.AGENT_TOKEN;
+
+if (!CENTRAL_URL || !AGENT_TOKEN) {
+    console.error('Agent mode requires CENTRAL_URL and AGENT_TOKEN environment variables');
+    process.exit(1);
+}
+
+// CONFIG_FILE as for the server, with the same environment overrides
+const DATA_DIR = process.env.DATA_DIR || path.join(__dirname, 'data');
+const CONFIG_FILE = process.env.CONFIG_FILE || path.join(DATA_DIR, 'config.json');
+
+const collector = createBackend(resolveBackendName(process.env.COLLECTOR_BACKEND), {
+    scriptsDir: path.join(__dirname, 'scripts'),
+    fixturesDir: process.env.COLLECTOR_FIXTURES,
+    workers: process.env.POWERSHELL_WORKERS !== undefined ? Number(process.env.POWERSHELL_WORKERS) : undefined
+});
+
+let agent;
+try {
+    agent = createAgent({
+        collector,
+        centralUrl: CENTRAL_URL,
+        token: AGENT_TOKEN,
+        configFile: CONFIG_FILE,
+        pluginsDir: process.env.PLUGINS_DIR || path.join(__dirname, 'plugins'),
+        host: {
+            id: process.env.HOST_ID || os.hostname(),
+            name: process.env.HOST_NAME || process.env.HOST_ID || os.hostname(),
+            platform: process.platform
+        }
+    });
+} catch (error) {
+    console.error(error.message);
+    process.exit(1);
+}
+
+console.log(`Agent reporting to ${CENTRAL_URL} (collector backend: ${collector.name})`);
+agent.start();
+
+process.on('SIGINT', () => {
+    console.log('Stopping agent...');
+    agent.stop().then(() => {
+        if (collector.close) collector.close();
+        process.exit(0);
+    });
+});
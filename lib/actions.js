@@ -0,0 +1,325 @@
+// Remediation actions
+// An allow-list of fixes that can be run on this machine from the dashboard:
+// each action declares the issues it applies to, the parameters it takes
+// (checked against a pattern, passed as arguments - never through a shell),
+// its command per platform and the role needed to run it. Running is two
+// steps: a dry run returns the exact command and a confirmation token, and
+// only a run that presents the token (same user, action and target, within
+// CONFIRM_TTL) executes it. Every dry run and run is appended to the audit
+// log <file> as a JSON line. With simulate on (demo data) nothing is executed.
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+const { execFile } = require('child_process');
+const { hasRole } = require('./auth');
+
+const CONFIRM_TTL = 5 * 60 * 1000;
+const DEFAULT_TIMEOUT = 60 * 1000;
+const MAX_OUTPUT = 4000;
+const DEFAULT_AUDIT_LIMIT = 100;
+const MAX_AUDIT_LIMIT = 1000;
+const SERVICE_PATTERN = /^[A-Za-z0-9_.@-]{1,128}$/;
+const START_TIME_PATTERN = /^[0-9T:. +-]{1,40}$/;
+const POWERSHELL = ['powershell.exe', '-NoProfile', '-NonInteractive', '-Command'];
+
+// Parameter checks return the value to use, or undefined when it is not valid
+const PARAMS = {
+    service: {
+        hint: 'a service name (letters, digits, ".", "_", "@" or "-")',
+        check: (value) => (typeof value === 'string' && SERVICE_PATTERN.test(value) ? value : undefined)
+    },
+    pid: {
+        hint: 'a process ID',
+        check: (value) => (Number.isInteger(value) && value > 4 && value < 2 ** 31 && value !== process.pid ? value : undefined)
+    },
+    startTime: {
+        hint: 'the process start time reported with it',
+        optional: true,
+        check: (value) => (typeof value === 'string' && START_TIME_PATTERN.test(value) ? value : undefined)
+    }
+};
+
+const ACTIONS = [
+    {
+        id: 'restart-service',
+        label: 'Restart service',
+        description: 'Starts a stopped or failed service again',
+        role: 'operator',
+        category: 'Service',
+        params: ['service'],
+        fromIssue: (issue) => (issue.serviceName ? { service: issue.serviceName } : null),
+        describe: ({ service }) => service,
+        commands: {
+            win32: ({ service }) => POWERSHELL.concat(`Restart-Service -Name '${service}' -Force -ErrorAction Stop`),
+            linux: ({ service }) => ['systemctl', 'restart', service]
+        }
+    },
+    {
+        id: 'flush-dns',
+        label: 'Flush DNS cache',
+        description: 'Clears cached name lookups so they are resolved again',
+        role: 'operator',
+        category: 'Network',
+        params: [],
+        fromIssue: () => ({}),
+        describe: () => 'DNS resolver cache',
+        commands: {
+            win32: () => ['ipconfig', '/flushdns'],
+            linux: () => ['resolvectl', 'flush-caches']
+        }
+    },
+    {
+        id: 'update-defender-signatures',
+        label: 'Update Defender signatures',
+        description: 'Downloads the latest Microsoft Defender definitions',
+        role: 'operator',
+        category: 'Security',
+        params: [],
+        timeout: 5 * 60 * 1000,
+        fromIssue: () => ({}),
+        describe: () => 'Microsoft Defender',
+        commands: {
+            win32: () => POWERSHELL.concat('Update-MpSignature -ErrorAction Stop')
+        }
+    },
+    {
+        id: 'kill-process',
+        label: 'End process',
+        description: 'Ends a runaway process from the process table',
+        role: 'admin',
+        category: null, // run from the process explorer, not from issues
+        params: ['pid', 'startTime'],
+        fromIssue: () => null,
+        describe: ({ pid }, proc) => `${proc ? proc.name : 'process'} (PID ${pid})`,
+        commands: {
+            win32: ({ pid }) => ['taskkill', '/PID', String(pid), '/F'],
+            linux: ({ pid }) => ['kill', '-TERM', String(pid)]
+        }
+    }
+];
+
+function commandLine(command) {
+    return command.map((arg) => (/[\s"]/.test(arg) ? `"${arg.replace(/"/g, '\\"')}"` : arg)).join(' ');
+}
+
+// Checks parameters (from a client or an issue) against the action's list; returns { errors } or { params }
+function validateParams(action, input) {
+    const source = input && typeof input === 'object' ? input : {};
+    const errors = [];
+    const params = {};
+    action.params.forEach((name) => {
+        const spec = PARAMS[name];
+        if (source[name] === undefined && spec.optional) return;
+        const value = spec.check(source[name]);
+        if (value === undefined) errors.push(`params.${name} must be ${spec.hint}`);
+        else params[name] = value;
+    });
+    return errors.length ? { errors } : { params };
+}
+
+// Parameters for running an action against a diagnostics issue; they come from
+// collected data, so they pass the same checks as a client's. Returns
+// { params }, { errors } or null when the action doesn't apply to the issue
+function paramsFromIssue(action, issue) {
+    const params = action.category === issue.category ? action.fromIssue(issue) : null;
+    return params ? validateParams(action, params) : null;
+}
+
+function createActionRunner(options = {}) {
+    const file = options.file;
+    const platform = options.platform || process.platform;
+    const simulate = Boolean(options.simulate);
+    const findProcess = options.findProcess || (() => null);
+    const pending = new Map(); // confirmation token -> { action, key, username, expires }
+    const running = new Set(); // action|target keys
+    let writeQueue = Promise.resolve();
+
+    function available(action) {
+        return Boolean(action.commands[platform]);
+    }
+
+    function appendAudit(entry) {
+        const line = JSON.stringify(entry) + '\n';
+        writeQueue = writeQueue
+            .then(async () => {
+                await fs.promises.mkdir(path.dirname(file), { recursive: true });
+                await fs.promises.appendFile(file, line);
+            })
+            .catch((error) => console.error('Error writing the action audit log:', error.message));
+        return writeQueue;
+    }
+
+    // The action catalog, with whether each one can run on this platform
+    function list() {
+        return {
+            platform,
+            simulated: simulate,
+            actions: ACTIONS.map((action) => ({
+                id: action.id,
+                label: action.label,
+                description: action.description,
+                role: action.role,
+                category: action.category,
+                params: action.params,
+                available: available(action)
+            }))
+        };
+    }
+
+    // Adds the IDs of the actions that apply to each issue of a diagnostics payload
+    function annotate(diagnostics) {
+        ['issues', 'warnings'].forEach((list) => {
+            (diagnostics[list] || []).forEach((issue) => {
+                if (!issue || typeof issue !== 'object') return;
+                const ids = ACTIONS
+                    .filter((action) => {
+                        const checked = available(action) && paramsFromIssue(action, issue);
+                        return checked && !checked.errors;
+                    })
+                    .map((action) => action.id);
+                if (ids.length) issue.actions = ids;
+            });
+        });
+        return diagnostics;
+    }
+
+    function prune(now) {
+        pending.forEach((entry, token) => {
+            if (entry.expires <= now) pending.delete(token);
+        });
+    }
+
+    function execute(command, timeout) {
+        const started = Date.now();
+        return new Promise((resolve) => {
+            execFile(command[0], command.slice(1), { timeout, windowsHide: true, maxBuffer: 1024 * 1024 }, (error, stdout, stderr) => {
+                const output = `${stdout || ''}${stderr || ''}`.trim();
+                let exitCode = 0;
+                let message = null;
+                if (error) {
+                    exitCode = typeof error.code === 'number' ? error.code : null;
+                    if (error.killed) message = `Timed out after ${timeout} ms`;
+                    else if (exitCode === null) message = error.message;
+                }
+                resolve({
+                    status: error ? 'failed' : 'succeeded',
+                    exitCode,
+                    error: message,
+                    output: output.slice(0, MAX_OUTPUT),
+                    durationMs: Date.now() - started
+                });
+            });
+        });
+    }
+
+    // Dry-runs or runs an action. input: { params, issue (a diagnostics issue
+    // to take the parameters from), dryRun, confirm }; user: the request's principal.
+    // Resolves to { status, error } or { result }
+    async function run(id, input, user, now = Date.now()) {
+        const action = ACTIONS.find((candidate) => candidate.id === id);
+        if (!action) return { status: 404, error: 'Unknown action' };
+        if (!available(action)) return { status: 400, error: `${action.label} is not available on ${platform}` };
+        if (!hasRole(user, action.role)) return { status: 403, error: `This action requires the ${action.role} role` };
+
+        const checked = input.issue ? paramsFromIssue(action, input.issue) : validateParams(action, input.params);
+        if (!checked) return { status: 400, error: `${action.label} does not apply to this issue` };
+        if (checked.errors) return { status: 400, error: 'Invalid parameters', details: checked.errors };
+        const params = checked.params;
+
+        let proc = null;
+        if (params.pid !== undefined) {
+            proc = findProcess(params.pid);
+            if (!proc) return { status: 409, error: `Process ${params.pid} is not running` };
+            if (params.startTime && proc.startTime !== params.startTime) {
+                return { status: 409, error: `Process ${params.pid} is no longer the process that was selected` };
+            }
+        }
+
+        const command = action.commands[platform](params);
+        const key = `${action.id}|${JSON.stringify(params)}`;
+        const entry = {
+            at: new Date(now).toISOString(),
+            action: action.id,
+            target: action.describe(params, proc),
+            params,
+            issue: input.issue ? input.issue.id || null : null,
+            command: commandLine(command),
+            by: user.username,
+            role: user.role,
+            via: user.via
+        };
+
+        prune(now);
+        if (input.dryRun) {
+            const token = crypto.randomBytes(16).toString('hex');
+            pending.set(token, { action: action.id, key, username: user.username, expires: now + CONFIRM_TTL });
+            appendAudit(Object.assign({ dryRun: true, status: 'dry-run' }, entry));
+            return {
+                result: Object.assign({ dryRun: true, status: 'dry-run', simulated: simulate }, entry, {
+                    label: action.label,
+                    description: action.description,
+                    confirm: token,
+                    expiresAt: new Date(now + CONFIRM_TTL).toISOString()
+                })
+            };
+        }
+
+        const confirmation = typeof input.confirm === 'string' ? pending.get(input.confirm) : null;
+        if (!confirmation || confirmation.key !== key || confirmation.username !== user.username) {
+            return { status: 428, error: 'Confirm the action first: dry-run it and send back its confirm token' };
+        }
+        if (running.has(key)) return { status: 409, error: `${action.label} is already running for ${entry.target}` };
+        pending.delete(input.confirm);
+
+        running.add(key);
+        try {
+            const outcome = simulate
+                ? { status: 'simulated', exitCode: null, error: null, output: 'Demo mode: the command was not run', durationMs: 0 }
+                : await execute(command, action.timeout || DEFAULT_TIMEOUT);
+            const result = Object.assign({ dryRun: false, simulated: simulate }, entry, outcome);
+            appendAudit(result);
+            return { result };
+        } finally {
+            running.delete(key);
+        }
+    }
+
+    // Audit entries, newest first; params: { limit, action, from (epoch ms) }
+    async function audit(params = {}) {
+        let text = '';
+        try {
+            await writeQueue;
+            text = await fs.promises.readFile(file, 'utf8');
+        } catch (error) {
+            if (error.code !== 'ENOENT') throw error;
+        }
+
+        const limit = Math.min(Math.max(1, Number(params.limit) || DEFAULT_AUDIT_LIMIT), MAX_AUDIT_LIMIT);
+        const entries = [];
+        const lines = text.split('\n');
+        for (let i = lines.length - 1; i >= 0 && entries.length < limit; i--) {
+            if (!lines[i]) continue;
+            let entry;
+            try {
+                entry = JSON.parse(lines[i]);
+            } catch (e) {
+                continue;
+            }
+            if (params.action && entry.action !== params.action) continue;
+            if (params.from !== undefined && Date.parse(entry.at) < params.from) break;
+            entries.push(entry);
+        }
+        return entries;
+    }
+
+    return {
+        list,
+        annotate,
+        run,
+        audit
+    };
+}
+
+module.exports = {
+    createActionRunner
+};
@@ -0,0 +1,92 @@
+// Agent mode - runs the collectors locally and pushes every sample to a
+// central server's /api/ingest endpoint. Intervals, timeouts and script
+// parameters come from the same configuration file as the server's (watched,
+// so edits reschedule the collectors); port and /api/config don't apply here
+const { postJson } = require('./http-client');
+const { createCollectorStats } = require('./collector-stats');
+const { createScheduler } = require('./scheduler');
+const { createPluginManager } = require('./plugins');
+const { collectorParams, createConfigStore } = require('./config');
+
+const COLLECT_METHODS = {
+    metrics: 'collectMetrics',
+    eventlogs: 'collectEventLogs',
+    diagnostics: 'collectDiagnostics'
+};
+
+function createAgent(options) {
+    const collector = options.collector;
+    const ingestUrl = options.centralUrl.replace(/\/+$/, '') + '/api/ingest';
+    const host = Object.assign({ collector: collector.name }, options.host);
+    const scheduler = createScheduler({ stats: createCollectorStats() });
+    const config = createConfigStore({
+        file: options.configFile,
+        env: options.env || process.env,
+        onChange: (settings, changed) => {
+            console.log(`Configuration changed: ${changed.join(', ')}`);
+            Object.keys(COLLECT_METHODS).forEach((type) => scheduler.update(type, settings.collectors[type]));
+        }
+    });
+    config.load();
+    let latestMetrics = null;
+
+    // Check plugins run here too; their results go out with the diagnostics
+    const plugins = options.pluginsDir
+        ? createPluginManager({ dir: options.pluginsDir, host, metrics: () => latestMetrics })
+        : null;
+
+    // Failed collections are pushed too so the central server sees the error
+    async function send(type, data) {
+        try {
+            await postJson(ingestUrl, { host, type, data }, {
+                headers: { Authorization: `Bearer ${options.token}` }
+            });
+        } catch (error) {
+            console.error(`Error pushing ${type} to ${ingestUrl}:`, error.message);
+        }
+    }
+
+    Object.keys(COLLECT_METHODS).forEach((type) => {
+        scheduler.add(type, {
+            interval: config.get().collectors[type].interval,
+            timeout: config.get().collectors[type].timeout,
+            task: (context) => collector[COLLECT_METHODS[type]](Object.assign({ params: collectorParams(config.get(), type) }, context)),
+            onResult: (data) => {
+                if (type === 'metrics' && !data.error) latestMetrics = data;
+                if (type === 'diagnostics' && plugins && !data.error) plugins.apply(data);
+                send(type, data);
+            }
+        });
+    });
+
+    async function start() {
+        if (plugins) {
+            await plugins.load().catch((error) => console.error('Error loading plugins:', error.message));
+            plugins.start();
+        }
+        config.watch();
+        scheduler.start();
+    }
+
+    function stop() {
+        if (plugins) plugins.stop();
+        scheduler.stop();
+        return config.stop();
+    }
+
+    function push(type) {
+        return scheduler.run(type);
+    }
+
+    return {
+        start,
+        stop,
+        push,
+        config,
+        stats: scheduler.snapshot
+    };
+}
+
+module.exports = {
+    createAgent
+};
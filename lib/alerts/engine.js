@@ -0,0 +1,302 @@
+// Threshold alert rules engine
+// Each rule compares one metric path (wildcards allowed, e.g. "disks.*.percent")
+// from a metrics or diagnostics sample against a threshold. A matching value
+// starts a pending alert; once it has held for the rule's "for" duration the
+// alert fires, and it resolves when the condition clears. Notifications are
+// rate-limited per alert by the rule's cooldown.
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+const { flattenMetrics } = require('../history-store');
+const { parseDuration } = require('../time');
+
+const COMPARATORS = {
+    '>': (a, b) => a > b,
+    '>=': (a, b) => a >= b,
+    '<': (a, b) => a < b,
+    '<=': (a, b) => a <= b,
+    '==': (a, b) => a === b,
+    '!=': (a, b) => a !== b
+};
+
+const SOURCES = ['metrics', 'diagnostics'];
+const SEVERITIES = ['Critical', 'High', 'Medium', 'Low'];
+const MAX_RECENT = 100;
+
+const DEFAULT_RULES = [
+    { name: 'High CPU usage', source: 'metrics', metric: 'cpu', comparator: '>', threshold: 90, for: '5m', cooldown: '30m', severity: 'High' },
+    { name: 'High memory usage', source: 'metrics', metric: 'memory.percent', comparator: '>', threshold: 90, for: '5m', cooldown: '30m', severity: 'High' },
+    { name: 'Disk almost full', source: 'metrics', metric: 'disks.*.percent', comparator: '>', threshold: 90, for: '0s', cooldown: '6h', severity: 'Critical' },
+    { name: 'Critical diagnostics', source: 'diagnostics', metric: 'summary.critical', comparator: '>', threshold: 0, for: '0s', cooldown: '1h', severity: 'Critical' }
+];
+
+// Returns a list of problems; an empty list means the rule is valid
+function validateRule(rule) {
+    const errors = [];
+
+    if (!rule || typeof rule !== 'object') {
+        return ['Rule must be a JSON object'];
+    }
+    if (typeof rule.name !== 'string' || !rule.name.trim()) {
+        errors.push('name is required');
+    }
+    if (!SOURCES.includes(rule.source)) {
+        errors.push(`source must be one of: ${SOURCES.join(', ')}`);
+    }
+    if (typeof rule.metric !== 'string' || !rule.metric.trim()) {
+        errors.push('metric is required (e.g. "cpu", "memory.percent", "disks.*.percent")');
+    }
+    if (!COMPARATORS[rule.comparator]) {
+        errors.push(`comparator must be one of: ${Object.keys(COMPARATORS).join(' ')}`);
+    }
+    if (typeof rule.threshold !== 'number' || !Number.isFinite(rule.threshold)) {
+        errors.push('threshold must be a number');
+    }
+    if (parseDuration(rule.for) === null) {
+        errors.push('for must be a duration such as "0s", "30s" or "5m"');
+    }
+    if (parseDuration(rule.cooldown) === null) {
+        errors.push('cooldown must be a duration such as "15m" or "1h"');
+    }
+    if (!SEVERITIES.includes(rule.severity)) {
+        errors.push(`severity must be one of: ${SEVERITIES.join(', ')}`);
+    }
+    if (!Array.isArray(rule.notifiers) || rule.notifiers.some((name) => typeof name !== 'string')) {
+        errors.push('notifiers must be an array of notifier names');
+    }
+    if (typeof rule.enabled !== 'boolean') {
+        errors.push('enabled must be true or false');
+    }
+
+    return errors;
+}
+
+function metricMatcher(pattern) {
+    if (!pattern.includes('*')) {
+        return (key) => key === pattern;
+    }
+    const regex = new RegExp('^' + pattern.split('*')
+        .map((part) => part.replace(/[.+?^${}()|[\]\\]/g, '\\$&'))
+        .join('[^.]+') + '$');
+    return (key) => regex.test(key);
+}
+
+function createAlertEngine(options = {}) {
+    const rulesFile = options.rulesFile;
+    const notifiers = options.notifiers || {};
+    const onChange = options.onChange || (() => {});
+
+    let rules = [];
+    const instances = new Map();
+    const lastNotified = new Map();
+    const recent = [];
+
+    function normalizeRule(input, existing = {}) {
+        return {
+            id: existing.id || crypto.randomBytes(6).toString('hex'),
+            name: input.name !== undefined ? input.name : existing.name,
+            source: input.source !== undefined ? input.source : (existing.source || 'metrics'),
+            metric: input.metric !== undefined ? input.metric : existing.metric,
+            comparator: input.comparator !== undefined ? input.comparator : (existing.comparator || '>'),
+            threshold: input.threshold !== undefined ? input.threshold : existing.threshold,
+            for: input.for !== undefined ? input.for : (existing.for || '0s'),
+            cooldown: input.cooldown !== undefined ? input.cooldown : (existing.cooldown || '15m'),
+            severity: input.severity !== undefined ? input.severity : (existing.severity || 'Medium'),
+            notifiers: input.notifiers !== undefined ? input.notifiers : (existing.notifiers || []),
+            enabled: input.enabled !== undefined ? input.enabled : (existing.enabled !== undefined ? existing.enabled : true)
+        };
+    }
+
+    async function saveRules() {
+        await fs.promises.mkdir(path.dirname(rulesFile), { recursive: true });
+        const tmp = `${rulesFile}.tmp`;
+        await fs.promises.writeFile(tmp, JSON.stringify(rules, null, 2));
+        await fs.promises.rename(tmp, rulesFile);
+    }
+
+    async function load() {
+        try {
+            rules = JSON.parse(await fs.promises.readFile(rulesFile, 'utf8'));
+        } catch (error) {
+            if (error.code !== 'ENOENT') throw error;
+            rules = DEFAULT_RULES.map((rule) => normalizeRule(rule));
+            await saveRules();
+        }
+    }
+
+    // ---- Rule CRUD ----
+
+    function listRules() {
+        return rules;
+    }
+
+    function getRule(id) {
+        return rules.find((rule) => rule.id === id) || null;
+    }
+
+    function checkNotifiers(rule) {
+        return rule.notifiers
+            .filter((name) => !notifiers[name])
+            .map((name) => `unknown notifier "${name}" (configured: ${Object.keys(notifiers).join(', ')})`);
+    }
+
+    async function createRule(input) {
+        const rule = normalizeRule(input || {});
+        const errors = validateRule(rule).concat(Array.isArray(rule.notifiers) ? checkNotifiers(rule) : []);
+        if (errors.length) return { errors };
+
+        rules.push(rule);
+        await saveRules();
+        return { rule };
+    }
+
+    async function updateRule(id, input) {
+        const existing = getRule(id);
+        if (!existing) return null;
+
+        const rule = normalizeRule(input || {}, existing);
+        const errors = validateRule(rule).concat(Array.isArray(rule.notifiers) ? checkNotifiers(rule) : []);
+        if (errors.length) return { errors };
+
+        rules = rules.map((current) => (current.id === id ? rule : current));
+        clearInstances(id);
+        await saveRules();
+        return { rule };
+    }
+
+    async function deleteRule(id) {
+        if (!getRule(id)) return false;
+
+        rules = rules.filter((rule) => rule.id !== id);
+        clearInstances(id);
+        await saveRules();
+        return true;
+    }
+
+    function clearInstances(ruleId) {
+        instances.forEach((instance, key) => {
+            if (instance.ruleId === ruleId) instances.delete(key);
+        });
+    }
+
+    // ---- Evaluation ----
+
+    function notify(rule, alert, status) {
+        const targets = rule.notifiers.length ? rule.notifiers : Object.keys(notifiers);
+        targets.forEach((name) => {
+            const notifier = notifiers[name];
+            if (!notifier) return;
+            notifier.send({ status, alert, rule }).catch((error) => {
+                console.error(`Error sending alert via ${name}:`, error.message);
+            });
+        });
+    }
+
+    function transition(rule, alert, status, now) {
+        if (status === 'firing') {
+            const cooldown = parseDuration(rule.cooldown);
+            const previous = lastNotified.get(alert.id);
+            alert.notified = previous === undefined || now - previous >= cooldown;
+            if (alert.notified) {
+                lastNotified.set(alert.id, now);
+                notify(rule, alert, status);
+            }
+        } else if (alert.notified) {
+            notify(rule, alert, status);
+        }
+
+        recent.unshift(Object.assign({}, alert));
+        if (recent.length > MAX_RECENT) recent.pop();
+
+        onChange(alert, status);
+    }
+
+    function updateInstance(rule, key, value, matches, now) {
+        const id = `${rule.id}:${key}`;
+        let alert = instances.get(id);
+
+        if (matches) {
+            if (!alert) {
+                alert = {
+                    id,
+                    ruleId: rule.id,
+                    ruleName: rule.name,
+                    severity: rule.severity,
+                    key,
+                    state: 'pending',
+                    since: new Date(now).toISOString(),
+                    firedAt: null,
+                    resolvedAt: null,
+                    notified: false
+                };
+                instances.set(id, alert);
+            }
+            alert.value = value;
+
+            if (alert.state === 'pending' && now - Date.parse(alert.since) >= parseDuration(rule.for)) {
+                alert.state = 'firing';
+                alert.firedAt = new Date(now).toISOString();
+                transition(rule, alert, 'firing', now);
+            }
+        } else if (alert) {
+            instances.delete(id);
+            if (alert.state === 'firing') {
+                alert.state = 'resolved';
+                alert.value = value;
+                alert.resolvedAt = new Date(now).toISOString();
+                transition(rule, alert, 'resolved', now);
+            }
+        }
+    }
+
+    function evaluate(source, payload, now = Date.now()) {
+        if (!payload || payload.error) return;
+
+        const flat = flattenMetrics(payload);
+        const keys = Object.keys(flat);
+
+        rules.filter((rule) => rule.enabled && rule.source === source).forEach((rule) => {
+            const matcher = metricMatcher(rule.metric);
+            const compare = COMPARATORS[rule.comparator];
+            const seen = new Set();
+
+            keys.filter(matcher).forEach((key) => {
+                seen.add(key);
+                updateInstance(rule, key, flat[key], compare(flat[key], rule.threshold), now);
+            });
+
+            // A metric that disappeared (e.g. an unplugged drive) no longer matches
+            instances.forEach((alert) => {
+                if (alert.ruleId === rule.id && !seen.has(alert.key)) {
+                    updateInstance(rule, alert.key, null, false, now);
+                }
+            });
+        });
+    }
+
+    function getAlerts() {
+        const active = Array.from(instances.values());
+        return {
+            firing: active.filter((alert) => alert.state === 'firing'),
+            pending: active.filter((alert) => alert.state === 'pending'),
+            recent
+        };
+    }
+
+    return {
+        load,
+        listRules,
+        getRule,
+        createRule,
+        updateRule,
+        deleteRule,
+        evaluate,
+        getAlerts
+    };
+}
+
+module.exports = {
+    createAlertEngine,
+    validateRule,
+    COMPARATORS
+};
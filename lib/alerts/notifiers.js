@@ -0,0 +1,103 @@
+// Alert notification channels
+// A notifier is an object with a name and send(notification) returning a promise.
+// notification = { status: 'firing' | 'resolved', alert, rule }
+const fs = require('fs');
+const path = require('path');
+const { postJson } = require('../http-client');
+
+const notifierTypes = {};
+
+function registerNotifier(type, factory) {
+    notifierTypes[type] = factory;
+}
+
+function createNotifier(type, options = {}) {
+    const factory = notifierTypes[type];
+    if (!factory) {
+        throw new Error(`Unknown notifier type "${type}"`);
+    }
+    return factory(options);
+}
+
+function describe(notification) {
+    const { alert, rule, status } = notification;
+    return `[${status.toUpperCase()}] ${rule.name}: ${alert.key} = ${alert.value} ` +
+        `(${rule.comparator} ${rule.threshold})`;
+}
+
+// Appends one JSON line per notification to a local file
+function createLogNotifier(options) {
+    const file = options.file;
+
+    return {
+        name: options.name || 'log',
+        async send(notification) {
+            await fs.promises.mkdir(path.dirname(file), { recursive: true });
+            const line = JSON.stringify({
+                time: new Date().toISOString(),
+                status: notification.status,
+                rule: notification.rule.name,
+                severity: notification.rule.severity,
+                key: notification.alert.key,
+                value: notification.alert.value,
+                message: describe(notification)
+            });
+            await fs.promises.appendFile(file, line + '\n');
+        }
+    };
+}
+
+// POSTs the notification as JSON to a URL
+function createWebhookNotifier(options) {
+    return {
+        name: options.name || 'webhook',
+        async send(notification) {
+            await postJson(options.url, {
+                status: notification.status,
+                message: describe(notification),
+                alert: notification.alert,
+                rule: notification.rule
+            }, {
+                timeout: options.timeout,
+                headers: options.headers
+            });
+        }
+    };
+}
+
+// Sends an email through an SMTP server
+function createEmailNotifier(options) {
+    const nodemailer = require('nodemailer');
+    const transport = nodemailer.createTransport({
+        host: options.host,
+        port: options.port || 587,
+        secure: Boolean(options.secure),
+        auth: options.user ? { user: options.user, pass: options.pass } : undefined
+    });
+
+    return {
+        name: options.name || 'email',
+        async send(notification) {
+            const subject = describe(notification);
+            await transport.sendMail({
+                from: options.from,
+                to: options.to,
+                subject,
+                text: `${subject}\n\nSeverity: ${notification.rule.severity}\n` +
+                    `Since: ${notification.alert.since}\n` +
+                    `Rule: ${notification.rule.metric} ${notification.rule.comparator} ${notification.rule.threshold}` +
+                    (notification.rule.for ? ` for ${notification.rule.for}` : '')
+            });
+        }
+    };
+}
+
+registerNotifier('log', createLogNotifier);
+registerNotifier('webhook', createWebhookNotifier);
+registerNotifier('email', createEmailNotifier);
+
+module.exports = {
+    registerNotifier,
+    createNotifier,
+    describe
+};
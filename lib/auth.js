@@ -0,0 +1,394 @@
+// Authentication and role-based access
+// Local users (scrypt-hashed passwords) log in to get a session cookie; API
+// tokens are sent as "Authorization: Bearer <token>". Both carry a role:
+// viewer (read-only), operator (can also run remediation actions) or admin
+// (can change settings, rules, users, tokens).
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+
+const ROLE_LEVELS = { viewer: 1, operator: 2, admin: 3 };
+const SESSION_COOKIE = 'monitor_session';
+const USERNAME_PATTERN = /^[A-Za-z0-9_.@-]{1,64}$/;
+const MIN_PASSWORD_LENGTH = 8;
+const MAX_LOGIN_FAILURES = 5; // per address and username
+const MAX_ADDRESS_FAILURES = 20; // per address, whichever usernames it tries
+const LOGIN_LOCKOUT_MS = 15 * 60 * 1000;
+const MAX_TRACKED_FAILURES = 10000;
+
+function scrypt(password, salt) {
+    return new Promise((resolve, reject) => {
+        crypto.scrypt(password, salt, 64, (error, key) => (error ? reject(error) : resolve(key)));
+    });
+}
+
+async function hashPassword(password) {
+    const salt = crypto.randomBytes(16);
+    const key = await scrypt(password, salt);
+    return `scrypt:${salt.toString('hex')}:${key.toString('hex')}`;
+}
+
+async function verifyPassword(password, stored) {
+    const [scheme, salt, hash] = String(stored).split(':');
+    if (scheme !== 'scrypt' || !salt || !hash) return false;
+
+    const expected = Buffer.from(hash, 'hex');
+    const actual = await scrypt(password, Buffer.from(salt, 'hex'));
+    return actual.length === expected.length && crypto.timingSafeEqual(actual, expected);
+}
+
+function hashToken(token) {
+    return crypto.createHash('sha256').update(token).digest('hex');
+}
+
+function parseCookies(header) {
+    const cookies = {};
+    String(header || '').split(';').forEach((part) => {
+        const index = part.indexOf('=');
+        if (index === -1) return;
+        const name = part.slice(0, index).trim();
+        try {
+            cookies[name] = decodeURIComponent(part.slice(index + 1).trim());
+        } catch (e) {
+            cookies[name] = part.slice(index + 1).trim();
+        }
+    });
+    return cookies;
+}
+
+// Own keys only, so names like "toString" or "__proto__" are not roles
+function isRole(role) {
+    return typeof role === 'string' && Object.prototype.hasOwnProperty.call(ROLE_LEVELS, role);
+}
+
+function hasRole(principal, role) {
+    return Boolean(principal) && isRole(principal.role) && isRole(role) && ROLE_LEVELS[principal.role] >= ROLE_LEVELS[role];
+}
+
+function createAuth(options = {}) {
+    const enabled = options.enabled !== false;
+    const usersFile = path.join(options.dir, 'users.json');
+    const tokensFile = path.join(options.dir, 'tokens.json');
+    const sessionTtl = options.sessionTtl || 12 * 60 * 60 * 1000;
+    const maxTrackedFailures = options.maxTrackedFailures || MAX_TRACKED_FAILURES;
+
+    let users = [];
+    let tokens = [];
+    const sessions = new Map();
+    const loginFailures = new Map(); // "<ip>" and "<ip>|<username>" -> { count, first }
+    let dummyHash = null;
+
+    async function readJson(file) {
+        try {
+            return JSON.parse(await fs.promises.readFile(file, 'utf8'));
+        } catch (error) {
+            if (error.code === 'ENOENT') return [];
+            throw error;
+        }
+    }
+
+    async function writeJson(file, data) {
+        await fs.promises.mkdir(path.dirname(file), { recursive: true });
+        const tmp = `${file}.tmp`;
+        await fs.promises.writeFile(tmp, JSON.stringify(data, null, 2), { mode: 0o600 });
+        await fs.promises.rename(tmp, file);
+    }
+
+    // Loads users/tokens and creates the first admin account if there is none
+    async function load() {
+        users = await readJson(usersFile);
+        tokens = await readJson(tokensFile);
+
+        if (enabled && users.length === 0) {
+            const username = options.adminUsername || 'admin';
+            const password = options.adminPassword || crypto.randomBytes(10).toString('hex');
+            users.push({
+                username,
+                passwordHash: await hashPassword(password),
+                role: 'admin',
+                createdAt: new Date().toISOString()
+            });
+            await writeJson(usersFile, users);
+
+            if (!options.adminPassword) {
+                console.log(`Created initial admin account "${username}" with password: ${password}`);
+                console.log(`Change it after logging in (PUT /api/auth/users/${username}).`);
+            }
+        }
+    }
+
+    // ---- Principals ----
+
+    function sessionPrincipal(req) {
+        const id = parseCookies(req.headers.cookie)[SESSION_COOKIE];
+        const session = id && sessions.get(id);
+        if (!session) return null;
+        if (session.expires < Date.now()) {
+            sessions.delete(id);
+            return null;
+        }
+        return { username: session.username, role: session.role, via: 'session' };
+    }
+
+    function tokenPrincipal(req) {
+        const header = req.headers.authorization || '';
+        if (!header.startsWith('Bearer ')) return null;
+
+        const tokenHash = hashToken(header.slice(7).trim());
+        const token = tokens.find((candidate) => candidate.tokenHash === tokenHash);
+        if (!token) return null;
+
+        token.lastUsed = new Date().toISOString();
+        return { username: token.createdBy, role: token.role, via: 'token', tokenId: token.id };
+    }
+
+    function authenticate(req) {
+        if (!enabled) {
+            return { username: 'anonymous', role: 'admin', via: 'disabled' };
+        }
+        return tokenPrincipal(req) || sessionPrincipal(req);
+    }
+
+    // Express middleware: attaches req.user when the request is authenticated
+    function attach(req, res, next) {
+        req.user = authenticate(req);
+        next();
+    }
+
+    function requireRole(role) {
+        return (req, res, next) => {
+            if (!req.user) {
+                return res.status(401).json({ error: 'Authentication required' });
+            }
+            if (!hasRole(req.user, role)) {
+                return res.status(403).json({ error: `This action requires the ${role} role` });
+            }
+            next();
+        };
+    }
+
+    // ---- Sessions ----
+
+    function isLockedOut(key, limit) {
+        const failures = loginFailures.get(key);
+        if (!failures) return false;
+        if (Date.now() - failures.first > LOGIN_LOCKOUT_MS) {
+            loginFailures.delete(key);
+            return false;
+        }
+        return failures.count >= limit;
+    }
+
+    // Bounded: expired entries go first, then the oldest ones
+    function recordFailure(key) {
+        const failures = loginFailures.get(key) || { count: 0, first: Date.now() };
+        failures.count++;
+        if (!loginFailures.has(key) && loginFailures.size >= maxTrackedFailures) {
+            const now = Date.now();
+            loginFailures.forEach((entry, candidate) => {
+                if (now - entry.first > LOGIN_LOCKOUT_MS) loginFailures.delete(candidate);
+            });
+            while (loginFailures.size >= maxTrackedFailures) loginFailures.delete(loginFailures.keys().next().value);
+        }
+        loginFailures.set(key, failures);
+    }
+
+    // Unknown usernames are checked against this so they take as long as a wrong password
+    function unknownUserHash() {
+        dummyHash = dummyHash || hashPassword(crypto.randomBytes(16).toString('hex'));
+        return dummyHash;
+    }
+
+    // Sessions that are never presented again (closed browsers, scripts) expire here
+    function sweepSessions() {
+        const now = Date.now();
+        sessions.forEach((session, id) => {
+            if (session.expires < now) sessions.delete(id);
+        });
+    }
+
+    // Returns { session, user } on success or { error, status } on failure.
+    // Failures lock out the address for one username, and for all of them after more
+    async function login(username, password, address) {
+        const key = `${address}|${username}`;
+        if (isLockedOut(address, MAX_ADDRESS_FAILURES) || isLockedOut(key, MAX_LOGIN_FAILURES)) {
+            return { status: 429, error: 'Too many failed login attempts - try again later' };
+        }
+
+        const user = users.find((candidate) => candidate.username === username);
+        const stored = user ? user.passwordHash : await unknownUserHash();
+        const matches = await verifyPassword(typeof password === 'string' ? password : '', stored);
+        if (!user || typeof password !== 'string' || !matches) {
+            recordFailure(key);
+            recordFailure(address);
+            return { status: 401, error: 'Invalid username or password' };
+        }
+
+        loginFailures.delete(key);
+        sweepSessions();
+        const id = crypto.randomBytes(32).toString('hex');
+        sessions.set(id, { username: user.username, role: user.role, expires: Date.now() + sessionTtl });
+        return { session: id, user: { username: user.username, role: user.role } };
+    }
+
+    function logout(req) {
+        const id = parseCookies(req.headers.cookie)[SESSION_COOKIE];
+        if (id) sessions.delete(id);
+    }
+
+    function sessionCookie(id, secure) {
+        const maxAge = id ? Math.floor(sessionTtl / 1000) : 0;
+        return `${SESSION_COOKIE}=${id || ''}; Path=/; HttpOnly; SameSite=Lax; Max-Age=${maxAge}${secure ? '; Secure' : ''}`;
+    }
+
+    function dropSessions(username) {
+        sessions.forEach((session, id) => {
+            if (session.username === username) sessions.delete(id);
+        });
+    }
+
+    // ---- Users ----
+
+    function listUsers() {
+        return users.map((user) => ({ username: user.username, role: user.role, createdAt: user.createdAt }));
+    }
+
+    async function createUser(input) {
+        const errors = [];
+        if (!input || !USERNAME_PATTERN.test(input.username || '')) {
+            errors.push('username must be 1-64 characters of letters, digits, "_", ".", "@" or "-"');
+        } else if (users.some((user) => user.username === input.username)) {
+            errors.push(`user "${input.username}" already exists`);
+        }
+        if (!input || typeof input.password !== 'string' || input.password.length < MIN_PASSWORD_LENGTH) {
+            errors.push(`password must be at least ${MIN_PASSWORD_LENGTH} characters`);
+        }
+        if (!input || !isRole(input.role)) {
+            errors.push(`role must be one of: ${Object.keys(ROLE_LEVELS).join(', ')}`);
+        }
+        if (errors.length) return { errors };
+
+        const user = {
+            username: input.username,
+            passwordHash: await hashPassword(input.password),
+            role: input.role,
+            createdAt: new Date().toISOString()
+        };
+        users.push(user);
+        await writeJson(usersFile, users);
+        return { user: { username: user.username, role: user.role, createdAt: user.createdAt } };
+    }
+
+    async function updateUser(username, input) {
+        const user = users.find((candidate) => candidate.username === username);
+        if (!user) return null;
+
+        const errors = [];
+        if (input.password !== undefined && (typeof input.password !== 'string' || input.password.length < MIN_PASSWORD_LENGTH)) {
+            errors.push(`password must be at least ${MIN_PASSWORD_LENGTH} characters`);
+        }
+        if (input.role !== undefined && !isRole(input.role)) {
+            errors.push(`role must be one of: ${Object.keys(ROLE_LEVELS).join(', ')}`);
+        }
+        if (input.role && input.role !== 'admin' && user.role === 'admin' && adminCount() === 1) {
+            errors.push('cannot demote the last admin');
+        }
+        if (errors.length) return { errors };
+
+        if (input.password !== undefined) user.passwordHash = await hashPassword(input.password);
+        if (input.role !== undefined) user.role = input.role;
+        await writeJson(usersFile, users);
+        dropSessions(username);
+        return { user: { username: user.username, role: user.role, createdAt: user.createdAt } };
+    }
+
+    async function deleteUser(username) {
+        const user = users.find((candidate) => candidate.username === username);
+        if (!user) return null;
+        if (user.role === 'admin' && adminCount() === 1) {
+            return { errors: ['cannot delete the last admin'] };
+        }
+
+        users = users.filter((candidate) => candidate !== user);
+        await writeJson(usersFile, users);
+        dropSessions(username);
+        return {};
+    }
+
+    function adminCount() {
+        return users.filter((user) => user.role === 'admin').length;
+    }
+
+    // ---- API tokens ----
+
+    function listTokens() {
+        return tokens.map((token) => ({
+            id: token.id,
+            name: token.name,
+            role: token.role,
+            createdBy: token.createdBy,
+            createdAt: token.createdAt,
+            lastUsed: token.lastUsed || null
+        }));
+    }
+
+    // The plain token is only returned here; only its hash is stored
+    async function createToken(input, createdBy) {
+        const errors = [];
+        if (!input || typeof input.name !== 'string' || !input.name.trim()) {
+            errors.push('name is required');
+        }
+        if (!input || !isRole(input.role)) {
+            errors.push(`role must be one of: ${Object.keys(ROLE_LEVELS).join(', ')}`);
+        }
+        if (errors.length) return { errors };
+
+        const plain = `wm_${crypto.randomBytes(24).toString('hex')}`;
+        const token = {
+            id: crypto.randomBytes(6).toString('hex'),
+            name: input.name.trim().slice(0, 128),
+            role: input.role,
+            tokenHash: hashToken(plain),
+            createdBy,
+            createdAt: new Date().toISOString()
+        };
+        tokens.push(token);
+        await writeJson(tokensFile, tokens);
+        return { token: Object.assign(listTokens().find((item) => item.id === token.id), { token: plain }) };
+    }
+
+    async function deleteToken(id) {
+        const before = tokens.length;
+        tokens = tokens.filter((token) => token.id !== id);
+        if (tokens.length === before) return false;
+        await writeJson(tokensFile, tokens);
+        return true;
+    }
+
+    return {
+        enabled,
+        load,
+        authenticate,
+        attach,
+        requireRole,
+        login,
+        logout,
+        sessionCookie,
+        listUsers,
+        createUser,
+        updateUser,
+        deleteUser,
+        listTokens,
+        createToken,
+        deleteToken
+    };
+}
+
+module.exports = {
+    createAuth,
+    hasRole,
+    hashPassword,
+    verifyPassword,
+    parseCookies,
+    ROLE_LEVELS
+};
@@ -0,0 +1,322 @@
+// Anomaly detection baselines
+// Every metrics sample updates, per host and metric, a rolling baseline (an
+// exponentially weighted mean and variance over about an hour) and a
+// time-of-day profile (the same per hour of the day, over about three days of
+// that hour). A metric deviating from its expected value - the profile once it
+// has seen enough of the current hour, the rolling baseline until then - by
+// more than `sensitivity` standard deviations for `minDuration` is an anomaly.
+// Baselines are saved to <file> and can be seeded from the metrics history.
+const fs = require('fs');
+const path = require('path');
+const { flattenMetrics } = require('./history-store');
+const { formatTimestamp, round } = require('./collectors/format');
+
+const MINUTE = 60 * 1000;
+const HOUR = 60 * MINUTE;
+const DEFAULT_SENSITIVITY = 3;
+const DEFAULT_MIN_DURATION = MINUTE;
+const ROLLING_WINDOW = HOUR;
+const PROFILE_WINDOW = 3 * HOUR; // of samples in that hour, i.e. about three days
+const ROLLING_WARMUP = 15 * MINUTE;
+const PROFILE_WARMUP = 2 * HOUR;
+const MAX_GAP = 5 * MINUTE; // a longer gap counts as this much observation
+const SAVE_INTERVAL = 5 * MINUTE;
+
+// Baselined metrics: flattened key pattern, label, unit and the smallest
+// standard deviation used (so a perfectly flat metric doesn't flag every blip)
+const METRICS = [
+    { pattern: /^cpu$/, label: () => 'CPU', unit: '%', minDeviation: 2, max: 100 },
+    { pattern: /^memory\.percent$/, label: () => 'Memory', unit: '%', minDeviation: 1, max: 100 },
+    { pattern: /^disks\.(.+)\.activity$/, label: (match) => `Disk ${match[1]} Activity`, unit: '%', minDeviation: 2, max: 100 },
+    { pattern: /^network\.(.+)\.MBps$/, label: (match) => `Network ${match[1]} Throughput`, unit: 'MB/s', minDeviation: 0.05 }
+];
+const COUNTERS = /^network\.(.+)\.(receivedMB|sentMB)$/;
+
+function describe(key) {
+    for (const metric of METRICS) {
+        const match = metric.pattern.exec(key);
+        if (match) return Object.assign({ key, name: metric.label(match) }, metric);
+    }
+    return null;
+}
+
+// Time-weighted EWMA update of { mean, variance, observed }
+function update(stats, value, dt, window) {
+    if (stats.observed === 0) {
+        stats.mean = value;
+        stats.variance = 0;
+    } else {
+        const alpha = 1 - Math.exp(-dt / window);
+        const diff = value - stats.mean;
+        const increment = alpha * diff;
+        stats.mean += increment;
+        stats.variance = (1 - alpha) * (stats.variance + diff * increment);
+    }
+    stats.observed += dt;
+}
+
+function emptyStats() {
+    return { mean: 0, variance: 0, observed: 0 };
+}
+
+function createBaselineStore(options = {}) {
+    const file = options.file;
+    const sensitivity = options.sensitivity || DEFAULT_SENSITIVITY;
+    const minDuration = options.minDuration !== undefined ? options.minDuration : DEFAULT_MIN_DURATION;
+    const hosts = new Map(); // host -> { metrics: { key: model }, counters: { key: { value, time } } }
+    let writeQueue = Promise.resolve();
+    let dirty = false;
+    let lastSave = Date.now();
+
+    function save() {
+        const data = {};
+        hosts.forEach((entry, host) => {
+            data[host] = entry;
+        });
+        dirty = false;
+        lastSave = Date.now();
+
+        const json = JSON.stringify(data);
+        writeQueue = writeQueue
+            .then(async () => {
+                await fs.promises.mkdir(path.dirname(file), { recursive: true });
+                const tmp = `${file}.tmp`;
+                await fs.promises.writeFile(tmp, json);
+                await fs.promises.rename(tmp, file);
+            })
+            .catch((error) => console.error('Error saving baselines:', error.message));
+        return writeQueue;
+    }
+
+    async function load() {
+        try {
+            const stored = JSON.parse(await fs.promises.readFile(file, 'utf8'));
+            Object.keys(stored).forEach((host) => hosts.set(host, stored[host]));
+        } catch (error) {
+            if (error.code !== 'ENOENT') throw error;
+        }
+    }
+
+    function hostEntry(host) {
+        let entry = hosts.get(host);
+        if (!entry) {
+            entry = { metrics: {}, counters: {} };
+            hosts.set(host, entry);
+        }
+        return entry;
+    }
+
+    // Network counters are cumulative; baselines use their rate
+    function sampleValues(entry, flat, time) {
+        const values = {};
+        const rates = {};
+        Object.keys(flat).forEach((key) => {
+            const counter = COUNTERS.exec(key);
+            if (!counter) {
+                if (describe(key)) values[key] = flat[key];
+                return;
+            }
+
+            const previous = entry.counters[key];
+            entry.counters[key] = { value: flat[key], time };
+            const elapsed = previous ? (time - previous.time) / 1000 : 0;
+            if (!previous || elapsed <= 0 || elapsed * 1000 > MAX_GAP || flat[key] < previous.value) return;
+
+            const rateKey = `network.${counter[1]}.MBps`;
+            rates[rateKey] = (rates[rateKey] || 0) + (flat[key] - previous.value) / elapsed;
+        });
+        return Object.assign(values, rates);
+    }
+
+    // Expected value and spread: the hour-of-day profile once it has seen enough, else the rolling baseline
+    function expectation(model, metric, time) {
+        const profile = model.hours[new Date(time).getHours()];
+        const seasonal = profile && profile.observed >= PROFILE_WARMUP;
+        const stats = seasonal ? profile : model.rolling;
+        if (!seasonal && stats.observed < ROLLING_WARMUP) return null;
+
+        const deviation = Math.max(Math.sqrt(stats.variance), metric.minDeviation);
+        const upper = stats.mean + sensitivity * deviation;
+        return {
+            source: seasonal ? 'seasonal' : 'rolling',
+            expected: stats.mean,
+            deviation,
+            lower: Math.max(0, stats.mean - sensitivity * deviation),
+            upper: metric.max ? Math.min(metric.max, upper) : upper
+        };
+    }
+
+    // Checks a value against the baseline (before learning from it) and tracks how long it has deviated
+    function check(model, metric, value, time) {
+        const expected = expectation(model, metric, time);
+        model.current = null;
+        if (!expected) {
+            model.deviatingSince = null;
+            return;
+        }
+
+        const score = (value - expected.expected) / expected.deviation;
+        const deviating = Math.abs(score) > sensitivity;
+        if (!deviating) {
+            model.deviatingSince = null;
+        } else if (!model.deviatingSince || model.direction !== (score > 0 ? 'above' : 'below')) {
+            model.deviatingSince = time;
+        }
+        model.direction = score > 0 ? 'above' : 'below';
+        model.current = {
+            value: round(value),
+            expected: round(expected.expected),
+            lower: round(expected.lower),
+            upper: round(expected.upper),
+            score: round(score),
+            source: expected.source,
+            time
+        };
+    }
+
+    function learn(host, flat, time, detect) {
+        const entry = hostEntry(host);
+        const values = sampleValues(entry, flat, time);
+
+        Object.keys(values).forEach((key) => {
+            const value = values[key];
+            if (!Number.isFinite(value)) return;
+
+            const metric = describe(key);
+            let model = entry.metrics[key];
+            if (!model) {
+                model = { rolling: emptyStats(), hours: new Array(24).fill(null), lastTime: null, deviatingSince: null, direction: null, current: null };
+                entry.metrics[key] = model;
+            }
+            const dt = model.lastTime === null ? 0 : Math.min(Math.max(time - model.lastTime, 0), MAX_GAP);
+            if (model.lastTime !== null && dt === 0) return;
+
+            if (detect) check(model, metric, value, time);
+
+            const hour = new Date(time).getHours();
+            if (!model.hours[hour]) model.hours[hour] = emptyStats();
+            update(model.rolling, value, dt, ROLLING_WINDOW);
+            update(model.hours[hour], value, dt, PROFILE_WINDOW);
+            model.lastTime = time;
+        });
+
+        dirty = true;
+        if (Date.now() - lastSave > SAVE_INTERVAL) save();
+    }
+
+    // Learns from one live metrics sample and returns the host's baselines
+    function observe(host, metrics, now = Date.now()) {
+        learn(host, flattenMetrics(metrics), now, true);
+        return status(host, now);
+    }
+
+    // Seeds a host's baselines from stored history points ({ timestamp, <flattened fields> }, oldest first)
+    function train(host, points) {
+        points.forEach((point) => {
+            const time = Date.parse(point.timestamp);
+            if (Number.isNaN(time)) return;
+            const flat = Object.assign({}, point);
+            delete flat.timestamp;
+            learn(host, flat, time, false);
+        });
+    }
+
+    function has(host) {
+        return hosts.has(host);
+    }
+
+    // Current expectation of every metric plus the ones that have deviated for at least minDuration
+    function status(host, now = Date.now()) {
+        const entry = hosts.get(host);
+        const baselines = [];
+        const anomalies = [];
+        if (!entry) return { sensitivity, baselines, anomalies };
+
+        Object.keys(entry.metrics).sort().forEach((key) => {
+            const model = entry.metrics[key];
+            const metric = describe(key);
+            if (!metric || !model.current || now - model.current.time > MAX_GAP) return;
+
+            const current = model.current;
+            const baseline = {
+                metric: key,
+                name: metric.name,
+                unit: metric.unit,
+                value: current.value,
+                expected: current.expected,
+                lower: current.lower,
+                upper: current.upper,
+                score: current.score,
+                source: current.source
+            };
+            baselines.push(baseline);
+
+            if (model.deviatingSince && now - model.deviatingSince >= minDuration) {
+                anomalies.push(Object.assign({}, baseline, {
+                    direction: model.direction,
+                    since: new Date(model.deviatingSince).toISOString()
+                }));
+            }
+        });
+        return { sensitivity, baselines, anomalies };
+    }
+
+    // Chart bands for the dashboard: expected value and band per metric key
+    function bands(host, keys, now = Date.now()) {
+        const result = {};
+        status(host, now).baselines
+            .filter((baseline) => keys.includes(baseline.metric))
+            .forEach((baseline) => {
+                result[baseline.metric] = { expected: baseline.expected, lower: baseline.lower, upper: baseline.upper };
+            });
+        return result;
+    }
+
+    function removeHost(host) {
+        if (hosts.delete(host)) save();
+    }
+
+    function flush() {
+        if (dirty) save();
+        return writeQueue;
+    }
+
+    return {
+        load,
+        observe,
+        train,
+        has,
+        status,
+        bands,
+        removeHost,
+        flush
+    };
+}
+
+// Anomalies as diagnostics warnings (category "Anomaly"); the metric key keeps their issue ID stable
+function anomalyIssues(anomalies, sensitivity, now = new Date()) {
+    return anomalies.map((anomaly) => {
+        const unit = anomaly.unit === '%' ? '%' : ` ${anomaly.unit}`;
+        return {
+            category: 'Anomaly',
+            severity: Math.abs(anomaly.score) >= 2 * sensitivity ? 'High' : 'Medium',
+            title: `${anomaly.name} ${anomaly.direction === 'above' ? 'Above' : 'Below'} Baseline`,
+            subject: anomaly.metric,
+            description: `${anomaly.name} is ${anomaly.value}${unit}, normal range ${anomaly.lower}-${anomaly.upper}${unit} ` +
+                `${anomaly.source === 'seasonal' ? 'for this time of day' : 'over the last hour'} ` +
+                `(${Math.abs(anomaly.score)} standard deviations ${anomaly.direction}) since ${formatTimestamp(new Date(anomaly.since))}`,
+            recommendation: 'Check what changed on this machine; if this is the new normal the baseline adapts within about an hour',
+            metric: anomaly.metric,
+            value: anomaly.value,
+            expected: anomaly.expected,
+            score: anomaly.score,
+            since: anomaly.since,
+            timestamp: formatTimestamp(now)
+        };
+    });
+}
+
+module.exports = {
+    createBaselineStore,
+    anomalyIssues
+};
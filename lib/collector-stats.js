@@ -0,0 +1,59 @@
+// Per-collector run statistics (duration, failures, last success)
+
+function createCollectorStats() {
+    const stats = {};
+
+    function entry(name) {
+        if (!stats[name]) {
+            stats[name] = {
+                runs: 0,
+                failures: 0,
+                timeouts: 0,
+                lastRun: null,
+                lastDurationMs: null,
+                lastSuccess: null,
+                lastError: null
+            };
+        }
+        return stats[name];
+    }
+
+    // Runs fn() and records the outcome; a payload with an `error` field counts as a failure
+    async function track(name, fn) {
+        const current = entry(name);
+        const started = Date.now();
+        current.runs++;
+        current.lastRun = new Date(started).toISOString();
+
+        try {
+            const result = await fn();
+            current.lastDurationMs = Date.now() - started;
+            if (result && result.error) {
+                current.failures++;
+                current.lastError = String(result.error);
+            } else {
+                current.lastSuccess = new Date().toISOString();
+            }
+            return result;
+        } catch (error) {
+            current.lastDurationMs = Date.now() - started;
+            current.failures++;
+            current.lastError = error.message;
+            if (error.code === 'ETIMEDOUT') current.timeouts++;
+            throw error;
+        }
+    }
+
+    function snapshot() {
+        return JSON.parse(JSON.stringify(stats));
+    }
+
+    return {
+        track,
+        snapshot
+    };
+}
+
+module.exports = {
+    createCollectorStats
+};
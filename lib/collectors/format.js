@@ -0,0 +1,35 @@
+// Shared formatting helpers for collector backends
+
+// Same "yyyy-MM-dd HH:mm:ss" local-time format the PowerShell scripts emit
+function formatTimestamp(date = new Date()) {
+    const pad = (n) => String(n).padStart(2, '0');
+    return `${date.getFullYear()}-${pad(date.getMonth() + 1)}-${pad(date.getDate())} ` +
+        `${pad(date.getHours())}:${pad(date.getMinutes())}:${pad(date.getSeconds())}`;
+}
+
+// Inverse of formatTimestamp; also accepts ISO dates. Returns epoch ms or null.
+function parseTimestamp(value) {
+    const match = /^(\d{4})-(\d{2})-(\d{2})[ T](\d{2}):(\d{2}):(\d{2})$/.exec(String(value || '').trim());
+    if (match) {
+        const [, year, month, day, hours, minutes, seconds] = match.map(Number);
+        return new Date(year, month - 1, day, hours, minutes, seconds).getTime();
+    }
+    const parsed = Date.parse(value);
+    return Number.isNaN(parsed) ? null : parsed;
+}
+
+function round(value, digits = 2) {
+    const factor = Math.pow(10, digits);
+    return Math.round(value * factor) / factor;
+}
+
+function emptySummary() {
+    return { critical: 0, high: 0, medium: 0, low: 0 };
+}
+
+module.exports = {
+    formatTimestamp,
+    parseTimestamp,
+    round,
+    emptySummary
+};
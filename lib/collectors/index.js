@@ -0,0 +1,59 @@
+// Collector backend registry
+// A backend is an object exposing collectMetrics(), collectEventLogs() and
+// collectDiagnostics(), each resolving to the same payload shapes the
+// PowerShell scripts produce so the dashboard doesn't care where data comes from.
+// Each method receives a context ({ timeout, params }) from the scheduler; backends that
+// start child processes should kill them once the timeout passes. params are the
+// collector's settings, named like the PowerShell script parameters
+// ({ MaxEvents } for event logs, { DiskWarningPercent, DiskCriticalPercent } for diagnostics).
+
+const backends = {};
+
+function registerBackend(name, factory) {
+    if (typeof factory !== 'function') {
+        throw new Error(`Collector backend "${name}" must be registered with a factory function`);
+    }
+    backends[name] = factory;
+}
+
+function listBackends() {
+    return Object.keys(backends);
+}
+
+// Pick a sensible default for the current platform when none is configured
+function resolveBackendName(requested, platform = process.platform) {
+    if (requested && requested !== 'auto') {
+        return requested;
+    }
+    if (platform === 'win32') return 'powershell';
+    if (platform === 'linux') return 'linux';
+    return 'synthetic';
+}
+
+function createBackend(name, options = {}) {
+    const factory = backends[name];
+    if (!factory) {
+        throw new Error(`Unknown collector backend "${name}" (available: ${listBackends().join(', ')})`);
+    }
+
+    const backend = factory(options);
+    ['collectMetrics', 'collectEventLogs', 'collectDiagnostics'].forEach((method) => {
+        if (typeof backend[method] !== 'function') {
+            throw new Error(`Collector backend "${name}" does not implement ${method}()`);
+        }
+    });
+
+    return backend;
+}
+
+// Built-in backends
+registerBackend('powershell', require('./powershell'));
+registerBackend('linux', require('./linux'));
+registerBackend('synthetic', require('./synthetic'));
+
+module.exports = {
+    registerBackend,
+    listBackends,
+    resolveBackendName,
+    createBackend
+};
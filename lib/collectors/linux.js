@@ -0,0 +1,669 @@
+// Native Linux backend - reads /proc, /sys, filesystem stats and the systemd journal
+const fs = require('fs');
+const os = require('os');
+const net = require('net');
+const path = require('path');
+const dns = require('dns');
+const { execFile } = require('child_process');
+const { formatTimestamp, round, emptySummary } = require('./format');
+
+const SAMPLE_INTERVAL_MS = 500;
+const MAX_EVENTS = 30;
+const DISK_WARNING_PERCENT = 80; // used space reported as low / critical
+const DISK_CRITICAL_PERCENT = 90;
+const PAGE_SIZE = 4096;
+const CLOCK_TICKS = 100; // USER_HZ - the unit of the times in /proc/<pid>/stat
+const GB = 1024 * 1024 * 1024;
+const MB = 1024 * 1024;
+
+// Filesystems worth reporting as "disks" (skip tmpfs, overlay, proc, ...)
+const REAL_FILESYSTEMS = new Set([
+    'ext2', 'ext3', 'ext4', 'xfs', 'btrfs', 'zfs', 'f2fs', 'jfs', 'reiserfs',
+    'vfat', 'exfat', 'ntfs', 'ntfs3', 'fuseblk'
+]);
+
+function sleep(ms) {
+    return new Promise((resolve) => setTimeout(resolve, ms));
+}
+
+function readText(filePath) {
+    return fs.promises.readFile(filePath, 'utf8');
+}
+
+function readOptional(filePath) {
+    return readText(filePath).then((text) => text.trim()).catch(() => null);
+}
+
+function run(command, args, timeout = 10000) {
+    return new Promise((resolve, reject) => {
+        execFile(command, args, { timeout, maxBuffer: 10 * MB }, (error, stdout) => {
+            if (error) {
+                reject(error);
+            } else {
+                resolve(stdout);
+            }
+        });
+    });
+}
+
+function withTimeout(promise, ms, fallback) {
+    return Promise.race([promise, sleep(ms).then(() => fallback)]);
+}
+
+// /proc/mounts escapes whitespace as octal (e.g. "\040" for a space)
+function decodeMountPath(value) {
+    return value.replace(/\\([0-7]{3})/g, (match, octal) => String.fromCharCode(parseInt(octal, 8)));
+}
+
+function createLinuxBackend(options = {}) {
+    const procRoot = options.procRoot || '/proc';
+    const sysRoot = options.sysRoot || '/sys';
+    const sampleInterval = options.sampleInterval !== undefined ? options.sampleInterval : SAMPLE_INTERVAL_MS;
+    const maxEvents = options.maxEvents || MAX_EVENTS;
+
+    // ---- Raw readers ----
+
+    async function readCpuTimes() {
+        const stat = await readText(path.join(procRoot, 'stat'));
+        const fields = stat.split('\n')[0].trim().split(/\s+/).slice(1, 9).map(Number);
+        const idle = fields[3] + (fields[4] || 0);
+        const total = fields.reduce((sum, value) => sum + value, 0);
+        const btime = stat.match(/^btime (\d+)/m);
+        return { idle, total, bootTime: btime ? Number(btime[1]) * 1000 : null };
+    }
+
+    // Bytes read and written by a process (all I/O, like Windows' "IO Data Bytes"); null without permission
+    async function readProcessIo(pid) {
+        const text = await readOptional(path.join(procRoot, pid, 'io'));
+        if (!text) return null;
+        const rchar = text.match(/^rchar: (\d+)/m);
+        const wchar = text.match(/^wchar: (\d+)/m);
+        return rchar && wchar ? Number(rchar[1]) + Number(wchar[1]) : null;
+    }
+
+    // Open file descriptors - the closest thing to a Windows handle count
+    function countDescriptors(pid) {
+        return fs.promises.readdir(path.join(procRoot, pid, 'fd'))
+            .then((entries) => entries.length)
+            .catch(() => null);
+    }
+
+    async function readProcessTimes(detailed) {
+        const entries = await fs.promises.readdir(procRoot);
+        const processes = new Map();
+
+        await Promise.all(entries.filter((entry) => /^\d+$/.test(entry)).map(async (pid) => {
+            const stat = await readOptional(path.join(procRoot, pid, 'stat'));
+            if (!stat) return;
+
+            // The command name may itself contain spaces or parentheses
+            const nameStart = stat.indexOf('(');
+            const nameEnd = stat.lastIndexOf(')');
+            const fields = stat.slice(nameEnd + 2).split(' ');
+
+            processes.set(Number(pid), {
+                name: stat.slice(nameStart + 1, nameEnd),
+                ppid: Number(fields[1]),
+                ticks: Number(fields[11]) + Number(fields[12]),
+                threads: Number(fields[17]),
+                startTicks: Number(fields[19]),
+                rssBytes: Number(fields[21]) * PAGE_SIZE,
+                ioBytes: await readProcessIo(pid),
+                handles: detailed ? await countDescriptors(pid) : null
+            });
+        }));
+
+        return processes;
+    }
+
+    async function readDiskTicks() {
+        const ticks = {};
+        const text = await readOptional(path.join(procRoot, 'diskstats'));
+        if (!text) return ticks;
+
+        text.split('\n').forEach((line) => {
+            const fields = line.trim().split(/\s+/);
+            if (fields.length >= 13) {
+                ticks[fields[2]] = Number(fields[12]); // ms spent doing I/O
+            }
+        });
+        return ticks;
+    }
+
+    async function readMounts() {
+        const text = await readText(path.join(procRoot, 'mounts'));
+        const seen = new Set();
+        const mounts = [];
+
+        text.split('\n').forEach((line) => {
+            const [device, mountPoint, fsType] = line.split(' ');
+            if (!device || !device.startsWith('/dev/') || !REAL_FILESYSTEMS.has(fsType)) return;
+            if (seen.has(device)) return;
+
+            seen.add(device);
+            mounts.push({ device, mountPoint: decodeMountPath(mountPoint), fsType });
+        });
+
+        return mounts;
+    }
+
+    async function getFilesystemUsage(mountPoint) {
+        if (fs.promises.statfs) {
+            const stats = await fs.promises.statfs(mountPoint);
+            return { total: stats.blocks * stats.bsize, free: stats.bavail * stats.bsize };
+        }
+
+        // Older Node versions have no statfs binding - fall back to df
+        const output = await run('df', ['-kP', mountPoint]);
+        const columns = output.trim().split('\n').pop().split(/\s+/);
+        return { total: Number(columns[1]) * 1024, free: Number(columns[3]) * 1024 };
+    }
+
+    async function readMemory() {
+        const text = await readText(path.join(procRoot, 'meminfo'));
+        const info = {};
+        text.split('\n').forEach((line) => {
+            const match = line.match(/^(\w+):\s+(\d+)/);
+            if (match) info[match[1]] = Number(match[2]) * 1024;
+        });
+
+        const total = info.MemTotal || 0;
+        const available = info.MemAvailable !== undefined ? info.MemAvailable : info.MemFree || 0;
+        const used = total - available;
+
+        return {
+            total: round(total / GB),
+            used: round(used / GB),
+            free: round((info.MemFree || 0) / GB),
+            available: round(available / GB),
+            committed: round((info.Committed_AS || 0) / GB),
+            percent: total > 0 ? round((used / total) * 100) : 0
+        };
+    }
+
+    async function readCpuInfo() {
+        const cpus = os.cpus();
+        const cpuinfo = await readOptional(path.join(procRoot, 'cpuinfo'));
+        const coresMatch = cpuinfo && cpuinfo.match(/^cpu cores\s*:\s*(\d+)/m);
+        const maxFreq = await readOptional(path.join(sysRoot, 'devices/system/cpu/cpu0/cpufreq/cpuinfo_max_freq'));
+
+        return {
+            name: cpus.length ? cpus[0].model.trim() : 'Unknown',
+            cores: coresMatch ? Number(coresMatch[1]) : cpus.length,
+            logicalProcessors: cpus.length,
+            maxClockSpeed: maxFreq ? Math.round(Number(maxFreq) / 1000) : (cpus.length ? cpus[0].speed : 0),
+            currentClockSpeed: cpus.length ? cpus[0].speed : 0
+        };
+    }
+
+    async function readDisks(ticksBefore, ticksAfter, elapsedMs) {
+        const mounts = await readMounts();
+        const disks = [];
+
+        for (const mount of mounts) {
+            let usage;
+            try {
+                usage = await getFilesystemUsage(mount.mountPoint);
+            } catch (e) {
+                continue;
+            }
+
+            let activity = 0;
+            if (ticksBefore && ticksAfter && elapsedMs > 0) {
+                const realDevice = await fs.promises.realpath(mount.device).catch(() => mount.device);
+                const name = path.basename(realDevice);
+                if (ticksBefore[name] !== undefined && ticksAfter[name] !== undefined) {
+                    activity = Math.min(100, round(((ticksAfter[name] - ticksBefore[name]) / elapsedMs) * 100));
+                }
+            }
+
+            const used = usage.total - usage.free;
+            disks.push({
+                drive: mount.mountPoint,
+                label: mount.device,
+                total: round(usage.total / GB),
+                used: round(used / GB),
+                free: round(usage.free / GB),
+                percent: usage.total > 0 ? round((used / usage.total) * 100) : 0,
+                activity
+            });
+        }
+
+        return disks;
+    }
+
+    async function readNetwork() {
+        const text = await readText(path.join(procRoot, 'net/dev'));
+        const adapters = [];
+
+        for (const line of text.split('\n').slice(2)) {
+            const separator = line.indexOf(':');
+            if (separator === -1) continue;
+
+            const name = line.slice(0, separator).trim();
+            if (name === 'lo') continue;
+
+            const operstate = await readOptional(path.join(sysRoot, 'class/net', name, 'operstate'));
+            if (operstate !== 'up') continue;
+
+            const counters = line.slice(separator + 1).trim().split(/\s+/).map(Number);
+            const speed = Number(await readOptional(path.join(sysRoot, 'class/net', name, 'speed')));
+            const driver = await fs.promises.readlink(path.join(sysRoot, 'class/net', name, 'device/driver'))
+                .then((link) => path.basename(link))
+                .catch(() => '');
+
+            adapters.push({
+                name,
+                status: 'Up',
+                linkSpeed: speed > 0 ? speed : 0,
+                sentMB: round(counters[8] / MB),
+                receivedMB: round(counters[0] / MB),
+                interfaceDescription: driver
+            });
+        }
+
+        return adapters;
+    }
+
+    async function readBattery() {
+        const supplyDir = path.join(sysRoot, 'class/power_supply');
+        const supplies = await fs.promises.readdir(supplyDir).catch(() => []);
+
+        for (const supply of supplies) {
+            const type = await readOptional(path.join(supplyDir, supply, 'type'));
+            if (type !== 'Battery') continue;
+
+            const capacity = await readOptional(path.join(supplyDir, supply, 'capacity'));
+            const status = await readOptional(path.join(supplyDir, supply, 'status'));
+            return {
+                status: status || 'Unknown',
+                percentage: capacity !== null ? Number(capacity) : null,
+                estimatedRunTime: null,
+                isCharging: status === 'Charging'
+            };
+        }
+
+        return null;
+    }
+
+    async function readTemperature() {
+        const thermalDir = path.join(sysRoot, 'class/thermal');
+        const zones = (await fs.promises.readdir(thermalDir).catch(() => []))
+            .filter((zone) => zone.startsWith('thermal_zone'));
+
+        let hottest = null;
+        for (const zone of zones) {
+            const value = Number(await readOptional(path.join(thermalDir, zone, 'temp')));
+            if (value > 0 && (hottest === null || value > hottest)) {
+                hottest = value;
+            }
+        }
+
+        if (hottest === null) return null;
+
+        const celsius = round(hottest / 1000, 1);
+        return {
+            celsius,
+            fahrenheit: round((celsius * 9 / 5) + 32, 1)
+        };
+    }
+
+    async function readUptime() {
+        const text = await readText(path.join(procRoot, 'uptime'));
+        const totalSeconds = Math.round(Number(text.split(' ')[0]));
+        return {
+            days: Math.floor(totalSeconds / 86400),
+            hours: Math.floor((totalSeconds % 86400) / 3600),
+            minutes: Math.floor((totalSeconds % 3600) / 60),
+            totalSeconds
+        };
+    }
+
+    // ---- Metrics ----
+
+    async function collectMetrics() {
+        // Sample CPU, per-process and disk counters twice to derive rates
+        const started = Date.now();
+        const [cpuBefore, procsBefore, ticksBefore] = await Promise.all([
+            readCpuTimes(), readProcessTimes(false), readDiskTicks()
+        ]);
+        await sleep(sampleInterval);
+        const [cpuAfter, procsAfter, ticksAfter] = await Promise.all([
+            readCpuTimes(), readProcessTimes(true), readDiskTicks()
+        ]);
+        const elapsedMs = Date.now() - started;
+
+        const totalDelta = cpuAfter.total - cpuBefore.total;
+        const idleDelta = cpuAfter.idle - cpuBefore.idle;
+        const cpu = totalDelta > 0 ? round((1 - idleDelta / totalDelta) * 100) : 0;
+
+        // Every process goes to the server, which keeps the history and trims the list to the top 10
+        const processes = [];
+        procsAfter.forEach((proc, pid) => {
+            const previous = procsBefore.get(pid);
+            const tickDelta = previous ? proc.ticks - previous.ticks : 0;
+            const ioDelta = previous && proc.ioBytes !== null && previous.ioBytes !== null ? proc.ioBytes - previous.ioBytes : 0;
+            processes.push({
+                name: proc.name,
+                cpu: totalDelta > 0 ? round((tickDelta / totalDelta) * 100) : 0,
+                memory: round(proc.rssBytes / MB),
+                pid,
+                ppid: proc.ppid,
+                ioMBps: elapsedMs > 0 ? round(ioDelta / MB / (elapsedMs / 1000), 3) : 0,
+                handles: proc.handles,
+                threads: proc.threads,
+                startTime: cpuAfter.bootTime ? formatTimestamp(new Date(cpuAfter.bootTime + (proc.startTicks / CLOCK_TICKS) * 1000)) : null
+            });
+        });
+        processes.sort((a, b) => (b.cpu - a.cpu) || (b.memory - a.memory));
+
+        const metrics = {
+            cpu,
+            cpuInfo: await readCpuInfo(),
+            memory: await readMemory(),
+            disks: await readDisks(ticksBefore, ticksAfter, elapsedMs),
+            network: await readNetwork(),
+            processes,
+            uptime: await readUptime(),
+            timestamp: formatTimestamp()
+        };
+
+        const battery = await readBattery();
+        if (battery) metrics.battery = battery;
+
+        const temperature = await readTemperature();
+        if (temperature) metrics.temperature = temperature;
+
+        return metrics;
+    }
+
+    // ---- Event logs (systemd journal) ----
+
+    function journalMessage(entry) {
+        // Binary-safe messages are serialized as byte arrays
+        if (Array.isArray(entry.MESSAGE)) {
+            return Buffer.from(entry.MESSAGE).toString('utf8');
+        }
+        return entry.MESSAGE ? String(entry.MESSAGE) : 'No message available';
+    }
+
+    function classifyJournalEntry(entry, message) {
+        const identifier = entry.SYSLOG_IDENTIFIER || entry._COMM || '';
+        const unit = entry.UNIT || entry._SYSTEMD_UNIT || '';
+        const result = { category: 'System', priority: 'Normal', details: '' };
+
+        if (/I\/O error|blk_update_request|EXT4-fs error|XFS .*error|Buffer I\/O|medium error|nvme\d|ata\d+/i.test(message)) {
+            result.category = 'Disk';
+            result.priority = 'High';
+            const device = message.match(/\b(sd[a-z]+\d*|nvme\d+n\d+(?:p\d+)?|vd[a-z]+\d*)\b/);
+            if (device) result.details = `Device: ${device[1]}`;
+        } else if (identifier === 'systemd' && /fail|Main process exited/i.test(message)) {
+            result.category = 'Service';
+            result.priority = 'High';
+            if (unit) result.details = `Service: ${unit}`;
+        } else if (/NetworkManager|systemd-networkd|wpa_supplicant|dhclient|dhcpcd|systemd-resolved/i.test(identifier)) {
+            result.category = 'Network';
+            result.priority = 'High';
+        } else if (/segfault|core dump|coredump/i.test(message) || identifier === 'systemd-coredump') {
+            result.category = 'AppCrash';
+            result.priority = 'High';
+        } else if (/sshd|sudo|login|pam|polkit/i.test(identifier) && /fail|invalid|denied/i.test(message)) {
+            result.category = 'Security';
+            result.priority = 'High';
+        } else if (identifier === 'kernel' && /firmware|driver/i.test(message)) {
+            result.category = 'Driver';
+            result.priority = 'High';
+        }
+
+        return result;
+    }
+
+    function journalSource(entry) {
+        const facility = Number(entry.SYSLOG_FACILITY);
+        if (facility === 4 || facility === 10) return 'Security';
+        if (entry._TRANSPORT === 'kernel' || entry._SYSTEMD_UNIT) return 'System';
+        return 'Application';
+    }
+
+    async function collectEventLogs(context = {}) {
+        const limit = (context.params && context.params.MaxEvents) || maxEvents;
+        let output;
+        try {
+            output = await run('journalctl', [
+                '--no-pager', '--output=json', '--priority=0..3', '--reverse',
+                '--lines', String(limit * 4)
+            ]);
+        } catch (error) {
+            return {
+                events: [],
+                count: 0,
+                message: 'The systemd journal is not available on this host',
+                timestamp: formatTimestamp()
+            };
+        }
+
+        const now = Date.now();
+        const events = [];
+
+        output.split('\n').forEach((line) => {
+            if (!line.trim()) return;
+
+            let entry;
+            try {
+                entry = JSON.parse(line);
+            } catch (e) {
+                return;
+            }
+
+            const message = journalMessage(entry).slice(0, 500);
+            const created = new Date(Number(entry.__REALTIME_TIMESTAMP) / 1000);
+            const classification = classifyJournalEntry(entry, message);
+            const level = Number(entry.PRIORITY) <= 2 ? 'Critical' : 'Error';
+
+            events.push({
+                source: journalSource(entry),
+                category: classification.category,
+                level,
+                priority: level === 'Critical' ? 'High' : classification.priority,
+                id: entry.MESSAGE_ID ? entry.MESSAGE_ID.slice(0, 8) : 0,
+                provider: entry.SYSLOG_IDENTIFIER || entry._COMM || 'kernel',
+                message,
+                details: classification.details,
+                timestamp: formatTimestamp(created),
+                timeAgo: round((now - created.getTime()) / 3600000, 4)
+            });
+        });
+
+        // High priority first, then newest first (same ordering as the PowerShell collector)
+        events.sort((a, b) => {
+            if (a.priority !== b.priority) return a.priority === 'High' ? -1 : 1;
+            return a.timeAgo - b.timeAgo;
+        });
+
+        const limited = events.slice(0, limit);
+        return {
+            events: limited,
+            count: limited.length,
+            timestamp: formatTimestamp()
+        };
+    }
+
+    // ---- Diagnostics ----
+
+    async function listFailedUnits() {
+        try {
+            const output = await run('systemctl', ['list-units', '--state=failed', '--no-legend', '--plain', '--no-pager']);
+            return output.split('\n')
+                .map((line) => line.trim().split(/\s+/))
+                .filter((columns) => columns[0])
+                .map((columns) => ({ unit: columns[0], description: columns.slice(4).join(' ') }));
+        } catch (e) {
+            return [];
+        }
+    }
+
+    function canReachInternet(host = '8.8.8.8', port = 53, timeout = 3000) {
+        return new Promise((resolve) => {
+            const socket = net.connect({ host, port });
+            const finish = (result) => {
+                socket.destroy();
+                resolve(result);
+            };
+            socket.setTimeout(timeout, () => finish(false));
+            socket.once('connect', () => finish(true));
+            socket.once('error', () => finish(false));
+        });
+    }
+
+    async function collectDiagnostics(context = {}) {
+        const params = context.params || {};
+        const warningFree = 100 - (params.DiskWarningPercent || DISK_WARNING_PERCENT);
+        const criticalFree = 100 - (params.DiskCriticalPercent || DISK_CRITICAL_PERCENT);
+        const diagnostics = {
+            issues: [],
+            warnings: [],
+            info: [],
+            summary: emptySummary()
+        };
+        const timestamp = formatTimestamp();
+
+        function report(list, issue) {
+            diagnostics[list].push(Object.assign({}, issue, { timestamp }));
+            diagnostics.summary[issue.severity.toLowerCase()]++;
+        }
+
+        // 1. Disk space
+        const disks = await readDisks();
+        disks.forEach((disk) => {
+            const percentFree = disk.total > 0 ? (disk.free / disk.total) * 100 : 100;
+            if (percentFree < criticalFree) {
+                report('issues', {
+                    category: 'Disk',
+                    severity: 'Critical',
+                    title: `Critical Disk Space: ${disk.drive}`,
+                    description: `Only ${round(percentFree, 1)}% free space remaining`,
+                    recommendation: 'Free up disk space immediately - delete unnecessary files or move data',
+                    drive: disk.drive,
+                    freeGB: disk.free
+                });
+            } else if (percentFree < warningFree) {
+                report('warnings', {
+                    category: 'Disk',
+                    severity: 'Medium',
+                    title: `Low Disk Space: ${disk.drive}`,
+                    description: `Only ${round(percentFree, 1)}% free space remaining`,
+                    recommendation: 'Consider freeing up disk space',
+                    drive: disk.drive,
+                    freeGB: disk.free
+                });
+            }
+        });
+
+        // 2. Failed systemd services
+        const failedUnits = await listFailedUnits();
+        failedUnits.forEach((failed) => {
+            report('issues', {
+                category: 'Service',
+                severity: 'High',
+                title: `Service Failed: ${failed.unit}`,
+                description: `Unit '${failed.unit}' is in a failed state${failed.description ? ` (${failed.description})` : ''}`,
+                recommendation: `Inspect with: journalctl -u ${failed.unit} then restart: systemctl restart ${failed.unit}`,
+                serviceName: failed.unit
+            });
+        });
+
+        // 3. Network connectivity
+        const adapters = await readNetwork();
+        if (adapters.length === 0) {
+            report('issues', {
+                category: 'Network',
+                severity: 'High',
+                title: 'No Active Network Adapters',
+                description: 'No network interface other than loopback is up',
+                recommendation: 'Check cable connection, wireless signal or interface configuration'
+            });
+        } else {
+            const online = await canReachInternet();
+            if (!online) {
+                report('issues', {
+                    category: 'Network',
+                    severity: 'High',
+                    title: 'No Internet Connectivity',
+                    description: 'Cannot reach external network (DNS: 8.8.8.8)',
+                    recommendation: 'Check router, modem, or network configuration'
+                });
+            }
+
+            const resolved = await withTimeout(
+                dns.promises.lookup('www.google.com').then(() => true).catch(() => false),
+                3000,
+                false
+            );
+            if (!resolved) {
+                report('issues', {
+                    category: 'Network',
+                    severity: 'Medium',
+                    title: 'DNS Resolution Failed',
+                    description: 'Cannot resolve domain names - DNS may be misconfigured',
+                    recommendation: 'Check /etc/resolv.conf or your resolver configuration'
+                });
+            }
+        }
+
+        // 4. Performance - temperature and memory pressure
+        const temperature = await readTemperature();
+        if (temperature && temperature.celsius > 85) {
+            report('issues', {
+                category: 'Performance',
+                severity: 'Critical',
+                title: 'CPU Temperature Critical',
+                description: `CPU temperature is ${temperature.celsius}°C`,
+                recommendation: 'Shutdown and check cooling system immediately',
+                temperature: temperature.celsius
+            });
+        } else if (temperature && temperature.celsius > 75) {
+            report('warnings', {
+                category: 'Performance',
+                severity: 'High',
+                title: 'CPU Temperature High',
+                description: `CPU temperature is ${temperature.celsius}°C`,
+                recommendation: 'Check system cooling and clean dust from vents',
+                temperature: temperature.celsius
+            });
+        }
+
+        const memory = await readMemory();
+        if (memory.percent > 95) {
+            report('issues', {
+                category: 'Performance',
+                severity: 'High',
+                title: 'Critical Memory Usage',
+                description: `Memory usage is ${round(memory.percent, 1)}%`,
+                recommendation: 'Close unnecessary applications or add more RAM',
+                memoryPercent: round(memory.percent, 1)
+            });
+        } else if (memory.percent > 85) {
+            report('warnings', {
+                category: 'Performance',
+                severity: 'Medium',
+                title: 'High Memory Usage',
+                description: `Memory usage is ${round(memory.percent, 1)}%`,
+                recommendation: 'Consider closing some applications',
+                memoryPercent: round(memory.percent, 1)
+            });
+        }
+
+        diagnostics.timestamp = timestamp;
+        diagnostics.totalIssues = diagnostics.issues.length + diagnostics.warnings.length;
+        return diagnostics;
+    }
+
+    return {
+        name: 'linux',
+        collectMetrics,
+        collectEventLogs,
+        collectDiagnostics
+    };
+}
+
+module.exports = createLinuxBackend;
@@ -0,0 +1,216 @@
+// Pool of long-lived PowerShell workers (scripts/worker.ps1)
+// Requests and responses are single JSON lines on the worker's stdin/stdout:
+//   -> {"id":1,"script":"collect-metrics"}
+//   <- {"id":1,"ok":true,"output":"{...collector JSON...}"}
+// A worker announces itself with {"ready":true} and handles one request at a
+// time. A worker that exits is restarted (with backoff if it keeps crashing),
+// and one that exceeds a request's timeout is killed and replaced.
+const { spawn } = require('child_process');
+const readline = require('readline');
+const path = require('path');
+
+const MAX_RESTART_DELAY = 30000;
+const STABLE_AFTER = 10000;
+const STDERR_TAIL = 2000;
+
+function createWorkerPool(options = {}) {
+    const size = options.size || 2;
+    const command = options.command || 'powershell.exe';
+    const args = options.args || [
+        '-NoLogo', '-NoProfile', '-NonInteractive',
+        '-ExecutionPolicy', 'Bypass',
+        '-File', path.join(options.scriptsDir, 'worker.ps1')
+    ];
+    const spawnProcess = options.spawn || spawn;
+    const restartDelay = options.restartDelay || 1000;
+
+    const slots = [];
+    const queue = [];
+    let nextId = 1;
+    let running = false;
+
+    function startWorker(slot) {
+        const state = slots[slot];
+        const child = spawnProcess(command, args, { stdio: ['pipe', 'pipe', 'pipe'], windowsHide: true });
+        const worker = { child, ready: false, started: false, current: null, stderr: '', startedAt: Date.now() };
+        state.worker = worker;
+
+        readline.createInterface({ input: child.stdout, crlfDelay: Infinity })
+            .on('line', (line) => handleLine(worker, line));
+
+        child.stderr.on('data', (data) => {
+            worker.stderr = (worker.stderr + data.toString()).slice(-STDERR_TAIL);
+        });
+
+        // Writing to a worker that just died raises EPIPE; the exit handler deals with it
+        child.stdin.on('error', () => {});
+
+        let exited = false;
+        const onExit = (reason) => {
+            if (exited) return;
+            exited = true;
+            handleExit(slot, worker, reason);
+        };
+        child.on('error', (error) => onExit(error.message));
+        child.on('exit', (code, signal) => onExit(signal ? `signal ${signal}` : `code ${code}`));
+    }
+
+    function handleLine(worker, line) {
+        let message;
+        try {
+            message = JSON.parse(line);
+        } catch (e) {
+            return; // stray output that is not part of the protocol
+        }
+
+        if (message.ready) {
+            worker.ready = true;
+            worker.started = true;
+            dispatch();
+        } else if (worker.current && message.id === worker.current.id) {
+            finish(worker, message);
+        }
+    }
+
+    function finish(worker, message) {
+        const request = worker.current;
+        worker.current = null;
+        clearTimeout(request.timer);
+
+        if (message.ok) {
+            try {
+                request.resolve(JSON.parse(message.output));
+            } catch (e) {
+                request.resolve({ error: 'Failed to parse JSON', raw: message.output });
+            }
+        } else {
+            request.reject(new Error(message.error || 'PowerShell worker request failed'));
+        }
+        dispatch();
+    }
+
+    function handleExit(slot, worker, reason) {
+        const state = slots[slot];
+        if (state.worker !== worker) return;
+        state.worker = null;
+
+        const detail = worker.stderr.trim() ? `: ${worker.stderr.trim().split('\n').pop()}` : '';
+        if (worker.current) {
+            clearTimeout(worker.current.timer);
+            worker.current.reject(new Error(`PowerShell worker exited (${reason})${detail}`));
+            worker.current = null;
+        }
+
+        // Nothing can serve the queue while workers fail to start - fail fast instead of timing out
+        if (!worker.started && !slots.some((candidate) => candidate.worker && candidate.worker.ready)) {
+            queue.splice(0).forEach((request) => {
+                clearTimeout(request.timer);
+                request.reject(new Error(`PowerShell worker failed to start (${reason})${detail}`));
+            });
+        }
+        if (!running) return;
+
+        // A worker killed for a timeout is replaced right away; crash loops back off
+        let delay = 0;
+        if (!worker.timedOut) {
+            state.crashes = Date.now() - worker.startedAt < STABLE_AFTER ? state.crashes + 1 : 0;
+            delay = Math.min(restartDelay * Math.pow(2, state.crashes), MAX_RESTART_DELAY);
+        }
+        state.restarts++;
+        state.restartTimer = setTimeout(() => {
+            state.restartTimer = null;
+            if (running) startWorker(slot);
+        }, delay);
+    }
+
+    function dispatch() {
+        slots.forEach((state) => {
+            const worker = state.worker;
+            if (!worker || !worker.ready || worker.current || queue.length === 0) return;
+
+            const request = queue.shift();
+            worker.current = request;
+            worker.child.stdin.write(JSON.stringify({ id: request.id, script: request.script, params: request.params }) + '\n');
+        });
+    }
+
+    function start() {
+        if (running) return;
+        running = true;
+        for (let slot = 0; slot < size; slot++) {
+            slots[slot] = slots[slot] || { worker: null, crashes: 0, restarts: 0, restartTimer: null };
+            startWorker(slot);
+        }
+    }
+
+    // Runs a collector script by name ("collect-metrics") with runOptions.params as its
+    // parameters; the timeout covers queueing too
+    function run(script, runOptions = {}) {
+        if (!running) start();
+
+        return new Promise((resolve, reject) => {
+            const request = { id: nextId++, script, params: runOptions.params || {}, resolve, reject, timer: null };
+
+            if (runOptions.timeout) {
+                request.timer = setTimeout(() => {
+                    const error = new Error(`${script} timed out after ${runOptions.timeout} ms`);
+                    error.code = 'ETIMEDOUT';
+
+                    const queued = queue.indexOf(request);
+                    if (queued !== -1) queue.splice(queued, 1);
+
+                    const state = slots.find((candidate) => candidate.worker && candidate.worker.current === request);
+                    if (state) {
+                        state.worker.current = null;
+                        state.worker.ready = false; // no new requests while it is being killed
+                        state.worker.timedOut = true;
+                        state.worker.child.kill();
+                    }
+                    reject(error);
+                }, runOptions.timeout);
+            }
+
+            queue.push(request);
+            dispatch();
+        });
+    }
+
+    function stop() {
+        running = false;
+        slots.forEach((state) => {
+            clearTimeout(state.restartTimer);
+            if (state.worker) {
+                state.worker.child.stdin.end();
+                state.worker.child.kill();
+            }
+        });
+        queue.splice(0).forEach((request) => {
+            clearTimeout(request.timer);
+            request.reject(new Error('PowerShell worker pool stopped'));
+        });
+    }
+
+    function status() {
+        return {
+            size,
+            queued: queue.length,
+            workers: slots.map((state) => ({
+                pid: state.worker ? state.worker.child.pid : null,
+                ready: Boolean(state.worker && state.worker.ready),
+                busy: Boolean(state.worker && state.worker.current),
+                restarts: state.restarts
+            }))
+        };
+    }
+
+    return {
+        start,
+        run,
+        stop,
+        status
+    };
+}
+
+module.exports = {
+    createWorkerPool
+};
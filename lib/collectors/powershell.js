@@ -0,0 +1,102 @@
+// Windows backend - runs the PowerShell collector scripts, by default in a
+// pool of long-lived workers (workers: 0 spawns powershell.exe per collection)
+const { spawn } = require('child_process');
+const path = require('path');
+const { createWorkerPool } = require('./powershell-pool');
+
+// Kills the PowerShell process together with anything it started
+function killProcessTree(child) {
+    if (process.platform === 'win32') {
+        spawn('taskkill', ['/pid', String(child.pid), '/T', '/F']).on('error', () => child.kill());
+    } else {
+        child.kill('SIGKILL');
+    }
+}
+
+// { MaxEvents: 30 } -> ['-MaxEvents', '30']
+function scriptArguments(params = {}) {
+    return Object.keys(params).reduce((args, name) => args.concat(`-${name}`, String(params[name])), []);
+}
+
+// Helper function to execute PowerShell scripts; options.timeout (ms) kills a hung script,
+// options.params become script parameters, options.command / options.args (the script
+// path and parameters are appended) replace powershell.exe
+function executePowerShellScript(scriptPath, options = {}) {
+    return new Promise((resolve, reject) => {
+        const ps = spawn(options.command || 'powershell.exe', (options.args || [
+            '-ExecutionPolicy', 'Bypass',
+            '-File'
+        ]).concat(scriptPath, scriptArguments(options.params)));
+
+        let output = '';
+        let errorOutput = '';
+        let timedOut = false;
+
+        const timer = options.timeout && setTimeout(() => {
+            timedOut = true;
+            killProcessTree(ps);
+        }, options.timeout);
+
+        ps.stdout.on('data', (data) => {
+            output += data.toString();
+        });
+
+        ps.stderr.on('data', (data) => {
+            errorOutput += data.toString();
+        });
+
+        ps.on('error', (error) => {
+            clearTimeout(timer);
+            reject(error);
+        });
+
+        ps.on('close', (code) => {
+            clearTimeout(timer);
+            if (timedOut) {
+                const error = new Error(`${path.basename(scriptPath)} timed out after ${options.timeout} ms`);
+                error.code = 'ETIMEDOUT';
+                reject(error);
+            } else if (code !== 0 && errorOutput) {
+                reject(new Error(errorOutput));
+            } else {
+                try {
+                    const jsonData = JSON.parse(output.trim());
+                    resolve(jsonData);
+                } catch (e) {
+                    resolve({ error: 'Failed to parse JSON', raw: output });
+                }
+            }
+        });
+    });
+}
+
+function createPowerShellBackend(options = {}) {
+    const scriptsDir = options.scriptsDir || path.join(__dirname, '..', '..', 'scripts');
+    const pool = !options.execute && options.workers !== 0
+        ? createWorkerPool({
+            size: options.workers,
+            scriptsDir,
+            command: options.workerCommand,
+            args: options.workerArgs
+        })
+        : null;
+    const execute = options.execute || executePowerShellScript;
+
+    function run(script, context = {}) {
+        const runOptions = { timeout: context.timeout, params: context.params };
+        if (pool) return pool.run(script, runOptions);
+        return execute(path.join(scriptsDir, `${script}.ps1`), runOptions);
+    }
+
+    return {
+        name: 'powershell',
+        collectMetrics: (context) => run('collect-metrics', context),
+        collectEventLogs: (context) => run('collect-eventlogs', context),
+        collectDiagnostics: (context) => run('collect-diagnostics', context),
+        status: () => (pool ? pool.status() : null),
+        close: () => pool && pool.stop()
+    };
+}
+
+module.exports = createPowerShellBackend;
+module.exports.executePowerShellScript = executePowerShellScript;
@@ -0,0 +1,203 @@
+// Synthetic backend - generates plausible data, or replays JSON fixtures
+// When options.fixturesDir is set, metrics.json / eventlogs.json / diagnostics.json
+// are served from that directory. A fixture containing an array is cycled
+// through one entry per collection.
+const fs = require('fs');
+const path = require('path');
+const { formatTimestamp, round, emptySummary } = require('./format');
+
+// Parent names give the process tree its shape
+const SAMPLE_PROCESSES = [
+    { name: 'wininit', parent: null },
+    { name: 'services', parent: 'wininit' },
+    { name: 'svchost', parent: 'services' },
+    { name: 'MsMpEng', parent: 'services' },
+    { name: 'spoolsv', parent: 'services' },
+    { name: 'dwm', parent: 'wininit' },
+    { name: 'explorer', parent: null },
+    { name: 'chrome', parent: 'explorer' },
+    { name: 'Code', parent: 'explorer' },
+    { name: 'Teams', parent: 'explorer' },
+    { name: 'OneDrive', parent: 'explorer' },
+    { name: 'node', parent: 'Code' },
+    { name: 'SearchHost', parent: 'svchost' },
+    { name: 'RuntimeBroker', parent: 'svchost' }
+];
+
+const SAMPLE_EVENTS = [
+    { source: 'System', category: 'Service', level: 'Error', priority: 'High', id: 7031, provider: 'Service Control Manager', message: 'The Print Spooler service terminated unexpectedly. It has done this 1 time(s).' },
+    { source: 'System', category: 'Disk', level: 'Error', priority: 'High', id: 153, provider: 'disk', message: 'The IO operation at logical block address 0x2d9c for Disk 1 was retried.' },
+    { source: 'Application', category: 'AppCrash', level: 'Error', priority: 'High', id: 1000, provider: 'Application Error', message: 'Faulting application name: example.exe, version: 1.0.0.0' },
+    { source: 'System', category: 'Network', level: 'Error', priority: 'High', id: 4202, provider: 'Microsoft-Windows-Tcpip', message: 'The network adapter has been disconnected.' },
+    { source: 'System', category: 'System', level: 'Critical', priority: 'High', id: 41, provider: 'Microsoft-Windows-Kernel-Power', message: 'The system has rebooted without cleanly shutting down first.' }
+];
+
+const EVENT_SPACING = 47 * 60000;
+
+function drift(value, step, min, max) {
+    const next = value + (Math.random() - 0.5) * step;
+    return Math.min(max, Math.max(min, next));
+}
+
+function createSyntheticBackend(options = {}) {
+    const fixturesDir = options.fixturesDir;
+    const fixtureCursors = {};
+    const startedAt = Date.now();
+    const bootedAt = startedAt - 3 * 86400 * 1000;
+
+    const state = {
+        cpu: 25,
+        memory: 55,
+        receivedMB: 1200,
+        sentMB: 340,
+        disks: [
+            { drive: 'C:', label: 'System', total: 476.3, used: 301.2 },
+            { drive: 'D:', label: 'Data', total: 931.5, used: 512.8 }
+        ]
+    };
+
+    async function readFixture(name) {
+        const raw = await fs.promises.readFile(path.join(fixturesDir, `${name}.json`), 'utf8');
+        const fixture = JSON.parse(raw);
+        if (!Array.isArray(fixture)) {
+            return fixture;
+        }
+
+        const cursor = fixtureCursors[name] || 0;
+        fixtureCursors[name] = (cursor + 1) % fixture.length;
+        return fixture[cursor];
+    }
+
+    function generateProcesses() {
+        const pidOf = (name) => 1000 + SAMPLE_PROCESSES.findIndex((proc) => proc.name === name) * 4;
+        return SAMPLE_PROCESSES.map((proc, index) => ({
+            name: proc.name,
+            cpu: round(Math.random() * state.cpu / (index + 1)),
+            memory: round(50 + Math.random() * 900 / (index + 1)),
+            pid: pidOf(proc.name),
+            ppid: proc.parent ? pidOf(proc.parent) : 4,
+            ioMBps: round(Math.random() * 5 / (index + 1), 3),
+            handles: 200 + index * 150 + Math.round(Math.random() * 50),
+            threads: 4 + (index % 5) * 6,
+            startTime: formatTimestamp(new Date(bootedAt + (index + 1) * 15000))
+        })).sort((a, b) => (b.cpu - a.cpu) || (b.memory - a.memory));
+    }
+
+    function generateMetrics() {
+        state.cpu = drift(state.cpu, 20, 2, 98);
+        state.memory = drift(state.memory, 4, 20, 97);
+        state.receivedMB += Math.random() * 5;
+        state.sentMB += Math.random() * 1.5;
+
+        const totalMemory = 16;
+        const usedMemory = round(totalMemory * state.memory / 100);
+        const uptimeSeconds = Math.round((Date.now() - startedAt) / 1000) + 3 * 86400;
+
+        return {
+            cpu: round(state.cpu),
+            cpuInfo: {
+                name: 'Synthetic CPU @ 3.00GHz',
+                cores: 8,
+                logicalProcessors: 16,
+                maxClockSpeed: 3000,
+                currentClockSpeed: 2800
+            },
+            memory: {
+                total: totalMemory,
+                used: usedMemory,
+                free: round(totalMemory - usedMemory),
+                available: round(totalMemory - usedMemory),
+                committed: round(usedMemory * 1.3),
+                percent: round(state.memory)
+            },
+            disks: state.disks.map((disk) => ({
+                drive: disk.drive,
+                label: disk.label,
+                total: disk.total,
+                used: disk.used,
+                free: round(disk.total - disk.used),
+                percent: round((disk.used / disk.total) * 100),
+                activity: round(Math.random() * 15)
+            })),
+            network: [{
+                name: 'Wi-Fi',
+                status: 'Up',
+                linkSpeed: 866.7,
+                sentMB: round(state.sentMB),
+                receivedMB: round(state.receivedMB),
+                interfaceDescription: 'Synthetic Wireless Adapter'
+            }],
+            processes: generateProcesses(),
+            uptime: {
+                days: Math.floor(uptimeSeconds / 86400),
+                hours: Math.floor((uptimeSeconds % 86400) / 3600),
+                minutes: Math.floor((uptimeSeconds % 3600) / 60),
+                totalSeconds: uptimeSeconds
+            },
+            timestamp: formatTimestamp()
+        };
+    }
+
+    function generateEventLogs(maxEvents) {
+        const now = Date.now();
+        // One event per 47-minute slot, so repeated collections report the same events
+        const latestSlot = Math.floor(now / EVENT_SPACING);
+        const events = SAMPLE_EVENTS.map((_, index) => {
+            const slot = latestSlot - index;
+            const created = new Date(slot * EVENT_SPACING);
+            const event = SAMPLE_EVENTS[slot % SAMPLE_EVENTS.length];
+            return Object.assign({}, event, {
+                timestamp: formatTimestamp(created),
+                timeAgo: round((now - created.getTime()) / 3600000, 4)
+            });
+        }).slice(0, maxEvents || undefined);
+
+        return { events, count: events.length, timestamp: formatTimestamp() };
+    }
+
+    function generateDiagnostics() {
+        const diagnostics = { issues: [], warnings: [], info: [], summary: emptySummary() };
+        const timestamp = formatTimestamp();
+
+        diagnostics.issues.push({
+            category: 'WindowsUpdate',
+            severity: 'Medium',
+            title: 'Pending Windows Updates',
+            description: '2 update(s) are pending installation',
+            recommendation: 'Install pending updates to ensure system security and stability',
+            timestamp,
+            count: 2
+        });
+        diagnostics.summary.medium++;
+
+        if (state.memory > 85) {
+            diagnostics.warnings.push({
+                category: 'Performance',
+                severity: 'Medium',
+                title: 'High Memory Usage',
+                description: `Memory usage is ${round(state.memory, 1)}%`,
+                recommendation: 'Consider closing some applications',
+                memoryPercent: round(state.memory, 1),
+                timestamp
+            });
+            diagnostics.summary.medium++;
+        }
+
+        diagnostics.info.push({
+            message: 'Synthetic data source',
+            details: 'These values are generated for demonstration and do not reflect a real machine.'
+        });
+        diagnostics.timestamp = timestamp;
+        diagnostics.totalIssues = diagnostics.issues.length + diagnostics.warnings.length;
+        return diagnostics;
+    }
+
+    return {
+        name: 'synthetic',
+        collectMetrics: async () => (fixturesDir ? readFixture('metrics') : generateMetrics()),
+        collectEventLogs: async (context = {}) => (fixturesDir ? readFixture('eventlogs') : generateEventLogs((context.params || {}).MaxEvents)),
+        collectDiagnostics: async () => (fixturesDir ? readFixture('diagnostics') : generateDiagnostics())
+    };
+}
+
+module.exports = createSyntheticBackend;
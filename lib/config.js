@@ -0,0 +1,317 @@
+// Runtime configuration
+// Settings come from a JSON or YAML file (.yaml/.yml) with environment
+// variables on top; a setting an environment variable provides is locked and
+// can't be changed at runtime. The file is watched and re-read when it changes
+// and admins change it through /api/config - either way the new settings are
+// handed to onChange and take effect without a restart, except for the ones
+// marked restart. A file that doesn't pass validation is reported and the last
+// good settings stay. Durations are "5s", "2m" or milliseconds.
+const fs = require('fs');
+const path = require('path');
+const YAML = require('yaml');
+const { parseDuration } = require('./time');
+
+const SECOND = 1000;
+const MINUTE = 60 * SECOND;
+const HOUR = 60 * MINUTE;
+
+// <dotted name>: { type, default, env, min, max, restart }
+const SETTINGS = {
+    port: { type: 'integer', default: 3000, env: 'PORT', min: 0, max: 65535, restart: true },
+    'collectors.metrics.interval': { type: 'duration', default: 3 * SECOND, env: 'METRICS_INTERVAL', min: SECOND, max: HOUR },
+    'collectors.metrics.timeout': { type: 'duration', default: 15 * SECOND, env: 'METRICS_TIMEOUT', min: SECOND, max: 10 * MINUTE },
+    'collectors.eventlogs.interval': { type: 'duration', default: 10 * SECOND, env: 'EVENTLOG_INTERVAL', min: SECOND, max: HOUR },
+    'collectors.eventlogs.timeout': { type: 'duration', default: 30 * SECOND, env: 'EVENTLOG_TIMEOUT', min: SECOND, max: 10 * MINUTE },
+    'collectors.eventlogs.maxEvents': { type: 'integer', default: 30, env: 'EVENTLOG_MAX_EVENTS', min: 1, max: 500 },
+    'collectors.diagnostics.interval': { type: 'duration', default: 30 * SECOND, env: 'DIAGNOSTICS_INTERVAL', min: SECOND, max: HOUR },
+    'collectors.diagnostics.timeout': { type: 'duration', default: 60 * SECOND, env: 'DIAGNOSTICS_TIMEOUT', min: SECOND, max: 10 * MINUTE },
+    'thresholds.diskWarning': { type: 'percent', default: 80, env: 'DISK_WARNING_PERCENT' },
+    'thresholds.diskCritical': { type: 'percent', default: 90, env: 'DISK_CRITICAL_PERCENT' }
+};
+
+function isObject(value) {
+    return Boolean(value) && typeof value === 'object' && !Array.isArray(value);
+}
+
+// Own keys only, so names like "toString" or "__proto__" are unknown settings
+function isSetting(name) {
+    return Object.prototype.hasOwnProperty.call(SETTINGS, name);
+}
+
+function isYaml(file) {
+    return /\.ya?ml$/i.test(file);
+}
+
+// { a: { b: 1 } } -> { 'a.b': 1 }; unknown groups stay as leaves so they are reported
+// (the result has no prototype, so a "__proto__" key is kept as well)
+function flatten(input, prefix = '', result = Object.create(null)) {
+    Object.keys(input).forEach((key) => {
+        const name = prefix + key;
+        if (isObject(input[key]) && !isSetting(name)) flatten(input[key], `${name}.`, result);
+        else result[name] = input[key];
+    });
+    return result;
+}
+
+function unflatten(flat) {
+    const result = {};
+    Object.keys(flat).forEach((name) => {
+        const keys = name.split('.');
+        let node = result;
+        keys.slice(0, -1).forEach((key) => {
+            node[key] = node[key] || {};
+            node = node[key];
+        });
+        node[keys[keys.length - 1]] = flat[name];
+    });
+    return result;
+}
+
+function describeDuration(ms) {
+    return ms % HOUR === 0 ? `${ms / HOUR}h` : (ms % MINUTE === 0 ? `${ms / MINUTE}m` : `${ms / SECOND}s`);
+}
+
+// Returns [value] or [undefined, message]; env values are always strings
+function parseSetting(definition, raw) {
+    if (definition.type === 'duration') {
+        const value = parseDuration(raw);
+        if (value === null || value < definition.min || value > definition.max) {
+            return [undefined, `must be a duration between ${describeDuration(definition.min)} and ${describeDuration(definition.max)}, e.g. "5s"`];
+        }
+        return [value];
+    }
+
+    const value = typeof raw === 'string' && raw.trim() !== '' ? Number(raw) : raw;
+    if (definition.type === 'percent') {
+        if (typeof value !== 'number' || !(value > 0 && value <= 100)) return [undefined, 'must be a percentage above 0 and at most 100'];
+        return [value];
+    }
+    if (!Number.isInteger(value) || value < definition.min || value > definition.max) {
+        return [undefined, `must be a whole number from ${definition.min} to ${definition.max}`];
+    }
+    return [value];
+}
+
+// Validates the file's settings (raw, as written) under the environment overrides;
+// returns { errors } or { settings, sources, values } (values keyed by dotted name)
+function resolveSettings(fileValues, env) {
+    const errors = [];
+    const flat = flatten(fileValues);
+    Object.keys(flat).forEach((name) => {
+        if (!isSetting(name)) errors.push(`${name} is not a known setting`);
+    });
+
+    const values = {};
+    const sources = {};
+    Object.keys(SETTINGS).forEach((name) => {
+        const definition = SETTINGS[name];
+        let raw = definition.default;
+        let source = 'default';
+        let label = name;
+        if (env[definition.env] !== undefined && env[definition.env] !== '') {
+            raw = env[definition.env];
+            source = 'env';
+            label = definition.env;
+        } else if (flat[name] !== undefined && flat[name] !== null) {
+            raw = flat[name];
+            source = 'file';
+        }
+
+        const [value, error] = parseSetting(definition, raw);
+        if (error) errors.push(`${label} ${error}`);
+        values[name] = value;
+        sources[name] = source;
+    });
+
+    if (!errors.length && values['thresholds.diskWarning'] >= values['thresholds.diskCritical']) {
+        errors.push('thresholds.diskWarning must be below thresholds.diskCritical');
+    }
+    return errors.length ? { errors } : { settings: unflatten(values), sources, values };
+}
+
+// Collector settings handed to the scripts as parameters (server and agent alike)
+function collectorParams(settings, name) {
+    if (name === 'eventlogs') {
+        return { MaxEvents: settings.collectors.eventlogs.maxEvents };
+    }
+    if (name === 'diagnostics') {
+        return { DiskWarningPercent: settings.thresholds.diskWarning, DiskCriticalPercent: settings.thresholds.diskCritical };
+    }
+    return {};
+}
+
+// Names of the settings whose value differs between two flat value maps
+function changedSettings(before, after) {
+    return Object.keys(SETTINGS).filter((name) => before[name] !== after[name]);
+}
+
+function createConfigStore(options = {}) {
+    const file = options.file;
+    const env = options.env || process.env;
+    const watchInterval = options.watchInterval || 2000;
+    const onChange = options.onChange || (() => {});
+    let fileValues = {}; // the file's contents, as written
+    let current = null; // { settings, sources, values }
+    let initial = null; // values at startup, for settings that need a restart
+    let lastText = null; // what was last read from or written to the file
+    let watching = false;
+    let writeQueue = Promise.resolve();
+
+    function parseFile(text) {
+        const parsed = text.trim() === '' ? {} : (isYaml(file) ? YAML.parse(text) : JSON.parse(text));
+        if (parsed === null || parsed === undefined) return {};
+        if (!isObject(parsed)) throw new Error('the configuration must be an object');
+        return parsed;
+    }
+
+    function readFile() {
+        try {
+            return fs.readFileSync(file, 'utf8');
+        } catch (error) {
+            if (error.code === 'ENOENT') return '';
+            throw error;
+        }
+    }
+
+    // Reads the file once at startup; an invalid configuration stops the server
+    function load() {
+        const text = readFile();
+        let parsed;
+        try {
+            parsed = parseFile(text);
+        } catch (error) {
+            throw new Error(`Invalid configuration in ${file}: ${error.message}`);
+        }
+        const result = resolveSettings(parsed, env);
+        if (result.errors) {
+            throw new Error(`Invalid configuration in ${file}: ${result.errors.join('; ')}`);
+        }
+
+        fileValues = parsed;
+        lastText = text;
+        current = result;
+        initial = initial || result.values;
+        return current.settings;
+    }
+
+    function apply(result, parsed) {
+        const changed = changedSettings(current.values, result.values);
+        fileValues = parsed;
+        current = result;
+        if (changed.length) onChange(current.settings, changed);
+        return changed;
+    }
+
+    // Re-reads the file after it changed on disk
+    function reload() {
+        let text;
+        let parsed;
+        try {
+            text = readFile();
+            if (text === lastText) return [];
+            lastText = text;
+            parsed = parseFile(text);
+        } catch (error) {
+            console.error(`Error reading ${file}, keeping the current configuration:`, error.message);
+            return [];
+        }
+
+        const result = resolveSettings(parsed, env);
+        if (result.errors) {
+            console.error(`Invalid configuration in ${file}, keeping the current settings:`, result.errors.join('; '));
+            return [];
+        }
+        return apply(result, parsed);
+    }
+
+    function save() {
+        const text = isYaml(file) ? YAML.stringify(fileValues) : `${JSON.stringify(fileValues, null, 2)}\n`;
+        lastText = text;
+        writeQueue = writeQueue
+            .then(async () => {
+                await fs.promises.mkdir(path.dirname(file), { recursive: true });
+                const tmp = `${file}.tmp`;
+                await fs.promises.writeFile(tmp, text);
+                await fs.promises.rename(tmp, file);
+            })
+            .catch((error) => console.error('Error saving the configuration:', error.message));
+        return writeQueue;
+    }
+
+    // input: the settings to change, nested as in the file; null puts a setting back to its default
+    async function update(input) {
+        if (!isObject(input)) return { errors: ['the configuration must be an object'] };
+
+        const flat = flatten(input);
+        const errors = [];
+        Object.keys(flat).forEach((name) => {
+            if (isSetting(name) && current.sources[name] === 'env') {
+                errors.push(`${name} is set by the environment variable ${SETTINGS[name].env} and can't be changed here`);
+            }
+        });
+        if (errors.length) return { errors };
+
+        const merged = flatten(fileValues);
+        Object.keys(flat).forEach((name) => {
+            if (flat[name] === null && isSetting(name)) delete merged[name];
+            else merged[name] = flat[name];
+        });
+        // Validated while still flat: unflatten would lose a "__proto__" key
+        const result = resolveSettings(merged, env);
+        if (result.errors) return { errors: result.errors };
+        const parsed = unflatten(merged);
+
+        const changed = apply(result, parsed);
+        await save();
+        return { changed };
+    }
+
+    function get() {
+        return current.settings;
+    }
+
+    // The settings with where each one came from, for /api/config
+    function describe() {
+        const locked = {};
+        Object.keys(SETTINGS).forEach((name) => {
+            if (current.sources[name] === 'env') locked[name] = SETTINGS[name].env;
+        });
+        return {
+            file,
+            settings: current.settings,
+            sources: current.sources,
+            locked,
+            restartRequired: Object.keys(SETTINGS).filter((name) => SETTINGS[name].restart && current.values[name] !== initial[name])
+        };
+    }
+
+    // Polls the file (editors often replace it rather than write it in place)
+    function watch() {
+        if (watching) return;
+        watching = true;
+        fs.watchFile(file, { interval: watchInterval, persistent: false }, () => reload());
+    }
+
+    async function stop() {
+        if (watching) fs.unwatchFile(file);
+        watching = false;
+        await writeQueue;
+    }
+
+    return {
+        load,
+        reload,
+        update,
+        get,
+        describe,
+        watch,
+        stop
+    };
+}
+
+module.exports = {
+    SETTINGS,
+    collectorParams,
+    createConfigStore,
+    resolveSettings
+};
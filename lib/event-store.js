@@ -0,0 +1,348 @@
+// Persistent event log store
+// Events reported by the collectors (and agents) are de-duplicated by a key
+// derived from host, log, provider, event ID, time and message, appended to
+// daily NDJSON segments under <dir> and kept in memory (newest first) for
+// search. Segments older than the retention period are pruned.
+const fs = require('fs');
+const path = require('path');
+const readline = require('readline');
+const crypto = require('crypto');
+const { parseTimestamp } = require('./collectors/format');
+const { fingerprintEvent, groupProblems } = require('./problems');
+
+const DAY = 24 * 60 * 60 * 1000;
+const DEFAULT_RETENTION = 30 * DAY;
+const DEFAULT_MAX_EVENTS = 100000;
+const DEFAULT_LIMIT = 50;
+const MAX_LIMIT = 500;
+const DEFAULT_PROBLEM_LIMIT = 100;
+const MAX_EXPORT = 100000;
+const FACETS = ['level', 'category', 'provider', 'source'];
+const MAX_FACET_VALUES = 25;
+const SEARCH_FIELDS = ['message', 'provider', 'source', 'category', 'appName', 'faultModule', 'errorCode', 'accountName', 'failureReason', 'details'];
+
+function eventKey(host, event, time) {
+    return crypto.createHash('sha1')
+        .update([host, event.source, event.provider, event.id, time, event.message].join('\u0000'))
+        .digest('hex')
+        .slice(0, 16);
+}
+
+function searchText(event) {
+    return SEARCH_FIELDS.map((field) => event[field]).concat(String(event.id))
+        .filter((value) => value !== undefined && value !== null && value !== '')
+        .join('\n')
+        .toLowerCase();
+}
+
+// Splits a search string into lowercase terms; "quoted phrases" stay together
+function parseSearch(q) {
+    const terms = [];
+    const pattern = /"([^"]+)"|(\S+)/g;
+    let match;
+    while ((match = pattern.exec(String(q || ''))) !== null) {
+        terms.push((match[1] || match[2]).toLowerCase());
+    }
+    return terms;
+}
+
+function parseList(value) {
+    if (value === undefined || value === null || value === '') return null;
+    const list = (Array.isArray(value) ? value : String(value).split(','))
+        .map((item) => String(item).trim().toLowerCase())
+        .filter(Boolean);
+    return list.length ? list : null;
+}
+
+// Newest first; the key breaks ties so paging is stable
+function compareEntries(a, b) {
+    return b.t - a.t || (a.k < b.k ? 1 : (a.k > b.k ? -1 : 0));
+}
+
+function createEventStore(options = {}) {
+    const dir = options.dir;
+    const retention = options.retention || DEFAULT_RETENTION;
+    const maxEvents = options.maxEvents || DEFAULT_MAX_EVENTS;
+
+    let entries = [];
+    const byKey = new Map();
+    let writeQueue = Promise.resolve();
+    let lastPrune = 0;
+
+    function segmentPath(time) {
+        return path.join(dir, `${new Date(time).toISOString().slice(0, 10)}.ndjson`);
+    }
+
+    function append(records) {
+        const bySegment = {};
+        records.forEach((record) => {
+            const file = segmentPath(record.t);
+            bySegment[file] = (bySegment[file] || '') + JSON.stringify(record) + '\n';
+        });
+
+        writeQueue = writeQueue
+            .then(() => Promise.all(Object.keys(bySegment).map((file) => fs.promises.appendFile(file, bySegment[file]))))
+            .catch((error) => console.error('Error writing event log store:', error.message));
+        return writeQueue;
+    }
+
+    // Search text and problem fingerprint are derived, so they are not written to disk
+    function index(entry) {
+        entry.text = searchText(entry.e);
+        entry.f = fingerprintEvent(entry.e);
+    }
+
+    // Keeps the in-memory list sorted; new events are nearly always the newest
+    function insert(entry) {
+        index(entry);
+        byKey.set(entry.k, entry);
+
+        let position = 0;
+        while (position < entries.length && compareEntries(entries[position], entry) < 0) position++;
+        entries.splice(position, 0, entry);
+    }
+
+    function trim(now = Date.now()) {
+        const cutoff = now - retention;
+        while (entries.length && (entries.length > maxEvents || entries[entries.length - 1].t < cutoff)) {
+            byKey.delete(entries.pop().k);
+        }
+    }
+
+    async function open() {
+        await fs.promises.mkdir(dir, { recursive: true });
+        const files = (await fs.promises.readdir(dir)).filter((file) => file.endsWith('.ndjson')).sort();
+        const loaded = [];
+
+        for (const file of files) {
+            const lines = readline.createInterface({
+                input: fs.createReadStream(path.join(dir, file)),
+                crlfDelay: Infinity
+            });
+            for await (const line of lines) {
+                try {
+                    const entry = JSON.parse(line);
+                    if (!byKey.has(entry.k)) {
+                        index(entry);
+                        byKey.set(entry.k, entry);
+                        loaded.push(entry);
+                    }
+                } catch (e) {
+                    // skip a line that was cut off mid-write
+                }
+            }
+        }
+
+        entries = loaded.sort(compareEntries);
+        trim();
+        await prune();
+    }
+
+    // Stores the events not seen before and returns them
+    function add(host, events, now = Date.now()) {
+        if (!Array.isArray(events)) return [];
+
+        const added = [];
+        events.forEach((event) => {
+            if (!event || typeof event !== 'object') return;
+
+            const time = parseTimestamp(event.timestamp) || now;
+            const key = eventKey(host, event, time);
+            if (byKey.has(key)) return;
+
+            const stored = Object.assign({}, event);
+            delete stored.timeAgo;
+            const entry = { t: time, k: key, h: host, e: stored };
+            insert(entry);
+            added.push(entry);
+        });
+
+        if (added.length) {
+            append(added.map((entry) => ({ t: entry.t, k: entry.k, h: entry.h, e: entry.e })));
+            trim(now);
+        }
+        if (now - lastPrune > DAY / 24) prune(now);
+
+        return added.map((entry) => present(entry, now));
+    }
+
+    function present(entry, now = Date.now()) {
+        return Object.assign({}, entry.e, {
+            key: entry.k,
+            host: entry.h,
+            fingerprint: entry.f,
+            time: new Date(entry.t).toISOString(),
+            timeAgo: Math.round(((now - entry.t) / 3600000) * 10000) / 10000
+        });
+    }
+
+    function matchesFacet(entry, facet, values) {
+        return !values || values.includes(String(entry.e[facet] === undefined ? '' : entry.e[facet]).toLowerCase());
+    }
+
+    function parseFilters(params) {
+        const filters = {
+            host: params.host,
+            from: params.from,
+            to: params.to,
+            terms: parseSearch(params.q),
+            eventIds: parseList(params.eventId),
+            fingerprint: params.fingerprint ? String(params.fingerprint) : null,
+            facets: {}
+        };
+        FACETS.forEach((facet) => {
+            filters.facets[facet] = parseList(params[facet]);
+        });
+        return filters;
+    }
+
+    // Every filter except the facets
+    function matchesBase(entry, filters) {
+        if (filters.host && entry.h !== filters.host) return false;
+        if (filters.from !== undefined && entry.t < filters.from) return false;
+        if (filters.to !== undefined && entry.t > filters.to) return false;
+        if (filters.fingerprint && entry.f !== filters.fingerprint) return false;
+        if (filters.eventIds && !filters.eventIds.includes(String(entry.e.id).toLowerCase())) return false;
+        return filters.terms.every((term) => entry.text.includes(term));
+    }
+
+    function matches(entry, filters) {
+        return matchesBase(entry, filters) && FACETS.every((facet) => matchesFacet(entry, facet, filters.facets[facet]));
+    }
+
+    // Filters: host, q (full text), level, category, provider, source, eventId
+    // (comma-separated lists), fingerprint, from/to (epoch ms); paging with limit and cursor
+    function query(params = {}) {
+        const filters = parseFilters(params);
+        const limit = Math.min(Math.max(Number(params.limit) || DEFAULT_LIMIT, 1), MAX_LIMIT);
+
+        let after = null;
+        if (params.cursor) {
+            const match = /^(\d+)-([0-9a-f]+)$/.exec(String(params.cursor));
+            if (!match) throw new Error('Invalid cursor');
+            after = { t: Number(match[1]), k: match[2] };
+        }
+
+        const facets = {};
+        FACETS.forEach((facet) => {
+            facets[facet] = {};
+        });
+
+        const page = [];
+        let total = 0;
+        let hasMore = false;
+
+        entries.forEach((entry) => {
+            if (!matchesBase(entry, filters)) return;
+
+            // Each facet is counted with every filter applied except its own
+            const failing = FACETS.filter((facet) => !matchesFacet(entry, facet, filters.facets[facet]));
+            FACETS.forEach((facet) => {
+                if (failing.length === 0 || (failing.length === 1 && failing[0] === facet)) {
+                    const value = entry.e[facet] === undefined || entry.e[facet] === '' ? '(none)' : String(entry.e[facet]);
+                    facets[facet][value] = (facets[facet][value] || 0) + 1;
+                }
+            });
+            if (failing.length) return;
+
+            total++;
+            if (after && compareEntries(entry, after) <= 0) return;
+            if (page.length < limit) {
+                page.push(entry);
+            } else {
+                hasMore = true;
+            }
+        });
+
+        FACETS.forEach((facet) => {
+            facets[facet] = Object.keys(facets[facet])
+                .map((value) => ({ value, count: facets[facet][value] }))
+                .sort((a, b) => b.count - a.count || a.value.localeCompare(b.value))
+                .slice(0, MAX_FACET_VALUES);
+        });
+
+        const last = page[page.length - 1];
+        const now = Date.now();
+        return {
+            events: page.map((entry) => present(entry, now)),
+            count: page.length,
+            total,
+            nextCursor: hasMore && last ? `${last.t}-${last.k}` : null,
+            facets
+        };
+    }
+
+    // Recurring problems among the events matching the same filters as query();
+    // sort by lastSeen (default) or count
+    function problems(params = {}, options = {}) {
+        const filters = parseFilters(params);
+        const limit = Math.min(Math.max(Number(params.limit) || DEFAULT_PROBLEM_LIMIT, 1), MAX_LIMIT);
+        const matching = entries.filter((entry) => matches(entry, filters));
+
+        const groups = groupProblems(matching, options);
+        if (params.sort === 'count') {
+            groups.sort((a, b) => b.count - a.count || b.lastSeen.localeCompare(a.lastSeen));
+        } else {
+            groups.sort((a, b) => b.lastSeen.localeCompare(a.lastSeen) || b.count - a.count);
+        }
+
+        return {
+            problems: groups.slice(0, limit),
+            count: Math.min(groups.length, limit),
+            total: groups.length,
+            events: matching.length
+        };
+    }
+
+    // Every event matching the query() filters, newest first, without paging (for exports)
+    function select(params = {}, max = MAX_EXPORT) {
+        const filters = parseFilters(params);
+        const selected = [];
+        let truncated = false;
+        for (const entry of entries) {
+            if (!matches(entry, filters)) continue;
+            if (selected.length >= max) {
+                truncated = true;
+                break;
+            }
+            selected.push(entry);
+        }
+
+        const now = Date.now();
+        return { events: selected.map((entry) => present(entry, now)), truncated };
+    }
+
+    function get(key) {
+        const entry = byKey.get(key);
+        return entry ? present(entry) : null;
+    }
+
+    async function prune(now = Date.now()) {
+        lastPrune = now;
+        const cutoff = segmentPath(now - retention);
+        const files = await fs.promises.readdir(dir).catch(() => []);
+        await Promise.all(files
+            .filter((file) => file.endsWith('.ndjson') && path.join(dir, file) < cutoff)
+            .map((file) => fs.promises.unlink(path.join(dir, file)).catch(() => {})));
+    }
+
+    function flush() {
+        return writeQueue;
+    }
+
+    return {
+        open,
+        add,
+        query,
+        problems,
+        select,
+        get,
+        prune,
+        flush
+    };
+}
+
+module.exports = {
+    createEventStore,
+    parseSearch
+};
@@ -0,0 +1,219 @@
+// Data exports
+// CSV and NDJSON encodings for metrics history, event logs and diagnostics
+// issues, and a self-contained HTML health report (inline styles and SVG
+// charts, no scripts) that can be printed or attached to a ticket.
+const FORMATS = ['csv', 'ndjson'];
+
+const EVENT_COLUMNS = ['time', 'host', 'source', 'level', 'category', 'priority', 'id', 'provider', 'message', 'fingerprint', 'key'];
+const ISSUE_COLUMNS = ['id', 'host', 'category', 'severity', 'title', 'state', 'openedAt', 'lastSeen', 'resolvedAt',
+    'acknowledgedAt', 'acknowledgedBy', 'note', 'snoozedUntil'];
+const SEVERITY_RANK = { critical: 4, high: 3, medium: 2, low: 1 };
+
+// Quotes where needed; text starting with = + - @ is prefixed so spreadsheets don't run it as a formula
+function csvValue(value) {
+    if (value === undefined || value === null) return '';
+    if (typeof value === 'object') value = JSON.stringify(value);
+    let text = String(value);
+    if (typeof value === 'string' && /^[=+\-@\t\r]/.test(text)) text = `'${text}`;
+    return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+// Union of the rows' keys, the preferred columns first
+function columnsOf(rows, preferred = []) {
+    const columns = preferred.slice();
+    rows.forEach((row) => {
+        Object.keys(row).forEach((key) => {
+            if (!columns.includes(key)) columns.push(key);
+        });
+    });
+    return columns;
+}
+
+function toCsv(rows, columns = columnsOf(rows)) {
+    const lines = [columns.map(csvValue).join(',')];
+    rows.forEach((row) => lines.push(columns.map((column) => csvValue(row[column])).join(',')));
+    return lines.join('\r\n') + '\r\n';
+}
+
+function toNdjson(rows) {
+    return rows.map((row) => JSON.stringify(row)).join('\n') + (rows.length ? '\n' : '');
+}
+
+// win11-monitor-eventlogs-web-01-20240115-0930.csv
+function exportFilename(kind, host, format, now = new Date()) {
+    const pad = (n) => String(n).padStart(2, '0');
+    const stamp = `${now.getFullYear()}${pad(now.getMonth() + 1)}${pad(now.getDate())}-${pad(now.getHours())}${pad(now.getMinutes())}`;
+    return `win11-monitor-${kind}-${String(host).replace(/[^\w.-]/g, '_')}-${stamp}.${format === 'html' ? 'html' : format}`;
+}
+
+function escapeHtml(value) {
+    return String(value === undefined || value === null ? '' : value)
+        .replace(/&/g, '&amp;')
+        .replace(/</g, '&lt;')
+        .replace(/>/g, '&gt;')
+        .replace(/"/g, '&quot;')
+        .replace(/'/g, '&#39;');
+}
+
+function formatDate(value) {
+    const date = new Date(value);
+    return Number.isNaN(date.getTime()) ? '' : date.toLocaleString('en-US', { dateStyle: 'medium', timeStyle: 'short' });
+}
+
+// Line chart of one series as inline SVG; points are { timestamp, value }
+function svgChart(points, options = {}) {
+    const width = 640;
+    const height = 160;
+    const pad = { left: 36, right: 8, top: 8, bottom: 20 };
+    const values = points.map((point) => point.value).filter((value) => Number.isFinite(value));
+    if (values.length < 2) {
+        return '<p class="muted">Not enough history for this range.</p>';
+    }
+
+    const max = options.max || Math.max(...values) || 1;
+    const times = points.map((point) => Date.parse(point.timestamp));
+    const start = times[0];
+    const span = Math.max(times[times.length - 1] - start, 1);
+    const x = (time) => pad.left + ((time - start) / span) * (width - pad.left - pad.right);
+    const y = (value) => pad.top + (1 - Math.min(value, max) / max) * (height - pad.top - pad.bottom);
+
+    const line = points
+        .filter((point) => Number.isFinite(point.value))
+        .map((point) => `${x(Date.parse(point.timestamp)).toFixed(1)},${y(point.value).toFixed(1)}`)
+        .join(' ');
+    const grid = [0, 0.5, 1].map((fraction) => {
+        const value = max * fraction;
+        return `<line x1="${pad.left}" x2="${width - pad.right}" y1="${y(value)}" y2="${y(value)}" stroke="#ddd"/>` +
+            `<text x="${pad.left - 4}" y="${y(value) + 4}" text-anchor="end">${Math.round(value)}${escapeHtml(options.unit || '')}</text>`;
+    }).join('');
+
+    return `<svg viewBox="0 0 ${width} ${height}" role="img" aria-label="${escapeHtml(options.label)}">` +
+        grid +
+        `<polyline points="${line}" fill="none" stroke="${options.color || '#2563eb'}" stroke-width="1.5"/>` +
+        `<text x="${pad.left}" y="${height - 4}">${escapeHtml(formatDate(start))}</text>` +
+        `<text x="${width - pad.right}" y="${height - 4}" text-anchor="end">${escapeHtml(formatDate(times[times.length - 1]))}</text>` +
+        '</svg>';
+}
+
+function processTable(processes) {
+    if (!processes.length) return '<p class="muted">No process data.</p>';
+    return `<table><thead><tr><th>Process</th><th>PID</th><th>CPU %</th><th>Memory (MB)</th></tr></thead><tbody>${
+        processes.map((proc) => `<tr><td>${escapeHtml(proc.name)}</td><td>${proc.pid}</td>` +
+            `<td>${Number(proc.cpu).toFixed(1)}</td><td>${Number(proc.memory).toFixed(0)}</td></tr>`).join('')
+    }</tbody></table>`;
+}
+
+// report: { host, generatedAt, from, to, metrics, diagnostics, issues, events, problems, alerts, history, processes }
+function renderHealthReport(report) {
+    const diagnostics = report.diagnostics || {};
+    const summary = Object.assign({ critical: 0, high: 0, medium: 0, low: 0 }, diagnostics.summary);
+    const current = (diagnostics.issues || []).concat(diagnostics.warnings || [])
+        .filter((issue) => issue && issue.state !== 'snoozed')
+        .sort((a, b) => (SEVERITY_RANK[String(b.severity).toLowerCase()] || 0) - (SEVERITY_RANK[String(a.severity).toLowerCase()] || 0))
+        .slice(0, 10);
+    const resolved = (report.issues || []).filter((issue) => issue.state === 'resolved');
+    const metrics = report.metrics || {};
+    const history = report.history;
+    const events = report.events || { total: 0, byLevel: {} };
+
+    const tiles = [
+        ['Critical', summary.critical, 'critical'],
+        ['High', summary.high, 'high'],
+        ['Medium', summary.medium, 'medium'],
+        ['Low', summary.low, 'low'],
+        ['Firing alerts', (report.alerts || []).length, ''],
+        ['Events', events.total, ''],
+        ['Resolved issues', resolved.length, '']
+    ];
+
+    const resources = [
+        ['CPU', metrics.cpu !== undefined ? `${Number(metrics.cpu).toFixed(1)}%` : '–'],
+        ['Memory', metrics.memory ? `${Number(metrics.memory.percent).toFixed(1)}% of ${metrics.memory.total} GB` : '–'],
+        ['Uptime', metrics.uptime ? `${metrics.uptime.days}d ${metrics.uptime.hours}h ${metrics.uptime.minutes}m` : '–']
+    ].concat((metrics.disks || []).map((disk) => [`Disk ${disk.drive}`, `${Number(disk.percent).toFixed(1)}% of ${disk.total} GB`]));
+
+    return `<!DOCTYPE html>
+<html lang="en">
+<head>
+<meta charset="UTF-8">
+<title>Health report - ${escapeHtml(report.host.name)}</title>
+<style>
+body { font-family: 'Segoe UI', Tahoma, Geneva, Verdana, sans-serif; color: #1f2937; margin: 32px; max-width: 900px; }
+h1 { margin-bottom: 4px; }
+h2 { margin-top: 32px; border-bottom: 2px solid #e5e7eb; padding-bottom: 4px; }
+.muted { color: #6b7280; }
+.tiles { display: flex; flex-wrap: wrap; gap: 12px; }
+.tile { border: 1px solid #e5e7eb; border-radius: 8px; padding: 10px 16px; min-width: 90px; }
+.tile strong { display: block; font-size: 1.6rem; }
+.tile.critical strong { color: #dc2626; } .tile.high strong { color: #ea580c; }
+.tile.medium strong { color: #ca8a04; } .tile.low strong { color: #2563eb; }
+table { border-collapse: collapse; width: 100%; font-size: 0.9rem; }
+th, td { text-align: left; padding: 6px 8px; border-bottom: 1px solid #e5e7eb; vertical-align: top; }
+.issue { border-left: 4px solid #ca8a04; padding: 6px 12px; margin: 12px 0; page-break-inside: avoid; }
+.issue.critical { border-color: #dc2626; } .issue.high { border-color: #ea580c; } .issue.low { border-color: #2563eb; }
+.issue .recommendation { background: #f3f4f6; padding: 6px 10px; border-radius: 4px; }
+svg { width: 100%; height: auto; font-size: 10px; fill: #6b7280; }
+.columns { display: grid; grid-template-columns: 1fr 1fr; gap: 24px; }
+@media print { body { margin: 0; } h2 { page-break-after: avoid; } }
+</style>
+</head>
+<body>
+<h1>Health report: ${escapeHtml(report.host.name)}</h1>
+<p class="muted">${escapeHtml(report.host.platform || '')} · ${escapeHtml(report.host.collector || '')} collector ·
+${escapeHtml(formatDate(report.from))} to ${escapeHtml(formatDate(report.to))} · generated ${escapeHtml(formatDate(report.generatedAt))}</p>
+
+<h2>Summary</h2>
+<div class="tiles">
+${tiles.map(([label, count, level]) => `<div class="tile ${level}"><strong>${count}</strong>${label}</div>`).join('\n')}
+</div>
+<table>
+${resources.map(([label, value]) => `<tr><th>${escapeHtml(label)}</th><td>${escapeHtml(value)}</td></tr>`).join('\n')}
+</table>
+
+<h2>Top issues</h2>
+${current.length ? current.map((issue) => `<div class="issue ${escapeHtml(String(issue.severity).toLowerCase())}">
+<strong>${escapeHtml(issue.title)}</strong> <span class="muted">${escapeHtml(issue.category)} · ${escapeHtml(issue.severity)}${issue.state && issue.state !== 'open' ? ` · ${escapeHtml(issue.state)}` : ''}${issue.openedAt ? ` · since ${escapeHtml(formatDate(issue.openedAt))}` : ''}</span>
+<p>${escapeHtml(issue.description)}</p>
+${issue.recommendation ? `<p class="recommendation">${escapeHtml(issue.recommendation)}</p>` : ''}
+</div>`).join('\n') : '<p class="muted">No current issues.</p>'}
+${resolved.length ? `<h3>Resolved in this period</h3>
+<table><thead><tr><th>Issue</th><th>Severity</th><th>Opened</th><th>Resolved</th></tr></thead><tbody>
+${resolved.map((issue) => `<tr><td>${escapeHtml(issue.title)}</td><td>${escapeHtml(issue.severity)}</td><td>${escapeHtml(formatDate(issue.openedAt))}</td><td>${escapeHtml(formatDate(issue.resolvedAt))}</td></tr>`).join('\n')}
+</tbody></table>` : ''}
+
+<h2>Resources</h2>
+${history ? `<h3>CPU</h3>
+${svgChart(history.map((point) => ({ timestamp: point.timestamp, value: point.cpu })), { label: 'CPU %', unit: '%', max: 100, color: '#2563eb' })}
+<h3>Memory</h3>
+${svgChart(history.map((point) => ({ timestamp: point.timestamp, value: point['memory.percent'] })), { label: 'Memory %', unit: '%', max: 100, color: '#16a34a' })}` : '<p class="muted">Metrics history is kept for the server\'s own machine only.</p>'}
+
+<h2>Top processes</h2>
+<div class="columns">
+<div><h3>By CPU</h3>${processTable(report.processes.cpu)}</div>
+<div><h3>By memory</h3>${processTable(report.processes.memory)}</div>
+</div>
+
+<h2>Events</h2>
+<p>${events.total} events in this period${Object.keys(events.byLevel).length ? `: ${Object.keys(events.byLevel).map((level) => `${escapeHtml(level)} ${events.byLevel[level]}`).join(', ')}` : ''}.</p>
+${(report.problems || []).length ? `<table><thead><tr><th>Recurring problem</th><th>Level</th><th>Count</th><th>Last seen</th></tr></thead><tbody>
+${report.problems.map((problem) => `<tr><td>${escapeHtml(problem.provider)} ${escapeHtml(problem.eventId)}: ${escapeHtml(String(problem.sampleMessage || '').slice(0, 200))}</td><td>${escapeHtml(problem.level)}</td><td>${problem.count}</td><td>${escapeHtml(formatDate(problem.lastSeen))}</td></tr>`).join('\n')}
+</tbody></table>` : ''}
+${(report.alerts || []).length ? `<h2>Firing alerts</h2>
+<table><thead><tr><th>Rule</th><th>Severity</th><th>Value</th><th>Since</th></tr></thead><tbody>
+${report.alerts.map((alert) => `<tr><td>${escapeHtml(alert.ruleName)}</td><td>${escapeHtml(alert.severity)}</td><td>${escapeHtml(alert.value)}</td><td>${escapeHtml(formatDate(alert.firedAt || alert.since))}</td></tr>`).join('\n')}
+</tbody></table>` : ''}
+</body>
+</html>
+`;
+}
+
+module.exports = {
+    FORMATS,
+    EVENT_COLUMNS,
+    ISSUE_COLUMNS,
+    columnsOf,
+    toCsv,
+    toNdjson,
+    exportFilename,
+    renderHealthReport
+};
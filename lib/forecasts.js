@@ -0,0 +1,320 @@
+// Disk capacity forecasts
+// Every metrics sample adds each drive's used space to a 10-minute average;
+// the averages of the last `window` (7 days by default) are the drive's
+// usage history. A least-squares line through them gives the growth per day
+// and, with the spread of that slope (two standard errors either way), when
+// the drive fills up at the earliest and the latest. Drives growing too
+// little to tell from noise are "stable". Forecasts within `horizon` become
+// "Disk Filling Up" diagnostics warnings. Histories are saved to <file> and
+// can be seeded from the metrics history.
+const fs = require('fs');
+const path = require('path');
+const { formatTimestamp, round } = require('./collectors/format');
+
+const MINUTE = 60 * 1000;
+const HOUR = 60 * MINUTE;
+const DAY = 24 * HOUR;
+const BUCKET = 10 * MINUTE;
+const DEFAULT_WINDOW = 7 * DAY;
+const DEFAULT_HORIZON = 14 * DAY;
+const MIN_SPAN = 6 * HOUR; // of history before forecasting
+const MIN_POINTS = 6;
+const MIN_GROWTH = 0.01; // GB per day; less is rounding noise
+const MAX_DAYS = 365 * 5;
+const SAVE_INTERVAL = 10 * MINUTE;
+const DRIVE_KEY = /^disks\.(.+)\.(used|total)$/;
+
+function number(value) {
+    return typeof value === 'number' && Number.isFinite(value) ? value : null;
+}
+
+// Days until `free` GB are used at `growth` GB/day, or null when that never happens
+function daysAt(free, growth) {
+    if (!(growth > 0)) return null;
+    const days = free / growth;
+    return days > MAX_DAYS ? null : round(days, 1);
+}
+
+// Least-squares fit of used GB over time: { growth, error } in GB/day
+function fitTrend(points) {
+    const n = points.length;
+    const t0 = points[0][0];
+    let sumT = 0;
+    let sumY = 0;
+    points.forEach(([t, used]) => {
+        sumT += (t - t0) / DAY;
+        sumY += used;
+    });
+    const meanT = sumT / n;
+    const meanY = sumY / n;
+
+    let sxx = 0;
+    let sxy = 0;
+    points.forEach(([t, used]) => {
+        const dt = (t - t0) / DAY - meanT;
+        sxx += dt * dt;
+        sxy += dt * (used - meanY);
+    });
+    if (sxx === 0) return null;
+
+    const growth = sxy / sxx;
+    let residuals = 0;
+    points.forEach(([t, used]) => {
+        const fitted = meanY + growth * ((t - t0) / DAY - meanT);
+        residuals += (used - fitted) * (used - fitted);
+    });
+    const error = n > 2 ? Math.sqrt(residuals / (n - 2) / sxx) : 0;
+    return { growth, error };
+}
+
+// Forecast of one drive: trend (growing, stable, shrinking), growth in GB/day,
+// daysUntilFull with its { earliest, latest } range (latest null: maybe never) and fullAt
+function forecastDrive(drive, now) {
+    const points = drive.points;
+    if (points.length < MIN_POINTS || points[points.length - 1][0] - points[0][0] < MIN_SPAN) {
+        return { trend: 'learning', growthGBPerDay: null, daysUntilFull: null, range: null, fullAt: null };
+    }
+
+    const fit = fitTrend(points);
+    const growth = fit ? fit.growth : 0;
+    const spread = fit ? 2 * fit.error : 0;
+    let trend = 'stable';
+    if (growth > MIN_GROWTH && growth > spread) trend = 'growing';
+    else if (growth < -MIN_GROWTH && -growth > spread) trend = 'shrinking';
+
+    const free = Math.max(0, drive.total - drive.used);
+    const days = trend === 'growing' ? daysAt(free, growth) : null;
+    return {
+        trend,
+        growthGBPerDay: round(growth, 2),
+        daysUntilFull: days,
+        range: days === null ? null : { earliest: daysAt(free, growth + spread), latest: daysAt(free, growth - spread) },
+        fullAt: days === null ? null : new Date(now + days * DAY).toISOString()
+    };
+}
+
+function formatDays(days) {
+    if (days < 1) return `${Math.max(1, Math.round(days * 24))} hours`;
+    if (days < 10) return `${days.toFixed(1)} days`;
+    return `${Math.round(days)} days`;
+}
+
+function createForecastStore(options = {}) {
+    const file = options.file;
+    const window = options.window || DEFAULT_WINDOW;
+    const horizon = options.horizon || DEFAULT_HORIZON;
+    const hosts = new Map(); // host -> { drive: { label, total, used, bucket, points: [[t, used, total]], forecast } }
+    let writeQueue = Promise.resolve();
+    let dirty = false;
+    let lastSave = Date.now();
+
+    function save() {
+        const data = {};
+        hosts.forEach((drives, host) => {
+            data[host] = drives;
+        });
+        dirty = false;
+        lastSave = Date.now();
+
+        const json = JSON.stringify(data);
+        writeQueue = writeQueue
+            .then(async () => {
+                await fs.promises.mkdir(path.dirname(file), { recursive: true });
+                const tmp = `${file}.tmp`;
+                await fs.promises.writeFile(tmp, json);
+                await fs.promises.rename(tmp, file);
+            })
+            .catch((error) => console.error('Error saving disk forecasts:', error.message));
+        return writeQueue;
+    }
+
+    async function load() {
+        try {
+            const stored = JSON.parse(await fs.promises.readFile(file, 'utf8'));
+            Object.keys(stored).forEach((host) => hosts.set(host, stored[host]));
+        } catch (error) {
+            if (error.code !== 'ENOENT') throw error;
+        }
+    }
+
+    function hostDrives(host) {
+        let drives = hosts.get(host);
+        if (!drives) {
+            drives = {};
+            hosts.set(host, drives);
+        }
+        return drives;
+    }
+
+    // Closes the drive's 10-minute average once `time` is past it
+    function closeBucket(drive, time, now) {
+        const bucket = drive.bucket;
+        if (!bucket || time < bucket.start + BUCKET) return false;
+
+        drive.points.push([bucket.start + BUCKET / 2, round(bucket.used / bucket.count, 3), bucket.total]);
+        while (drive.points.length && drive.points[0][0] < now - window) drive.points.shift();
+        drive.bucket = null;
+        drive.forecast = forecastDrive(drive, now);
+        return true;
+    }
+
+    function add(host, name, values, time, now) {
+        const drives = hostDrives(host);
+        let drive = drives[name];
+        if (!drive) {
+            drive = { label: null, total: values.total, used: values.used, bucket: null, points: [], forecast: null };
+            drives[name] = drive;
+        }
+        // Samples older than what the drive has already seen (history seeding after live data) are skipped
+        const last = drive.points[drive.points.length - 1];
+        if (last && time < last[0] + BUCKET / 2) return false;
+
+        const closed = closeBucket(drive, time, now);
+        if (!drive.bucket) {
+            drive.bucket = { start: time - (time % BUCKET), used: 0, count: 0, total: values.total };
+        }
+        drive.bucket.used += values.used;
+        drive.bucket.count++;
+        drive.bucket.total = values.total;
+        drive.total = values.total;
+        drive.used = values.used;
+        if (!drive.forecast) drive.forecast = forecastDrive(drive, now);
+        return closed;
+    }
+
+    // Learns from a live sample's disks; returns them with `forecast` added
+    function observe(host, disks, now = Date.now()) {
+        if (!Array.isArray(disks)) return disks;
+
+        let changed = false;
+        const result = disks.map((disk) => {
+            if (!disk || typeof disk !== 'object' || !disk.drive) return disk;
+            const used = number(disk.used);
+            const total = number(disk.total);
+            if (used === null || !total) return disk;
+
+            const name = String(disk.drive);
+            if (add(host, name, { used, total }, now, now)) changed = true;
+            const drive = hostDrives(host)[name];
+            drive.label = typeof disk.label === 'string' ? disk.label : null;
+            return Object.assign({}, disk, { forecast: drive.forecast });
+        });
+
+        // Drives gone for longer than the window are forgotten
+        const drives = hostDrives(host);
+        Object.keys(drives).forEach((name) => {
+            const drive = drives[name];
+            const last = drive.points.length ? drive.points[drive.points.length - 1][0] : null;
+            if (last !== null && last < now - window) {
+                delete drives[name];
+                changed = true;
+            }
+        });
+
+        if (changed) dirty = true;
+        if (dirty && Date.now() - lastSave > SAVE_INTERVAL) save();
+        return result;
+    }
+
+    // Seeds a host from stored history points ({ timestamp, disks.<drive>.used, disks.<drive>.total }, oldest first)
+    function train(host, points, now = Date.now()) {
+        points.forEach((point) => {
+            const time = Date.parse(point.timestamp);
+            if (Number.isNaN(time) || time < now - window) return;
+
+            const values = {};
+            Object.keys(point).forEach((key) => {
+                const match = DRIVE_KEY.exec(key);
+                if (!match || typeof point[key] !== 'number') return;
+                values[match[1]] = values[match[1]] || {};
+                values[match[1]][match[2]] = point[key];
+            });
+            Object.keys(values).forEach((name) => {
+                if (values[name].used !== undefined && values[name].total) add(host, name, values[name], time, now);
+            });
+        });
+        dirty = true;
+    }
+
+    function has(host) {
+        return hosts.has(host);
+    }
+
+    // Every drive of a host with its forecast and usage history
+    function status(host) {
+        const drives = hosts.get(host) || {};
+        return {
+            window,
+            horizon,
+            drives: Object.keys(drives).sort().map((name) => {
+                const drive = drives[name];
+                return {
+                    drive: name,
+                    label: drive.label,
+                    total: drive.total,
+                    used: drive.used,
+                    free: round(Math.max(0, drive.total - drive.used), 2),
+                    forecast: drive.forecast,
+                    samples: drive.points.map(([t, used, total]) => ({ timestamp: new Date(t).toISOString(), used, total }))
+                };
+            })
+        };
+    }
+
+    // Diagnostics warnings for drives expected to fill up within the horizon
+    function issues(host, now = new Date()) {
+        const drives = hosts.get(host) || {};
+        return Object.keys(drives).sort()
+            .map((name) => ({ name, drive: drives[name] }))
+            .filter(({ drive }) => drive.forecast && drive.forecast.daysUntilFull !== null &&
+                drive.forecast.daysUntilFull * DAY <= horizon)
+            .map(({ name, drive }) => {
+                const forecast = drive.forecast;
+                const days = forecast.daysUntilFull;
+                const free = round(Math.max(0, drive.total - drive.used), 2);
+                const earliest = formatDays(forecast.range.earliest);
+                let range = '';
+                if (forecast.range.latest === null) range = ` (at the earliest in ${earliest})`;
+                else if (formatDays(forecast.range.latest) !== earliest) range = ` (${earliest} to ${formatDays(forecast.range.latest)})`;
+                return {
+                    category: 'Disk',
+                    severity: days <= 3 ? 'High' : (days <= 7 ? 'Medium' : 'Low'),
+                    title: `Disk Filling Up: ${name}`,
+                    subject: name,
+                    description: `${name} will be full in ~${formatDays(days)}${range} at its growth of ` +
+                        `${forecast.growthGBPerDay} GB/day; ${free} GB free`,
+                    recommendation: 'Find what is growing (logs, downloads, caches, VM or database files) and clean it up or move it before the drive fills',
+                    drive: name,
+                    freeGB: free,
+                    growthGBPerDay: forecast.growthGBPerDay,
+                    daysUntilFull: days,
+                    fullAt: forecast.fullAt,
+                    timestamp: formatTimestamp(now)
+                };
+            });
+    }
+
+    function removeHost(host) {
+        if (hosts.delete(host)) save();
+    }
+
+    function flush() {
+        if (dirty) save();
+        return writeQueue;
+    }
+
+    return {
+        load,
+        observe,
+        train,
+        has,
+        status,
+        issues,
+        removeHost,
+        flush
+    };
+}
+
+module.exports = {
+    createForecastStore
+};
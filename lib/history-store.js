@@ -0,0 +1,323 @@
+// Persistent metrics history
+// Every metrics payload is appended to a daily NDJSON segment under <dir>/raw.
+// Samples are also rolled up into 1-minute and 1-hour buckets (avg/min/max of
+// every numeric field) so long time ranges can be queried cheaply. Old
+// segments are pruned according to the retention policy.
+const fs = require('fs');
+const path = require('path');
+const readline = require('readline');
+
+const MINUTE = 60 * 1000;
+const HOUR = 60 * MINUTE;
+const DAY = 24 * HOUR;
+
+const RESOLUTIONS = {
+    raw: { bucket: 0, segment: 'day' },
+    '1m': { bucket: MINUTE, segment: 'day' },
+    '1h': { bucket: HOUR, segment: 'month' }
+};
+
+const DEFAULT_RETENTION = {
+    raw: DAY,
+    '1m': 14 * DAY,
+    '1h': 365 * DAY
+};
+
+const MAX_POINTS = 5000;
+
+// Flatten a metrics payload into { 'memory.percent': 42, 'disks.C:.used': 120, ... }
+// Array items are keyed by their drive/name (plus pid for processes) so
+// the same disk or adapter lines up across samples.
+function flattenMetrics(value, prefix = '', out = {}) {
+    if (typeof value === 'number') {
+        if (Number.isFinite(value) && prefix) out[prefix] = value;
+    } else if (typeof value === 'boolean') {
+        if (prefix) out[prefix] = value ? 1 : 0;
+    } else if (Array.isArray(value)) {
+        const used = {};
+        value.forEach((item, index) => {
+            let key = String(index);
+            if (item && typeof item === 'object') {
+                key = String(item.drive || item.name || index);
+                if (item.pid !== undefined) key = `${key}:${item.pid}`;
+            }
+            if (used[key]) key = `${key}#${index}`;
+            used[key] = true;
+            flattenMetrics(item, prefix ? `${prefix}.${key}` : key, out);
+        });
+    } else if (value && typeof value === 'object') {
+        Object.keys(value).forEach((key) => {
+            if (key === 'pid') return; // already part of the process key
+            flattenMetrics(value[key], prefix ? `${prefix}.${key}` : key, out);
+        });
+    }
+    return out;
+}
+
+function selectFields(flat, fields) {
+    if (!fields || fields.length === 0) return flat;
+
+    const selected = {};
+    Object.keys(flat).forEach((key) => {
+        if (fields.some((field) => key === field || key.startsWith(`${field}.`))) {
+            selected[key] = flat[key];
+        }
+    });
+    return selected;
+}
+
+function segmentName(time, segment) {
+    const iso = new Date(time).toISOString();
+    return segment === 'month' ? iso.slice(0, 7) : iso.slice(0, 10);
+}
+
+// Accumulates samples (or smaller buckets) into one rollup bucket
+function createBucket(start) {
+    return { t: start, n: 0, sum: {}, min: {}, max: {} };
+}
+
+function addToBucket(bucket, values, weight = 1, mins = values, maxes = values) {
+    Object.keys(values).forEach((key) => {
+        bucket.sum[key] = (bucket.sum[key] || 0) + values[key] * weight;
+        bucket.min[key] = bucket.min[key] === undefined ? mins[key] : Math.min(bucket.min[key], mins[key]);
+        bucket.max[key] = bucket.max[key] === undefined ? maxes[key] : Math.max(bucket.max[key], maxes[key]);
+    });
+    bucket.n += weight;
+}
+
+function finishBucket(bucket) {
+    const avg = {};
+    Object.keys(bucket.sum).forEach((key) => {
+        avg[key] = Math.round((bucket.sum[key] / bucket.n) * 100) / 100;
+    });
+    return { t: bucket.t, n: bucket.n, avg, min: bucket.min, max: bucket.max };
+}
+
+function createHistoryStore(options = {}) {
+    const dir = options.dir;
+    const retention = Object.assign({}, DEFAULT_RETENTION, options.retention || {});
+
+    let minuteBucket = null;
+    let hourBucket = null;
+    let lastPrune = 0;
+    let writeQueue = Promise.resolve();
+
+    function segmentPath(resolution, time) {
+        return path.join(dir, resolution, `${segmentName(time, RESOLUTIONS[resolution].segment)}.ndjson`);
+    }
+
+    // Appends are serialized so lines never interleave
+    function append(resolution, record) {
+        const file = segmentPath(resolution, record.t);
+        writeQueue = writeQueue
+            .then(() => fs.promises.appendFile(file, JSON.stringify(record) + '\n'))
+            .catch((error) => console.error(`Error writing ${resolution} history:`, error.message));
+        return writeQueue;
+    }
+
+    function closeMinute(persist) {
+        const minute = finishBucket(minuteBucket);
+        if (persist) append('1m', minute);
+
+        const hourStart = Math.floor(minute.t / HOUR) * HOUR;
+        if (hourBucket && hourBucket.t !== hourStart) {
+            append('1h', finishBucket(hourBucket));
+            hourBucket = null;
+        }
+        if (!hourBucket) hourBucket = createBucket(hourStart);
+        addToBucket(hourBucket, minute.avg, minute.n, minute.min, minute.max);
+    }
+
+    // Minute buckets at or before persistedUntil are already on disk (used on replay)
+    function accumulate(time, flat, persistedUntil = -1) {
+        const minuteStart = Math.floor(time / MINUTE) * MINUTE;
+        if (minuteBucket && minuteBucket.t !== minuteStart) {
+            closeMinute(minuteBucket.t > persistedUntil);
+            minuteBucket = null;
+        }
+        if (!minuteBucket) minuteBucket = createBucket(minuteStart);
+        addToBucket(minuteBucket, flat);
+    }
+
+    async function readLastRecord(resolution) {
+        const files = await fs.promises.readdir(path.join(dir, resolution)).catch(() => []);
+        const latest = files.filter((file) => file.endsWith('.ndjson')).sort().pop();
+        if (!latest) return null;
+
+        const text = await fs.promises.readFile(path.join(dir, resolution, latest), 'utf8');
+        const lines = text.trim().split('\n');
+        try {
+            return JSON.parse(lines[lines.length - 1]);
+        } catch (e) {
+            return null;
+        }
+    }
+
+    // Stream records of one resolution whose time falls inside [from, to]
+    async function scan(resolution, from, to, onRecord) {
+        const segment = RESOLUTIONS[resolution].segment;
+        const files = (await fs.promises.readdir(path.join(dir, resolution)).catch(() => []))
+            .filter((file) => file.endsWith('.ndjson'))
+            .filter((file) => {
+                const name = file.replace('.ndjson', '');
+                return name >= segmentName(from, segment) && name <= segmentName(to, segment);
+            })
+            .sort();
+
+        for (const file of files) {
+            const lines = readline.createInterface({
+                input: fs.createReadStream(path.join(dir, resolution, file)),
+                crlfDelay: Infinity
+            });
+
+            for await (const line of lines) {
+                // Every record starts with {"t":<ms>, so skip out-of-range lines without parsing them
+                const time = Number(line.slice(5, line.indexOf(',')));
+                if (!(time >= from && time <= to)) continue;
+
+                let record;
+                try {
+                    record = JSON.parse(line);
+                } catch (e) {
+                    continue;
+                }
+                if (onRecord(record) === false) {
+                    lines.close();
+                    return;
+                }
+            }
+        }
+    }
+
+    // Recreate the rollup buckets that were still open when the server stopped
+    async function open() {
+        await Promise.all(Object.keys(RESOLUTIONS).map((resolution) =>
+            fs.promises.mkdir(path.join(dir, resolution), { recursive: true })));
+
+        const lastMinute = await readLastRecord('1m');
+        const lastHour = await readLastRecord('1h');
+        const persistedUntil = lastMinute ? lastMinute.t : -1;
+        let replayFrom = Date.now() - HOUR;
+        if (lastHour) {
+            replayFrom = lastHour.t + HOUR;
+        } else if (lastMinute) {
+            replayFrom = Math.floor(lastMinute.t / HOUR) * HOUR;
+        }
+
+        await scan('raw', replayFrom, Date.now(), (record) => {
+            accumulate(record.t, flattenMetrics(record.m), persistedUntil);
+        });
+
+        await prune();
+    }
+
+    async function record(metrics, time = Date.now()) {
+        append('raw', { t: time, m: metrics });
+        accumulate(time, flattenMetrics(metrics));
+
+        if (time - lastPrune > HOUR) {
+            prune();
+        }
+        return writeQueue;
+    }
+
+    async function prune(now = Date.now()) {
+        lastPrune = now;
+        await Promise.all(Object.keys(RESOLUTIONS).map(async (resolution) => {
+            const segment = RESOLUTIONS[resolution].segment;
+            const cutoff = segmentName(now - retention[resolution], segment);
+            const files = await fs.promises.readdir(path.join(dir, resolution)).catch(() => []);
+
+            await Promise.all(files
+                .filter((file) => file.endsWith('.ndjson') && file.replace('.ndjson', '') < cutoff)
+                .map((file) => fs.promises.unlink(path.join(dir, resolution, file)).catch(() => {})));
+        }));
+    }
+
+    function pickResolution(from, to) {
+        const span = to - from;
+        if (span <= 2 * HOUR) return 'raw';
+        if (span <= 2 * DAY) return '1m';
+        return '1h';
+    }
+
+    // Visits the points of a time range oldest first; onPoint(point) returns false to stop
+    async function each(params, onPoint) {
+        const to = params.to !== undefined ? params.to : Date.now();
+        const from = params.from !== undefined ? params.from : to - HOUR;
+        const resolution = !params.resolution || params.resolution === 'auto'
+            ? pickResolution(from, to)
+            : params.resolution;
+
+        if (!RESOLUTIONS[resolution]) {
+            throw new Error(`Unknown resolution "${resolution}" (use raw, 1m, 1h or auto)`);
+        }
+
+        const fields = params.fields && params.fields.length ? params.fields : null;
+        let stopped = false;
+        const visit = (time, flat) => {
+            stopped = onPoint(Object.assign({ timestamp: new Date(time).toISOString() }, selectFields(flat, fields))) === false;
+            return !stopped;
+        };
+
+        if (resolution === 'raw') {
+            await scan('raw', from, to, (record) => visit(record.t, flattenMetrics(record.m)));
+        } else {
+            // A bucket that started before `from` still covers part of the range
+            const bucket = RESOLUTIONS[resolution].bucket;
+            const bucketFrom = Math.floor(from / bucket) * bucket;
+            await scan(resolution, bucketFrom, to, (record) => visit(record.t, record.avg));
+
+            // Include the bucket that is still being filled
+            const pending = resolution === '1m' ? minuteBucket : hourBucket;
+            if (pending && pending.t >= bucketFrom && pending.t <= to && !stopped) {
+                visit(pending.t, finishBucket(pending).avg);
+            }
+        }
+
+        return { resolution, from, to, fields };
+    }
+
+    async function query(params = {}) {
+        const points = [];
+        let truncated = false;
+
+        const { resolution, from, to, fields } = await each(params, (point) => {
+            if (points.length >= MAX_POINTS) {
+                truncated = true;
+                return false;
+            }
+            points.push(point);
+            return true;
+        });
+
+        return {
+            resolution,
+            from: new Date(from).toISOString(),
+            to: new Date(to).toISOString(),
+            fields: fields || 'all',
+            count: points.length,
+            truncated,
+            history: points
+        };
+    }
+
+    function flush() {
+        return writeQueue;
+    }
+
+    return {
+        open,
+        record,
+        each,
+        query,
+        prune,
+        flush
+    };
+}
+
+module.exports = {
+    createHistoryStore,
+    flattenMetrics,
+    RESOLUTIONS
+};
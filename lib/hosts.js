@@ -0,0 +1,105 @@
+// Per-host state for the central dashboard
+// The machine running the server is registered as the local host; agents
+// pushing to /api/ingest appear as additional hosts. A host that has not
+// reported within `staleAfter` is marked stale.
+const HOST_ID_PATTERN = /^[A-Za-z0-9_.-]{1,64}$/;
+const DATA_TYPES = ['metrics', 'eventlogs', 'diagnostics'];
+
+function createHostRegistry(options = {}) {
+    const staleAfter = options.staleAfter || 30000;
+    const hosts = new Map();
+
+    function ensure(info) {
+        let host = hosts.get(info.id);
+        if (!host) {
+            host = {
+                id: info.id,
+                name: info.name || info.id,
+                platform: info.platform || 'unknown',
+                collector: info.collector || 'unknown',
+                local: Boolean(info.local),
+                firstSeen: null,
+                lastSeen: null,
+                metrics: {},
+                eventlogs: { events: [] },
+                diagnostics: { issues: [], warnings: [], summary: { critical: 0, high: 0, medium: 0, low: 0 } }
+            };
+            hosts.set(info.id, host);
+        }
+
+        ['name', 'platform', 'collector'].forEach((field) => {
+            if (info[field]) host[field] = info[field];
+        });
+        return host;
+    }
+
+    function update(info, type, data, now = Date.now()) {
+        const host = ensure(info);
+        host[type] = data;
+        if (!data || !data.error) {
+            host.lastSeen = new Date(now).toISOString();
+            if (!host.firstSeen) host.firstSeen = host.lastSeen;
+        }
+        return host;
+    }
+
+    function get(id) {
+        return hosts.get(id) || null;
+    }
+
+    function isStale(host, now = Date.now()) {
+        return !host.lastSeen || now - Date.parse(host.lastSeen) > staleAfter;
+    }
+
+    // Compact per-host summary for the fleet overview grid
+    function overview(now = Date.now()) {
+        return Array.from(hosts.values()).map((host) => ({
+            id: host.id,
+            name: host.name,
+            platform: host.platform,
+            collector: host.collector,
+            local: host.local,
+            lastSeen: host.lastSeen,
+            stale: isStale(host, now),
+            cpu: typeof host.metrics.cpu === 'number' ? host.metrics.cpu : null,
+            memory: host.metrics.memory ? host.metrics.memory.percent : null,
+            summary: host.diagnostics.summary || { critical: 0, high: 0, medium: 0, low: 0 },
+            totalIssues: host.diagnostics.totalIssues || 0
+        })).sort((a, b) => (b.local - a.local) || a.name.localeCompare(b.name));
+    }
+
+    function remove(id) {
+        return hosts.delete(id);
+    }
+
+    return {
+        update,
+        get,
+        overview,
+        remove
+    };
+}
+
+// Validates an agent ingest body: { host: { id, name, platform, collector }, type, data }
+function validateIngest(body) {
+    const errors = [];
+    if (!body || typeof body !== 'object') {
+        return ['Body must be a JSON object'];
+    }
+    if (!body.host || typeof body.host.id !== 'string' || !HOST_ID_PATTERN.test(body.host.id)) {
+        errors.push('host.id must be 1-64 characters of letters, digits, "_", "." or "-"');
+    }
+    if (!DATA_TYPES.includes(body.type)) {
+        errors.push(`type must be one of: ${DATA_TYPES.join(', ')}`);
+    }
+    if (!body.data || typeof body.data !== 'object' || Array.isArray(body.data)) {
+        errors.push('data must be a JSON object');
+    }
+    return errors;
+}
+
+module.exports = {
+    createHostRegistry,
+    validateIngest,
+    HOST_ID_PATTERN
+};
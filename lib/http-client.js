@@ -0,0 +1,41 @@
+// Minimal JSON-over-HTTP client (no dependency on a global fetch)
+const http = require('http');
+const https = require('https');
+
+function postJson(target, payload, options = {}) {
+    const url = new URL(target);
+    const client = url.protocol === 'https:' ? https : http;
+    const body = JSON.stringify(payload);
+
+    return new Promise((resolve, reject) => {
+        const req = client.request(url, {
+            method: 'POST',
+            timeout: options.timeout || 10000,
+            headers: Object.assign({
+                'Content-Type': 'application/json',
+                'Content-Length': Buffer.byteLength(body)
+            }, options.headers || {})
+        }, (res) => {
+            let text = '';
+            res.setEncoding('utf8');
+            res.on('data', (chunk) => {
+                text += chunk;
+            });
+            res.on('end', () => {
+                if (res.statusCode >= 400) {
+                    reject(new Error(`${url.host} responded with HTTP ${res.statusCode}${text ? `: ${text.slice(0, 200)}` : ''}`));
+                } else {
+                    resolve({ status: res.statusCode, body: text });
+                }
+            });
+        });
+
+        req.on('timeout', () => req.destroy(new Error(`Request to ${url.host} timed out`)));
+        req.on('error', reject);
+        req.end(body);
+    });
+}
+
+module.exports = {
+    postJson
+};
@@ -0,0 +1,325 @@
+// Diagnostics issue lifecycle
+// Diagnostics are re-collected wholesale, so every issue and warning gets a
+// stable ID from its category and subject: the check named in the title
+// (severity words and numbers stripped, so "Low Disk Space: C:" and
+// "Critical Disk Space: C:" are one issue) plus the drive, device or service
+// after the colon. The store remembers per host when each issue was opened,
+// acknowledged, snoozed and resolved, with a history of those changes, and
+// keeps resolved issues for the retention period.
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+
+const DAY = 24 * 60 * 60 * 1000;
+const DEFAULT_RETENTION = 30 * DAY;
+const MAX_SNOOZE = 90 * DAY;
+const MAX_HISTORY = 50;
+const MAX_NOTE = 500;
+const LISTS = ['issues', 'warnings'];
+const STATES = ['open', 'acknowledged', 'snoozed', 'resolved'];
+const SEVERITY_WORDS = /\b(critical|high|low|medium|severe|warning)\b/g;
+
+function normalize(text) {
+    return String(text || '')
+        .toLowerCase()
+        .replace(SEVERITY_WORDS, ' ')
+        .replace(/\d+/g, '#')
+        .replace(/\s+/g, ' ')
+        .trim();
+}
+
+// "Driver Error Code 28: USB Controller" -> check "driver error code #", subject "usb controller"
+function issueSubject(issue) {
+    const title = String(issue.title || '');
+    const colon = title.indexOf(': ');
+    const check = normalize(colon === -1 ? title : title.slice(0, colon));
+    const subject = issue.subject !== undefined
+        ? String(issue.subject).toLowerCase()
+        : (colon === -1 ? '' : title.slice(colon + 2).trim().toLowerCase());
+    return `${check}|${subject}`;
+}
+
+function issueId(issue) {
+    return crypto.createHash('sha1')
+        .update(`${String(issue.category || '').toLowerCase()}|${issueSubject(issue)}`)
+        .digest('hex')
+        .slice(0, 12);
+}
+
+function issueState(record, now = Date.now()) {
+    if (record.resolvedAt) return 'resolved';
+    if (record.snoozedUntil && Date.parse(record.snoozedUntil) > now) return 'snoozed';
+    if (record.acknowledgedAt) return 'acknowledged';
+    return 'open';
+}
+
+function createIssueStore(options = {}) {
+    const file = options.file;
+    const retention = options.retention || DEFAULT_RETENTION;
+    const records = new Map();
+    let writeQueue = Promise.resolve();
+
+    function recordKey(host, id) {
+        return `${host}\u0000${id}`;
+    }
+
+    function save() {
+        const data = JSON.stringify(Array.from(records.values()), null, 2);
+        writeQueue = writeQueue
+            .then(async () => {
+                await fs.promises.mkdir(path.dirname(file), { recursive: true });
+                const tmp = `${file}.tmp`;
+                await fs.promises.writeFile(tmp, data);
+                await fs.promises.rename(tmp, file);
+            })
+            .catch((error) => console.error('Error saving issue store:', error.message));
+        return writeQueue;
+    }
+
+    async function load() {
+        try {
+            const stored = JSON.parse(await fs.promises.readFile(file, 'utf8'));
+            stored.forEach((record) => records.set(recordKey(record.host, record.id), record));
+        } catch (error) {
+            if (error.code !== 'ENOENT') throw error;
+        }
+    }
+
+    function addHistory(record, entry) {
+        record.history.push(entry);
+        if (record.history.length > MAX_HISTORY) record.history.splice(0, record.history.length - MAX_HISTORY);
+    }
+
+    function present(record, now = Date.now()) {
+        return Object.assign({}, record, { state: issueState(record, now) });
+    }
+
+    // Lifecycle fields copied onto the issues in a diagnostics payload
+    function annotate(host, diagnostics, now = Date.now()) {
+        let snoozed = 0;
+        LISTS.forEach((list) => {
+            (diagnostics[list] || []).forEach((issue) => {
+                const record = records.get(recordKey(host, issue.id));
+                if (!record) return;
+                issue.state = issueState(record, now);
+                issue.openedAt = record.openedAt;
+                issue.acknowledgedAt = record.acknowledgedAt;
+                issue.acknowledgedBy = record.acknowledgedBy;
+                issue.note = record.note;
+                issue.snoozedUntil = issue.state === 'snoozed' ? record.snoozedUntil : null;
+                if (issue.state === 'snoozed') snoozed++;
+            });
+        });
+        diagnostics.snoozed = snoozed;
+        return diagnostics;
+    }
+
+    // Applies a fresh diagnostics collection: opens new issues, reopens ones
+    // that came back, resolves the ones no longer reported, then annotates
+    function track(host, diagnostics, now = Date.now()) {
+        const at = new Date(now).toISOString();
+        const seen = new Set();
+        let changed = false;
+
+        LISTS.forEach((list) => {
+            (diagnostics[list] || []).forEach((issue) => {
+                if (!issue || typeof issue !== 'object') return;
+
+                // Two reports with the same subject in one collection keep apart by title
+                let id = issueId(issue);
+                if (seen.has(id)) id = issueId(Object.assign({}, issue, { subject: issue.title }));
+                seen.add(id);
+                issue.id = id;
+
+                const key = recordKey(host, id);
+                let record = records.get(key);
+                if (!record) {
+                    record = {
+                        id,
+                        host,
+                        category: issue.category,
+                        title: issue.title,
+                        severity: issue.severity,
+                        list,
+                        openedAt: at,
+                        lastSeen: at,
+                        resolvedAt: null,
+                        acknowledgedAt: null,
+                        acknowledgedBy: null,
+                        note: null,
+                        snoozedUntil: null,
+                        snoozedBy: null,
+                        history: [{ at, action: 'opened', severity: issue.severity }]
+                    };
+                    records.set(key, record);
+                    changed = true;
+                } else if (record.resolvedAt) {
+                    // An issue that comes back needs acknowledging again; a snooze still applies
+                    record.resolvedAt = null;
+                    record.acknowledgedAt = null;
+                    record.acknowledgedBy = null;
+                    record.note = null;
+                    addHistory(record, { at, action: 'reopened', severity: issue.severity });
+                    changed = true;
+                } else if (record.severity !== issue.severity) {
+                    addHistory(record, { at, action: 'severity', from: record.severity, to: issue.severity });
+                    changed = true;
+                }
+
+                if (record.snoozedUntil && Date.parse(record.snoozedUntil) <= now) {
+                    addHistory(record, { at: record.snoozedUntil, action: 'snooze-expired' });
+                    record.snoozedUntil = null;
+                    record.snoozedBy = null;
+                    changed = true;
+                }
+
+                record.category = issue.category;
+                record.title = issue.title;
+                record.severity = issue.severity;
+                record.list = list;
+                record.lastSeen = at;
+            });
+        });
+
+        records.forEach((record, key) => {
+            if (record.host !== host) return;
+            if (!record.resolvedAt && !seen.has(record.id)) {
+                record.resolvedAt = at;
+                addHistory(record, { at, action: 'resolved' });
+                changed = true;
+            } else if (record.resolvedAt && now - Date.parse(record.resolvedAt) > retention) {
+                records.delete(key);
+                changed = true;
+            }
+        });
+
+        if (changed) save();
+        return annotate(host, diagnostics, now);
+    }
+
+    // state: comma-separated list of open, acknowledged, snoozed, resolved;
+    // from/to (epoch ms) limit resolved issues by when they were resolved
+    function list(params = {}, now = Date.now()) {
+        const states = params.state ? String(params.state).split(',').map((state) => state.trim()) : null;
+        const unknown = (states || []).filter((state) => !STATES.includes(state));
+        if (unknown.length) {
+            throw new Error(`Unknown state "${unknown[0]}" (expected ${STATES.join(', ')})`);
+        }
+
+        return Array.from(records.values())
+            .filter((record) => !params.host || record.host === params.host)
+            .map((record) => present(record, now))
+            .filter((issue) => !states || states.includes(issue.state))
+            .filter((issue) => {
+                if (issue.state !== 'resolved') return true;
+                const resolved = Date.parse(issue.resolvedAt);
+                return (params.from === undefined || resolved >= params.from) &&
+                    (params.to === undefined || resolved <= params.to);
+            })
+            .sort((a, b) => (b.resolvedAt || b.openedAt).localeCompare(a.resolvedAt || a.openedAt));
+    }
+
+    function get(host, id, now = Date.now()) {
+        const record = records.get(recordKey(host, id));
+        return record ? present(record, now) : null;
+    }
+
+    function findActive(host, id) {
+        const record = records.get(recordKey(host, id));
+        if (!record) return { status: 404, error: 'Issue not found' };
+        if (record.resolvedAt) return { status: 409, error: 'Issue is already resolved' };
+        return { record };
+    }
+
+    function acknowledge(host, id, input = {}, now = Date.now()) {
+        const { record, status, error } = findActive(host, id);
+        if (error) return { status, error };
+        if (input.note !== undefined && input.note !== null && typeof input.note !== 'string') {
+            return { status: 400, error: 'note must be a string' };
+        }
+
+        const at = new Date(now).toISOString();
+        record.acknowledgedAt = at;
+        record.acknowledgedBy = input.by || null;
+        record.note = input.note ? input.note.slice(0, MAX_NOTE) : null;
+        addHistory(record, { at, action: 'acknowledged', by: record.acknowledgedBy, note: record.note });
+        save();
+        return { issue: present(record, now) };
+    }
+
+    function unacknowledge(host, id, input = {}, now = Date.now()) {
+        const { record, status, error } = findActive(host, id);
+        if (error) return { status, error };
+
+        record.acknowledgedAt = null;
+        record.acknowledgedBy = null;
+        record.note = null;
+        addHistory(record, { at: new Date(now).toISOString(), action: 'unacknowledged', by: input.by || null });
+        save();
+        return { issue: present(record, now) };
+    }
+
+    // until: epoch ms (from parseTime), at most MAX_SNOOZE ahead
+    function snooze(host, id, input = {}, now = Date.now()) {
+        const { record, status, error } = findActive(host, id);
+        if (error) return { status, error };
+        if (!Number.isFinite(input.until) || input.until <= now) {
+            return { status: 400, error: 'Snooze must end in the future' };
+        }
+        if (input.until - now > MAX_SNOOZE) {
+            return { status: 400, error: 'Issues can be snoozed for at most 90 days' };
+        }
+
+        record.snoozedUntil = new Date(input.until).toISOString();
+        record.snoozedBy = input.by || null;
+        addHistory(record, { at: new Date(now).toISOString(), action: 'snoozed', by: record.snoozedBy, until: record.snoozedUntil });
+        save();
+        return { issue: present(record, now) };
+    }
+
+    function unsnooze(host, id, input = {}, now = Date.now()) {
+        const { record, status, error } = findActive(host, id);
+        if (error) return { status, error };
+
+        record.snoozedUntil = null;
+        record.snoozedBy = null;
+        addHistory(record, { at: new Date(now).toISOString(), action: 'unsnoozed', by: input.by || null });
+        save();
+        return { issue: present(record, now) };
+    }
+
+    function removeHost(host) {
+        let changed = false;
+        records.forEach((record, key) => {
+            if (record.host === host) {
+                records.delete(key);
+                changed = true;
+            }
+        });
+        if (changed) save();
+    }
+
+    function flush() {
+        return writeQueue;
+    }
+
+    return {
+        load,
+        track,
+        annotate,
+        list,
+        get,
+        acknowledge,
+        unacknowledge,
+        snooze,
+        unsnooze,
+        removeHost,
+        flush
+    };
+}
+
+module.exports = {
+    createIssueStore,
+    issueId,
+    issueState
+};
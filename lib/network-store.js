@@ -0,0 +1,145 @@
+// Per-adapter network throughput
+// Collectors report cumulative sent/received totals per adapter; the store
+// turns consecutive samples into receive/transmit rates (bytes/s) and link
+// utilization, and keeps a short rate series per host and adapter for the
+// dashboard sparklines. A counter that goes backwards (adapter reset, driver
+// reload, reboot) or a gap longer than MAX_GAP yields no rate for that sample
+// and counting starts over. Adapters that disappear are kept for the history
+// period, then forgotten.
+const MB = 1024 * 1024;
+const MINUTE = 60 * 1000;
+const DEFAULT_HISTORY = 15 * MINUTE;
+const MAX_GAP = 5 * MINUTE;
+const MAX_ADAPTERS_PER_HOST = 64;
+
+function number(value) {
+    return typeof value === 'number' && Number.isFinite(value) ? value : null;
+}
+
+// Bytes per second between two counter readings (MB), or null
+function rate(previous, current, elapsed) {
+    if (previous === null || current === null || current < previous) return null;
+    return Math.round(((current - previous) * MB) / elapsed);
+}
+
+// Percentage of the link speed (Mbps) one direction uses
+function utilization(bytesPerSecond, linkSpeed) {
+    if (bytesPerSecond === null || !linkSpeed) return null;
+    return Math.round((bytesPerSecond * 8 * 1000) / (linkSpeed * 1e6)) / 10;
+}
+
+function createNetworkStore(options = {}) {
+    const historyPeriod = options.history || DEFAULT_HISTORY;
+    const hosts = new Map(); // host -> { updatedAt, adapters: Map name -> record }
+
+    function present(stored) {
+        return Object.assign({}, stored.latest, {
+            firstSeen: new Date(stored.firstSeen).toISOString(),
+            lastSeen: new Date(stored.lastSeen).toISOString(),
+            goneAt: stored.goneAt ? new Date(stored.goneAt).toISOString() : null
+        });
+    }
+
+    // Applies one adapter list of a host; returns the adapters with rxBps, txBps,
+    // rxUtilization and txUtilization added (null until there are two readings)
+    function record(host, adapters, now = Date.now()) {
+        if (!Array.isArray(adapters)) return adapters;
+
+        let entry = hosts.get(host);
+        if (!entry) {
+            entry = { updatedAt: now, adapters: new Map() };
+            hosts.set(host, entry);
+        }
+        entry.updatedAt = now;
+
+        const seen = new Set();
+        const result = adapters.map((adapter) => {
+            if (!adapter || typeof adapter !== 'object' || typeof adapter.name !== 'string') return adapter;
+
+            const received = number(adapter.receivedMB);
+            const sent = number(adapter.sentMB);
+            const linkSpeed = number(adapter.linkSpeed) || 0;
+            let stored = entry.adapters.get(adapter.name);
+            if (!stored && entry.adapters.size >= MAX_ADAPTERS_PER_HOST) return adapter;
+            seen.add(adapter.name);
+
+            const elapsed = stored ? (now - stored.lastSeen) / 1000 : 0;
+            const counting = stored && !stored.goneAt && elapsed > 0 && elapsed * 1000 <= MAX_GAP;
+            const rxBps = counting ? rate(stored.receivedMB, received, elapsed) : null;
+            const txBps = counting ? rate(stored.sentMB, sent, elapsed) : null;
+            const enriched = Object.assign({}, adapter, {
+                rxBps,
+                txBps,
+                rxUtilization: utilization(rxBps, linkSpeed),
+                txUtilization: utilization(txBps, linkSpeed)
+            });
+
+            if (!stored) {
+                stored = { firstSeen: now, samples: [] };
+                entry.adapters.set(adapter.name, stored);
+            }
+            // A repeated sample (same time) keeps the earlier reading to count from
+            if (!stored.lastSeen || elapsed > 0 || stored.goneAt) {
+                stored.receivedMB = received;
+                stored.sentMB = sent;
+                stored.lastSeen = now;
+            }
+            stored.goneAt = null;
+            stored.latest = {
+                name: adapter.name,
+                status: adapter.status,
+                linkSpeed,
+                interfaceDescription: adapter.interfaceDescription,
+                receivedMB: received,
+                sentMB: sent,
+                rxBps,
+                txBps,
+                rxUtilization: enriched.rxUtilization,
+                txUtilization: enriched.txUtilization
+            };
+            if (rxBps !== null || txBps !== null) stored.samples.push([now, rxBps, txBps]);
+            while (stored.samples.length && stored.samples[0][0] < now - historyPeriod) stored.samples.shift();
+            return enriched;
+        });
+
+        entry.adapters.forEach((stored, name) => {
+            if (seen.has(name)) return;
+            if (!stored.goneAt) stored.goneAt = now;
+            else if (stored.goneAt < now - historyPeriod) entry.adapters.delete(name);
+        });
+        return result;
+    }
+
+    // Adapters of a host, current ones first, with their rate samples since from (epoch ms)
+    function history(host, params = {}) {
+        const entry = hosts.get(host);
+        if (!entry) return null;
+
+        const from = params.from || 0;
+        const adapters = Array.from(entry.adapters.values())
+            .sort((a, b) => (a.goneAt ? 1 : 0) - (b.goneAt ? 1 : 0) || a.latest.name.localeCompare(b.latest.name))
+            .map((stored) => Object.assign(present(stored), {
+                samples: stored.samples
+                    .filter((sample) => sample[0] >= from)
+                    .map(([t, rxBps, txBps]) => ({ timestamp: new Date(t).toISOString(), rxBps, txBps }))
+            }));
+        return {
+            updatedAt: new Date(entry.updatedAt).toISOString(),
+            adapters
+        };
+    }
+
+    function removeHost(host) {
+        hosts.delete(host);
+    }
+
+    return {
+        record,
+        history,
+        removeHost
+    };
+}
+
+module.exports = {
+    createNetworkStore
+};
@@ -0,0 +1,282 @@
+// Diagnostics check plugins
+// Every .js file directly in <dir> is a plugin exporting one check or an array of checks:
+//   module.exports = {
+//       id: 'vpn-service',      // unique; letters, digits, ".", "_" or "-"
+//       category: 'Network',    // default category of its issues
+//       description: 'The VPN client service is running',
+//       interval: '5m',         // how often it runs (default 5m, at least 10s)
+//       timeout: '30s',         // default 30s
+//       run: async (context) => [{ severity, title, description, recommendation }]
+//   };
+// run gets { host, metrics (the latest sample or null), timeout } and returns
+// the issues it found in the diagnostics shape; Critical and High ones join the
+// diagnostics `issues`, Medium and Low ones the `warnings`. Checks run on a
+// scheduler of their own (no overlap, timeouts, backoff after failures). A
+// check that throws, times out or returns something else keeps its last
+// results and shows up as a "Plugin Check Failed" warning, as does a file that
+// fails to load. A check that blocks the event loop can't be stopped.
+const fs = require('fs');
+const path = require('path');
+const { createCollectorStats } = require('./collector-stats');
+const { createScheduler } = require('./scheduler');
+const { parseDuration } = require('./time');
+const { formatTimestamp } = require('./collectors/format');
+
+const ID_PATTERN = /^[A-Za-z0-9_.-]{1,64}$/;
+const SEVERITIES = ['Critical', 'High', 'Medium', 'Low'];
+const ISSUE_SEVERITIES = ['Critical', 'High']; // the rest are warnings
+const DEFAULT_INTERVAL = 5 * 60 * 1000;
+const MIN_INTERVAL = 10 * 1000;
+const DEFAULT_TIMEOUT = 30 * 1000;
+const MAX_ISSUES = 50;
+const MAX_TITLE = 200;
+const MAX_TEXT = 2000;
+
+function text(value, max = MAX_TEXT) {
+    return typeof value === 'string' ? value.slice(0, max) : '';
+}
+
+// Validates a check exported by a plugin file; returns { errors } or { check }
+function validateCheck(raw, file) {
+    if (!raw || typeof raw !== 'object') {
+        return { errors: ['a check must be an object'] };
+    }
+
+    const errors = [];
+    if (typeof raw.id !== 'string' || !ID_PATTERN.test(raw.id)) {
+        errors.push('id must be 1-64 letters, digits, ".", "_" or "-"');
+    }
+    if (typeof raw.category !== 'string' || !raw.category.trim()) {
+        errors.push('category must be a non-empty string');
+    }
+    if (typeof raw.run !== 'function') {
+        errors.push('run must be a function');
+    }
+    const interval = raw.interval === undefined ? DEFAULT_INTERVAL : parseDuration(raw.interval);
+    if (interval === null || interval < MIN_INTERVAL) {
+        errors.push(`interval must be a duration of at least ${MIN_INTERVAL / 1000}s, such as "5m"`);
+    }
+    const timeout = raw.timeout === undefined ? DEFAULT_TIMEOUT : parseDuration(raw.timeout);
+    if (!timeout) {
+        errors.push('timeout must be a duration such as "30s"');
+    }
+    if (errors.length) return { errors };
+
+    return {
+        check: {
+            id: raw.id,
+            category: raw.category.trim(),
+            description: text(raw.description),
+            interval,
+            timeout,
+            run: raw.run,
+            file
+        }
+    };
+}
+
+// One issue from a check, in the diagnostics shape; throws when it isn't one
+function normalizeIssue(check, raw, now) {
+    if (!raw || typeof raw !== 'object') throw new Error('issues must be objects');
+    if (typeof raw.title !== 'string' || !raw.title.trim()) throw new Error('every issue needs a title');
+    if (raw.severity !== undefined && !SEVERITIES.includes(raw.severity)) {
+        throw new Error(`severity must be one of ${SEVERITIES.join(', ')}`);
+    }
+
+    const issue = {
+        category: text(raw.category, MAX_TITLE).trim() || check.category,
+        severity: raw.severity || 'Medium',
+        title: raw.title.trim().slice(0, MAX_TITLE),
+        description: text(raw.description),
+        recommendation: text(raw.recommendation),
+        plugin: check.id,
+        timestamp: formatTimestamp(now)
+    };
+    if (typeof raw.subject === 'string') issue.subject = raw.subject.slice(0, MAX_TITLE);
+    return issue;
+}
+
+function failureWarning(title, subject, description, now) {
+    return {
+        category: 'Plugin',
+        severity: 'Low',
+        title: `${title}: ${subject}`,
+        subject,
+        description,
+        recommendation: 'Fix the plugin, then reload the plugins or restart',
+        timestamp: formatTimestamp(now)
+    };
+}
+
+function createPluginManager(options = {}) {
+    const dir = options.dir;
+    const host = options.host || null;
+    const metrics = options.metrics || (() => null);
+    let checks = new Map(); // id -> { check, results, error, failedAt }
+    let loadErrors = []; // { file, error }
+    let scheduler = null;
+    let started = false;
+
+    async function runCheck(check, context) {
+        const found = await check.run(Object.assign({ host, metrics: metrics() }, context));
+        if (found === undefined || found === null) return { issues: [] };
+        if (!Array.isArray(found)) throw new Error('run must return an array of issues');
+        if (found.length > MAX_ISSUES) throw new Error(`run returned more than ${MAX_ISSUES} issues`);
+
+        const now = new Date();
+        return { issues: found.map((issue) => normalizeIssue(check, issue, now)) };
+    }
+
+    // state is the check as loaded when it ran, so a run that outlives a reload changes nothing
+    function onResult(state, result) {
+        if (result && result.error) {
+            state.error = result.error;
+            state.failedAt = new Date();
+            console.error(`Plugin check ${state.check.id} failed:`, result.error);
+        } else {
+            state.results = result.issues;
+            state.error = null;
+            state.failedAt = null;
+        }
+    }
+
+    function loadFile(file) {
+        const full = path.join(dir, file);
+        delete require.cache[require.resolve(full)];
+        const exported = require(full);
+        const list = Array.isArray(exported) ? exported : [exported];
+        if (list.length === 0) throw new Error('the file exports no checks');
+
+        list.forEach((raw, index) => {
+            const where = list.length > 1 ? `check ${index + 1}: ` : '';
+            const result = validateCheck(raw, file);
+            if (result.errors) {
+                throw new Error(`${where}${result.errors.join('; ')}`);
+            }
+            if (checks.has(result.check.id)) {
+                throw new Error(`${where}id "${result.check.id}" is already used by ${checks.get(result.check.id).check.file}`);
+            }
+            checks.set(result.check.id, { check: result.check, results: [], error: null, failedAt: null });
+        });
+    }
+
+    // (Re)loads every plugin file; a file that fails to load adds none of its checks
+    async function load() {
+        if (scheduler) scheduler.stop();
+        checks = new Map();
+        loadErrors = [];
+        scheduler = createScheduler({ stats: createCollectorStats(), kind: 'check' });
+
+        let files = [];
+        try {
+            files = (await fs.promises.readdir(dir)).filter((file) => file.endsWith('.js')).sort();
+        } catch (error) {
+            if (error.code !== 'ENOENT') throw error;
+        }
+
+        files.forEach((file) => {
+            const before = new Set(checks.keys());
+            try {
+                loadFile(file);
+            } catch (error) {
+                checks.forEach((state, id) => {
+                    if (!before.has(id)) checks.delete(id);
+                });
+                loadErrors.push({ file, error: error.message });
+                console.error(`Error loading plugin ${file}:`, error.message);
+            }
+        });
+
+        checks.forEach((state) => {
+            const check = state.check;
+            scheduler.add(check.id, {
+                interval: check.interval,
+                timeout: check.timeout,
+                task: (context) => runCheck(check, context),
+                onResult: (result) => onResult(state, result)
+            });
+        });
+        if (started) scheduler.start();
+        return list();
+    }
+
+    function start() {
+        started = true;
+        if (scheduler) scheduler.start();
+    }
+
+    function stop() {
+        started = false;
+        if (scheduler) scheduler.stop();
+    }
+
+    // Runs one check now; resolves with its result
+    function run(id) {
+        if (!checks.has(id)) return Promise.resolve(null);
+        return scheduler.run(id);
+    }
+
+    // Current results of every check plus a warning per failing check or file
+    function issues(now = new Date()) {
+        const found = [];
+        checks.forEach((state) => {
+            found.push(...state.results);
+            if (state.error) {
+                found.push(Object.assign(
+                    failureWarning('Plugin Check Failed', state.check.id, `${state.check.file}: ${state.error}`, state.failedAt || now),
+                    { plugin: state.check.id }
+                ));
+            }
+        });
+        loadErrors.forEach(({ file, error }) => {
+            found.push(failureWarning('Plugin Failed to Load', file, error, now));
+        });
+        return found;
+    }
+
+    // Adds the plugin results to a diagnostics payload
+    function apply(diagnostics) {
+        const found = issues();
+        if (found.length === 0) return diagnostics;
+
+        diagnostics.issues = (diagnostics.issues || []).concat(found.filter((issue) => ISSUE_SEVERITIES.includes(issue.severity)));
+        diagnostics.warnings = (diagnostics.warnings || []).concat(found.filter((issue) => !ISSUE_SEVERITIES.includes(issue.severity)));
+        diagnostics.summary = Object.assign({ critical: 0, high: 0, medium: 0, low: 0 }, diagnostics.summary);
+        found.forEach((issue) => {
+            diagnostics.summary[issue.severity.toLowerCase()]++;
+        });
+        diagnostics.totalIssues = (diagnostics.totalIssues || 0) + found.length;
+        return diagnostics;
+    }
+
+    // Every loaded check with its schedule, run stats and current results, plus the files that failed
+    function list() {
+        const stats = scheduler ? scheduler.snapshot() : {};
+        return {
+            dir,
+            checks: Array.from(checks.values()).map((state) => Object.assign({
+                id: state.check.id,
+                file: state.check.file,
+                category: state.check.category,
+                description: state.check.description,
+                issues: state.results,
+                error: state.error
+            }, stats[state.check.id])),
+            errors: loadErrors
+        };
+    }
+
+    return {
+        load,
+        start,
+        stop,
+        run,
+        issues,
+        apply,
+        list
+    };
+}
+
+module.exports = {
+    createPluginManager
+};
@@ -0,0 +1,188 @@
+// Per-user preferences
+// Each user's dashboard layout - which cards are shown in what order, which
+// metric each chart draws, how and over which time window, and the time range
+// the charts follow by default - is kept on the server so it follows the user
+// from browser to browser. Users who never saved one get DEFAULT_DASHBOARD.
+// Saved to <file>.
+const fs = require('fs');
+const path = require('path');
+
+// Fixed dashboard sections; each appears at most once, under its own id
+const PANELS = ['uptime', 'network', 'disks', 'processes', 'diagnostics', 'eventlogs'];
+const CHART_TYPES = ['line', 'area', 'bar'];
+const TIME_RANGES = ['live', '15m', '1h', '6h', '24h', '7d'];
+const WINDOWS = ['default'].concat(TIME_RANGES); // default: follow the dashboard time range
+const SIZES = ['small', 'wide'];
+const MAX_CARDS = 40;
+const MAX_TITLE = 60;
+const CARD_ID_PATTERN = /^[A-Za-z0-9_-]{1,40}$/;
+const METRIC_PATTERN = /^[^\u0000-\u001f]{1,200}$/; // flattened history keys, e.g. "disks.C:.activity"
+
+const DEFAULT_DASHBOARD = {
+    timeRange: 'live',
+    cards: [
+        { id: 'cpu', type: 'chart', title: 'CPU Usage', metric: 'cpu', chart: 'area', window: 'default', size: 'small', hidden: false },
+        { id: 'memory', type: 'chart', title: 'Memory Usage', metric: 'memory.percent', chart: 'area', window: 'default', size: 'small', hidden: false }
+    ].concat(PANELS.map((panel) => ({ id: panel, type: panel, hidden: false })))
+};
+
+function clone(value) {
+    return JSON.parse(JSON.stringify(value));
+}
+
+function oneOf(value, allowed, fallback) {
+    return value === undefined ? fallback : (allowed.includes(value) ? value : null);
+}
+
+// Validates a dashboard from a client; returns { errors } or { dashboard } with unknown fields dropped
+function validateDashboard(input) {
+    const errors = [];
+    if (!input || typeof input !== 'object' || Array.isArray(input)) {
+        return { errors: ['dashboard must be an object'] };
+    }
+
+    const timeRange = oneOf(input.timeRange, TIME_RANGES, 'live');
+    if (timeRange === null) errors.push(`timeRange must be one of ${TIME_RANGES.join(', ')}`);
+
+    if (!Array.isArray(input.cards)) {
+        return { errors: errors.concat('cards must be an array') };
+    }
+    if (input.cards.length > MAX_CARDS) {
+        errors.push(`At most ${MAX_CARDS} cards`);
+    }
+
+    const ids = new Set();
+    const cards = input.cards.slice(0, MAX_CARDS).map((card, index) => {
+        const where = `cards[${index}]`;
+        if (!card || typeof card !== 'object') {
+            errors.push(`${where} must be an object`);
+            return null;
+        }
+        if (typeof card.id !== 'string' || !CARD_ID_PATTERN.test(card.id)) {
+            errors.push(`${where}.id must be 1-40 letters, digits, "_" or "-"`);
+        } else if (ids.has(card.id)) {
+            errors.push(`${where}.id "${card.id}" is used twice`);
+        }
+        ids.add(card.id);
+        const hidden = Boolean(card.hidden);
+
+        if (PANELS.includes(card.type)) {
+            if (card.id !== card.type) errors.push(`${where}.id must be "${card.type}" for a ${card.type} card`);
+            return { id: card.id, type: card.type, hidden };
+        }
+        if (card.type !== 'chart') {
+            errors.push(`${where}.type must be chart or one of ${PANELS.join(', ')}`);
+            return null;
+        }
+
+        const chart = {
+            id: card.id,
+            type: 'chart',
+            title: card.title === undefined ? '' : card.title,
+            metric: card.metric,
+            chart: oneOf(card.chart, CHART_TYPES, 'line'),
+            window: oneOf(card.window, WINDOWS, 'default'),
+            size: oneOf(card.size, SIZES, 'small'),
+            hidden
+        };
+        if (typeof chart.title !== 'string' || chart.title.length > MAX_TITLE) {
+            errors.push(`${where}.title must be a string of at most ${MAX_TITLE} characters`);
+        }
+        if (typeof chart.metric !== 'string' || !METRIC_PATTERN.test(chart.metric)) {
+            errors.push(`${where}.metric must be a metric key such as cpu or disks.C:.activity`);
+        }
+        if (chart.chart === null) errors.push(`${where}.chart must be one of ${CHART_TYPES.join(', ')}`);
+        if (chart.window === null) errors.push(`${where}.window must be one of ${WINDOWS.join(', ')}`);
+        if (chart.size === null) errors.push(`${where}.size must be one of ${SIZES.join(', ')}`);
+        return chart;
+    });
+
+    return errors.length ? { errors } : { dashboard: { timeRange, cards } };
+}
+
+// Panels added since the layout was saved show up at the end
+function withAllPanels(dashboard) {
+    const result = clone(dashboard);
+    PANELS.forEach((panel) => {
+        if (!result.cards.some((card) => card.type === panel)) {
+            result.cards.push({ id: panel, type: panel, hidden: false });
+        }
+    });
+    return result;
+}
+
+function createPreferenceStore(options = {}) {
+    const file = options.file;
+    const users = new Map(); // username -> { dashboard, updatedAt }
+    let writeQueue = Promise.resolve();
+
+    function save() {
+        const data = {};
+        users.forEach((preferences, username) => {
+            data[username] = preferences;
+        });
+
+        const json = JSON.stringify(data, null, 2);
+        writeQueue = writeQueue
+            .then(async () => {
+                await fs.promises.mkdir(path.dirname(file), { recursive: true });
+                const tmp = `${file}.tmp`;
+                await fs.promises.writeFile(tmp, json);
+                await fs.promises.rename(tmp, file);
+            })
+            .catch((error) => console.error('Error saving preferences:', error.message));
+        return writeQueue;
+    }
+
+    async function load() {
+        try {
+            const stored = JSON.parse(await fs.promises.readFile(file, 'utf8'));
+            Object.keys(stored).forEach((username) => users.set(username, stored[username]));
+        } catch (error) {
+            if (error.code !== 'ENOENT') throw error;
+        }
+    }
+
+    function get(username) {
+        const stored = users.get(username);
+        return {
+            dashboard: withAllPanels(stored ? stored.dashboard : DEFAULT_DASHBOARD),
+            customized: Boolean(stored),
+            updatedAt: stored ? stored.updatedAt : null
+        };
+    }
+
+    // input: { dashboard }
+    function set(username, input) {
+        const result = validateDashboard((input || {}).dashboard);
+        if (result.errors) return { errors: result.errors };
+
+        users.set(username, { dashboard: result.dashboard, updatedAt: new Date().toISOString() });
+        save();
+        return { preferences: get(username) };
+    }
+
+    // Back to the default dashboard
+    function reset(username) {
+        removeUser(username);
+        return get(username);
+    }
+
+    function removeUser(username) {
+        if (users.delete(username)) save();
+    }
+
+    return {
+        load,
+        get,
+        set,
+        reset,
+        removeUser
+    };
+}
+
+module.exports = {
+    DEFAULT_DASHBOARD,
+    createPreferenceStore,
+    validateDashboard
+};
@@ -0,0 +1,149 @@
+// Recurring-problem grouping
+// Events are fingerprinted by source, provider, event ID and a message
+// template (GUIDs, hex codes, times, paths and numbers replaced by
+// placeholders), so repeats of the same problem land in one group. Groups
+// carry first/last seen, occurrence counts, a 24 h trend and the diagnostics
+// issues of the same category.
+const crypto = require('crypto');
+
+const HOUR = 60 * 60 * 1000;
+const DAY = 24 * HOUR;
+const TREND_DAYS = 7;
+const LEVEL_RANK = { Critical: 3, Error: 2, Warning: 1 };
+
+// Event and diagnostics collectors don't always use the same category names
+const CATEGORY_ALIASES = {
+    storage: 'disk',
+    drivers: 'driver',
+    services: 'service',
+    windowsupdates: 'windowsupdate'
+};
+
+const TEMPLATE_RULES = [
+    [/\{?[0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{12}\}?/gi, '<guid>'],
+    [/\b0x[0-9a-f]+\b/gi, '<hex>'],
+    [/\b\d{4}-\d{2}-\d{2}(?:[T ]\d{2}:\d{2}(?::\d{2}(?:\.\d+)?)?Z?)?/g, '<time>'],
+    [/\b\d{1,2}:\d{2}(?::\d{2})?\b/g, '<time>'],
+    [/\b[a-z]:\\[^\s'",;]*/gi, '<path>'],
+    [/(^|[\s'"(=])\/[^\s'",;)]+/g, '$1<path>'],
+    [/\b\d+(?:\.\d+)*\b/g, '<n>'],
+    [/\s+/g, ' ']
+];
+
+function messageTemplate(message) {
+    let template = String(message || '').slice(0, 500);
+    TEMPLATE_RULES.forEach(([pattern, replacement]) => {
+        template = template.replace(pattern, replacement);
+    });
+    return template.trim().slice(0, 300);
+}
+
+function fingerprintEvent(event) {
+    return crypto.createHash('sha1')
+        .update([event.source, event.provider, event.id, messageTemplate(event.message)].join('\u0000'))
+        .digest('hex')
+        .slice(0, 12);
+}
+
+function normalizeCategory(category) {
+    const key = String(category || '').toLowerCase();
+    return CATEGORY_ALIASES[key] || key;
+}
+
+function trendDirection(group) {
+    if (group.firstSeen > group.now - DAY) return 'new';
+    const { last24h, previous24h } = group.trend;
+    if (last24h >= 2 && last24h > previous24h * 1.5) return 'rising';
+    if (previous24h >= 2 && last24h < previous24h / 1.5) return 'falling';
+    return 'steady';
+}
+
+// Diagnostics issues and warnings whose category matches the group's
+function relatedIssues(diagnostics, category) {
+    if (!diagnostics || !category) return [];
+    const wanted = normalizeCategory(category);
+    return (diagnostics.issues || []).concat(diagnostics.warnings || [])
+        .filter((issue) => issue && normalizeCategory(issue.category) === wanted)
+        .map((issue) => ({ title: issue.title, severity: issue.severity, category: issue.category }));
+}
+
+// entries: stored events ({ t, h, e, f }) newest first; diagnosticsFor(host) returns a host's latest diagnostics
+function groupProblems(entries, options = {}) {
+    const now = options.now || Date.now();
+    const diagnosticsFor = options.diagnosticsFor || (() => null);
+    const groups = new Map();
+
+    entries.forEach((entry) => {
+        let group = groups.get(entry.f);
+        if (!group) {
+            group = {
+                fingerprint: entry.f,
+                now,
+                source: entry.e.source,
+                provider: entry.e.provider,
+                eventId: entry.e.id,
+                category: entry.e.category,
+                level: entry.e.level,
+                template: messageTemplate(entry.e.message),
+                sampleMessage: entry.e.message,
+                hosts: new Set(),
+                count: 0,
+                firstSeen: entry.t,
+                lastSeen: entry.t,
+                trend: { last24h: 0, previous24h: 0 },
+                daily: new Array(TREND_DAYS).fill(0)
+            };
+            groups.set(entry.f, group);
+        }
+
+        group.count++;
+        group.hosts.add(entry.h);
+        group.firstSeen = Math.min(group.firstSeen, entry.t);
+        group.lastSeen = Math.max(group.lastSeen, entry.t);
+        if ((LEVEL_RANK[entry.e.level] || 0) > (LEVEL_RANK[group.level] || 0)) {
+            group.level = entry.e.level;
+        }
+
+        const age = now - entry.t;
+        if (age < DAY) group.trend.last24h++;
+        else if (age < 2 * DAY) group.trend.previous24h++;
+
+        const day = Math.floor(age / DAY);
+        if (day >= 0 && day < TREND_DAYS) group.daily[TREND_DAYS - 1 - day]++;
+    });
+
+    return Array.from(groups.values()).map((group) => {
+        const hostIds = Array.from(group.hosts);
+        const related = [];
+        hostIds.forEach((host) => {
+            relatedIssues(diagnosticsFor(host), group.category).forEach((issue) => {
+                related.push(Object.assign({ host }, issue));
+            });
+        });
+
+        return {
+            fingerprint: group.fingerprint,
+            source: group.source,
+            provider: group.provider,
+            eventId: group.eventId,
+            category: group.category,
+            level: group.level,
+            template: group.template,
+            sampleMessage: group.sampleMessage,
+            hosts: hostIds,
+            count: group.count,
+            firstSeen: new Date(group.firstSeen).toISOString(),
+            lastSeen: new Date(group.lastSeen).toISOString(),
+            trend: Object.assign({ direction: trendDirection(group) }, group.trend),
+            daily: group.daily,
+            relatedIssues: related
+        };
+    });
+}
+
+module.exports = {
+    fingerprintEvent,
+    messageTemplate,
+    groupProblems,
+    relatedIssues
+};
@@ -0,0 +1,276 @@
+// Per-process history
+// Collectors report every process; the store keeps a short CPU / memory / I/O
+// time series per host and process, keyed by PID plus start time so a reused
+// PID starts a new series. Processes that exit are kept (and marked) for the
+// history period, then forgotten. The list view sorts, filters and can nest
+// processes under their parents.
+const { parseTimestamp } = require('./collectors/format');
+
+const MINUTE = 60 * 1000;
+const DEFAULT_HISTORY = 15 * MINUTE;
+const DEFAULT_LIMIT = 100;
+const MAX_LIMIT = 1000;
+const MAX_PROCESSES_PER_HOST = 5000;
+const TOP_PROCESSES = 10;
+
+const SORT_FIELDS = {
+    cpu: (proc) => proc.cpu,
+    memory: (proc) => proc.memory,
+    io: (proc) => proc.ioMBps,
+    handles: (proc) => proc.handles,
+    threads: (proc) => proc.threads,
+    pid: (proc) => proc.pid,
+    name: (proc) => String(proc.name || '').toLowerCase()
+};
+
+function number(value) {
+    return typeof value === 'number' && Number.isFinite(value) ? value : null;
+}
+
+function processKey(proc) {
+    return `${proc.pid}-${proc.startTime || ''}`;
+}
+
+// The busiest processes - what metrics payloads, history and Prometheus carry
+function topProcesses(processes, count = TOP_PROCESSES) {
+    return processes
+        .slice()
+        .sort((a, b) => ((b.cpu || 0) - (a.cpu || 0)) || ((b.memory || 0) - (a.memory || 0)))
+        .slice(0, count);
+}
+
+function compareBy(field, order) {
+    const read = SORT_FIELDS[field];
+    const direction = order === 'asc' ? 1 : -1;
+    return (a, b) => {
+        const x = read(a);
+        const y = read(b);
+        if (x === y) return a.pid - b.pid;
+        if (x === null || x === undefined) return 1;
+        if (y === null || y === undefined) return -1;
+        return (x < y ? -1 : 1) * direction;
+    };
+}
+
+function createProcessStore(options = {}) {
+    const historyPeriod = options.history || DEFAULT_HISTORY;
+    const hosts = new Map(); // host -> { updatedAt, records: Map key -> record }
+
+    function present(record) {
+        return Object.assign({}, record.latest, {
+            firstSeen: new Date(record.firstSeen).toISOString(),
+            lastSeen: new Date(record.lastSeen).toISOString(),
+            exitedAt: record.exitedAt ? new Date(record.exitedAt).toISOString() : null
+        });
+    }
+
+    // Applies one full process list of a host
+    function record(host, processes, now = Date.now()) {
+        if (!Array.isArray(processes)) return;
+
+        let entry = hosts.get(host);
+        if (!entry) {
+            entry = { updatedAt: now, records: new Map() };
+            hosts.set(host, entry);
+        }
+        entry.updatedAt = now;
+
+        const seen = new Set();
+        processes.forEach((proc) => {
+            if (!proc || typeof proc !== 'object' || !Number.isInteger(proc.pid)) return;
+
+            const latest = {
+                pid: proc.pid,
+                ppid: Number.isInteger(proc.ppid) ? proc.ppid : null,
+                name: String(proc.name || ''),
+                cpu: number(proc.cpu) || 0,
+                memory: number(proc.memory) || 0,
+                ioMBps: number(proc.ioMBps),
+                handles: number(proc.handles),
+                threads: number(proc.threads),
+                startTime: typeof proc.startTime === 'string' ? proc.startTime : null
+            };
+            const key = processKey(latest);
+            seen.add(key);
+
+            let stored = entry.records.get(key);
+            if (!stored) {
+                stored = { latest, firstSeen: now, lastSeen: now, exitedAt: null, samples: [] };
+                entry.records.set(key, stored);
+            }
+            stored.latest = latest;
+            stored.lastSeen = now;
+            stored.exitedAt = null;
+            stored.samples.push([now, latest.cpu, latest.memory, latest.ioMBps]);
+            while (stored.samples.length && stored.samples[0][0] < now - historyPeriod) stored.samples.shift();
+        });
+
+        entry.records.forEach((stored, key) => {
+            if (seen.has(key)) return;
+            if (!stored.exitedAt) stored.exitedAt = now;
+            else if (stored.exitedAt < now - historyPeriod) entry.records.delete(key);
+        });
+
+        // A host churning through short-lived processes forgets the oldest exited ones first
+        if (entry.records.size > MAX_PROCESSES_PER_HOST) {
+            Array.from(entry.records.entries())
+                .filter(([, stored]) => stored.exitedAt)
+                .sort((a, b) => a[1].exitedAt - b[1].exitedAt)
+                .slice(0, entry.records.size - MAX_PROCESSES_PER_HOST)
+                .forEach(([key]) => entry.records.delete(key));
+        }
+    }
+
+    function running(host) {
+        const entry = hosts.get(host);
+        if (!entry) return [];
+        return Array.from(entry.records.values()).filter((stored) => !stored.exitedAt);
+    }
+
+    // A process's parent is the running process with its ppid that started no
+    // later than it did (otherwise the PID was reused); loops are broken
+    function parentMap(records) {
+        const byPid = new Map(records.map((stored) => [stored.latest.pid, stored]));
+        const parents = new Map();
+        records.forEach((stored) => {
+            const parent = byPid.get(stored.latest.ppid);
+            if (!parent || parent === stored) return;
+            const parentStart = parseTimestamp(parent.latest.startTime);
+            const childStart = parseTimestamp(stored.latest.startTime);
+            if (parentStart && childStart && parentStart > childStart) return;
+            parents.set(stored, parent);
+        });
+
+        parents.forEach((parent, stored) => {
+            const visited = new Set([stored]);
+            let node = parent;
+            while (node) {
+                if (visited.has(node)) {
+                    parents.delete(stored);
+                    return;
+                }
+                visited.add(node);
+                node = parents.get(node);
+            }
+        });
+        return parents;
+    }
+
+    // sort: cpu (default), memory, io, handles, threads, pid, name; order: asc/desc;
+    // q matches the name or PID; minCpu/minMemory; tree nests processes under
+    // their parents (ancestors of a match are included) and ignores limit
+    function list(host, params = {}) {
+        const sort = params.sort || 'cpu';
+        if (!SORT_FIELDS[sort]) {
+            throw new Error(`Unknown sort "${sort}" (expected ${Object.keys(SORT_FIELDS).join(', ')})`);
+        }
+        const order = params.order || (sort === 'name' || sort === 'pid' ? 'asc' : 'desc');
+        if (order !== 'asc' && order !== 'desc') {
+            throw new Error('order must be asc or desc');
+        }
+        const limit = Math.min(Math.max(Number(params.limit) || DEFAULT_LIMIT, 1), MAX_LIMIT);
+        const q = String(params.q || '').trim().toLowerCase();
+        const minCpu = Number(params.minCpu) || 0;
+        const minMemory = Number(params.minMemory) || 0;
+
+        const records = running(host);
+        const matches = (stored) => {
+            const proc = stored.latest;
+            if (q && !proc.name.toLowerCase().includes(q) && String(proc.pid) !== q) return false;
+            return proc.cpu >= minCpu && proc.memory >= minMemory;
+        };
+        const compare = compareBy(sort, order);
+        const matching = records.filter(matches);
+        const entry = hosts.get(host);
+        const result = {
+            total: records.length,
+            matching: matching.length,
+            updatedAt: entry ? new Date(entry.updatedAt).toISOString() : null
+        };
+
+        if (!params.tree) {
+            const processes = matching.map(present).sort(compare).slice(0, limit);
+            return Object.assign({ processes, count: processes.length }, result);
+        }
+
+        const parents = parentMap(records);
+        const included = new Set();
+        matching.forEach((stored) => {
+            let node = stored;
+            while (node && !included.has(node)) {
+                included.add(node);
+                node = parents.get(node);
+            }
+        });
+
+        const nodes = new Map();
+        included.forEach((stored) => {
+            nodes.set(stored, Object.assign(present(stored), { match: matches(stored), children: [] }));
+        });
+        const roots = [];
+        included.forEach((stored) => {
+            const parent = parents.get(stored);
+            if (parent && nodes.has(parent)) nodes.get(parent).children.push(nodes.get(stored));
+            else roots.push(nodes.get(stored));
+        });
+        const sortTree = (items) => {
+            items.sort(compare);
+            items.forEach((item) => sortTree(item.children));
+            return items;
+        };
+
+        return Object.assign({ processes: sortTree(roots), count: included.size }, result);
+    }
+
+    // The latest sample of a running process
+    function get(host, pid) {
+        const stored = running(host).find((candidate) => candidate.latest.pid === pid);
+        return stored ? present(stored) : null;
+    }
+
+    // Samples of one process; startTime picks an instance when the PID was reused,
+    // otherwise the running one (or the one that exited last). from: epoch ms
+    function history(host, pid, params = {}) {
+        const entry = hosts.get(host);
+        if (!entry) return null;
+
+        const candidates = Array.from(entry.records.values())
+            .filter((stored) => stored.latest.pid === pid)
+            .filter((stored) => !params.startTime || stored.latest.startTime === params.startTime)
+            .sort((a, b) => (a.exitedAt ? 1 : 0) - (b.exitedAt ? 1 : 0) || b.lastSeen - a.lastSeen);
+        const stored = candidates[0];
+        if (!stored) return null;
+
+        const records = running(host);
+        const parents = parentMap(stored.exitedAt ? records.concat(stored) : records);
+        const parent = parents.get(stored);
+        const children = records.filter((child) => parents.get(child) === stored);
+        const from = params.from || 0;
+
+        return {
+            process: present(stored),
+            parent: parent ? { pid: parent.latest.pid, name: parent.latest.name } : null,
+            children: children.map((child) => ({ pid: child.latest.pid, name: child.latest.name })),
+            samples: stored.samples
+                .filter((sample) => sample[0] >= from)
+                .map(([t, cpu, memory, ioMBps]) => ({ timestamp: new Date(t).toISOString(), cpu, memory, ioMBps }))
+        };
+    }
+
+    function removeHost(host) {
+        hosts.delete(host);
+    }
+
+    return {
+        record,
+        list,
+        get,
+        history,
+        removeHost
+    };
+}
+
+module.exports = {
+    createProcessStore,
+    topProcesses
+};
@@ -0,0 +1,174 @@
+// Prometheus / OpenMetrics text exposition of the latest collected data
+const PREFIX = 'win11_monitor_';
+const MB = 1024 * 1024;
+const GB = 1024 * 1024 * 1024;
+
+const OPENMETRICS_CONTENT_TYPE = 'application/openmetrics-text; version=1.0.0; charset=utf-8';
+const PROMETHEUS_CONTENT_TYPE = 'text/plain; version=0.0.4; charset=utf-8';
+
+function escapeLabelValue(value) {
+    return String(value).replace(/\\/g, '\\\\').replace(/"/g, '\\"').replace(/\n/g, '\\n');
+}
+
+function formatValue(value) {
+    if (value === Infinity) return '+Inf';
+    if (value === -Infinity) return '-Inf';
+    if (Number.isNaN(value)) return 'NaN';
+    return String(value);
+}
+
+function isNumber(value) {
+    return typeof value === 'number' && Number.isFinite(value);
+}
+
+// Collects metric families and renders them in either text format
+function createRegistry() {
+    const families = new Map();
+
+    function family(name, type, help) {
+        if (!families.has(name)) {
+            families.set(name, { name: PREFIX + name, type, help, samples: [] });
+        }
+        return families.get(name);
+    }
+
+    function add(type, name, help, value, labels = {}) {
+        if (!isNumber(value)) return;
+        family(name, type, help).samples.push({ labels, value });
+    }
+
+    function render(openMetrics) {
+        const lines = [];
+
+        families.forEach((metric) => {
+            // OpenMetrics names the counter family without the _total suffix
+            const familyName = metric.type === 'counter' && !openMetrics ? `${metric.name}_total` : metric.name;
+            const sampleName = metric.type === 'counter' ? `${metric.name}_total` : metric.name;
+
+            lines.push(`# HELP ${familyName} ${metric.help}`);
+            lines.push(`# TYPE ${familyName} ${metric.type}`);
+            metric.samples.forEach((sample) => {
+                const labels = Object.keys(sample.labels)
+                    .map((key) => `${key}="${escapeLabelValue(sample.labels[key])}"`)
+                    .join(',');
+                lines.push(`${sampleName}${labels ? `{${labels}}` : ''} ${formatValue(sample.value)}`);
+            });
+        });
+
+        if (openMetrics) lines.push('# EOF');
+        return lines.join('\n') + '\n';
+    }
+
+    return {
+        gauge: (name, help, value, labels) => add('gauge', name, help, value, labels),
+        counter: (name, help, value, labels) => add('counter', name, help, value, labels),
+        render
+    };
+}
+
+function addSystemMetrics(registry, metrics) {
+    if (!metrics || metrics.error) return;
+
+    registry.gauge('cpu_usage_percent', 'Total CPU usage in percent.', metrics.cpu);
+
+    if (metrics.cpuInfo) {
+        const labels = { model: metrics.cpuInfo.name || 'unknown' };
+        registry.gauge('cpu_cores', 'Number of physical CPU cores.', metrics.cpuInfo.cores, labels);
+        registry.gauge('cpu_logical_processors', 'Number of logical processors.', metrics.cpuInfo.logicalProcessors, labels);
+        registry.gauge('cpu_clock_mhz', 'Current CPU clock speed in MHz.', metrics.cpuInfo.currentClockSpeed, labels);
+    }
+
+    if (metrics.memory) {
+        ['total', 'used', 'free', 'available', 'committed'].forEach((type) => {
+            if (isNumber(metrics.memory[type])) {
+                registry.gauge('memory_bytes', 'Memory by type in bytes.', Math.round(metrics.memory[type] * GB), { type });
+            }
+        });
+        registry.gauge('memory_usage_percent', 'Physical memory usage in percent.', metrics.memory.percent);
+    }
+
+    (metrics.disks || []).forEach((disk) => {
+        const labels = { drive: disk.drive, label: disk.label || '' };
+        registry.gauge('disk_size_bytes', 'Volume size in bytes.', Math.round(disk.total * GB), labels);
+        registry.gauge('disk_used_bytes', 'Used volume space in bytes.', Math.round(disk.used * GB), labels);
+        registry.gauge('disk_free_bytes', 'Free volume space in bytes.', Math.round(disk.free * GB), labels);
+        registry.gauge('disk_usage_percent', 'Used volume space in percent.', disk.percent, labels);
+        registry.gauge('disk_activity_percent', 'Percentage of time the disk was busy.', disk.activity, labels);
+    });
+
+    (metrics.network || []).forEach((adapter) => {
+        const labels = { adapter: adapter.name };
+        registry.counter('network_received_bytes', 'Bytes received by the adapter.', Math.round(adapter.receivedMB * MB), labels);
+        registry.counter('network_sent_bytes', 'Bytes sent by the adapter.', Math.round(adapter.sentMB * MB), labels);
+        registry.gauge('network_link_speed_mbps', 'Negotiated link speed in Mbps.', adapter.linkSpeed, labels);
+    });
+
+    (metrics.processes || []).forEach((proc) => {
+        const labels = { name: proc.name, pid: proc.pid };
+        registry.gauge('process_cpu_percent', 'CPU usage of a top process in percent.', proc.cpu, labels);
+        registry.gauge('process_memory_bytes', 'Working set of a top process in bytes.', Math.round(proc.memory * MB), labels);
+    });
+
+    if (metrics.gpu) {
+        registry.gauge('gpu_usage_percent', 'GPU engine utilization in percent.', metrics.gpu.usage, { name: metrics.gpu.name || 'unknown' });
+    }
+
+    if (metrics.battery) {
+        registry.gauge('battery_charge_percent', 'Estimated battery charge remaining in percent.', metrics.battery.percentage);
+        registry.gauge('battery_charging', 'Whether the battery is charging (1) or not (0).', metrics.battery.isCharging ? 1 : 0);
+    }
+
+    if (metrics.temperature) {
+        registry.gauge('temperature_celsius', 'System temperature in degrees Celsius.', metrics.temperature.celsius);
+    }
+
+    if (metrics.uptime) {
+        registry.gauge('uptime_seconds', 'Time since the system booted in seconds.', metrics.uptime.totalSeconds);
+    }
+}
+
+function addDiagnostics(registry, diagnostics) {
+    if (!diagnostics || !diagnostics.summary) return;
+
+    ['critical', 'high', 'medium', 'low'].forEach((severity) => {
+        registry.gauge('diagnostics_issues', 'Open diagnostics issues by severity.', diagnostics.summary[severity] || 0, { severity });
+    });
+}
+
+function addCollectorHealth(registry, collectorStats) {
+    Object.keys(collectorStats || {}).forEach((collector) => {
+        const stats = collectorStats[collector];
+        const labels = { collector };
+        registry.counter('collector_runs', 'Collector runs since the server started.', stats.runs, labels);
+        registry.counter('collector_failures', 'Failed collector runs since the server started.', stats.failures, labels);
+        registry.counter('collector_timeouts', 'Collector runs that hit their timeout since the server started.', stats.timeouts, labels);
+        if (stats.lastDurationMs !== null) {
+            registry.gauge('collector_duration_seconds', 'Duration of the last collector run in seconds.', stats.lastDurationMs / 1000, labels);
+        }
+        if (stats.lastSuccess) {
+            registry.gauge('collector_last_success_timestamp_seconds', 'Unix time of the last successful collector run.', Date.parse(stats.lastSuccess) / 1000, labels);
+        }
+    });
+}
+
+// Picks OpenMetrics when the scraper asks for it, classic Prometheus text otherwise
+function wantsOpenMetrics(acceptHeader) {
+    return /application\/openmetrics-text/.test(acceptHeader || '');
+}
+
+function renderMetrics(state, openMetrics = false) {
+    const registry = createRegistry();
+    addSystemMetrics(registry, state.metrics);
+    addDiagnostics(registry, state.diagnostics);
+    addCollectorHealth(registry, state.collectorStats);
+
+    return {
+        contentType: openMetrics ? OPENMETRICS_CONTENT_TYPE : PROMETHEUS_CONTENT_TYPE,
+        body: registry.render(openMetrics)
+    };
+}
+
+module.exports = {
+    renderMetrics,
+    wantsOpenMetrics
+};
@@ -0,0 +1,344 @@
+// Incremental WebSocket protocol ("monitor.v2" subprotocol)
+// Clients subscribe to topics - "hosts", "alerts", "<kind>:<host>" for
+// metrics, eventlogs, diagnostics and processes, "process:<host>:<pid>" - and
+// get a snapshot followed by deltas. Every topic numbers its updates; a
+// client that sees a gap, or reconnects, asks for a resync and gets the
+// missed deltas from a short replay buffer or a fresh snapshot.
+//
+// Client -> server
+//   { type: 'subscribe', topics: [...], since: { <topic>: <seq> } }
+//   { type: 'unsubscribe', topics: [...] }
+//   { type: 'resync', topics: [...] }           (all subscribed topics when omitted)
+//   { type: 'ping', t }
+//   any type in options.commands - handled by the hub's owner (replay controls)
+// Server -> client
+//   { type: 'welcome', protocol, instance, heartbeat }
+//   { type: 'snapshot', topic, seq, data }
+//   { type: 'delta', topic, seq, patch: [[path, value] | [path]] }  ([path] removes)
+//   { type: 'pong', t } / { type: 'error', error, topic }
+// The server pings every heartbeat interval and drops clients that miss a pong.
+const crypto = require('crypto');
+
+const PROTOCOL = 'monitor.v2';
+const PROTOCOL_VERSION = 2;
+const DEFAULT_HEARTBEAT = 30000;
+const REPLAY_BUFFER = 50;
+const MAX_BUFFERED = 1024 * 1024;
+const MAX_TOPICS = 100;
+const IDLE_TOPIC_TTL = 5 * 60 * 1000;
+
+function isObject(value) {
+    return value !== null && typeof value === 'object';
+}
+
+// Path/value operations turning `before` into `after` (both plain JSON);
+// arrays of a different length are replaced whole
+function diff(before, after, path = [], patch = []) {
+    if (before === after) return patch;
+
+    if (isObject(before) && isObject(after) && Array.isArray(before) === Array.isArray(after) &&
+        (!Array.isArray(after) || before.length === after.length)) {
+        Object.keys(before).forEach((key) => {
+            if (!Object.prototype.hasOwnProperty.call(after, key)) patch.push([path.concat(key)]);
+        });
+        Object.keys(after).forEach((key) => diff(before[key], after[key], path.concat(key), patch));
+        return patch;
+    }
+
+    patch.push([path, after]);
+    return patch;
+}
+
+// Applies a patch in place and returns the (possibly replaced) root
+function applyPatch(target, patch) {
+    let root = target;
+    patch.forEach((op) => {
+        const path = op[0];
+        if (path.length === 0) {
+            root = op[1];
+            return;
+        }
+        let node = root;
+        for (let i = 0; i < path.length - 1; i++) node = node[path[i]];
+        const key = path[path.length - 1];
+        if (op.length === 1) delete node[key];
+        else node[key] = op[1];
+    });
+    return root;
+}
+
+function clone(value) {
+    return value === undefined ? null : JSON.parse(JSON.stringify(value));
+}
+
+// topics: { <kind>: { source, global, get(host, id) } } - get returns undefined for an unknown topic;
+// commands: { <message type>: (message, client) => {} }
+function createRealtimeHub(options = {}) {
+    const definitions = options.topics || {};
+    const commands = options.commands || {};
+    const defaultHost = options.defaultHost;
+    const heartbeat = options.heartbeat || DEFAULT_HEARTBEAT;
+    const instance = crypto.randomBytes(6).toString('hex');
+
+    const clients = new Set();
+    const watched = new Map(); // socket -> answered the last ping
+    const states = new Map(); // topic -> { seq, value, buffer, subscribers, idleSince }
+    const sequences = new Map(); // topic -> last seq, kept so numbering never restarts
+    let heartbeatTimer = null;
+
+    // "metrics" -> "metrics:<default host>"; null for a malformed or unknown topic
+    function parseTopic(topic) {
+        const [kind, host, ...rest] = String(topic).split(':');
+        const definition = definitions[kind];
+        if (!definition) return null;
+        if (definition.global) return host === undefined ? { name: kind, kind, definition } : null;
+
+        const hostId = host || defaultHost;
+        const id = rest.length ? rest.join(':') : undefined;
+        if (definition.keyed ? !id : id !== undefined) return null;
+        return { name: [kind, hostId].concat(id === undefined ? [] : [id]).join(':'), kind, host: hostId, id, definition };
+    }
+
+    function send(client, message) {
+        if (client.socket.readyState !== 1) return false; // WebSocket.OPEN
+        client.socket.send(JSON.stringify(message));
+        return true;
+    }
+
+    function read(parsed) {
+        return parsed.definition.get(parsed.host, parsed.id);
+    }
+
+    function ensureState(parsed) {
+        let state = states.get(parsed.name);
+        if (!state) {
+            const value = read(parsed);
+            if (value === undefined) return null;
+            state = {
+                parsed,
+                seq: (sequences.get(parsed.name) || 0) + 1,
+                value: clone(value),
+                base: null,
+                buffer: [],
+                subscribers: new Set(),
+                idleSince: null
+            };
+            state.base = state.seq;
+            sequences.set(parsed.name, state.seq);
+            states.set(parsed.name, state);
+        }
+        return state;
+    }
+
+    // Re-reads a topic; records and returns the delta, or null when nothing changed
+    function refresh(state) {
+        const value = read(state.parsed);
+        if (value === undefined) return null;
+
+        const next = clone(value);
+        const patch = diff(state.value, next);
+        if (patch.length === 0) return null;
+
+        state.value = next;
+        state.seq++;
+        sequences.set(state.parsed.name, state.seq);
+        state.buffer.push({ seq: state.seq, patch });
+        if (state.buffer.length > REPLAY_BUFFER) {
+            state.base = state.buffer.shift().seq;
+        }
+        return patch;
+    }
+
+    function sendSnapshot(client, state) {
+        client.behind.delete(state.parsed.name);
+        send(client, { type: 'snapshot', topic: state.parsed.name, seq: state.seq, data: state.value });
+    }
+
+    // Replays buffered deltas after `since`, or falls back to a snapshot
+    function catchUp(client, state, since) {
+        const seq = Number(since);
+        if (seq === state.seq) return;
+        const replayable = Number.isInteger(seq) && seq >= state.base && seq < state.seq;
+        if (!replayable) {
+            sendSnapshot(client, state);
+            return;
+        }
+        state.buffer
+            .filter((delta) => delta.seq > seq)
+            .forEach((delta) => send(client, { type: 'delta', topic: state.parsed.name, seq: delta.seq, patch: delta.patch }));
+    }
+
+    function subscribe(client, topics, since = {}) {
+        topics.forEach((topic) => {
+            const parsed = parseTopic(topic);
+            const state = parsed && ensureState(parsed);
+            if (!state) {
+                send(client, { type: 'error', error: 'Unknown topic', topic });
+                return;
+            }
+            if (!client.topics.has(state.parsed.name) && client.topics.size >= MAX_TOPICS) {
+                send(client, { type: 'error', error: `At most ${MAX_TOPICS} topics per connection`, topic });
+                return;
+            }
+
+            // Topics nobody watched were not kept up to date
+            if (state.subscribers.size === 0) refresh(state);
+
+            client.topics.add(state.parsed.name);
+            state.subscribers.add(client);
+            state.idleSince = null;
+
+            const from = since[topic] !== undefined ? since[topic] : since[state.parsed.name];
+            if (from === undefined) sendSnapshot(client, state);
+            else catchUp(client, state, from);
+        });
+    }
+
+    function unsubscribe(client, topics) {
+        topics.forEach((topic) => {
+            const parsed = parseTopic(topic);
+            if (!parsed) return;
+            client.topics.delete(parsed.name);
+            const state = states.get(parsed.name);
+            if (state) {
+                state.subscribers.delete(client);
+                if (state.subscribers.size === 0) state.idleSince = Date.now();
+            }
+        });
+    }
+
+    function handleMessage(client, raw) {
+        let message;
+        try {
+            message = JSON.parse(raw);
+        } catch (e) {
+            send(client, { type: 'error', error: 'Messages must be JSON' });
+            return;
+        }
+        if (!isObject(message)) return;
+
+        const topics = Array.isArray(message.topics) ? message.topics.filter((topic) => typeof topic === 'string') : [];
+        if (message.type === 'subscribe') {
+            subscribe(client, topics, isObject(message.since) ? message.since : {});
+        } else if (message.type === 'unsubscribe') {
+            unsubscribe(client, topics);
+        } else if (message.type === 'resync') {
+            (topics.length ? topics : Array.from(client.topics)).forEach((topic) => {
+                const parsed = parseTopic(topic);
+                const state = parsed && client.topics.has(parsed.name) && states.get(parsed.name);
+                if (state) sendSnapshot(client, state);
+            });
+        } else if (message.type === 'ping') {
+            send(client, { type: 'pong', t: message.t });
+        } else if (Object.prototype.hasOwnProperty.call(commands, message.type)) {
+            commands[message.type](message, client);
+        } else {
+            send(client, { type: 'error', error: `Unknown message type "${message.type}"` });
+        }
+    }
+
+    // Heartbeat only - for every connection, including original-protocol clients
+    function watch(socket) {
+        watched.set(socket, true);
+        socket.on('pong', () => watched.set(socket, true));
+        socket.on('close', () => watched.delete(socket));
+    }
+
+    // Takes over a connection that negotiated the monitor.v2 subprotocol
+    function attach(socket) {
+        const client = { socket, topics: new Set(), behind: new Set() };
+        clients.add(client);
+
+        watch(socket);
+        socket.on('message', (data) => {
+            watched.set(socket, true);
+            handleMessage(client, data.toString());
+        });
+        socket.on('close', () => {
+            unsubscribe(client, Array.from(client.topics));
+            clients.delete(client);
+        });
+
+        send(client, { type: 'welcome', protocol: PROTOCOL_VERSION, instance, heartbeat });
+        return client;
+    }
+
+    // Something behind `source` changed for `host` (all hosts for global topics):
+    // recompute the affected topics and send each subscriber the delta
+    function publish(source, host) {
+        states.forEach((state) => {
+            const { parsed } = state;
+            if (parsed.definition.source !== source) return;
+            if (!parsed.definition.global && host !== undefined && parsed.host !== host) return;
+            if (state.subscribers.size === 0) return;
+
+            const patch = refresh(state);
+            if (!patch) return;
+
+            state.subscribers.forEach((client) => {
+                // A client that can't keep up skips deltas and gets a snapshot once it drains
+                if (client.socket.bufferedAmount > MAX_BUFFERED) {
+                    client.behind.add(parsed.name);
+                } else if (client.behind.has(parsed.name)) {
+                    sendSnapshot(client, state);
+                } else {
+                    send(client, { type: 'delta', topic: parsed.name, seq: state.seq, patch });
+                }
+            });
+        });
+    }
+
+    // Pings every connection and drops the ones that did not answer the last ping;
+    // also forgets topics nobody has subscribed to for a while
+    function sweep(now = Date.now()) {
+        watched.forEach((alive, socket) => {
+            if (!alive) {
+                socket.terminate();
+                return;
+            }
+            watched.set(socket, false);
+            socket.ping();
+        });
+        states.forEach((state, name) => {
+            if (state.idleSince && now - state.idleSince > IDLE_TOPIC_TTL) states.delete(name);
+        });
+    }
+
+    function start() {
+        if (!heartbeatTimer) heartbeatTimer = setInterval(sweep, heartbeat);
+    }
+
+    function stop() {
+        clearInterval(heartbeatTimer);
+        heartbeatTimer = null;
+    }
+
+    function status() {
+        return {
+            protocol: PROTOCOL,
+            connections: watched.size,
+            clients: clients.size,
+            topics: Array.from(states.values())
+                .filter((state) => state.subscribers.size > 0)
+                .map((state) => ({ topic: state.parsed.name, seq: state.seq, subscribers: state.subscribers.size }))
+        };
+    }
+
+    return {
+        watch,
+        attach,
+        publish,
+        start,
+        stop,
+        sweep,
+        status
+    };
+}
+
+module.exports = {
+    PROTOCOL,
+    PROTOCOL_VERSION,
+    createRealtimeHub,
+    diff,
+    applyPatch
+};
@@ -0,0 +1,331 @@
+// Session recordings
+// While a recording runs, every metrics, eventlogs and diagnostics message the
+// server broadcasts is appended to <dir>/<id>.ndjson with the time it was sent,
+// so the session can be replayed later (see replay.js). A recording starts with
+// the latest message of each kind and host, so playback has a full picture
+// from the first second:
+//   { format: 'monitor-session', version: 1, id, name, startedAt, local }
+//   { t, type: 'host', host, data: { name, platform, collector, local } }
+//   { t, type: 'metrics' | 'eventlogs' | 'diagnostics', host, data }
+// A host line comes before the first message of each host. In continuous mode
+// a new recording starts every hour and old ones are pruned after `retention`.
+// Recording files copied into the directory (test fixtures, say) are picked up on load.
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+const readline = require('readline');
+
+const FORMAT = 'monitor-session';
+const FORMAT_VERSION = 1;
+const RECORDED_TYPES = ['metrics', 'eventlogs', 'diagnostics'];
+const ID_PATTERN = /^[A-Za-z0-9_.-]{1,100}$/;
+const HOUR = 60 * 60 * 1000;
+const DEFAULT_MAX_DURATION = 24 * HOUR;
+const DEFAULT_RETENTION = 24 * HOUR;
+const CONTINUOUS_SEGMENT = HOUR;
+const MAX_REPLAY_BYTES = 64 * 1024 * 1024;
+
+function isRecordingId(id) {
+    return ID_PATTERN.test(String(id));
+}
+
+function hostInfo(info) {
+    return {
+        name: info.name || info.id,
+        platform: info.platform,
+        collector: info.collector,
+        local: Boolean(info.local)
+    };
+}
+
+function createRecordingStore(options = {}) {
+    const dir = options.dir;
+    const local = options.local;
+    const maxDuration = options.maxDuration || DEFAULT_MAX_DURATION;
+    const retention = options.retention || DEFAULT_RETENTION;
+    const continuous = Boolean(options.continuous);
+    const indexFile = path.join(dir, 'index.json');
+
+    const recordings = new Map(); // id -> { id, name, by, continuous, startedAt, endedAt, messages, bytes, hosts }
+    const latest = new Map(); // "<type> <host>" -> { type, info, data }, what a new recording starts with
+    let active = null; // { meta, file, hosts: Set }
+    let writeQueue = Promise.resolve();
+
+    function enqueue(task, label) {
+        writeQueue = writeQueue
+            .then(task)
+            .catch((error) => console.error(`Error ${label}:`, error.message));
+        return writeQueue;
+    }
+
+    function fileOf(id) {
+        return path.join(dir, `${id}.ndjson`);
+    }
+
+    function saveIndex() {
+        const json = JSON.stringify(Array.from(recordings.values()));
+        return enqueue(async () => {
+            await fs.promises.mkdir(dir, { recursive: true });
+            const tmp = `${indexFile}.tmp`;
+            await fs.promises.writeFile(tmp, json);
+            await fs.promises.rename(tmp, indexFile);
+        }, 'saving recordings index');
+    }
+
+    // Reads a recording line by line; onLine returns false to stop
+    async function scanFile(file, onLine) {
+        const lines = readline.createInterface({ input: fs.createReadStream(file), crlfDelay: Infinity });
+        try {
+            for await (const line of lines) {
+                if (!line.trim()) continue;
+                let entry;
+                try {
+                    entry = JSON.parse(line);
+                } catch (e) {
+                    continue; // a line cut short by a crash
+                }
+                if (onLine(entry) === false) break;
+            }
+        } finally {
+            lines.close();
+        }
+    }
+
+    // Metadata of a recording file without an index entry, or one interrupted by a restart
+    async function describeFile(id) {
+        const file = fileOf(id);
+        const stat = await fs.promises.stat(file);
+        let header = null;
+        let messages = 0;
+        let last = null;
+        const hosts = new Set();
+
+        await scanFile(file, (entry) => {
+            if (!header) {
+                header = entry;
+                return entry.format === FORMAT;
+            }
+            if (!Number.isFinite(entry.t)) return true;
+            last = entry.t;
+            if (entry.type === 'host') hosts.add(entry.host);
+            else messages++;
+            return true;
+        });
+        if (!header || header.format !== FORMAT) return null;
+
+        return {
+            id,
+            name: typeof header.name === 'string' ? header.name : id,
+            by: header.by || null,
+            continuous: Boolean(header.continuous),
+            startedAt: header.startedAt,
+            endedAt: new Date(last || stat.mtimeMs).toISOString(),
+            messages,
+            bytes: stat.size,
+            hosts: Array.from(hosts)
+        };
+    }
+
+    async function load() {
+        await fs.promises.mkdir(dir, { recursive: true });
+        try {
+            JSON.parse(await fs.promises.readFile(indexFile, 'utf8')).forEach((meta) => recordings.set(meta.id, meta));
+        } catch (error) {
+            if (error.code !== 'ENOENT') throw error;
+        }
+
+        const ids = (await fs.promises.readdir(dir))
+            .filter((file) => file.endsWith('.ndjson'))
+            .map((file) => file.slice(0, -'.ndjson'.length))
+            .filter((id) => ID_PATTERN.test(id));
+        recordings.forEach((meta, id) => {
+            if (!ids.includes(id)) recordings.delete(id);
+        });
+        for (const id of ids) {
+            const meta = recordings.get(id);
+            if (meta && meta.endedAt) continue;
+            try {
+                const described = await describeFile(id);
+                if (described) recordings.set(id, described);
+            } catch (error) {
+                console.error(`Error reading recording ${id}:`, error.message);
+            }
+        }
+        prune();
+        saveIndex();
+
+        if (continuous) start({ name: 'Continuous recording', continuous: true });
+    }
+
+    function append(entries) {
+        const text = entries.map((entry) => JSON.stringify(entry)).join('\n') + '\n';
+        const file = active.file;
+        active.meta.bytes += Buffer.byteLength(text);
+        enqueue(() => fs.promises.appendFile(file, text), 'writing recording');
+    }
+
+    function write(type, info, data, now) {
+        const entries = [];
+        if (!active.hosts.has(info.id)) {
+            active.hosts.add(info.id);
+            active.meta.hosts.push(info.id);
+            entries.push({ t: now, type: 'host', host: info.id, data: hostInfo(info) });
+        }
+        entries.push({ t: now, type, host: info.id, data });
+        active.meta.messages++;
+        append(entries);
+    }
+
+    function start(params = {}, now = Date.now()) {
+        if (active) {
+            return { status: 409, error: `Recording "${active.meta.name}" is already running` };
+        }
+
+        const stamp = new Date(now).toISOString().replace(/[-:]/g, '').replace(/\..*$/, '');
+        const id = `${stamp}-${crypto.randomBytes(3).toString('hex')}`;
+        const meta = {
+            id,
+            name: params.name || `Recording ${new Date(now).toISOString()}`,
+            by: params.by || null,
+            continuous: Boolean(params.continuous),
+            startedAt: new Date(now).toISOString(),
+            endedAt: null,
+            messages: 0,
+            bytes: 0,
+            hosts: []
+        };
+        recordings.set(id, meta);
+        active = { meta, file: fileOf(id), hosts: new Set() };
+
+        append([{ format: FORMAT, version: FORMAT_VERSION, id, name: meta.name, by: meta.by, continuous: meta.continuous, startedAt: meta.startedAt, local }]);
+        latest.forEach((entry) => write(entry.type, entry.info, entry.data, now));
+        saveIndex();
+        return { recording: meta };
+    }
+
+    function stop(now = Date.now()) {
+        if (!active) {
+            return { status: 409, error: 'No recording is running' };
+        }
+        const meta = active.meta;
+        meta.endedAt = new Date(now).toISOString();
+        active = null;
+        saveIndex();
+        return { recording: meta };
+    }
+
+    // Drops continuous recordings that ended more than `retention` ago
+    function prune(now = Date.now()) {
+        recordings.forEach((meta, id) => {
+            if (!meta.continuous || !meta.endedAt || now - Date.parse(meta.endedAt) <= retention) return;
+            recordings.delete(id);
+            enqueue(() => fs.promises.unlink(fileOf(id)), `removing recording ${id}`);
+        });
+    }
+
+    // Called for every broadcast message; info is the host ({ id, name, platform, collector, local })
+    function record(type, info, data, now = Date.now()) {
+        if (!RECORDED_TYPES.includes(type) || !info || !info.id) return;
+        latest.set(`${type} ${info.id}`, { type, info, data });
+        if (!active) return;
+
+        const age = now - Date.parse(active.meta.startedAt);
+        if (active.meta.continuous && age >= CONTINUOUS_SEGMENT) {
+            stop(now);
+            prune(now);
+            start({ name: 'Continuous recording', continuous: true }, now);
+            return; // the new recording starts with this message
+        }
+        if (!active.meta.continuous && age >= maxDuration) {
+            stop(now);
+            return;
+        }
+        write(type, info, data, now);
+    }
+
+    function list() {
+        return {
+            active: active ? active.meta : null,
+            recordings: Array.from(recordings.values()).sort((a, b) => b.startedAt.localeCompare(a.startedAt))
+        };
+    }
+
+    function get(id) {
+        return recordings.get(id) || null;
+    }
+
+    // Path of a recording's file once everything queued for it is written
+    async function file(id) {
+        if (!recordings.has(id)) return null;
+        await writeQueue;
+        return fileOf(id);
+    }
+
+    // The whole recording for playback: { header, messages } sorted by time, or null
+    async function read(id) {
+        const target = await file(id);
+        if (!target) return null;
+
+        const stat = await fs.promises.stat(target);
+        if (stat.size > MAX_REPLAY_BYTES) {
+            throw new Error(`Recording is too large to replay (over ${MAX_REPLAY_BYTES / 1024 / 1024} MB)`);
+        }
+
+        let header = null;
+        const messages = [];
+        await scanFile(target, (entry) => {
+            if (!header) header = entry;
+            else if (Number.isFinite(entry.t) && typeof entry.host === 'string' && (entry.type === 'host' || RECORDED_TYPES.includes(entry.type))) {
+                messages.push(entry);
+            }
+        });
+        if (!header || header.format !== FORMAT) {
+            throw new Error('Not a session recording');
+        }
+
+        messages.sort((a, b) => a.t - b.t);
+        return { header, messages };
+    }
+
+    function remove(id) {
+        if (!recordings.has(id)) {
+            return { status: 404, error: 'Recording not found' };
+        }
+        if (active && active.meta.id === id) {
+            return { status: 409, error: 'Stop the recording before deleting it' };
+        }
+        recordings.delete(id);
+        enqueue(() => fs.promises.unlink(fileOf(id)), `removing recording ${id}`);
+        saveIndex();
+        return {};
+    }
+
+    function removeHost(host) {
+        RECORDED_TYPES.forEach((type) => latest.delete(`${type} ${host}`));
+    }
+
+    // Ends the running recording (shutdown) and waits for the writes
+    function flush() {
+        if (active) stop();
+        return writeQueue;
+    }
+
+    return {
+        load,
+        start,
+        stop,
+        record,
+        list,
+        get,
+        file,
+        read,
+        remove,
+        removeHost,
+        flush
+    };
+}
+
+module.exports = {
+    createRecordingStore,
+    isRecordingId
+};
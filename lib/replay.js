@@ -0,0 +1,215 @@
+// Playback of a session recording over the monitor.v2 protocol
+// A replay connection gets a hub of its own whose topics read a fleet rebuilt
+// from the recording up to the playback position, so the dashboard receives
+// the same snapshots and deltas as it does live. Playback starts paused at the
+// beginning and is controlled with
+//   { type: 'replay', action: 'play' | 'pause' }
+//   { type: 'replay', action: 'speed', speed: 1 | 10 | 60 }
+//   { type: 'replay', action: 'seek', to: <epoch ms | ISO date> }
+// The position is reported after every change and about once a second while playing:
+//   { type: 'replay', recording: { id, name }, start, end, position, speed, playing }
+const { createRealtimeHub } = require('./realtime');
+const { createHostRegistry } = require('./hosts');
+
+const SPEEDS = [1, 10, 60];
+const TICK = 250;
+const STATUS_INTERVAL = 1000;
+const DATA_TYPES = ['metrics', 'eventlogs', 'diagnostics'];
+
+function emptyData(type) {
+    return {
+        metrics: {},
+        eventlogs: { events: [] },
+        diagnostics: { issues: [], warnings: [], summary: { critical: 0, high: 0, medium: 0, low: 0 } }
+    }[type];
+}
+
+// recording: { header, messages } from the recording store
+function createReplay(recording, options = {}) {
+    const { header, messages } = recording;
+    const local = header.local;
+    const start = messages.length ? messages[0].t : Date.parse(header.startedAt) || 0;
+    const end = messages.length ? messages[messages.length - 1].t : start;
+    const known = new Set(messages.map((message) => message.host));
+
+    let fleet = null;
+    let infos = null;
+    let index = 0;
+    let position = start;
+    let speed = 1;
+    let playing = false;
+    let timer = null;
+    let lastStatus = 0;
+    let socket = null;
+
+    function reset() {
+        fleet = createHostRegistry({ staleAfter: options.staleAfter });
+        infos = new Map();
+        index = 0;
+    }
+
+    // Applies the messages up to `to`; returns the kinds that changed
+    function advance(to) {
+        const changed = new Set();
+        while (index < messages.length && messages[index].t <= to) {
+            const message = messages[index++];
+            if (message.type === 'host') {
+                infos.set(message.host, Object.assign({ id: message.host }, message.data));
+                continue;
+            }
+            const info = infos.get(message.host) || { id: message.host, local: message.host === local };
+            fleet.update(info, message.type, message.data, message.t);
+            changed.add(message.type);
+        }
+        position = to;
+        return changed;
+    }
+
+    // A host that shows up later in the recording is empty until then
+    function hostData(id, type) {
+        const host = fleet.get(id);
+        if (host) return host[type];
+        return known.has(id) ? emptyData(type) : undefined;
+    }
+
+    const hub = createRealtimeHub({
+        defaultHost: local,
+        heartbeat: options.heartbeat,
+        topics: {
+            hosts: { source: 'hosts', global: true, get: () => ({ local, hosts: fleet.overview(position) }) },
+            alerts: { source: 'alerts', global: true, get: () => ({ firing: [], pending: [], recent: [] }) },
+            metrics: { source: 'metrics', get: (id) => hostData(id, 'metrics') },
+            eventlogs: { source: 'eventlogs', get: (id) => hostData(id, 'eventlogs') },
+            diagnostics: { source: 'diagnostics', get: (id) => hostData(id, 'diagnostics') },
+            processes: {
+                source: 'metrics',
+                get: (id) => {
+                    const metrics = hostData(id, 'metrics');
+                    return metrics && (metrics.processes || []);
+                }
+            },
+            process: {
+                source: 'metrics',
+                keyed: true,
+                get: (id, pid) => {
+                    const metrics = hostData(id, 'metrics');
+                    if (!metrics) return undefined;
+                    return (metrics.processes || []).find((proc) => String(proc.pid) === pid) || null;
+                }
+            }
+        },
+        commands: { replay: control }
+    });
+
+    function publish(changed) {
+        changed.forEach((type) => hub.publish(type));
+        hub.publish('hosts');
+    }
+
+    function send(message) {
+        if (socket && socket.readyState === 1) socket.send(JSON.stringify(message)); // WebSocket.OPEN
+    }
+
+    function status() {
+        return {
+            type: 'replay',
+            recording: { id: header.id, name: header.name },
+            start,
+            end,
+            position,
+            speed,
+            playing
+        };
+    }
+
+    function sendStatus() {
+        lastStatus = Date.now();
+        send(status());
+    }
+
+    function pause() {
+        playing = false;
+        clearInterval(timer);
+        timer = null;
+    }
+
+    function tick() {
+        publish(advance(Math.min(end, position + TICK * speed)));
+        if (position >= end) {
+            pause();
+            sendStatus();
+        } else if (Date.now() - lastStatus >= STATUS_INTERVAL) {
+            sendStatus();
+        }
+    }
+
+    function play() {
+        if (position >= end) seek(start);
+        playing = true;
+        if (!timer) timer = setInterval(tick, TICK);
+    }
+
+    // Going back rebuilds the fleet from the start of the recording
+    function seek(to) {
+        const target = Math.min(Math.max(to, start), end);
+        let changed = new Set();
+        if (target < position) {
+            reset();
+            changed = new Set(DATA_TYPES);
+        }
+        advance(target).forEach((type) => changed.add(type));
+        publish(changed);
+    }
+
+    function control(message) {
+        if (message.action === 'play') {
+            play();
+        } else if (message.action === 'pause') {
+            pause();
+        } else if (message.action === 'speed') {
+            const value = Number(message.speed);
+            if (!SPEEDS.includes(value)) {
+                send({ type: 'error', error: `speed must be one of ${SPEEDS.join(', ')}` });
+                return;
+            }
+            speed = value;
+        } else if (message.action === 'seek') {
+            const to = typeof message.to === 'number' ? message.to : Date.parse(message.to);
+            if (!Number.isFinite(to)) {
+                send({ type: 'error', error: 'to must be epoch milliseconds or an ISO date' });
+                return;
+            }
+            seek(to);
+        } else {
+            send({ type: 'error', error: 'action must be play, pause, speed or seek' });
+            return;
+        }
+        sendStatus();
+    }
+
+    // Takes over a connection that asked to replay this recording
+    function attach(ws) {
+        socket = ws;
+        hub.attach(ws);
+        hub.start();
+        ws.on('close', () => {
+            pause();
+            hub.stop();
+        });
+        sendStatus();
+    }
+
+    reset();
+    advance(start);
+
+    return {
+        attach,
+        control,
+        status
+    };
+}
+
+module.exports = {
+    SPEEDS,
+    createReplay
+};
@@ -0,0 +1,161 @@
+// Collector scheduler
+// Runs each collector on its own timer. A collector never runs twice at the
+// same time (an on-demand run joins the one in flight), every run is bounded
+// by a timeout, and repeated failures push the next run out with exponential
+// backoff up to maxBackoff.
+const DEFAULT_MAX_BACKOFF = 5 * 60 * 1000;
+
+function timeoutError(name, kind, timeout) {
+    const error = new Error(`${name} ${kind} timed out after ${timeout} ms`);
+    error.code = 'ETIMEDOUT';
+    return error;
+}
+
+function createScheduler(options = {}) {
+    const stats = options.stats;
+    const maxBackoff = options.maxBackoff || DEFAULT_MAX_BACKOFF;
+    const kind = options.kind || 'collector'; // what a job is called in errors
+    const jobs = new Map();
+    let started = false;
+
+    // task(context) returns the payload; onResult(payload) receives it, or { error } when the run failed
+    function add(name, job) {
+        jobs.set(name, {
+            name,
+            interval: job.interval,
+            timeout: job.timeout || job.interval * 5,
+            task: job.task,
+            onResult: job.onResult || (() => {}),
+            inFlight: null,
+            abandoned: null,
+            timer: null,
+            consecutiveFailures: 0,
+            nextRun: null
+        });
+    }
+
+    // A task that outlives its timeout is remembered until it settles so the
+    // next run cannot start alongside it (backends that can't kill their work)
+    function withTimeout(job) {
+        if (job.abandoned) {
+            return Promise.reject(new Error(`${job.name} ${kind} is still running after timing out`));
+        }
+
+        return new Promise((resolve, reject) => {
+            const task = Promise.resolve().then(() => job.task({ timeout: job.timeout }));
+            const timer = setTimeout(() => {
+                job.abandoned = task;
+                task.catch(() => {}).then(() => {
+                    if (job.abandoned === task) job.abandoned = null;
+                });
+                reject(timeoutError(job.name, kind, job.timeout));
+            }, job.timeout);
+
+            task.then(resolve, reject).finally(() => clearTimeout(timer));
+        });
+    }
+
+    function delayAfter(job) {
+        if (job.consecutiveFailures === 0) return job.interval;
+        return Math.min(job.interval * Math.pow(2, job.consecutiveFailures), Math.max(maxBackoff, job.interval));
+    }
+
+    function schedule(job) {
+        if (!started) return;
+        clearTimeout(job.timer);
+        const delay = delayAfter(job);
+        job.nextRun = new Date(Date.now() + delay).toISOString();
+        job.timer = setTimeout(() => run(job.name), delay);
+    }
+
+    // Runs a collector now, or joins the run already in progress; never rejects
+    function run(name) {
+        const job = jobs.get(name);
+        if (!job) return Promise.reject(new Error(`Unknown ${kind} "${name}"`));
+        if (job.inFlight) return job.inFlight;
+
+        job.inFlight = stats.track(name, () => withTimeout(job))
+            .catch((error) => ({ error: error.message }))
+            .then((result) => {
+                job.consecutiveFailures = result && result.error ? job.consecutiveFailures + 1 : 0;
+                try {
+                    job.onResult(result);
+                } catch (error) {
+                    console.error(`Error handling ${name} result:`, error);
+                }
+                return result;
+            })
+            .finally(() => {
+                job.inFlight = null;
+                schedule(job);
+            });
+
+        return job.inFlight;
+    }
+
+    // New interval/timeout for a job; a waiting run is rescheduled from now, a
+    // run in flight keeps its timeout
+    function update(name, changes) {
+        const job = jobs.get(name);
+        if (!job) throw new Error(`Unknown ${kind} "${name}"`);
+        if (changes.interval !== undefined) job.interval = changes.interval;
+        if (changes.timeout !== undefined) job.timeout = changes.timeout;
+        if (!job.inFlight && job.timer) schedule(job);
+    }
+
+    function start() {
+        started = true;
+        jobs.forEach((job) => run(job.name));
+    }
+
+    // Resolves once the runs already in flight have handed over their results
+    function stop() {
+        started = false;
+        const running = [];
+        jobs.forEach((job) => {
+            clearTimeout(job.timer);
+            job.timer = null;
+            job.nextRun = null;
+            if (job.inFlight) running.push(job.inFlight);
+        });
+        return Promise.all(running).then(() => {});
+    }
+
+    // Collector stats plus the schedule of every job
+    function snapshot() {
+        const collected = stats.snapshot();
+        const result = {};
+        jobs.forEach((job) => {
+            result[job.name] = Object.assign({
+                runs: 0,
+                failures: 0,
+                timeouts: 0,
+                lastRun: null,
+                lastDurationMs: null,
+                lastSuccess: null,
+                lastError: null
+            }, collected[job.name], {
+                running: Boolean(job.inFlight),
+                intervalMs: job.interval,
+                timeoutMs: job.timeout,
+                consecutiveFailures: job.consecutiveFailures,
+                backoffMs: job.consecutiveFailures ? delayAfter(job) : 0,
+                nextRun: job.nextRun
+            });
+        });
+        return result;
+    }
+
+    return {
+        add,
+        update,
+        run,
+        start,
+        stop,
+        snapshot
+    };
+}
+
+module.exports = {
+    createScheduler
+};
@@ -0,0 +1,327 @@
+// Collector payload schemas
+// Every metrics, event log and diagnostics payload - from this machine's
+// collector or from an agent - is checked here before it is stored or
+// broadcast. A field of the wrong type or shape is dropped, and so is a list
+// item that fails its own checks (a process without a pid, an issue without a
+// severity); each one is reported with its path, e.g. "processes[3].pid must
+// be an integer". Fields the schema doesn't know are kept when they are plain
+// strings, numbers or booleans under an ordinary name, so a collector can add
+// one without a schema change. Fields the server sets itself on issues (id,
+// state, ...) are dropped. A payload that isn't a JSON object is rejected.
+const MAX_TEXT = 8000;
+const MAX_NAME = 256;
+const MAX_SHORT = 64;
+const MAX_ERRORS = 50; // reported per payload
+const MAX_RECENT = 20; // kept per host and type
+const KEY_PATTERN = /^[A-Za-z][A-Za-z0-9_]{0,63}$/;
+const SEVERITIES = ['Critical', 'High', 'Medium', 'Low'];
+const SERVER_ISSUE_FIELDS = ['id', 'state', 'actions', 'openedAt', 'acknowledgedAt', 'acknowledgedBy', 'note', 'snoozedUntil'];
+
+// A check takes (value, path, errors) and returns the value to keep, or
+// undefined after adding why it can't be kept to errors
+function leaf(hint, test) {
+    const check = (value, at, errors) => {
+        if (test(value)) return value;
+        errors.push(`${at} must be ${hint}`);
+        return undefined;
+    };
+    check.hint = hint;
+    return check;
+}
+
+function number() {
+    return leaf('a number', (value) => typeof value === 'number' && Number.isFinite(value));
+}
+
+function integer() {
+    return leaf('an integer', (value) => Number.isSafeInteger(value));
+}
+
+function string(max = MAX_TEXT) {
+    return leaf(`a string of at most ${max} characters`, (value) => typeof value === 'string' && value.length <= max);
+}
+
+function boolean() {
+    return leaf('true or false', (value) => typeof value === 'boolean');
+}
+
+function oneOf(values) {
+    return leaf(`one of ${values.join(', ')}`, (value) => values.includes(value));
+}
+
+function either(...checks) {
+    const check = (value, at, errors) => {
+        for (const candidate of checks) {
+            const kept = candidate(value, at, []);
+            if (kept !== undefined) return kept;
+        }
+        errors.push(`${at} must be ${check.hint}`);
+        return undefined;
+    };
+    check.hint = checks.map((candidate) => candidate.hint).join(' or ');
+    return check;
+}
+
+function isScalar(value) {
+    return value === null || typeof value === 'boolean' ||
+        (typeof value === 'number' && Number.isFinite(value)) ||
+        (typeof value === 'string' && value.length <= MAX_TEXT);
+}
+
+// Optional fields may be null; `required` ones must be present and valid, or
+// the whole object is dropped. `serverFields` are dropped with a note.
+function object(fields, options = {}) {
+    const required = options.required || [];
+    const serverFields = options.serverFields || [];
+    const check = (value, at, errors) => {
+        if (!value || typeof value !== 'object' || Array.isArray(value)) {
+            errors.push(`${at} must be an object`);
+            return undefined;
+        }
+
+        const kept = {};
+        let valid = true;
+        required.forEach((key) => {
+            if (value[key] === undefined || value[key] === null) {
+                errors.push(`${at}.${key} is required`);
+                valid = false;
+            }
+        });
+        Object.keys(value).forEach((key) => {
+            const field = `${at}.${key}`;
+            const item = value[key];
+            if (!KEY_PATTERN.test(key) || key in Object.prototype) {
+                errors.push(`${at} has a field with an invalid name: ${JSON.stringify(key.slice(0, MAX_SHORT))}`);
+            } else if (serverFields.includes(key)) {
+                errors.push(`${field} is set by the server`);
+            } else if (fields[key]) {
+                if (item === null) {
+                    if (!required.includes(key)) kept[key] = null;
+                    return;
+                }
+                const result = fields[key](item, field, errors);
+                if (result !== undefined) kept[key] = result;
+                else if (required.includes(key)) valid = false;
+            } else if (isScalar(item)) {
+                kept[key] = item;
+            } else {
+                errors.push(`${field} is not a known field and must be a string, number or boolean`);
+            }
+        });
+        return valid ? kept : undefined;
+    };
+    check.hint = 'an object';
+    return check;
+}
+
+// Items that fail are dropped; lists longer than `max` are cut to it
+function array(item, max) {
+    const check = (value, at, errors) => {
+        if (!Array.isArray(value)) {
+            errors.push(`${at} must be a list`);
+            return undefined;
+        }
+        if (value.length > max) errors.push(`${at} has ${value.length} items; only the first ${max} are kept`);
+        const kept = [];
+        value.slice(0, max).forEach((entry, index) => {
+            const result = item(entry, `${at}[${index}]`, errors);
+            if (result !== undefined) kept.push(result);
+        });
+        return kept;
+    };
+    check.hint = 'a list';
+    return check;
+}
+
+const NUMBER = number();
+const INTEGER = integer();
+const TEXT = string();
+const NAME = string(MAX_NAME);
+const SHORT = string(MAX_SHORT);
+const TIMESTAMP = SHORT;
+
+const ISSUE = object({
+    category: SHORT,
+    severity: oneOf(SEVERITIES),
+    title: NAME,
+    description: TEXT,
+    recommendation: TEXT,
+    subject: NAME,
+    timestamp: TIMESTAMP
+}, { required: ['category', 'severity', 'title'], serverFields: SERVER_ISSUE_FIELDS });
+
+const SCHEMAS = {
+    metrics: object({
+        cpu: NUMBER,
+        cpuInfo: object({
+            name: NAME,
+            cores: INTEGER,
+            logicalProcessors: INTEGER,
+            maxClockSpeed: NUMBER,
+            currentClockSpeed: NUMBER
+        }),
+        memory: object({
+            total: NUMBER,
+            used: NUMBER,
+            free: NUMBER,
+            available: NUMBER,
+            committed: NUMBER,
+            percent: NUMBER
+        }),
+        disks: array(object({
+            drive: NAME,
+            label: NAME,
+            total: NUMBER,
+            used: NUMBER,
+            free: NUMBER,
+            percent: NUMBER,
+            activity: NUMBER
+        }, { required: ['drive', 'total', 'used', 'percent'] }), 64),
+        network: array(object({
+            name: NAME,
+            status: SHORT,
+            linkSpeed: NUMBER,
+            sentMB: NUMBER,
+            receivedMB: NUMBER,
+            interfaceDescription: NAME
+        }, { required: ['name'] }), 64),
+        processes: array(object({
+            name: NAME,
+            pid: INTEGER,
+            ppid: INTEGER,
+            cpu: NUMBER,
+            memory: NUMBER,
+            ioMBps: NUMBER,
+            handles: INTEGER,
+            threads: INTEGER,
+            startTime: TIMESTAMP
+        }, { required: ['name', 'pid', 'cpu', 'memory'] }), 10000),
+        gpu: object({
+            name: NAME,
+            driverVersion: SHORT,
+            videoMemoryMB: NUMBER,
+            usage: NUMBER
+        }),
+        battery: object({
+            status: either(INTEGER, SHORT), // Win32_Battery code on Windows, text on Linux
+            percentage: NUMBER,
+            estimatedRunTime: NUMBER,
+            isCharging: boolean()
+        }),
+        temperature: object({
+            celsius: NUMBER,
+            fahrenheit: NUMBER
+        }),
+        uptime: object({
+            days: INTEGER,
+            hours: INTEGER,
+            minutes: INTEGER,
+            totalSeconds: NUMBER
+        }),
+        timestamp: TIMESTAMP,
+        error: TEXT
+    }),
+    eventlogs: object({
+        events: array(object({
+            source: NAME,
+            category: SHORT,
+            level: SHORT,
+            priority: SHORT,
+            id: either(INTEGER, SHORT),
+            provider: NAME,
+            message: TEXT,
+            details: TEXT,
+            timestamp: TIMESTAMP,
+            timeAgo: NUMBER
+        }, { required: ['message', 'timestamp'] }), 2000),
+        count: INTEGER,
+        timestamp: TIMESTAMP,
+        error: TEXT
+    }),
+    diagnostics: object({
+        issues: array(ISSUE, 500),
+        warnings: array(ISSUE, 500),
+        info: array(object({
+            message: TEXT,
+            details: TEXT
+        }, { required: ['message'] }), 100),
+        summary: object({
+            critical: INTEGER,
+            high: INTEGER,
+            medium: INTEGER,
+            low: INTEGER
+        }),
+        totalIssues: INTEGER,
+        timestamp: TIMESTAMP,
+        error: TEXT
+    })
+};
+
+// Checks a payload of `type`; returns { error } when it can't be used at all,
+// else { data, errors } with data holding only what passed
+function validatePayload(type, payload) {
+    const schema = SCHEMAS[type];
+    if (!schema) return { error: `Unknown payload type: ${type}` };
+    if (!payload || typeof payload !== 'object' || Array.isArray(payload)) {
+        return { error: `${type} payload must be a JSON object` };
+    }
+
+    const errors = [];
+    const data = schema(payload, type, errors);
+    if (errors.length > MAX_ERRORS) {
+        const more = errors.length - MAX_ERRORS;
+        errors.length = MAX_ERRORS;
+        errors.push(`...and ${more} more`);
+    }
+    return { data, errors };
+}
+
+// Validates payloads and keeps per host and type counts of the rejected ones,
+// with their latest errors, for /api/status
+function createPayloadChecker() {
+    const rejections = new Map(); // host|type -> { host, type, payloads, fields, lastAt, errors }
+
+    function record(host, type, errors, now) {
+        const key = `${host}|${type}`;
+        let entry = rejections.get(key);
+        if (!entry) {
+            entry = { host, type, payloads: 0, fields: 0, lastAt: null, errors: [] };
+            rejections.set(key, entry);
+        }
+        const changed = errors.join('\n') !== entry.errors.join('\n');
+        entry.payloads++;
+        entry.fields += errors.length;
+        entry.lastAt = new Date(now).toISOString();
+        entry.errors = errors.slice(0, MAX_RECENT);
+        // A collector sending the same bad field every few seconds is logged once
+        if (changed) console.warn(`Rejected ${errors.length} field(s) of ${type} from ${host}: ${errors.slice(0, 3).join('; ')}`);
+    }
+
+    function check(host, type, payload, now = Date.now()) {
+        const result = validatePayload(type, payload);
+        if (result.error) record(host, type, [result.error], now);
+        else if (result.errors.length) record(host, type, result.errors, now);
+        return result;
+    }
+
+    function status() {
+        return Array.from(rejections.values());
+    }
+
+    function removeHost(host) {
+        Array.from(rejections.keys()).forEach((key) => {
+            if (rejections.get(key).host === host) rejections.delete(key);
+        });
+    }
+
+    return {
+        check,
+        status,
+        removeHost
+    };
+}
+
+module.exports = {
+    validatePayload,
+    createPayloadChecker
+};
@@ -0,0 +1,41 @@
+// Duration and timestamp parsing for query parameters and settings
+
+const UNITS = {
+    ms: 1,
+    s: 1000,
+    m: 60 * 1000,
+    h: 60 * 60 * 1000,
+    d: 24 * 60 * 60 * 1000,
+    w: 7 * 24 * 60 * 60 * 1000
+};
+
+// "90s", "15m", "2h", "7d" or a plain number of milliseconds
+function parseDuration(value) {
+    if (typeof value === 'number') {
+        return Number.isFinite(value) && value >= 0 ? value : null;
+    }
+    if (typeof value !== 'string') return null;
+
+    const match = value.trim().match(/^(\d+(?:\.\d+)?)\s*(ms|s|m|h|d|w)?$/);
+    if (!match) return null;
+    return Math.round(Number(match[1]) * UNITS[match[2] || 'ms']);
+}
+
+// Epoch milliseconds, an ISO date, or a duration meaning "that long ago" ("24h", "-7d")
+function parseTime(value, now = Date.now()) {
+    if (value === undefined || value === null || value === '') return undefined;
+
+    const text = String(value).trim();
+    if (/^\d{10,}$/.test(text)) return Number(text);
+
+    const relative = parseDuration(text.replace(/^-/, ''));
+    if (relative !== null && /[a-z]$/.test(text)) return now - relative;
+
+    const parsed = Date.parse(text);
+    return Number.isNaN(parsed) ? null : parsed;
+}
+
+module.exports = {
+    parseDuration,
+    parseTime
+};
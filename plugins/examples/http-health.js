@@ -0,0 +1,45 @@
+// Example check: an HTTP health URL answers with a 2xx status in time
+// Copy to plugins/ and edit HEALTH_URL below. Needs Node 18 or newer (global fetch).
+const HEALTH_URL = 'http://localhost:8080/health';
+const SLOW_MS = 2000;
+
+module.exports = {
+    id: 'http-health',
+    category: 'Network',
+    description: `${HEALTH_URL} answers`,
+    interval: '1m',
+    timeout: '15s',
+    run: async () => {
+        const started = Date.now();
+        let response;
+        try {
+            response = await fetch(HEALTH_URL, { signal: AbortSignal.timeout(10000) });
+        } catch (error) {
+            return [{
+                severity: 'High',
+                title: `Health Check Unreachable: ${HEALTH_URL}`,
+                description: error.message,
+                recommendation: 'Check that the service is running and listening'
+            }];
+        }
+
+        const elapsed = Date.now() - started;
+        if (!response.ok) {
+            return [{
+                severity: 'High',
+                title: `Health Check Failing: ${HEALTH_URL}`,
+                description: `Answered ${response.status} ${response.statusText}`,
+                recommendation: 'Check the service logs'
+            }];
+        }
+        if (elapsed > SLOW_MS) {
+            return [{
+                severity: 'Medium',
+                title: `Health Check Slow: ${HEALTH_URL}`,
+                description: `Answered in ${elapsed} ms`,
+                recommendation: 'Check the load on the service and what it depends on'
+            }];
+        }
+        return [];
+    }
+};
@@ -0,0 +1,39 @@
+// Example check: a log file growing too fast
+// Copy to plugins/ and edit LOG_FILE and MAX_MB_PER_HOUR below.
+const fs = require('fs');
+
+const LOG_FILE = process.platform === 'win32' ? 'C:\\inetpub\\logs\\app.log' : '/var/log/app.log';
+const MAX_MB_PER_HOUR = 100;
+
+let previous = null; // { size, time } of the last run
+
+module.exports = {
+    id: 'log-growth',
+    category: 'Disk',
+    description: `${LOG_FILE} grows less than ${MAX_MB_PER_HOUR} MB/hour`,
+    interval: '5m',
+    run: async () => {
+        let stat;
+        try {
+            stat = await fs.promises.stat(LOG_FILE);
+        } catch (error) {
+            previous = null;
+            if (error.code === 'ENOENT') return [];
+            throw error;
+        }
+
+        const current = { size: stat.size, time: Date.now() };
+        const last = previous;
+        previous = current;
+        if (!last || current.size < last.size) return []; // first run or rotated
+
+        const mbPerHour = ((current.size - last.size) / 1024 / 1024) / ((current.time - last.time) / 3600000);
+        if (mbPerHour <= MAX_MB_PER_HOUR) return [];
+        return [{
+            severity: 'Medium',
+            title: `Log Growing Fast: ${LOG_FILE}`,
+            description: `${LOG_FILE} grew ${mbPerHour.toFixed(1)} MB/hour over the last ${Math.round((current.time - last.time) / 60000)} minutes`,
+            recommendation: 'Look for a component logging in a loop; check log levels and rotation'
+        }];
+    }
+};
@@ -0,0 +1,40 @@
+// Example check: a service is running (Windows service or systemd unit)
+// Copy to plugins/ and edit SERVICE_NAME below, e.g. "OpenVPNService" or "openvpn".
+const { execFile } = require('child_process');
+
+const SERVICE_NAME = 'OpenVPNService';
+
+function serviceState(name, timeout) {
+    const command = process.platform === 'win32'
+        ? ['sc.exe', ['query', name]]
+        : ['systemctl', ['is-active', name]];
+    return new Promise((resolve) => {
+        execFile(command[0], command[1], { timeout }, (error, stdout) => {
+            const output = String(stdout || '');
+            if (process.platform === 'win32') {
+                const match = /STATE\s*:\s*\d+\s+(\w+)/.exec(output);
+                resolve(match ? match[1] : 'NOT FOUND');
+            } else {
+                resolve(output.trim() || (error ? 'unknown' : 'active'));
+            }
+        });
+    });
+}
+
+module.exports = {
+    id: 'service-running',
+    category: 'Service',
+    description: `${SERVICE_NAME} is running`,
+    interval: '1m',
+    timeout: '15s',
+    run: async (context) => {
+        const state = await serviceState(SERVICE_NAME, context.timeout);
+        if (/^(RUNNING|active)$/.test(state)) return [];
+        return [{
+            severity: 'High',
+            title: `Service Not Running: ${SERVICE_NAME}`,
+            description: `${SERVICE_NAME} is ${state.toLowerCase()}`,
+            recommendation: `Start ${SERVICE_NAME} and check its logs for why it stopped`
+        }];
+    }
+};
@@ -1,32 +1,196 @@
 // Real-time Windows 11 Monitor Dashboard
 let ws = null;
-let cpuChart = null;
-let memoryChart = null;
-let currentFilter = 'all';
+let dashboard = null; // the layout shown, a draft while the layout editor is open
+let savedDashboard = null;
+const chartCards = new Map(); // card id -> { card, element, chart, range, info, points, request }
+let latestMetrics = null;
 let allEvents = [];
+let eventCursor = null;
+let eventPages = 0;
+const eventFilters = { level: [], category: [], provider: [], source: [] };
+let eventView = 'list';
+let eventProblem = null;
+let localHost = null;
+let selectedHost = null;
+let currentUser = null;
+let lastDiagnostics = null;
+let showSnoozed = false;
+let settings = { intervals: null, thresholds: { diskWarning: 80 } }; // the server's, from the settings topic
+const ROLE_LEVELS = { viewer: 1, operator: 2, admin: 3 };
+const actionCatalog = new Map(); // action id -> { label, description, role, available, ... }
+let pendingAction = null; // the dry run shown in the action drawer
+let processChart = null;
+const processView = { sort: 'cpu', order: 'desc', q: '', tree: false, selected: null, request: 0 };
+
+// Replay of a recorded session instead of live data; the REST API only knows the present
+const replayId = new URLSearchParams(window.location.search).get('replay');
+let replayState = null;
+let replaySeeking = false;
+let recordedEvents = [];
+let recordedProcesses = [];
+
+// WebSocket protocol: subscribe to topics, get a snapshot per topic and then
+// numbered deltas; a gap or a reconnect triggers a resync
+const WS_PROTOCOL = 'monitor.v2';
+const realtime = { instance: null, topics: {}, lastMessage: 0, pingTimer: null };
+
+// Topics for the current view; without a host the server picks its own
+function viewTopics() {
+    const host = selectedHost ? `:${selectedHost}` : '';
+    const shared = replayId ? ['hosts', 'alerts'] : ['hosts', 'alerts', 'settings'];
+    return shared.concat(['metrics', 'eventlogs', 'diagnostics'].map(kind => `${kind}${host}`));
+}
+
+function sendMessage(message) {
+    if (ws && ws.readyState === WebSocket.OPEN) {
+        ws.send(JSON.stringify(message));
+    }
+}
+
+// Subscribe to the topics of the viewed host and drop the ones of other hosts
+function updateSubscriptions() {
+    const wanted = viewTopics();
+    const stale = Object.keys(realtime.topics).filter(topic => topic.includes(':') && !wanted.includes(topic));
+    if (stale.length) {
+        sendMessage({ type: 'unsubscribe', topics: stale });
+        stale.forEach(topic => delete realtime.topics[topic]);
+    }
+
+    const since = {};
+    wanted.forEach(topic => {
+        if (realtime.topics[topic]) since[topic] = realtime.topics[topic].seq;
+    });
+    sendMessage({ type: 'subscribe', topics: wanted, since });
+}
+
+// Applies [path, value] / [path] (remove) operations in place
+function applyPatch(target, patch) {
+    let root = target;
+    patch.forEach(op => {
+        const path = op[0];
+        if (path.length === 0) {
+            root = op[1];
+            return;
+        }
+        let node = root;
+        for (let i = 0; i < path.length - 1; i++) node = node[path[i]];
+        const key = path[path.length - 1];
+        if (op.length === 1) delete node[key];
+        else node[key] = op[1];
+    });
+    return root;
+}
+
+// True when a delta changes more than collection timestamps
+function changesContent(patch) {
+    return patch.some(op => !['timestamp', 'lastSeen'].includes(op[0][op[0].length - 1]));
+}
+
+function renderTopic(topic, data, patch) {
+    const [kind, host] = topic.split(':');
+
+    // Host-specific data for a host other than the one being viewed
+    if (host && selectedHost && host !== selectedHost) return;
+
+    if (kind === 'hosts') {
+        updateHosts(data);
+    } else if (kind === 'metrics') {
+        updateMetrics(data);
+    } else if (kind === 'eventlogs') {
+        if (!patch || changesContent(patch)) updateEventLogs(data);
+    } else if (kind === 'diagnostics') {
+        if (!patch || changesContent(patch)) updateDiagnostics(data);
+    } else if (kind === 'alerts') {
+        updateAlerts(data);
+    } else if (kind === 'settings') {
+        updateSettings(data);
+    }
+}
+
+// Collection intervals and thresholds, changed by admins while the dashboard is open
+function updateSettings(data) {
+    if (!data) return;
+    settings = data;
+
+    const intervals = data.intervals || {};
+    const rate = [['metrics', 'metrics'], ['eventlogs', 'logs'], ['diagnostics', 'diagnostics']]
+        .filter(([name]) => intervals[name])
+        .map(([name, label]) => `${formatInterval(intervals[name])} (${label})`);
+    if (rate.length) document.getElementById('refreshRate').textContent = rate.join(' | ');
+
+    if (latestMetrics && latestMetrics.disks) updateDisks(latestMetrics.disks);
+}
+
+// 3000 -> "3s", 120000 -> "2m"
+function formatInterval(ms) {
+    return ms >= 60000 && ms % 60000 === 0 ? `${ms / 60000}m` : `${Math.round(ms / 100) / 10}s`;
+}
+
+function handleRealtimeMessage(message) {
+    if (message.type === 'welcome') {
+        // After a server restart sequence numbers start over - drop what we have
+        if (realtime.instance !== message.instance) {
+            realtime.instance = message.instance;
+            realtime.topics = {};
+        }
+        startHeartbeat(message.heartbeat);
+        updateSubscriptions();
+
+        // A reconnected replay starts over - pick up where it was
+        if (replayId && replayState) {
+            replayControl('speed', { speed: replayState.speed });
+            replayControl('seek', { to: replayState.position });
+        }
+    } else if (message.type === 'replay') {
+        updateReplay(message);
+    } else if (message.type === 'snapshot') {
+        realtime.topics[message.topic] = { seq: message.seq, data: message.data };
+        renderTopic(message.topic, message.data, null);
+    } else if (message.type === 'delta') {
+        const current = realtime.topics[message.topic];
+        if (!current || message.seq <= current.seq) return;
+        if (message.seq !== current.seq + 1) {
+            sendMessage({ type: 'resync', topics: [message.topic] });
+            return;
+        }
+        current.data = applyPatch(current.data, message.patch);
+        current.seq = message.seq;
+        renderTopic(message.topic, current.data, message.patch);
+    } else if (message.type === 'error') {
+        console.warn('WebSocket:', message.error, message.topic || '');
+    }
+}
+
+// Application-level ping so a dead connection is noticed and replaced
+function startHeartbeat(serverHeartbeat) {
+    const interval = Math.min(serverHeartbeat || 30000, 20000);
+    clearInterval(realtime.pingTimer);
+    realtime.pingTimer = setInterval(() => {
+        if (Date.now() - realtime.lastMessage > interval * 2.5) {
+            console.warn('WebSocket heartbeat missed - reconnecting');
+            ws.close();
+            return;
+        }
+        sendMessage({ type: 'ping', t: Date.now() });
+    }, interval);
+}
 
 // Initialize WebSocket connection
 function connectWebSocket() {
     const protocol = window.location.protocol === 'https:' ? 'wss:' : 'ws:';
-    const wsUrl = `${protocol}//${window.location.host}`;
+    const wsUrl = `${protocol}//${window.location.host}${replayId ? `/?replay=${encodeURIComponent(replayId)}` : ''}`;
 
-    ws = new WebSocket(wsUrl);
+    ws = new WebSocket(wsUrl, WS_PROTOCOL);
 
     ws.onopen = () => {
         console.log('WebSocket connected');
+        realtime.lastMessage = Date.now();
         updateConnectionStatus(true);
     };
 
     ws.onmessage = (event) => {
-        const message = JSON.parse(event.data);
-
-        if (message.type === 'metrics') {
-            updateMetrics(message.data);
-        } else if (message.type === 'eventlogs') {
-            updateEventLogs(message.data);
-        } else if (message.type === 'diagnostics') {
-            updateDiagnostics(message.data);
-        }
+        realtime.lastMessage = Date.now();
+        handleRealtimeMessage(JSON.parse(event.data));
     };
 
     ws.onerror = (error) => {
@@ -36,13 +200,79 @@ function connectWebSocket() {
 
     ws.onclose = () => {
         console.log('WebSocket disconnected');
+        clearInterval(realtime.pingTimer);
         updateConnectionStatus(false);
 
-        // Attempt to reconnect after 5 seconds
-        setTimeout(connectWebSocket, 5000);
+        // The upgrade is refused without a valid session - check before retrying
+        loadCurrentUser().then((user) => {
+            if (user) {
+                // Attempt to reconnect after 5 seconds
+                setTimeout(connectWebSocket, 5000);
+            }
+        });
     };
 }
 
+// Send the browser to the login page once the session is gone
+function redirectToLogin() {
+    window.location.href = '/login.html';
+}
+
+// Fetch the signed-in user; resolves to null (and redirects) when the session expired
+function loadCurrentUser() {
+    return fetch('/api/auth/me')
+        .then(res => {
+            if (res.status === 401) {
+                redirectToLogin();
+                return null;
+            }
+            return res.json();
+        })
+        .then(user => {
+            currentUser = user;
+            if (user && user.authEnabled) {
+                document.getElementById('userName').textContent = `${user.username} (${user.role})`;
+                document.getElementById('userBadge').hidden = false;
+            }
+            return user;
+        })
+        .catch(() => ({}));
+}
+
+function logout() {
+    fetch('/api/auth/logout', { method: 'POST' })
+        .finally(() => clearBuffer().then(redirectToLogin));
+}
+
+// JSON from an API call; an expired session redirects to the login page
+function fetchJson(url) {
+    return fetch(url).then(res => {
+        if (res.status === 401) {
+            redirectToLogin();
+            throw new Error('Session expired');
+        }
+        return res.json();
+    });
+}
+
+// Send a JSON request (POST, DELETE...) and return the parsed response
+function sendJson(method, url, body) {
+    return fetch(url, {
+        method,
+        headers: { 'Content-Type': 'application/json' },
+        body: body ? JSON.stringify(body) : undefined
+    }).then(res => {
+        if (res.status === 401) {
+            redirectToLogin();
+            throw new Error('Session expired');
+        }
+        return res.json().then(data => {
+            if (!res.ok) throw new Error(data.error || `Request failed (${res.status})`);
+            return data;
+        });
+    });
+}
+
 // Update connection status indicator
 function updateConnectionStatus(connected) {
     const statusDot = document.getElementById('statusDot');
@@ -50,90 +280,713 @@ function updateConnectionStatus(connected) {
 
     if (connected) {
         statusDot.classList.add('connected');
-        statusText.textContent = 'Connected';
+        statusText.textContent = replayId ? 'Replay' : 'Connected';
     } else {
         statusDot.classList.remove('connected');
-        statusText.textContent = 'Disconnected';
-    }
-}
-
-// Initialize Charts
-function initCharts() {
-    const commonOptions = {
-        responsive: true,
-        maintainAspectRatio: false,
-        plugins: {
-            legend: { display: false }
-        },
-        scales: {
-            x: { display: false },
-            y: {
-                display: false,
-                min: 0,
-                max: 100
+        statusText.textContent = navigator.onLine === false ? 'Offline' : 'Disconnected';
+    }
+}
+
+// Dashboard layout: the user's cards in their order. Chart cards draw one
+// metric (a flattened key as in the metrics history) live - the last 20
+// samples - or over a time window loaded from the history and kept current
+const LIVE_POINTS = 20;
+const MAX_WINDOW_POINTS = 300;
+const TIME_WINDOWS = { '15m': 15 * 60 * 1000, '1h': 60 * 60 * 1000, '6h': 6 * 60 * 60 * 1000, '24h': 24 * 60 * 60 * 1000, '7d': 7 * 24 * 60 * 60 * 1000 };
+const WINDOW_LABELS = { default: 'Dashboard range', live: 'Live', '15m': '15 min', '1h': '1 hour', '6h': '6 hours', '24h': '24 hours', '7d': '7 days' };
+const PANEL_LABELS = {
+    uptime: '⏱️ System Uptime',
+    network: '🌐 Network Activity',
+    disks: '💿 Disk Usage',
+    processes: '📊 Processes',
+    diagnostics: '🔍 System Health & Diagnostics',
+    eventlogs: '📝 Event Log Explorer'
+};
+const CHART_COLORS = [['#4a9eff', '74, 158, 255'], ['#4ade80', '74, 222, 128'], ['#a78bfa', '167, 139, 250'], ['#fbbf24', '251, 191, 36'], ['#f472b6', '244, 114, 182']];
+const BASELINE_METRICS = { cpu: 'cpu', 'memory.percent': 'memory' };
+const METRIC_DETAILS = {
+    'memory.percent': data => (data.memory ? `${data.memory.used.toFixed(1)} / ${data.memory.total.toFixed(1)} GB` : '')
+};
+
+// Flattens a metrics sample like the server's history does: arrays are keyed by drive or name
+function flattenMetrics(value, prefix = '', out = {}) {
+    if (typeof value === 'number') {
+        if (Number.isFinite(value) && prefix) out[prefix] = value;
+    } else if (typeof value === 'boolean') {
+        if (prefix) out[prefix] = value ? 1 : 0;
+    } else if (Array.isArray(value)) {
+        const used = {};
+        value.forEach((item, index) => {
+            let key = String(index);
+            if (item && typeof item === 'object') {
+                key = String(item.drive || item.name || index);
+                if (item.pid !== undefined) key = `${key}:${item.pid}`;
             }
-        },
-        elements: {
-            line: {
-                tension: 0.4,
-                borderWidth: 2
+            if (used[key]) key = `${key}#${index}`;
+            used[key] = true;
+            flattenMetrics(item, prefix ? `${prefix}.${key}` : key, out);
+        });
+    } else if (value && typeof value === 'object') {
+        Object.keys(value).forEach(key => {
+            if (key === 'pid') return;
+            flattenMetrics(value[key], prefix ? `${prefix}.${key}` : key, out);
+        });
+    }
+    return out;
+}
+
+// Label and unit of a metric key
+function describeMetric(key) {
+    if (key === 'cpu') return { label: 'CPU Usage', unit: '%' };
+    if (key === 'memory.percent') return { label: 'Memory Usage', unit: '%' };
+
+    const last = key.slice(key.lastIndexOf('.') + 1);
+    let unit = '';
+    if (/(percent|percentage|activity|usage|utilization)$/i.test(last)) unit = '%';
+    else if (/MBps$/.test(last)) unit = ' MB/s';
+    else if (/Bps$/.test(last)) unit = ' B/s';
+    else if (/MB$/.test(last)) unit = ' MB';
+    else if (/^(disks|memory)\./.test(key) && /^(used|free|total)$/.test(last)) unit = ' GB';
+    return { label: key.split('.').join(' › '), unit };
+}
+
+// Metrics a chart card can draw: every number in the latest sample except per-process ones
+function metricCatalog() {
+    const flat = flattenMetrics(latestMetrics || {});
+    return Object.keys(flat)
+        .filter(key => !/^(processes|baseline)\./.test(key))
+        .sort();
+}
+
+// The window a chart shows; history is kept for this server only, and a replay has none
+function chartWindow(card) {
+    if (replayId || (selectedHost && selectedHost !== localHost)) return 'live';
+    return card.window === 'default' ? dashboard.timeRange : card.window;
+}
+
+// Upper and lower edge of the learned normal range, shaded in between (empty until the server has a baseline)
+function baselineBand(color) {
+    const edge = { data: [], borderWidth: 1, borderDash: [4, 4], borderColor: color };
+    return [
+        Object.assign({}, edge, { fill: false }),
+        Object.assign({}, edge, { data: [], fill: '-1', backgroundColor: 'rgba(255, 255, 255, 0.06)' })
+    ];
+}
+
+function createChartCard(card, index, grid) {
+    const element = document.getElementById('chartCardTemplate').content.firstElementChild.cloneNode(true);
+    const range = chartWindow(card);
+    const live = range === 'live';
+    const info = describeMetric(card.metric);
+    const colorIndex = card.metric === 'cpu' ? 0 : (card.metric === 'memory.percent' ? 1 : index % CHART_COLORS.length);
+    const [color, rgb] = CHART_COLORS[colorIndex];
+
+    element.dataset.card = card.id;
+    element.classList.toggle('card-wide', card.size === 'wide');
+    element.hidden = card.hidden;
+    element.querySelector('.chart-title').textContent = card.title || info.label;
+    element.querySelector('.chart-window').textContent = WINDOW_LABELS[range];
+    grid.appendChild(element);
+
+    const datasets = [{
+        data: [],
+        borderColor: color,
+        backgroundColor: `rgba(${rgb}, ${card.chart === 'bar' ? 0.6 : 0.1})`,
+        fill: card.chart === 'area'
+    }];
+    if (BASELINE_METRICS[card.metric] && card.chart !== 'bar') {
+        datasets.push(...baselineBand(`rgba(${rgb}, 0.25)`));
+    }
+
+    // Live charts are sparklines; windowed ones get time and value axes
+    const axis = { ticks: { maxTicksLimit: 5, maxRotation: 0, color: '#9ca3af' }, grid: { color: 'rgba(255, 255, 255, 0.05)' } };
+    const chart = new Chart(element.querySelector('canvas').getContext('2d'), {
+        type: card.chart === 'bar' ? 'bar' : 'line',
+        data: { labels: [], datasets },
+        options: {
+            responsive: true,
+            maintainAspectRatio: false,
+            plugins: {
+                legend: { display: false }
+            },
+            scales: {
+                x: Object.assign({}, axis, { display: !live, grid: { display: false } }),
+                y: Object.assign({}, axis, { display: !live, min: 0, max: info.unit === '%' ? 100 : undefined })
             },
-            point: {
-                radius: 0
+            elements: {
+                line: {
+                    tension: 0.4,
+                    borderWidth: 2
+                },
+                point: {
+                    radius: 0
+                }
             }
         }
-    };
+    });
+
+    const entry = { card, element, chart, range, info, points: [], request: 0 };
+    chartCards.set(card.id, entry);
+    return entry;
+}
 
-    // CPU Chart
-    const cpuCtx = document.getElementById('cpuChart').getContext('2d');
-    cpuChart = new Chart(cpuCtx, {
-        type: 'line',
-        data: {
-            labels: Array(20).fill(''),
-            datasets: [{
-                data: Array(20).fill(0),
-                borderColor: '#4a9eff',
-                backgroundColor: 'rgba(74, 158, 255, 0.1)',
-                fill: true
-            }]
-        },
-        options: commonOptions
-    });
-
-    // Memory Chart
-    const memoryCtx = document.getElementById('memoryChart').getContext('2d');
-    memoryChart = new Chart(memoryCtx, {
-        type: 'line',
-        data: {
-            labels: Array(20).fill(''),
-            datasets: [{
-                data: Array(20).fill(0),
-                borderColor: '#4ade80',
-                backgroundColor: 'rgba(74, 222, 128, 0.1)',
-                fill: true
-            }]
-        },
-        options: commonOptions
+// (Re)builds the dashboard from the current layout
+function renderDashboard() {
+    const grid = document.getElementById('dashboardGrid');
+    chartCards.forEach(entry => {
+        entry.chart.destroy();
+        entry.element.remove();
+    });
+    chartCards.clear();
+
+    dashboard.cards.forEach((card, index) => {
+        if (card.type === 'chart') {
+            createChartCard(card, index, grid);
+            return;
+        }
+        const element = grid.querySelector(`[data-card="${card.type}"]`);
+        if (!element) return;
+        element.hidden = card.hidden;
+        grid.appendChild(element);
+    });
+
+    document.getElementById('timeRange').value = dashboard.timeRange;
+    const current = latestMetrics || bufferedMetrics();
+    chartCards.forEach(entry => {
+        loadChartHistory(entry);
+        if (current) showChartValue(entry, current, flattenMetrics(current));
     });
 }
 
-// Update metrics display
-function updateMetrics(data) {
-    if (!data) return;
+function formatChartTime(time, range) {
+    const date = new Date(time);
+    return range === '7d'
+        ? date.toLocaleString([], { weekday: 'short', hour: '2-digit', minute: '2-digit' })
+        : date.toLocaleTimeString([], { hour: '2-digit', minute: '2-digit' });
+}
+
+function drawChart(entry) {
+    const live = entry.range === 'live';
+
+    // Live sparklines fill up from the right
+    const padding = live ? Math.max(0, LIVE_POINTS - entry.points.length) : 0;
+    const points = Array(padding).fill(null).concat(entry.points);
+    const chart = entry.chart;
+    chart.data.labels = points.map(point => (point && !live ? formatChartTime(point.t, entry.range) : ''));
+    chart.data.datasets[0].data = points.map(point => (point ? point.value : null));
+    if (chart.data.datasets.length > 1) {
+        chart.data.datasets[1].data = points.map(point => (point && point.band ? point.band.upper : null));
+        chart.data.datasets[2].data = points.map(point => (point && point.band ? point.band.lower : null));
+    }
+    chart.update('none');
+}
+
+function loadChartHistory(entry) {
+    entry.points = bufferedPoints(entry);
+    drawChart(entry);
+    if (entry.range === 'live') return;
+
+    const request = ++entry.request;
+    const metric = entry.card.metric;
+    const params = new URLSearchParams({ fields: metric, from: entry.range });
+    fetchJson(`/api/history?${params.toString()}`)
+        .then(data => {
+            // The layout or host changed while loading
+            if (chartCards.get(entry.card.id) !== entry || request !== entry.request || !data || !data.history) return;
+            const history = data.history
+                .filter(point => typeof point[metric] === 'number')
+                .map(point => ({ t: Date.parse(point.timestamp), value: point[metric], band: null }));
+            entry.points = history.concat(entry.points.filter(point => !history.length || point.t > history[history.length - 1].t));
+            drawChart(entry);
+        })
+        .catch(err => console.error('Error fetching chart history:', err));
+}
+
+function showChartValue(entry, data, flat) {
+    const value = flat[entry.card.metric];
+    entry.element.querySelector('.chart-value').textContent =
+        typeof value === 'number' ? `${value.toFixed(1)}${entry.info.unit}` : '--';
+    const detail = METRIC_DETAILS[entry.card.metric];
+    entry.element.querySelector('.chart-detail').textContent = detail ? detail(data) : '';
+}
+
+// Time of a metrics sample: its collection timestamp, or now
+function sampleTime(data) {
+    const parsed = Date.parse(String(data.timestamp || '').replace(' ', 'T'));
+    return Number.isNaN(parsed) ? Date.now() : parsed;
+}
+
+// Adds a metrics sample to every chart card
+function updateChartCards(data) {
+    const flat = flattenMetrics(data);
+    const time = sampleTime(data);
+
+    chartCards.forEach(entry => {
+        showChartValue(entry, data, flat);
+        const value = flat[entry.card.metric];
+        if (typeof value !== 'number') return;
+
+        const baseline = BASELINE_METRICS[entry.card.metric];
+        const point = { t: time, value, band: baseline && data.baseline ? data.baseline[baseline] : null };
+        const points = entry.points;
+        const last = points[points.length - 1];
+        if (entry.range === 'live') {
+            points.push(point);
+            if (points.length > LIVE_POINTS) points.shift();
+        } else {
+            // Keep roughly the density of the loaded history
+            const span = TIME_WINDOWS[entry.range];
+            if (last && time - last.t < span / MAX_WINDOW_POINTS) return;
+            points.push(point);
+            while (points.length && points[0].t < time - span) points.shift();
+        }
+        drawChart(entry);
+    });
+}
+
+// Offline buffer: the viewed host's metrics samples of the last BUFFER_MINUTES,
+// the layout and the host are kept in IndexedDB, so after a reload - even with
+// the server unreachable - the charts pick up where they were instead of
+// starting empty. Without IndexedDB (private windows) nothing is kept.
+const BUFFER_MINUTES = 15;
+const BUFFER_DB = 'win11-monitor';
+// db: a promise of the database; samples: those of buffer.host, oldest first
+const buffer = { db: null, host: null, samples: [], written: 0 };
+
+// Resolves to the database, or null when IndexedDB is unavailable or blocked
+function openBuffer() {
+    if (!window.indexedDB) return Promise.resolve(null);
+    return new Promise(resolve => {
+        const request = indexedDB.open(BUFFER_DB, 1);
+        request.onupgradeneeded = () => {
+            request.result.createObjectStore('samples', { keyPath: ['host', 't'] }); // { host, t, metrics }
+            request.result.createObjectStore('state', { keyPath: 'key' }); // { key, value }
+        };
+        request.onsuccess = () => resolve(request.result);
+        request.onerror = () => resolve(null);
+    });
+}
+
+// Runs fn(store) in a transaction; resolves to the result of the request it returns
+function bufferRequest(storeName, mode, fn) {
+    return (buffer.db || Promise.resolve(null)).then(db => new Promise(resolve => {
+        if (!db) return resolve(undefined);
+        const transaction = db.transaction(storeName, mode);
+        const request = fn(transaction.objectStore(storeName));
+        transaction.oncomplete = () => resolve(request ? request.result : undefined);
+        transaction.onerror = () => resolve(undefined);
+        transaction.onabort = () => resolve(undefined);
+    }));
+}
+
+function bufferCutoff() {
+    return Date.now() - BUFFER_MINUTES * 60 * 1000;
+}
+
+function loadBufferState(key) {
+    return bufferRequest('state', 'readonly', store => store.get(key)).then(entry => (entry ? entry.value : undefined));
+}
+
+function saveBufferState(key, value) {
+    return bufferRequest('state', 'readwrite', store => store.put({ key, value }));
+}
 
-    // Update CPU
-    if (data.cpu !== undefined) {
-        document.getElementById('cpuValue').textContent = `${data.cpu.toFixed(1)}%`;
-        updateChart(cpuChart, data.cpu);
+// Keeps a sample of the viewed host; the process list is left out (the explorer loads it)
+function bufferSample(host, data, time) {
+    if (!host || replayId) return;
+    const metrics = Object.assign({}, data);
+    delete metrics.processes;
+
+    if (buffer.host === host) {
+        const cutoff = bufferCutoff();
+        buffer.samples.push({ host, t: time, metrics });
+        while (buffer.samples.length && buffer.samples[0].t < cutoff) buffer.samples.shift();
+    }
+    bufferRequest('samples', 'readwrite', store => {
+        store.put({ host, t: time, metrics });
+        // Drop what fell out of the window, at most once a minute
+        if (Date.now() - buffer.written > 60 * 1000) {
+            buffer.written = Date.now();
+            store.delete(IDBKeyRange.bound([host, 0], [host, bufferCutoff()]));
+        }
+    });
+}
+
+// Loads a host's buffered samples and adds them to the charts shown
+function loadBuffer(host) {
+    buffer.host = host;
+    buffer.samples = [];
+    return bufferRequest('samples', 'readonly', store => store.getAll(IDBKeyRange.bound([host, bufferCutoff()], [host, Infinity])))
+        .then(samples => {
+            if (buffer.host !== host || !samples) return;
+            buffer.samples = samples.concat(buffer.samples.filter(sample => !samples.length || sample.t > samples[samples.length - 1].t));
+            chartCards.forEach(entry => {
+                entry.points = bufferedPoints(entry).filter(point => !entry.points.length || point.t < entry.points[0].t).concat(entry.points);
+                if (entry.range === 'live') entry.points = entry.points.slice(-LIVE_POINTS);
+                drawChart(entry);
+            });
+
+            // Nothing live yet (server down): show the last buffered values
+            const last = buffer.samples[buffer.samples.length - 1];
+            if (!latestMetrics && last) {
+                const flat = flattenMetrics(last.metrics);
+                chartCards.forEach(entry => showChartValue(entry, last.metrics, flat));
+                document.getElementById('lastUpdate').textContent = `${new Date(last.t).toLocaleTimeString()} (buffered)`;
+            }
+        });
+}
+
+function showsBuffer() {
+    return Boolean(buffer.host) && (!selectedHost || buffer.host === selectedHost);
+}
+
+// The newest buffered sample of the viewed host
+function bufferedMetrics() {
+    const last = buffer.samples[buffer.samples.length - 1];
+    return showsBuffer() && last ? last.metrics : null;
+}
+
+// Chart points from the buffer for a card, within its window
+function bufferedPoints(entry) {
+    if (!showsBuffer()) return [];
+    const metric = entry.card.metric;
+    const baseline = BASELINE_METRICS[metric];
+    const from = entry.range === 'live' ? 0 : Date.now() - TIME_WINDOWS[entry.range];
+    const points = [];
+    buffer.samples.forEach(sample => {
+        const value = flattenMetrics(sample.metrics)[metric];
+        if (typeof value !== 'number' || sample.t < from) return;
+        points.push({ t: sample.t, value, band: baseline && sample.metrics.baseline ? sample.metrics.baseline[baseline] : null });
+    });
+    return entry.range === 'live' ? points.slice(-LIVE_POINTS) : points;
+}
+
+// Sign-out leaves nothing of the monitored machines on this browser
+function clearBuffer() {
+    if (!window.indexedDB) return Promise.resolve();
+    return (buffer.db || Promise.resolve(null)).then(db => {
+        if (db) db.close();
+        buffer.db = null;
+        return new Promise(resolve => {
+            const request = indexedDB.deleteDatabase(BUFFER_DB);
+            request.onsuccess = request.onerror = request.onblocked = () => resolve();
+        });
+    });
+}
+
+// The layout falls back to the one kept in the buffer when the server can't be reached
+function loadPreferences() {
+    return fetchJson('/api/preferences')
+        .then(preferences => {
+            if (!preferences || !preferences.dashboard) return;
+            savedDashboard = preferences.dashboard;
+            saveBufferState('dashboard', savedDashboard);
+            dashboard = JSON.parse(JSON.stringify(savedDashboard));
+            renderDashboard();
+        })
+        .catch(err => {
+            console.error('Error fetching preferences:', err);
+            return loadBufferState('dashboard').then(layout => {
+                if (!layout || dashboard) return;
+                savedDashboard = layout;
+                dashboard = JSON.parse(JSON.stringify(layout));
+                renderDashboard();
+            });
+        });
+}
+
+function savePreferences(layout) {
+    return sendJson('PUT', '/api/preferences', { dashboard: layout }).then(preferences => {
+        savedDashboard = preferences.dashboard;
+        saveBufferState('dashboard', savedDashboard);
+        return preferences;
+    });
+}
+
+// The header time range applies to every chart set to follow it
+function setTimeRange(range) {
+    if (!dashboard) return;
+    dashboard.timeRange = range;
+    renderDashboard();
+    if (layoutDraftOpen()) {
+        renderLayoutEditor();
+        return;
+    }
+    savePreferences(Object.assign({}, savedDashboard, { timeRange: range }))
+        .catch(err => console.error('Error saving preferences:', err));
+}
+
+// Layout editor: edits preview on the dashboard right away; Save keeps them, Cancel goes back
+function layoutDraftOpen() {
+    return !document.getElementById('layoutEditor').hidden;
+}
+
+function openLayoutEditor() {
+    if (!dashboard) return;
+    document.getElementById('layoutEditor').hidden = false;
+    renderLayoutEditor();
+}
+
+function closeLayoutEditor(keep) {
+    document.getElementById('layoutEditor').hidden = true;
+    if (!keep) {
+        dashboard = JSON.parse(JSON.stringify(savedDashboard));
+        renderDashboard();
+    }
+}
+
+function optionList(values, labels, selected) {
+    return html`${values.map(value =>
+        html`<option value="${value}" ${value === selected ? 'selected' : ''}>${labels ? labels[value] : value}</option>`
+    )}`;
+}
+
+function renderLayoutEditor() {
+    const list = document.getElementById('layoutCardList');
+    const catalog = metricCatalog();
+
+    list.innerHTML = dashboard.cards.map((card, index) => {
+        const visible = html`<input type="checkbox" data-field="hidden" ${card.hidden ? '' : 'checked'} title="Show this card">`;
+        if (card.type !== 'chart') {
+            return html`
+                <li class="layout-card" draggable="true" data-index="${index}">
+                    <span class="layout-handle" title="Drag to reorder">☰</span>
+                    ${visible}
+                    <span class="layout-card-name">${PANEL_LABELS[card.type] || card.type}</span>
+                </li>
+            `;
+        }
+
+        const metrics = catalog.includes(card.metric) ? catalog : [card.metric].concat(catalog);
+        return html`
+            <li class="layout-card" draggable="true" data-index="${index}">
+                <span class="layout-handle" title="Drag to reorder">☰</span>
+                ${visible}
+                <div class="layout-chart">
+                    <input type="text" class="event-search" data-field="title" maxlength="60" placeholder="${describeMetric(card.metric).label}" value="${card.title}">
+                    <select class="host-select" data-field="metric" title="Metric">${optionList(metrics, null, card.metric)}</select>
+                    <select class="host-select" data-field="chart" title="Chart type">${optionList(['line', 'area', 'bar'], { line: 'Line', area: 'Area', bar: 'Bar' }, card.chart)}</select>
+                    <select class="host-select" data-field="window" title="Time window">${optionList(Object.keys(WINDOW_LABELS), WINDOW_LABELS, card.window)}</select>
+                    <select class="host-select" data-field="size" title="Size">${optionList(['small', 'wide'], { small: 'Small', wide: 'Full width' }, card.size)}</select>
+                </div>
+                <button type="button" class="filter-btn" data-action="remove" title="Remove chart">✕</button>
+            </li>
+        `;
+    }).join('');
+
+    document.getElementById('layoutAddMetric').innerHTML = optionList(catalog, null, 'cpu');
+}
+
+function moveCard(from, to) {
+    const [card] = dashboard.cards.splice(from, 1);
+    dashboard.cards.splice(to, 0, card);
+    renderDashboard();
+    renderLayoutEditor();
+}
+
+function setupLayoutEditor() {
+    const list = document.getElementById('layoutCardList');
+    let dragged = null;
+
+    document.getElementById('timeRange').addEventListener('change', (event) => setTimeRange(event.target.value));
+    document.getElementById('layoutEditToggle').addEventListener('click', () => {
+        if (layoutDraftOpen()) closeLayoutEditor(false);
+        else openLayoutEditor();
+    });
+    document.getElementById('layoutEditorClose').addEventListener('click', () => closeLayoutEditor(false));
+    document.getElementById('layoutCancel').addEventListener('click', () => closeLayoutEditor(false));
+
+    document.getElementById('layoutSave').addEventListener('click', () => {
+        savePreferences(dashboard)
+            .then(() => closeLayoutEditor(true))
+            .catch(err => alert(`Could not save the layout: ${err.message}`));
+    });
+    document.getElementById('layoutReset').addEventListener('click', () => {
+        if (!confirm('Reset the dashboard to the default layout?')) return;
+        sendJson('DELETE', '/api/preferences')
+            .then(preferences => {
+                savedDashboard = preferences.dashboard;
+                closeLayoutEditor(false);
+            })
+            .catch(err => alert(`Could not reset the layout: ${err.message}`));
+    });
+    document.getElementById('layoutAddChart').addEventListener('click', () => {
+        const metric = document.getElementById('layoutAddMetric').value;
+        if (!metric) return;
+        dashboard.cards.push({
+            id: `chart-${Date.now().toString(36)}`,
+            type: 'chart',
+            title: '',
+            metric,
+            chart: 'line',
+            window: 'default',
+            size: 'small',
+            hidden: false
+        });
+        renderDashboard();
+        renderLayoutEditor();
+    });
+
+    list.addEventListener('change', (event) => {
+        const item = event.target.closest('.layout-card');
+        const field = event.target.dataset.field;
+        if (!item || !field) return;
+
+        const card = dashboard.cards[Number(item.dataset.index)];
+        card[field] = field === 'hidden' ? !event.target.checked : event.target.value;
+        renderDashboard();
+        if (field === 'metric') renderLayoutEditor();
+    });
+    list.addEventListener('click', (event) => {
+        const item = event.target.closest('.layout-card');
+        if (!item || event.target.dataset.action !== 'remove') return;
+        dashboard.cards.splice(Number(item.dataset.index), 1);
+        renderDashboard();
+        renderLayoutEditor();
+    });
+
+    // Drag to reorder
+    list.addEventListener('dragstart', (event) => {
+        const item = event.target.closest('.layout-card');
+        if (!item) return;
+        dragged = Number(item.dataset.index);
+        item.classList.add('dragging');
+        event.dataTransfer.effectAllowed = 'move';
+    });
+    list.addEventListener('dragover', (event) => {
+        if (dragged === null) return;
+        event.preventDefault();
+        list.querySelectorAll('.drop-target').forEach(item => item.classList.remove('drop-target'));
+        const item = event.target.closest('.layout-card');
+        if (item) item.classList.add('drop-target');
+    });
+    list.addEventListener('drop', (event) => {
+        event.preventDefault();
+        const item = event.target.closest('.layout-card');
+        if (item && dragged !== null && Number(item.dataset.index) !== dragged) {
+            moveCard(dragged, Number(item.dataset.index));
+        }
+    });
+    list.addEventListener('dragend', () => {
+        dragged = null;
+        list.querySelectorAll('.dragging, .drop-target').forEach(item => item.classList.remove('dragging', 'drop-target'));
+    });
+}
+
+// Update host picker and fleet overview grid
+function updateHosts(data) {
+    if (!data || !data.hosts) return;
+
+    localHost = data.local;
+    if (!selectedHost || !data.hosts.some(host => host.id === selectedHost)) {
+        const removed = selectedHost !== null;
+        selectedHost = data.local;
+        if (removed) updateSubscriptions();
     }
+    if (buffer.host !== selectedHost && !replayId) {
+        saveBufferState('host', selectedHost);
+        loadBuffer(selectedHost);
+    }
+
+    const multiHost = data.hosts.length > 1;
+    const hostSelect = document.getElementById('hostSelect');
+    hostSelect.hidden = !multiHost;
+    hostSelect.innerHTML = '';
+
+    data.hosts.forEach(host => {
+        const option = document.createElement('option');
+        option.value = host.id;
+        option.textContent = `${host.name}${host.local ? ' (this server)' : ''}${host.stale ? ' - stale' : ''}`;
+        option.selected = host.id === selectedHost;
+        hostSelect.appendChild(option);
+    });
+
+    const fleetCard = document.getElementById('fleetCard');
+    const fleetGrid = document.getElementById('fleetGrid');
+    fleetCard.hidden = !multiHost;
+    fleetGrid.innerHTML = '';
+
+    data.hosts.forEach(host => {
+        const tile = document.createElement('div');
+        tile.className = `fleet-tile${host.stale ? ' stale' : ''}${host.id === selectedHost ? ' selected' : ''}`;
+
+        const cpu = host.cpu !== null ? `${host.cpu.toFixed(1)}%` : '--';
+        const memory = host.memory !== null ? `${host.memory.toFixed(1)}%` : '--';
+        const lastSeen = host.lastSeen ? new Date(host.lastSeen).toLocaleTimeString() : 'never';
+        const badge = host.stale ? html`<span class="fleet-badge stale">Stale</span>`
+            : (host.local ? html`<span class="fleet-badge">This server</span>` : '');
+
+        tile.innerHTML = html`
+            <div class="fleet-header">
+                <span class="fleet-name">${host.name}</span>
+                ${badge}
+            </div>
+            <div class="fleet-stats">
+                <span>CPU <strong>${cpu}</strong></span>
+                <span>Memory <strong>${memory}</strong></span>
+            </div>
+            <div class="fleet-issues">
+                <span class="fleet-count critical">${host.summary.critical || 0}</span>
+                <span class="fleet-count high">${host.summary.high || 0}</span>
+                <span class="fleet-count medium">${host.summary.medium || 0}</span>
+                <span class="fleet-count low">${host.summary.low || 0}</span>
+            </div>
+            <div class="fleet-footer">${host.platform} · last seen ${lastSeen}</div>
+        `;
+
+        tile.addEventListener('click', () => selectHost(host.id));
+        fleetGrid.appendChild(tile);
+    });
+}
+
+// Switch the dashboard to another host and load its latest data
+function selectHost(hostId) {
+    if (hostId === selectedHost) return;
 
-    // Update Memory
-    if (data.memory) {
-        document.getElementById('memoryValue').textContent = `${data.memory.percent.toFixed(1)}%`;
-        document.getElementById('memoryDetail').textContent =
-            `${data.memory.used.toFixed(1)} / ${data.memory.total.toFixed(1)} GB`;
-        updateChart(memoryChart, data.memory.percent);
+    selectedHost = hostId;
+    if (!replayId) {
+        saveBufferState('host', hostId);
+        loadBuffer(hostId);
     }
+    if (dashboard) renderDashboard();
+    networkSeries.clear();
+    resetDiskTrends();
+    closeProcessDrawer();
+
+    document.querySelectorAll('.fleet-tile').forEach(tile => tile.classList.remove('selected'));
+    document.getElementById('hostSelect').value = hostId;
+
+    updateSubscriptions();
+    if (!replayId) fetchHostData();
+}
+
+// Query string selecting the viewed host for REST calls
+function hostQuery() {
+    return selectedHost && selectedHost !== localHost ? `?host=${encodeURIComponent(selectedHost)}` : '';
+}
+
+// Fetch metrics, event logs and diagnostics for the selected host via the REST API
+function fetchHostData() {
+    fetchJson(`/api/metrics${hostQuery()}`)
+        .then(data => updateMetrics(data))
+        .catch(err => console.error('Error fetching metrics:', err));
+
+    loadEvents(false);
+    loadNetworkHistory();
+
+    fetchJson(`/api/diagnostics${hostQuery()}`)
+        .then(data => updateDiagnostics(data))
+        .catch(err => console.error('Error fetching diagnostics:', err));
+}
+
+// Update metrics display
+function updateMetrics(data) {
+    if (!data) return;
+
+    // Update chart cards (CPU, memory and any the user added)
+    latestMetrics = data;
+    updateChartCards(data);
+    if (data.timestamp && !data.error) bufferSample(selectedHost, data, sampleTime(data));
 
     // Update Uptime
     if (data.uptime) {
@@ -153,125 +1006,650 @@ function updateMetrics(data) {
 
     // Update Processes
     if (data.processes) {
-        updateProcesses(data.processes);
+        recordedProcesses = data.processes;
+        loadProcesses();
     }
 
-    // Update timestamp
-    document.getElementById('lastUpdate').textContent = new Date().toLocaleTimeString();
+    // Update timestamp - the recorded one during a replay
+    document.getElementById('lastUpdate').textContent = replayId && data.timestamp
+        ? data.timestamp
+        : new Date().toLocaleTimeString();
 }
 
-// Update chart with new data
-function updateChart(chart, newValue) {
-    chart.data.datasets[0].data.shift();
-    chart.data.datasets[0].data.push(newValue);
-    chart.update('none');
+// Disk panel: usage, the server's days-until-full forecast and a chart of
+// each drive's usage over the forecast window with the projected growth
+const DISK_TREND_REFRESH = 10 * 60 * 1000; // the server averages usage over 10 minutes
+const DISK_PROJECTION_DAYS = 7;
+const diskTrends = { charts: new Map(), loadedAt: 0, request: 0 };
+
+function formatForecastDays(days) {
+    if (days < 1) return `${Math.max(1, Math.round(days * 24))} h`;
+    return days < 10 ? `${days.toFixed(1)} days` : `${Math.round(days)} days`;
 }
 
-// Update disk information
-function updateDisks(disks) {
-    const diskList = document.getElementById('diskList');
-    diskList.innerHTML = '';
+function describeForecast(forecast) {
+    if (!forecast || forecast.trend === 'learning') return { text: 'Forecast: learning the usage trend', soon: false };
+    if (forecast.trend === 'stable') return { text: 'Usage is stable', soon: false };
+    if (forecast.trend === 'shrinking') return { text: `Shrinking ${Math.abs(forecast.growthGBPerDay)} GB/day`, soon: false };
+    if (forecast.daysUntilFull === null) return { text: `Growing ${forecast.growthGBPerDay} GB/day`, soon: false };
 
-    disks.forEach(disk => {
-        const diskItem = document.createElement('div');
-        diskItem.className = 'disk-item';
+    const range = forecast.range;
+    let spread = '';
+    if (range.latest === null) spread = ` (at the earliest ${formatForecastDays(range.earliest)})`;
+    else if (formatForecastDays(range.earliest) !== formatForecastDays(range.latest)) {
+        spread = ` (${formatForecastDays(range.earliest)} - ${formatForecastDays(range.latest)})`;
+    }
+    return {
+        text: `Full in ~${formatForecastDays(forecast.daysUntilFull)}${spread} at +${forecast.growthGBPerDay} GB/day`,
+        soon: forecast.daysUntilFull <= 14
+    };
+}
 
-        const progressClass = disk.percent > 80 ? 'warning' : '';
+function resetDiskTrends() {
+    diskTrends.charts.forEach(chart => chart.destroy());
+    diskTrends.charts.clear();
+    diskTrends.loadedAt = 0;
+    document.getElementById('diskList').dataset.drives = '';
+}
 
-        diskItem.innerHTML = `
-            <div class="disk-header">
-                <span class="disk-label">${disk.drive}</span>
-                <span class="disk-stats">${disk.used.toFixed(1)} / ${disk.total.toFixed(1)} GB (${disk.percent.toFixed(1)}%)</span>
-            </div>
-            <div class="progress-bar">
-                <div class="progress-fill ${progressClass}" style="width: ${disk.percent}%"></div>
+// Update disk information; the list is rebuilt only when the drives change, so the charts stay
+function updateDisks(disks) {
+    const diskList = document.getElementById('diskList');
+    const drives = disks.map(disk => disk.drive).join('|');
+
+    if (diskList.dataset.drives !== drives) {
+        resetDiskTrends();
+        diskList.dataset.drives = drives;
+        diskList.innerHTML = disks.map(disk => html`
+            <div class="disk-item" data-drive="${disk.drive}">
+                <div class="disk-header">
+                    <span class="disk-label">${disk.drive}</span>
+                    <span class="disk-stats"></span>
+                </div>
+                <div class="progress-bar">
+                    <div class="progress-fill"></div>
+                </div>
+                <div class="disk-forecast"></div>
+                ${replayId ? '' : html`<div class="disk-trend"><canvas></canvas></div>`}
             </div>
-        `;
+        `).join('');
+    }
 
-        diskList.appendChild(diskItem);
+    disks.forEach((disk, index) => {
+        const item = diskList.children[index];
+        const forecast = describeForecast(disk.forecast);
+        item.querySelector('.disk-stats').textContent =
+            `${disk.used.toFixed(1)} / ${disk.total.toFixed(1)} GB (${disk.percent.toFixed(1)}%)`;
+        const fill = item.querySelector('.progress-fill');
+        fill.classList.toggle('warning', disk.percent > settings.thresholds.diskWarning || forecast.soon);
+        fill.style.width = `${disk.percent}%`;
+        const text = item.querySelector('.disk-forecast');
+        text.textContent = forecast.text;
+        text.classList.toggle('soon', forecast.soon);
     });
+
+    if (!replayId && Date.now() - diskTrends.loadedAt > DISK_TREND_REFRESH) loadDiskTrends();
 }
 
-// Update network information
-function updateNetwork(networks) {
+function loadDiskTrends() {
+    diskTrends.loadedAt = Date.now();
+    const request = ++diskTrends.request;
+    fetchJson(`/api/disks${hostQuery()}`)
+        .then(data => {
+            if (request !== diskTrends.request || !data || !data.drives) return;
+            data.drives.forEach(drive => updateDiskChart(drive));
+        })
+        .catch(err => console.error('Error fetching disk trends:', err));
+}
+
+function updateDiskChart(drive) {
+    const item = Array.from(document.querySelectorAll('#diskList .disk-item')).find(element => element.dataset.drive === drive.drive);
+    const canvas = item && item.querySelector('.disk-trend canvas');
+    if (!canvas) return;
+
+    const used = drive.samples.map(sample => ({ x: Date.parse(sample.timestamp), y: sample.used }));
+    const capacity = drive.samples.map(sample => ({ x: Date.parse(sample.timestamp), y: sample.total }));
+
+    // Where the trend leads over the next week (or until the drive is full)
+    const forecast = drive.forecast;
+    const last = used[used.length - 1];
+    let projection = [];
+    if (last && forecast && forecast.trend === 'growing') {
+        const days = Math.min(DISK_PROJECTION_DAYS, forecast.daysUntilFull === null ? DISK_PROJECTION_DAYS : forecast.daysUntilFull);
+        const end = last.x + days * 24 * 60 * 60 * 1000;
+        projection = [last, { x: end, y: Math.min(drive.total, last.y + forecast.growthGBPerDay * days) }];
+        capacity.push({ x: end, y: drive.total });
+    }
+
+    let chart = diskTrends.charts.get(drive.drive);
+    if (!chart) {
+        chart = new Chart(canvas.getContext('2d'), {
+            type: 'line',
+            data: {
+                datasets: [{
+                    label: 'Used (GB)',
+                    data: [],
+                    borderColor: '#4a9eff',
+                    backgroundColor: 'rgba(74, 158, 255, 0.1)',
+                    fill: true
+                }, {
+                    label: 'Projected',
+                    data: [],
+                    borderColor: '#fbbf24',
+                    borderDash: [6, 4]
+                }, {
+                    label: 'Capacity',
+                    data: [],
+                    borderColor: 'rgba(239, 68, 68, 0.6)',
+                    borderWidth: 1,
+                    borderDash: [2, 4]
+                }]
+            },
+            options: {
+                responsive: true,
+                maintainAspectRatio: false,
+                animation: false,
+                plugins: {
+                    legend: { display: false }
+                },
+                scales: {
+                    x: {
+                        type: 'linear',
+                        ticks: {
+                            maxTicksLimit: 5,
+                            color: '#9ca3af',
+                            callback: value => new Date(value).toLocaleDateString([], { month: 'short', day: 'numeric' })
+                        },
+                        grid: { display: false }
+                    },
+                    y: { min: 0, ticks: { maxTicksLimit: 4, color: '#9ca3af' }, grid: { color: 'rgba(255, 255, 255, 0.05)' } }
+                },
+                elements: {
+                    line: { tension: 0.2, borderWidth: 2 },
+                    point: { radius: 0 }
+                }
+            }
+        });
+        diskTrends.charts.set(drive.drive, chart);
+    }
+
+    chart.data.datasets[0].data = used;
+    chart.data.datasets[1].data = projection;
+    chart.data.datasets[2].data = capacity;
+    chart.update('none');
+}
+
+// Network card: receive/transmit rates per adapter with a sparkline of the
+// last few minutes; the server computes the rates from the adapter counters
+const SPARKLINE_POINTS = 100;
+const networkSeries = new Map(); // adapter name -> [[rxBps, txBps], ...]
+
+function formatRate(bytesPerSecond) {
+    if (bytesPerSecond === null || bytesPerSecond === undefined) return '--';
+    if (bytesPerSecond >= 1024 * 1024 * 1024) return `${(bytesPerSecond / 1024 / 1024 / 1024).toFixed(2)} GB/s`;
+    if (bytesPerSecond >= 1024 * 1024) return `${(bytesPerSecond / 1024 / 1024).toFixed(1)} MB/s`;
+    if (bytesPerSecond >= 1024) return `${(bytesPerSecond / 1024).toFixed(1)} KB/s`;
+    return `${Math.round(bytesPerSecond)} B/s`;
+}
+
+function formatLinkSpeed(mbps) {
+    return mbps >= 1000 ? `${(mbps / 1000).toFixed(1)} Gbps` : `${mbps} Mbps`;
+}
+
+// Receive and transmit lines, scaled to the busiest point shown
+function sparkline(series) {
+    const width = 100;
+    const height = 30;
+    const max = Math.max(1, ...series.map(([rx, tx]) => Math.max(rx || 0, tx || 0)));
+    const step = width / Math.max(1, SPARKLINE_POINTS - 1);
+    const offset = SPARKLINE_POINTS - series.length;
+    const line = index => series
+        .map((point, i) => `${((offset + i) * step).toFixed(1)},${(height - ((point[index] || 0) / max) * (height - 2) - 1).toFixed(1)}`)
+        .join(' ');
+
+    return html`
+        <svg class="sparkline" viewBox="0 0 ${width} ${height}" preserveAspectRatio="none" aria-hidden="true">
+            <polyline class="spark-rx" points="${line(0)}"></polyline>
+            <polyline class="spark-tx" points="${line(1)}"></polyline>
+        </svg>
+    `;
+}
+
+function addNetworkSample(name, rxBps, txBps) {
+    if (typeof rxBps !== 'number' && typeof txBps !== 'number') return; // no rate yet
+    let series = networkSeries.get(name);
+    if (!series) {
+        series = [];
+        networkSeries.set(name, series);
+    }
+    series.push([rxBps, txBps]);
+    if (series.length > SPARKLINE_POINTS) series.shift();
+}
+
+// Recent rates of the viewed host's adapters, so the sparklines start full
+function loadNetworkHistory() {
+    const params = new URLSearchParams({ from: '5m' });
+    if (selectedHost && selectedHost !== localHost) params.set('host', selectedHost);
+    const host = selectedHost;
+
+    fetchJson(`/api/network?${params.toString()}`)
+        .then(data => {
+            if (host !== selectedHost || !data || !data.adapters) return;
+            networkSeries.clear();
+            data.adapters.forEach(adapter => {
+                adapter.samples.forEach(sample => addNetworkSample(adapter.name, sample.rxBps, sample.txBps));
+            });
+            if (latestMetrics && latestMetrics.network) updateNetwork(latestMetrics.network, false);
+        })
+        .catch(err => console.error('Error fetching network history:', err));
+}
+
+// Update network information; record is false when redrawing without a new sample
+function updateNetwork(networks, record = true) {
     const networkInfo = document.getElementById('networkInfo');
-    networkInfo.innerHTML = '';
 
     if (networks.length === 0) {
         networkInfo.innerHTML = '<div class="stat-detail">No active network connections</div>';
         return;
     }
 
-    networks.slice(0, 3).forEach(net => {
-        const networkItem = document.createElement('div');
-        networkItem.className = 'network-item';
+    if (record) networks.forEach(net => addNetworkSample(net.name, net.rxBps, net.txBps));
 
-        networkItem.innerHTML = `
-            <div class="network-name">${net.name}</div>
-            <div class="network-stats">
-                <span>↓ ${net.receivedMB.toFixed(2)} MB</span>
-                <span>↑ ${net.sentMB.toFixed(2)} MB</span>
+    networkInfo.innerHTML = networks.map(net => {
+        const used = Math.max(net.rxUtilization || 0, net.txUtilization || 0);
+        const link = net.linkSpeed
+            ? html`<span class="network-link ${used >= 80 ? 'busy' : ''}">${used.toFixed(1)}% of ${formatLinkSpeed(net.linkSpeed)}</span>`
+            : '';
+        return html`
+            <div class="network-item">
+                <div class="network-header">
+                    <span class="network-name" title="${net.interfaceDescription || ''}">${net.name}</span>
+                    ${link}
+                </div>
+                <div class="network-stats">
+                    <span class="network-rx">↓ ${formatRate(net.rxBps)}</span>
+                    <span class="network-tx">↑ ${formatRate(net.txBps)}</span>
+                </div>
+                ${sparkline(networkSeries.get(net.name) || [])}
             </div>
         `;
+    }).join('');
+}
+
+// Process explorer: the full process list comes from /api/processes, sorted and filtered server-side
+function processQueryString() {
+    const params = new URLSearchParams();
+    params.set('sort', processView.sort);
+    params.set('order', processView.order);
+    if (processView.q) params.set('q', processView.q);
+    if (processView.tree) params.set('tree', 'true');
+    if (selectedHost && selectedHost !== localHost) params.set('host', selectedHost);
+    return params.toString();
+}
+
+function loadProcesses() {
+    if (replayId) {
+        showRecordedProcesses();
+        return;
+    }
+    const request = ++processView.request;
+    fetchJson(`/api/processes?${processQueryString()}`)
+        .then(data => {
+            // A newer request (another sort, search or host) already went out
+            if (request !== processView.request || !data || !data.processes) return;
+            renderProcesses(data);
+        })
+        .catch(err => console.error('Error fetching processes:', err));
 
-        networkInfo.appendChild(networkItem);
+    if (processView.selected) loadProcessDetail();
+}
+
+// Tree nodes flattened in display order with their depth
+function flattenProcessTree(nodes, depth = 0, rows = []) {
+    nodes.forEach(node => {
+        rows.push({ proc: node, depth });
+        flattenProcessTree(node.children || [], depth + 1, rows);
     });
+    return rows;
+}
+
+function formatOptional(value, digits) {
+    return value === null || value === undefined ? '–' : (digits === undefined ? value : value.toFixed(digits));
 }
 
-// Update process table
-function updateProcesses(processes) {
+function renderProcesses(data) {
     const tableBody = document.getElementById('processTableBody');
-    tableBody.innerHTML = '';
+    const rows = processView.tree
+        ? flattenProcessTree(data.processes)
+        : data.processes.map(proc => ({ proc, depth: 0 }));
 
-    if (processes.length === 0) {
-        tableBody.innerHTML = '<tr><td colspan="4">No process data available</td></tr>';
+    document.getElementById('processInfo').textContent = processView.q
+        ? `${data.matching} of ${data.total} processes match`
+        : `${data.total} processes${!processView.tree && data.count < data.total ? ` (showing ${data.count})` : ''}`;
+
+    document.querySelectorAll('[data-process-sort]').forEach(header => {
+        const sorted = header.dataset.processSort === processView.sort;
+        header.classList.toggle('sorted-asc', sorted && processView.order === 'asc');
+        header.classList.toggle('sorted-desc', sorted && processView.order === 'desc');
+    });
+
+    if (rows.length === 0) {
+        tableBody.innerHTML = '<tr><td colspan="7">No process data available</td></tr>';
         return;
     }
 
-    processes.forEach(proc => {
-        const row = document.createElement('tr');
-        row.innerHTML = `
-            <td>${proc.name}</td>
-            <td>${proc.cpu.toFixed(2)}%</td>
-            <td>${proc.memory.toFixed(2)}</td>
-            <td>${proc.pid}</td>
+    tableBody.innerHTML = rows.map(({ proc, depth }) => {
+        // In the tree, ancestors of a match are shown for context only
+        const context = processView.tree && proc.match === false ? ' process-context' : '';
+        const selected = processView.selected && processView.selected.pid === proc.pid ? ' selected' : '';
+        return html`
+            <tr class="process-row${context}${selected}" data-pid="${proc.pid}" data-start="${proc.startTime || ''}">
+                <td style="padding-left: ${12 + depth * 16}px">${depth ? html`<span class="process-branch">└</span>` : ''}${proc.name}</td>
+                <td>${proc.cpu.toFixed(2)}%</td>
+                <td>${proc.memory.toFixed(2)}</td>
+                <td>${formatOptional(proc.ioMBps, 2)}</td>
+                <td>${formatOptional(proc.handles)}</td>
+                <td>${formatOptional(proc.threads)}</td>
+                <td>${proc.pid}</td>
+            </tr>
         `;
-        tableBody.appendChild(row);
+    }).join('');
+}
+
+function setProcessSort(sort) {
+    if (processView.sort === sort) {
+        processView.order = processView.order === 'asc' ? 'desc' : 'asc';
+    } else {
+        processView.sort = sort;
+        processView.order = sort === 'name' || sort === 'pid' ? 'asc' : 'desc';
+    }
+    loadProcesses();
+}
+
+// Detail drawer charting one process's CPU and memory over the kept history
+function openProcessDrawer(pid, startTime) {
+    if (replayId) return; // process history is not recorded
+    processView.selected = { pid, startTime };
+    document.getElementById('processDrawer').hidden = false;
+    document.querySelectorAll('.process-row').forEach(row => {
+        row.classList.toggle('selected', Number(row.dataset.pid) === pid);
     });
+    loadProcessDetail();
+}
+
+function closeProcessDrawer() {
+    processView.selected = null;
+    document.getElementById('processDrawer').hidden = true;
+    document.querySelectorAll('.process-row.selected').forEach(row => row.classList.remove('selected'));
+}
+
+function loadProcessDetail() {
+    const { pid, startTime } = processView.selected;
+    const params = new URLSearchParams();
+    if (startTime) params.set('startTime', startTime);
+    if (selectedHost && selectedHost !== localHost) params.set('host', selectedHost);
+
+    fetchJson(`/api/processes/${pid}/history?${params.toString()}`)
+        .then(data => {
+            if (!processView.selected || processView.selected.pid !== pid) return;
+            renderProcessDetail(data);
+        })
+        .catch(err => console.error('Error fetching process history:', err));
 }
 
-// Update event logs
+function renderProcessDetail(data) {
+    const body = document.getElementById('processDrawerBody');
+    if (!data || !data.process) {
+        document.getElementById('processDrawerTitle').textContent = 'Process details';
+        body.innerHTML = html`<div class="stat-detail">${(data && data.error) || 'No history for this process'}</div>`;
+        updateProcessChart([]);
+        return;
+    }
+
+    const proc = data.process;
+    const link = item => html`<a href="#" class="process-link" data-pid="${item.pid}">${item.name} (${item.pid})</a>`;
+    const fields = [
+        ['PID', proc.pid],
+        ['Started', proc.startTime || '–'],
+        ['Status', proc.exitedAt ? `Exited ${new Date(proc.exitedAt).toLocaleTimeString()}` : 'Running'],
+        ['CPU', `${proc.cpu.toFixed(2)}%`],
+        ['Memory', `${proc.memory.toFixed(2)} MB`],
+        ['I/O', proc.ioMBps === null ? '–' : `${proc.ioMBps.toFixed(2)} MB/s`],
+        ['Handles', formatOptional(proc.handles)],
+        ['Threads', formatOptional(proc.threads)]
+    ];
+
+    document.getElementById('processDrawerTitle').textContent = proc.name;
+    body.innerHTML = html`
+        <dl class="event-drawer-fields">
+            ${fields.map(([label, value]) => html`<dt>${label}</dt><dd>${value}</dd>`)}
+            <dt>Parent</dt><dd>${data.parent ? link(data.parent) : '–'}</dd>
+            <dt>Children</dt><dd>${data.children.length ? data.children.map((child, index) => html`${index ? ', ' : ''}${link(child)}`) : '–'}</dd>
+        </dl>
+    `;
+
+    // Ending a process runs on the server's own machine only
+    const kill = actionCatalog.get('kill-process');
+    const local = !selectedHost || selectedHost === localHost;
+    if (!proc.exitedAt && local && kill && kill.available && hasRole(kill.role)) {
+        const button = document.createElement('button');
+        button.type = 'button';
+        button.className = 'filter-btn remediation-btn';
+        button.textContent = `🛑 ${kill.label}`;
+        button.addEventListener('click', () => previewAction('kill-process', { params: { pid: proc.pid, startTime: proc.startTime || undefined } }));
+        body.appendChild(button);
+    }
+    updateProcessChart(data.samples);
+}
+
+function updateProcessChart(samples) {
+    if (!processChart) {
+        const ctx = document.getElementById('processChart').getContext('2d');
+        processChart = new Chart(ctx, {
+            type: 'line',
+            data: {
+                labels: [],
+                datasets: [{
+                    label: 'CPU %',
+                    data: [],
+                    yAxisID: 'cpu',
+                    borderColor: '#4a9eff',
+                    backgroundColor: 'rgba(74, 158, 255, 0.1)',
+                    fill: true
+                }, {
+                    label: 'Memory (MB)',
+                    data: [],
+                    yAxisID: 'memory',
+                    borderColor: '#4ade80'
+                }]
+            },
+            options: {
+                responsive: true,
+                maintainAspectRatio: false,
+                animation: false,
+                scales: {
+                    x: { ticks: { maxTicksLimit: 6 } },
+                    cpu: { position: 'left', min: 0 },
+                    memory: { position: 'right', min: 0, grid: { drawOnChartArea: false } }
+                },
+                elements: {
+                    line: { tension: 0.3, borderWidth: 2 },
+                    point: { radius: 0 }
+                }
+            }
+        });
+    }
+
+    processChart.data.labels = samples.map(sample => new Date(sample.timestamp).toLocaleTimeString());
+    processChart.data.datasets[0].data = samples.map(sample => sample.cpu);
+    processChart.data.datasets[1].data = samples.map(sample => sample.memory);
+    processChart.update('none');
+}
+
+// New events were collected - refresh the explorer unless the user is paging through older results
 function updateEventLogs(data) {
     if (!data || !data.events) return;
 
-    allEvents = data.events;
-    filterAndDisplayEvents();
+    if (replayId) {
+        recordedEvents = data.events;
+        showRecordedEvents();
+        return;
+    }
+    if (eventView === 'problems' || eventPages <= 1) {
+        loadEvents(false);
+    }
+}
+
+function escapeHtml(value) {
+    return String(value === undefined || value === null ? '' : value)
+        .replace(/&/g, '&amp;')
+        .replace(/</g, '&lt;')
+        .replace(/>/g, '&gt;')
+        .replace(/"/g, '&quot;')
+        .replace(/'/g, '&#39;');
+}
+
+// Markup built by html`...`; only these are inserted into another template unescaped
+class SafeHtml {
+    constructor(markup) {
+        this.markup = markup;
+    }
+
+    toString() {
+        return this.markup;
+    }
+}
+
+// Template tag for everything assigned to innerHTML: every interpolated value
+// is escaped unless it is itself html`...` (or an array of them), so collector
+// data - event messages, process and adapter names, issue text - stays text
+function html(strings, ...values) {
+    const insert = value => {
+        if (value instanceof SafeHtml) return value.markup;
+        if (Array.isArray(value)) return value.map(insert).join('');
+        return escapeHtml(value);
+    };
+    return new SafeHtml(strings.reduce((markup, string, index) =>
+        markup + string + (index < values.length ? insert(values[index]) : ''), ''));
+}
+
+// Query string for the event explorer: search, time range, facet filters, host and cursor
+function eventQueryString(cursor) {
+    const params = new URLSearchParams();
+    const search = document.getElementById('eventSearch').value.trim();
+    const range = document.getElementById('eventRange').value;
+
+    if (search) params.set('q', search);
+    if (range) params.set('from', range);
+    Object.keys(eventFilters).forEach(facet => {
+        if (eventFilters[facet].length) params.set(facet, eventFilters[facet].join(','));
+    });
+    if (eventProblem) params.set('fingerprint', eventProblem.fingerprint);
+    if (selectedHost && selectedHost !== localHost) params.set('host', selectedHost);
+    if (cursor) params.set('cursor', cursor);
+    return params.toString();
+}
+
+// Load the first page (append = false) or the next page of matching events
+function loadEvents(append) {
+    if (replayId) {
+        showRecordedEvents();
+        return;
+    }
+    if (eventView === 'problems') {
+        loadProblems();
+        return;
+    }
+    if (append && !eventCursor) return;
+
+    fetchJson(`/api/eventlogs?${eventQueryString(append ? eventCursor : null)}`)
+        .then(data => {
+            if (!data || !data.events) return;
+
+            allEvents = append ? allEvents.concat(data.events) : data.events;
+            eventPages = append ? eventPages + 1 : 1;
+            eventCursor = data.nextCursor;
+
+            renderEventFacets(data.facets || {});
+            renderEvents(data.total);
+        })
+        .catch(err => console.error('Error fetching event logs:', err));
 }
 
-// Filter and display events
-function filterAndDisplayEvents() {
+// Facet chips with counts; several values per facet can be selected
+function renderEventFacets(facets) {
+    const container = document.getElementById('eventFacets');
+    container.innerHTML = '';
+
+    if (eventProblem) {
+        const group = document.createElement('div');
+        group.className = 'filter-controls event-facet';
+        group.innerHTML = '<span class="event-facet-label">problem</span>';
+
+        const chip = document.createElement('button');
+        chip.type = 'button';
+        chip.className = 'filter-btn active';
+        chip.title = 'Show all events';
+        chip.textContent = `${eventProblem.provider || eventProblem.source} ${eventProblem.eventId} ✕`;
+        chip.addEventListener('click', () => {
+            eventProblem = null;
+            loadEvents(false);
+        });
+        group.appendChild(chip);
+        container.appendChild(group);
+    }
+
+    Object.keys(eventFilters).forEach(facet => {
+        const values = facets[facet] || [];
+        if (values.length === 0 && eventFilters[facet].length === 0) return;
+
+        const group = document.createElement('div');
+        group.className = 'filter-controls event-facet';
+        group.innerHTML = html`<span class="event-facet-label">${facet}</span>`;
+
+        values.forEach(({ value, count }) => {
+            const selected = eventFilters[facet].includes(value);
+            const chip = document.createElement('button');
+            chip.type = 'button';
+            chip.className = `filter-btn${selected ? ' active' : ''}`;
+            chip.textContent = `${value} (${count})`;
+            chip.addEventListener('click', () => {
+                eventFilters[facet] = selected
+                    ? eventFilters[facet].filter(item => item !== value)
+                    : eventFilters[facet].concat(value);
+                loadEvents(false);
+            });
+            group.appendChild(chip);
+        });
+
+        container.appendChild(group);
+    });
+}
+
+// Render the loaded events
+function renderEvents(total) {
     const eventLogsList = document.getElementById('eventLogsList');
     eventLogsList.innerHTML = '';
 
-    let filteredEvents = allEvents;
-    if (currentFilter !== 'all') {
-        filteredEvents = allEvents.filter(event => event.level === currentFilter);
-    }
+    document.getElementById('eventResultsInfo').textContent = total
+        ? `Showing ${allEvents.length} of ${total} events`
+        : '';
+    document.getElementById('eventLoadMore').hidden = !eventCursor;
 
-    if (filteredEvents.length === 0) {
+    if (allEvents.length === 0) {
         eventLogsList.innerHTML = '<div class="stat-detail">No events found</div>';
         return;
     }
 
-    filteredEvents.forEach(event => {
+    allEvents.forEach(event => {
         const eventItem = document.createElement('div');
         eventItem.className = `event-item ${event.level}`;
 
         // Build category badge if available
-        const categoryBadge = event.category ? `<span class="event-category">${event.category}</span>` : '';
-        const provider = event.provider ? `<span class="event-provider">${event.provider}</span>` : '';
+        const categoryBadge = event.category ? html`<span class="event-category">${event.category}</span>` : '';
+        const provider = event.provider ? html`<span class="event-provider">${event.provider}</span>` : '';
 
-        eventItem.innerHTML = `
+        eventItem.innerHTML = html`
             <div class="event-header">
                 <span class="event-level ${event.level}">${event.level}</span>
                 ${categoryBadge}
@@ -285,13 +1663,120 @@ function filterAndDisplayEvents() {
             </div>
         `;
 
+        eventItem.addEventListener('click', () => openEventDrawer(event));
         eventLogsList.appendChild(eventItem);
     });
 }
 
+// Grouped view: recurring problems matching the current search and filters
+function loadProblems() {
+    fetchJson(`/api/problems?${eventQueryString(null)}`)
+        .then(data => {
+            if (!data || !data.problems) return;
+            renderProblems(data);
+        })
+        .catch(err => console.error('Error fetching problems:', err));
+}
+
+function formatSince(iso) {
+    const date = new Date(iso);
+    const days = (Date.now() - date.getTime()) / 86400000;
+    if (days < 1) return date.toLocaleTimeString([], { hour: '2-digit', minute: '2-digit' });
+    if (days < 7) return date.toLocaleDateString([], { weekday: 'long' });
+    return date.toLocaleDateString();
+}
+
+const TREND_LABELS = {
+    new: '🆕 New',
+    rising: '↗ Rising',
+    falling: '↘ Falling',
+    steady: '→ Steady'
+};
+
+function renderProblems(data) {
+    const eventLogsList = document.getElementById('eventLogsList');
+    eventLogsList.innerHTML = '';
+
+    document.getElementById('eventResultsInfo').textContent = data.total
+        ? `${data.total} recurring problems across ${data.events} events`
+        : '';
+    document.getElementById('eventLoadMore').hidden = true;
+
+    if (data.problems.length === 0) {
+        eventLogsList.innerHTML = '<div class="stat-detail">No problems found</div>';
+        return;
+    }
+
+    data.problems.forEach(problem => {
+        const item = document.createElement('div');
+        item.className = `event-item problem-item ${problem.level}`;
+        item.title = 'Show these events';
+
+        const peak = Math.max(1, ...problem.daily);
+        const bars = problem.daily
+            .map(count => html`<span style="height: ${Math.round((count / peak) * 100)}%" title="${count}"></span>`);
+        const related = problem.relatedIssues
+            .map(issue => html`<span class="problem-related ${issue.severity}">${issue.title}</span>`);
+        const times = problem.count === 1 ? 'once' : `${problem.count} times`;
+        const hosts = problem.hosts.length > 1 ? ` on ${problem.hosts.length} hosts` : '';
+
+        item.innerHTML = html`
+            <div class="event-header">
+                <span class="event-level ${problem.level}">${problem.level}</span>
+                ${problem.category ? html`<span class="event-category">${problem.category}</span>` : ''}
+                <span class="event-source">${problem.source}</span>
+                <span class="problem-trend ${problem.trend.direction}">${TREND_LABELS[problem.trend.direction] || ''}</span>
+            </div>
+            <div class="event-message">${problem.sampleMessage}</div>
+            <div class="problem-summary">
+                <strong>Happened ${times} since ${formatSince(problem.firstSeen)}${hosts}</strong>
+                <span class="problem-bars" title="Occurrences per day, last 7 days">${bars}</span>
+            </div>
+            ${related.length ? html`<div class="problem-related-list">Related diagnostics: ${related}</div>` : ''}
+            <div class="event-footer">
+                <span>Event ID: ${problem.eventId}</span>
+                ${problem.provider ? html`<span class="event-provider">${problem.provider}</span>` : ''}
+                <span>Last seen ${new Date(problem.lastSeen).toLocaleString()}</span>
+            </div>
+        `;
+
+        item.addEventListener('click', () => {
+            eventProblem = problem;
+            setEventView('list');
+        });
+        eventLogsList.appendChild(item);
+    });
+}
+
+function setEventView(view) {
+    eventView = view;
+    document.querySelectorAll('[data-event-view]').forEach(button => {
+        button.classList.toggle('active', button.dataset.eventView === view);
+    });
+    loadEvents(false);
+}
+
+// Detail drawer listing every field of one event
+function openEventDrawer(event) {
+    const fields = Object.keys(event).filter(field => field !== 'message' && event[field] !== '' && event[field] !== null);
+
+    document.getElementById('eventDrawerBody').innerHTML = html`
+        <div class="event-drawer-message">${event.message}</div>
+        <dl class="event-drawer-fields">
+            ${fields.map(field => html`<dt>${field}</dt><dd>${event[field]}</dd>`)}
+        </dl>
+    `;
+    document.getElementById('eventDrawer').hidden = false;
+}
+
+function closeEventDrawer() {
+    document.getElementById('eventDrawer').hidden = true;
+}
+
 // Update system diagnostics
 function updateDiagnostics(data) {
     if (!data) return;
+    lastDiagnostics = data;
 
     // Update summary counts
     if (data.summary) {
@@ -305,7 +1790,15 @@ function updateDiagnostics(data) {
     const diagnosticsIssues = document.getElementById('diagnosticsIssues');
     diagnosticsIssues.innerHTML = '';
 
-    const allIssues = [...(data.issues || []), ...(data.warnings || [])];
+    const reported = [...(data.issues || []), ...(data.warnings || [])];
+    const snoozedCount = reported.filter(issue => issue.state === 'snoozed').length;
+    const allIssues = showSnoozed ? reported : reported.filter(issue => issue.state !== 'snoozed');
+
+    const snoozedToggle = document.getElementById('snoozedToggle');
+    snoozedToggle.hidden = snoozedCount === 0;
+    snoozedToggle.textContent = showSnoozed ? `Hide ${snoozedCount} snoozed` : `Show ${snoozedCount} snoozed`;
+
+    if (!replayId) loadResolvedIssues();
 
     if (allIssues.length === 0) {
         diagnosticsIssues.innerHTML = `
@@ -326,31 +1819,263 @@ function updateDiagnostics(data) {
 
     allIssues.forEach(issue => {
         const diagnosticItem = document.createElement('div');
-        diagnosticItem.className = `diagnostic-item severity-${issue.severity.toLowerCase()}`;
+        diagnosticItem.className = `diagnostic-item severity-${issue.severity.toLowerCase()}${issue.state === 'snoozed' ? ' snoozed' : ''}`;
 
         const icon = getSeverityIcon(issue.severity);
-        const categoryBadge = `<span class="category-badge category-${issue.category.toLowerCase()}">${issue.category}</span>`;
+        const categoryBadge = html`<span class="category-badge category-${issue.category.toLowerCase()}">${issue.category}</span>`;
 
-        diagnosticItem.innerHTML = `
+        diagnosticItem.innerHTML = html`
             <div class="diagnostic-icon">${icon}</div>
             <div class="diagnostic-content">
                 <div class="diagnostic-header">
                     <span class="diagnostic-severity ${issue.severity.toLowerCase()}">${issue.severity}</span>
                     ${categoryBadge}
+                    ${issueStateBadge(issue)}
                 </div>
                 <div class="diagnostic-title">${issue.title}</div>
                 <div class="diagnostic-description">${issue.description}</div>
-                ${issue.recommendation ? `<div class="diagnostic-recommendation">💡 ${issue.recommendation}</div>` : ''}
+                ${issue.recommendation ? html`<div class="diagnostic-recommendation">💡 ${issue.recommendation}</div>` : ''}
+                ${issue.note ? html`<div class="diagnostic-note">📝 ${issue.note}</div>` : ''}
                 <div class="diagnostic-footer">
-                    <span>${new Date(issue.timestamp).toLocaleString()}</span>
+                    <span>${issue.openedAt ? `Open since ${new Date(issue.openedAt).toLocaleString()}` : new Date(issue.timestamp).toLocaleString()}</span>
                 </div>
             </div>
         `;
 
+        if (issue.id && currentUser && currentUser.role === 'admin' && !replayId) {
+            diagnosticItem.querySelector('.diagnostic-content').appendChild(issueActions(issue));
+        }
+        const remediation = !replayId && remediationButtons(issue);
+        if (remediation) diagnosticItem.querySelector('.diagnostic-content').appendChild(remediation);
         diagnosticsIssues.appendChild(diagnosticItem);
     });
 }
 
+function issueStateBadge(issue) {
+    if (issue.state === 'snoozed') {
+        return html`<span class="issue-state snoozed">💤 Snoozed until ${new Date(issue.snoozedUntil).toLocaleString()}</span>`;
+    }
+    if (issue.state === 'acknowledged') {
+        const by = issue.acknowledgedBy ? ` by ${issue.acknowledgedBy}` : '';
+        return html`<span class="issue-state acknowledged">✔ Acknowledged${by}</span>`;
+    }
+    return '';
+}
+
+// Acknowledge / snooze controls (admins only)
+function issueActions(issue) {
+    const actions = document.createElement('div');
+    actions.className = 'issue-actions';
+
+    const query = hostQuery();
+    const run = (method, action, body) => {
+        sendJson(method, `/api/issues/${encodeURIComponent(issue.id)}/${action}${query}`, body)
+            .then(() => fetchJson(`/api/diagnostics${query}`))
+            .then(data => updateDiagnostics(data))
+            .catch(err => alert(`Could not update issue: ${err.message}`));
+    };
+
+    const addButton = (label, onClick) => {
+        const button = document.createElement('button');
+        button.type = 'button';
+        button.className = 'filter-btn';
+        button.textContent = label;
+        button.addEventListener('click', onClick);
+        actions.appendChild(button);
+    };
+
+    if (issue.state === 'acknowledged') {
+        addButton('Unacknowledge', () => run('DELETE', 'acknowledge'));
+    } else {
+        addButton('Acknowledge', () => {
+            const note = prompt('Note (optional):', '');
+            if (note !== null) run('POST', 'acknowledge', { note });
+        });
+    }
+
+    if (issue.state === 'snoozed') {
+        addButton('Unsnooze', () => run('DELETE', 'snooze'));
+    } else {
+        const select = document.createElement('select');
+        select.className = 'host-select';
+        select.innerHTML = `
+            <option value="">Snooze…</option>
+            <option value="4h">4 hours</option>
+            <option value="1d">1 day</option>
+            <option value="7d">7 days</option>
+            <option value="30d">30 days</option>
+        `;
+        select.addEventListener('change', () => {
+            if (select.value) run('POST', 'snooze', { for: select.value });
+        });
+        actions.appendChild(select);
+    }
+
+    return actions;
+}
+
+// Remediation actions: buttons for the actions an issue advertises, run after a dry-run preview
+function hasRole(role) {
+    return Boolean(currentUser) && (ROLE_LEVELS[currentUser.role] || 0) >= ROLE_LEVELS[role];
+}
+
+function loadActions() {
+    fetchJson('/api/actions')
+        .then(data => {
+            actionCatalog.clear();
+            ((data && data.actions) || []).forEach(action => actionCatalog.set(action.id, action));
+            if (lastDiagnostics) updateDiagnostics(lastDiagnostics);
+        })
+        .catch(err => console.error('Error fetching actions:', err));
+}
+
+function remediationButtons(issue) {
+    const runnable = (issue.actions || [])
+        .map(id => actionCatalog.get(id))
+        .filter(action => action && action.available && hasRole(action.role));
+    if (runnable.length === 0) return null;
+
+    const container = document.createElement('div');
+    container.className = 'issue-actions';
+    runnable.forEach(action => {
+        const button = document.createElement('button');
+        button.type = 'button';
+        button.className = 'filter-btn remediation-btn';
+        button.textContent = `🔧 ${action.label}`;
+        button.title = action.description;
+        button.addEventListener('click', () => previewAction(action.id, { issue: issue.id }));
+        container.appendChild(button);
+    });
+    return container;
+}
+
+// Dry-runs the action and shows what would run; nothing runs until it is confirmed
+function previewAction(actionId, body) {
+    sendJson('POST', `/api/actions/${encodeURIComponent(actionId)}/run`, Object.assign({ dryRun: true }, body))
+        .then(plan => {
+            pendingAction = { actionId, body, plan };
+            renderActionDrawer(plan, null);
+            document.getElementById('actionDrawer').hidden = false;
+        })
+        .catch(err => alert(`Could not prepare the action: ${err.message}`));
+}
+
+function renderActionDrawer(plan, result) {
+    document.getElementById('actionDrawerTitle').textContent = plan.label;
+    const status = result
+        ? html`<div class="action-result ${result.status}">
+                <strong>${result.status === 'succeeded' ? '✅ Succeeded' : (result.status === 'simulated' ? 'ℹ️ Simulated' : '❌ Failed')}</strong>
+                ${result.exitCode !== null && result.exitCode !== undefined ? html`<span class="stat-detail">exit code ${result.exitCode}</span>` : ''}
+                ${result.error ? html`<div class="stat-detail">${result.error}</div>` : ''}
+                ${result.output ? html`<pre class="action-output">${result.output}</pre>` : ''}
+            </div>`
+        : html`<p class="stat-detail">Nothing has run yet.${plan.simulated ? ' With demo data the command is only simulated.' : ''} This run is recorded in the audit log.</p>
+            <div class="layout-actions">
+                <button type="button" class="filter-btn active" data-action-confirm>Run</button>
+                <button type="button" class="filter-btn" data-action-cancel>Cancel</button>
+            </div>`;
+
+    document.getElementById('actionDrawerBody').innerHTML = html`
+        <p class="stat-detail">${plan.description}</p>
+        <dl class="event-drawer-fields">
+            <dt>Target</dt><dd>${plan.target}</dd>
+            <dt>Command</dt><dd><code class="action-command">${plan.command}</code></dd>
+            <dt>Run by</dt><dd>${plan.by}</dd>
+        </dl>
+        ${status}
+    `;
+}
+
+function confirmAction(button) {
+    if (!pendingAction) return;
+    const { actionId, body, plan } = pendingAction;
+    button.disabled = true;
+    button.textContent = 'Running…';
+
+    sendJson('POST', `/api/actions/${encodeURIComponent(actionId)}/run`, Object.assign({ confirm: plan.confirm }, body))
+        .then(result => {
+            renderActionDrawer(plan, result);
+            if (actionId === 'kill-process') setTimeout(loadProcesses, 1000);
+        })
+        .catch(err => renderActionDrawer(plan, { status: 'failed', error: err.message }))
+        .finally(() => {
+            pendingAction = null;
+        });
+}
+
+function closeActionDrawer() {
+    pendingAction = null;
+    document.getElementById('actionDrawer').hidden = true;
+}
+
+function setupActions() {
+    document.getElementById('actionDrawerClose').addEventListener('click', closeActionDrawer);
+    document.getElementById('actionDrawerBody').addEventListener('click', (event) => {
+        if (event.target.closest('[data-action-confirm]')) confirmAction(event.target.closest('[data-action-confirm]'));
+        if (event.target.closest('[data-action-cancel]')) closeActionDrawer();
+    });
+}
+
+function formatDuration(ms) {
+    const minutes = Math.round(ms / 60000);
+    if (minutes < 60) return `${minutes}m`;
+    const hours = Math.floor(minutes / 60);
+    if (hours < 48) return `${hours}h ${minutes % 60}m`;
+    return `${Math.floor(hours / 24)}d ${hours % 24}h`;
+}
+
+// Timeline of issues that cleared in the last 7 days
+function loadResolvedIssues() {
+    const query = hostQuery();
+    fetchJson(`/api/issues${query}${query ? '&' : '?'}state=resolved&from=7d`)
+        .then(data => {
+            const container = document.getElementById('resolvedIssues');
+            const issues = (data && data.issues) || [];
+            container.innerHTML = issues.length ? '' : '<div class="stat-detail">Nothing resolved recently</div>';
+
+            issues.forEach(issue => {
+                const opened = Date.parse(issue.openedAt);
+                const resolved = Date.parse(issue.resolvedAt);
+                const item = document.createElement('div');
+                item.className = 'resolved-item';
+                item.innerHTML = html`
+                    <span class="resolved-time">${new Date(resolved).toLocaleString()}</span>
+                    <span class="diagnostic-severity ${String(issue.severity).toLowerCase()}">${issue.severity}</span>
+                    <span class="resolved-name">${issue.title}</span>
+                    <span class="stat-detail">open for ${formatDuration(resolved - opened)}</span>
+                `;
+                container.appendChild(item);
+            });
+        })
+        .catch(err => console.error('Error fetching resolved issues:', err));
+}
+
+// Update firing alerts banner
+function updateAlerts(data) {
+    if (!data) return;
+
+    const alertsCard = document.getElementById('alertsCard');
+    const alertsList = document.getElementById('alertsList');
+    const firing = data.firing || [];
+
+    alertsCard.hidden = firing.length === 0;
+    alertsList.innerHTML = '';
+
+    firing.forEach(alert => {
+        const alertItem = document.createElement('div');
+        alertItem.className = `alert-item severity-${alert.severity.toLowerCase()}`;
+
+        alertItem.innerHTML = html`
+            <span class="diagnostic-severity ${alert.severity.toLowerCase()}">${alert.severity}</span>
+            <span class="alert-name">${alert.ruleName}</span>
+            <span class="alert-value">${alert.key} = ${alert.value}</span>
+            <span class="alert-since">since ${new Date(alert.since).toLocaleString()}</span>
+        `;
+
+        alertsList.appendChild(alertItem);
+    });
+}
+
 // Get severity icon
 function getSeverityIcon(severity) {
     switch (severity.toLowerCase()) {
@@ -362,46 +2087,254 @@ function getSeverityIcon(severity) {
     }
 }
 
-// Set up event log filters
+// Set up the event explorer controls
 function setupEventFilters() {
-    const filterButtons = document.querySelectorAll('.filter-btn');
+    let searchTimer = null;
+
+    document.getElementById('eventSearch').addEventListener('input', () => {
+        clearTimeout(searchTimer);
+        searchTimer = setTimeout(() => loadEvents(false), 300);
+    });
+    document.getElementById('eventRange').addEventListener('change', () => loadEvents(false));
+    document.getElementById('eventLoadMore').addEventListener('click', () => loadEvents(true));
+    document.querySelectorAll('[data-event-view]').forEach(button => {
+        button.addEventListener('click', () => setEventView(button.dataset.eventView));
+    });
+    document.getElementById('eventDrawerClose').addEventListener('click', closeEventDrawer);
+    document.getElementById('snoozedToggle').addEventListener('click', () => {
+        showSnoozed = !showSnoozed;
+        updateDiagnostics(lastDiagnostics);
+    });
+    document.addEventListener('keydown', (event) => {
+        if (event.key === 'Escape') {
+            closeEventDrawer();
+            closeProcessDrawer();
+            closeActionDrawer();
+            if (layoutDraftOpen()) closeLayoutEditor(false);
+        }
+    });
+}
 
-    filterButtons.forEach(btn => {
-        btn.addEventListener('click', () => {
-            filterButtons.forEach(b => b.classList.remove('active'));
-            btn.classList.add('active');
+// Export menu links for the viewed host and chosen range; metrics history exists for the server's own machine only
+function updateExportLinks() {
+    const remote = selectedHost && selectedHost !== localHost;
+    document.querySelectorAll('[data-export]').forEach(link => {
+        const params = new URLSearchParams();
+        params.set('format', link.dataset.format);
+        params.set('from', document.getElementById('exportRange').value);
+        if (remote) params.set('host', selectedHost);
+        link.href = `/api/export/${link.dataset.export}?${params.toString()}`;
+    });
+    document.querySelector('[data-export-row="history"]').hidden = remote;
+}
 
-            currentFilter = btn.dataset.filter;
-            filterAndDisplayEvents();
-        });
+function setupExportMenu() {
+    const menu = document.getElementById('exportMenu');
+    menu.addEventListener('toggle', () => {
+        if (menu.open) updateExportLinks();
+    });
+    document.getElementById('exportRange').addEventListener('change', updateExportLinks);
+    document.addEventListener('click', (event) => {
+        if (menu.open && !menu.contains(event.target)) menu.open = false;
+    });
+}
+
+// Session recordings: the Sessions menu lists them and starts/stops recording (admins)
+function formatBytes(bytes) {
+    if (bytes >= 1024 * 1024) return `${(bytes / 1024 / 1024).toFixed(1)} MB`;
+    return `${Math.max(1, Math.round(bytes / 1024))} KB`;
+}
+
+function loadRecordings() {
+    fetchJson('/api/recordings')
+        .then(data => {
+            if (!data || !data.recordings) return;
+
+            const toggle = document.getElementById('recordingToggle');
+            toggle.hidden = !currentUser || currentUser.role !== 'admin';
+            toggle.textContent = data.active ? '⏹ Stop recording' : '⏺ Start recording';
+            toggle.dataset.recording = data.active ? 'true' : '';
+
+            const list = document.getElementById('recordingList');
+            list.innerHTML = data.recordings.length ? '' : '<div class="stat-detail">No recorded sessions</div>';
+            data.recordings.forEach(recording => {
+                const started = Date.parse(recording.startedAt);
+                const length = recording.endedAt ? formatDuration(Date.parse(recording.endedAt) - started) : 'recording…';
+                const item = document.createElement('div');
+                item.className = `recording-item${recording.endedAt ? '' : ' active'}`;
+                item.innerHTML = html`
+                    <span title="${recording.name}">${new Date(started).toLocaleString()} · ${length} · ${formatBytes(recording.bytes)}</span>
+                    <a href="/?replay=${encodeURIComponent(recording.id)}">Replay</a>
+                    <a href="/api/recordings/${encodeURIComponent(recording.id)}/download" download>Download</a>
+                `;
+                list.appendChild(item);
+            });
+        })
+        .catch(err => console.error('Error fetching recordings:', err));
+}
+
+function setupRecordingMenu() {
+    const menu = document.getElementById('recordingMenu');
+    menu.addEventListener('toggle', () => {
+        if (menu.open) loadRecordings();
+    });
+    document.addEventListener('click', (event) => {
+        if (menu.open && !menu.contains(event.target)) menu.open = false;
+    });
+    document.getElementById('recordingToggle').addEventListener('click', (event) => {
+        const request = event.target.dataset.recording
+            ? sendJson('POST', '/api/recordings/stop')
+            : sendJson('POST', '/api/recordings', {});
+        request
+            .then(loadRecordings)
+            .catch(err => alert(`Could not change recording: ${err.message}`));
+    });
+}
+
+// Replay mode (/?replay=<id>): the dashboard shows a recorded session played back by the server
+function updateReplay(state) {
+    replayState = state;
+    document.getElementById('replayName').textContent = state.recording.name || state.recording.id;
+    document.getElementById('replayPlay').textContent = state.playing ? '⏸ Pause' : '▶ Play';
+    document.querySelectorAll('[data-replay-speed]').forEach(button => {
+        button.classList.toggle('active', Number(button.dataset.replaySpeed) === state.speed);
+    });
+
+    const seek = document.getElementById('replaySeek');
+    seek.min = state.start;
+    seek.max = state.end;
+    if (!replaySeeking) seek.value = state.position;
+    document.getElementById('replayPosition').textContent =
+        `${new Date(state.position).toLocaleString()} (${formatClock(state.position - state.start)} / ${formatClock(state.end - state.start)})`;
+}
+
+// 1:02:03 / 2:03
+function formatClock(ms) {
+    const seconds = Math.floor(ms / 1000);
+    const pad = (value) => String(value).padStart(2, '0');
+    const clock = `${pad(Math.floor(seconds / 60) % 60)}:${pad(seconds % 60)}`;
+    return seconds >= 3600 ? `${Math.floor(seconds / 3600)}:${clock}` : clock.replace(/^0/, '');
+}
+
+function replayControl(action, extra) {
+    sendMessage(Object.assign({ type: 'replay', action }, extra));
+}
+
+function setupReplay() {
+    document.getElementById('replayBar').hidden = false;
+    document.getElementById('statusText').textContent = 'Replay';
+
+    document.getElementById('replayPlay').addEventListener('click', () => {
+        replayControl(replayState && replayState.playing ? 'pause' : 'play');
+    });
+    document.querySelectorAll('[data-replay-speed]').forEach(button => {
+        button.addEventListener('click', () => replayControl('speed', { speed: Number(button.dataset.replaySpeed) }));
     });
+
+    const seek = document.getElementById('replaySeek');
+    seek.addEventListener('input', () => {
+        replaySeeking = true;
+    });
+    seek.addEventListener('change', () => {
+        replaySeeking = false;
+        replayControl('seek', { to: Number(seek.value) });
+    });
+}
+
+// The event explorer shows the recorded batch at the playback position, filtered by the search box
+function showRecordedEvents() {
+    const search = document.getElementById('eventSearch').value.trim().toLowerCase();
+    allEvents = recordedEvents.filter(event => !search ||
+        [event.message, event.source, event.provider, event.id].join(' ').toLowerCase().includes(search));
+    eventCursor = null;
+    eventPages = 1;
+    renderEventFacets({});
+    renderEvents(allEvents.length);
+}
+
+// The process table shows the top processes of the recorded sample, sorted and searched here
+function showRecordedProcesses() {
+    const q = processView.q.toLowerCase();
+    const field = processView.sort === 'io' ? 'ioMBps' : processView.sort;
+    const direction = processView.order === 'asc' ? 1 : -1;
+    const processes = recordedProcesses
+        .filter(proc => !q || String(proc.name).toLowerCase().includes(q) || String(proc.pid) === q)
+        .sort((a, b) => (a[field] === b[field] ? 0 : (a[field] < b[field] ? -1 : 1)) * direction);
+    renderProcesses({ processes, count: processes.length, matching: processes.length, total: recordedProcesses.length });
+}
+
+// Set up the process explorer controls
+function setupProcessExplorer() {
+    let searchTimer = null;
+
+    document.getElementById('processSearch').addEventListener('input', (event) => {
+        clearTimeout(searchTimer);
+        searchTimer = setTimeout(() => {
+            processView.q = event.target.value.trim();
+            loadProcesses();
+        }, 300);
+    });
+    document.getElementById('processTreeToggle').addEventListener('click', (event) => {
+        processView.tree = !processView.tree;
+        event.target.classList.toggle('active', processView.tree);
+        loadProcesses();
+    });
+    document.querySelectorAll('[data-process-sort]').forEach(header => {
+        header.addEventListener('click', () => setProcessSort(header.dataset.processSort));
+    });
+    document.getElementById('processTableBody').addEventListener('click', (event) => {
+        const row = event.target.closest('.process-row');
+        if (row) openProcessDrawer(Number(row.dataset.pid), row.dataset.start);
+    });
+    document.getElementById('processDrawerBody').addEventListener('click', (event) => {
+        const link = event.target.closest('.process-link');
+        if (!link) return;
+        event.preventDefault();
+        openProcessDrawer(Number(link.dataset.pid));
+    });
+    document.getElementById('processDrawerClose').addEventListener('click', closeProcessDrawer);
 }
 
 // Initialize on page load
 document.addEventListener('DOMContentLoaded', () => {
     console.log('Initializing Windows 11 Monitor Dashboard...');
 
-    initCharts();
+    // Cache the dashboard shell for offline use (needs https or localhost)
+    if ('serviceWorker' in navigator && !replayId) {
+        navigator.serviceWorker.register('/sw.js')
+            .catch(err => console.warn('Service worker not registered:', err));
+    }
+
+    // Until the server names the host, show the buffer of the one viewed last
+    if (!replayId) {
+        buffer.db = openBuffer();
+        loadBufferState('host').then(host => {
+            if (host && !selectedHost) loadBuffer(host);
+        });
+    }
+
+    setupLayoutEditor();
+    loadPreferences();
     setupEventFilters();
+    setupProcessExplorer();
+    setupExportMenu();
+    setupRecordingMenu();
+    if (replayId) setupReplay();
+    setupActions();
+    loadCurrentUser().then(() => loadActions());
     connectWebSocket();
+    loadEvents(false);
+
+    document.getElementById('logoutBtn').addEventListener('click', logout);
+
+    document.getElementById('hostSelect').addEventListener('change', (event) => {
+        selectHost(event.target.value);
+    });
 
     // Fallback: Fetch data via API if WebSocket fails
     setInterval(() => {
-        if (!ws || ws.readyState !== WebSocket.OPEN) {
-            fetch('/api/metrics')
-                .then(res => res.json())
-                .then(data => updateMetrics(data))
-                .catch(err => console.error('Error fetching metrics:', err));
-
-            fetch('/api/eventlogs')
-                .then(res => res.json())
-                .then(data => updateEventLogs(data))
-                .catch(err => console.error('Error fetching event logs:', err));
-
-            fetch('/api/diagnostics')
-                .then(res => res.json())
-                .then(data => updateDiagnostics(data))
-                .catch(err => console.error('Error fetching diagnostics:', err));
+        if (!replayId && (!ws || ws.readyState !== WebSocket.OPEN)) {
+            fetchHostData();
         }
     }, 5000);
 });
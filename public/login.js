@@ -0,0 +1,29 @@
+// Dashboard sign-in
+document.getElementById('loginForm').addEventListener('submit', async (event) => {
+    event.preventDefault();
+
+    const errorBox = document.getElementById('loginError');
+    errorBox.hidden = true;
+
+    try {
+        const res = await fetch('/api/auth/login', {
+            method: 'POST',
+            headers: { 'Content-Type': 'application/json' },
+            body: JSON.stringify({
+                username: document.getElementById('username').value,
+                password: document.getElementById('password').value
+            })
+        });
+
+        if (res.ok) {
+            window.location.href = '/';
+            return;
+        }
+
+        const data = await res.json().catch(() => ({}));
+        errorBox.textContent = data.error || 'Sign in failed';
+    } catch (err) {
+        errorBox.textContent = 'Cannot reach the server';
+    }
+    errorBox.hidden = false;
+});
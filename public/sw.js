@@ -0,0 +1,77 @@
+// Service worker: keeps the dashboard shell - page, script, styles, Chart.js,
+// icons - in a cache so the dashboard still opens when the network or the
+// server is down. Assets come from the cache at once and are refreshed in the
+// background; the page itself is fetched first and the cached copy is only
+// the fallback, so a login redirect is never skipped while online. API calls,
+// /metrics and the WebSocket always go to the server.
+const CACHE = 'win11-monitor-shell-v1';
+const ASSETS = [
+    '/app.js',
+    '/style.css',
+    '/vendor/chart.umd.min.js',
+    '/login.html',
+    '/login.js',
+    '/manifest.webmanifest',
+    '/icon-192.png',
+    '/icon-512.png'
+];
+const PAGES = ['/', '/index.html'];
+
+self.addEventListener('install', event => {
+    event.waitUntil(
+        caches.open(CACHE)
+            .then(cache => cache.addAll(ASSETS))
+            .then(() => self.skipWaiting())
+    );
+});
+
+// Drop the caches of earlier versions
+self.addEventListener('activate', event => {
+    event.waitUntil(
+        caches.keys()
+            .then(keys => Promise.all(keys.filter(key => key !== CACHE).map(key => caches.delete(key))))
+            .then(() => self.clients.claim())
+    );
+});
+
+// Only complete, same-origin answers are cached - never a redirect to the login page
+function cacheable(response) {
+    return response && response.ok && !response.redirected && response.type === 'basic';
+}
+
+function fetchPage(request) {
+    return fetch(request)
+        .then(response => {
+            if (cacheable(response)) {
+                const copy = response.clone();
+                caches.open(CACHE).then(cache => cache.put('/', copy));
+            }
+            return response;
+        })
+        .catch(() => caches.match('/').then(cached => cached || Response.error()));
+}
+
+function fetchAsset(request, path) {
+    return caches.open(CACHE).then(cache => cache.match(path).then(cached => {
+        const refresh = fetch(request)
+            .then(response => {
+                if (cacheable(response)) cache.put(path, response.clone());
+                return response;
+            });
+        if (!cached) return refresh;
+        refresh.catch(() => {}); // offline - the cached copy stands
+        return cached;
+    }));
+}
+
+self.addEventListener('fetch', event => {
+    const request = event.request;
+    const url = new URL(request.url);
+    if (request.method !== 'GET' || url.origin !== self.location.origin) return;
+
+    if (request.mode === 'navigate' && PAGES.includes(url.pathname)) {
+        event.respondWith(fetchPage(request));
+    } else if (ASSETS.includes(url.pathname)) {
+        event.respondWith(fetchAsset(request, url.pathname));
+    }
+});
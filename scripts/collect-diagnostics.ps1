@@ -1,6 +1,12 @@
 # Windows 11 System Diagnostics - Real Issues Detection
 # Detects Windows Updates, Driver Problems, Network Issues, Disk Errors, Service Failures
 
+param(
+    # Disk space use (percent) that is reported as a warning / a critical issue
+    [double]$DiskWarningPercent = 80,
+    [double]$DiskCriticalPercent = 90
+)
+
 $ErrorActionPreference = "SilentlyContinue"
 
 function Get-SystemDiagnostics {
@@ -228,12 +234,12 @@ function Get-SystemDiagnostics {
 
     # 4. Disk Health and Errors
     try {
-        # Check disk space (critical if <10%)
+        # Check disk space (critical above $DiskCriticalPercent% used, by default <10% free)
         $disks = Get-CimInstance Win32_LogicalDisk -Filter "DriveType=3"
         foreach ($disk in $disks) {
             $percentFree = if ($disk.Size -gt 0) { ($disk.FreeSpace / $disk.Size) * 100 } else { 100 }
 
-            if ($percentFree -lt 10) {
+            if ($percentFree -lt (100 - $DiskCriticalPercent)) {
                 $diagnostics.issues += @{
                     category = "Disk"
                     severity = "Critical"
@@ -245,7 +251,7 @@ function Get-SystemDiagnostics {
                     timestamp = Get-Date -Format "yyyy-MM-dd HH:mm:ss"
                 }
                 $diagnostics.summary.critical++
-            } elseif ($percentFree -lt 20) {
+            } elseif ($percentFree -lt (100 - $DiskWarningPercent)) {
                 $diagnostics.warnings += @{
                     category = "Disk"
                     severity = "Medium"
@@ -1,6 +1,10 @@
 # Windows Enhanced Event Log Collector
 # Collects actionable errors and critical system events
 
+param(
+    [int]$MaxEvents = 30
+)
+
 $ErrorActionPreference = "SilentlyContinue"
 
 function Get-RecentEvents {
@@ -259,7 +263,7 @@ function Get-RecentEvents {
 # Main execution
 try {
     $eventData = @{
-        events = @(Get-RecentEvents -MaxEvents 30)
+        events = @(Get-RecentEvents -MaxEvents $MaxEvents)
         timestamp = Get-Date -Format "yyyy-MM-dd HH:mm:ss"
         count = 0
     }
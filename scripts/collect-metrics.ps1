@@ -131,32 +131,41 @@ function Get-SystemMetrics {
         }
     } catch {}
 
-    # Top Processes by CPU - Calculate actual CPU percentage
-    $processCounter = Get-Counter '\Process(*)\% Processor Time' -ErrorAction SilentlyContinue
-    $processList = @{}
-    if ($processCounter) {
-        foreach ($sample in $processCounter.CounterSamples) {
-            $processName = $sample.InstanceName
-            if ($processName -ne '_total' -and $processName -ne 'idle') {
-                $processList[$processName] = [Math]::Round($sample.CookedValue / $metrics.cpuInfo.logicalProcessors, 2)
-            }
+    # Processes - CPU and I/O per PID from performance counters (instance names
+    # like "chrome#3" are matched to PIDs via "ID Process"), the rest from Win32_Process
+    $processCounters = @{}
+    $counterSet = Get-Counter '\Process(*)\ID Process', '\Process(*)\% Processor Time', '\Process(*)\IO Data Bytes/sec' -ErrorAction SilentlyContinue
+    if ($counterSet) {
+        $byInstance = @{}
+        foreach ($sample in $counterSet.CounterSamples) {
+            if ($sample.InstanceName -in @('_total', 'idle')) { continue }
+            $split = $sample.Path.LastIndexOf('\')
+            $instance = $sample.Path.Substring(0, $split)
+            if (-not $byInstance.ContainsKey($instance)) { $byInstance[$instance] = @{} }
+            $byInstance[$instance][$sample.Path.Substring($split + 1).ToLower()] = $sample.CookedValue
+        }
+        foreach ($values in $byInstance.Values) {
+            if ($values.ContainsKey('id process')) { $processCounters[[int]$values['id process']] = $values }
         }
     }
 
-    $topProcesses = Get-Process | Where-Object { $_.Id -ne 0 } |
-        Select-Object -First 15 Name, Id,
-            @{Name="WorkingSetMB";Expression={[Math]::Round($_.WorkingSet64 / 1MB, 2)}} |
-        ForEach-Object {
-            $cpuPercent = if ($processList.ContainsKey($_.Name)) { $processList[$_.Name] } else { 0 }
-            @{
-                name = $_.Name
-                cpu = $cpuPercent
-                memory = $_.WorkingSetMB
-                pid = $_.Id
-            }
-        } | Sort-Object { $_.cpu } -Descending | Select-Object -First 10
+    $processes = Get-CimInstance Win32_Process | Where-Object { $_.ProcessId -ne 0 } | ForEach-Object {
+        $counters = $processCounters[[int]$_.ProcessId]
+        @{
+            name = [System.IO.Path]::GetFileNameWithoutExtension($_.Name)
+            pid = [int]$_.ProcessId
+            ppid = [int]$_.ParentProcessId
+            cpu = if ($counters) { [Math]::Round($counters['% processor time'] / $metrics.cpuInfo.logicalProcessors, 2) } else { 0 }
+            memory = [Math]::Round($_.WorkingSetSize / 1MB, 2)
+            ioMBps = if ($counters) { [Math]::Round($counters['io data bytes/sec'] / 1MB, 3) } else { 0 }
+            handles = [int]$_.HandleCount
+            threads = [int]$_.ThreadCount
+            startTime = if ($_.CreationDate) { $_.CreationDate.ToString("yyyy-MM-dd HH:mm:ss") } else { $null }
+        }
+    }
 
-    $metrics.processes = @($topProcesses)
+    # Every process goes to the server, which keeps the history and trims the list to the top 10
+    $metrics.processes = @($processes | Sort-Object -Property @{ Expression = { $_.cpu }; Descending = $true }, @{ Expression = { $_.memory }; Descending = $true })
 
     # System Uptime
     $bootTime = (Get-CimInstance Win32_OperatingSystem).LastBootUpTime
@@ -0,0 +1,49 @@
+# Long-lived PowerShell collector worker
+# Reads one JSON request per line on stdin:   {"id":1,"script":"collect-eventlogs","params":{"MaxEvents":30}}
+# and writes one JSON response per line:      {"id":1,"ok":true,"output":"<collector JSON>"}
+#                                             {"id":1,"ok":false,"error":"<message>"}
+# params are passed to the script as named parameters. The collector scripts are
+# resolved and parsed once at startup; the worker exits when stdin is closed.
+
+$ErrorActionPreference = "Stop"
+[Console]::InputEncoding = [System.Text.Encoding]::UTF8
+[Console]::OutputEncoding = [System.Text.Encoding]::UTF8
+
+$collectors = @{}
+Get-ChildItem -Path $PSScriptRoot -Filter 'collect-*.ps1' | ForEach-Object {
+    $collectors[$_.BaseName] = Get-Command -Name $_.FullName -CommandType ExternalScript
+}
+
+function Send-Response($response) {
+    [Console]::Out.WriteLine(($response | ConvertTo-Json -Compress -Depth 3))
+    [Console]::Out.Flush()
+}
+
+Send-Response @{ ready = $true; scripts = @($collectors.Keys) }
+
+while ($true) {
+    $line = [Console]::In.ReadLine()
+    if ($null -eq $line) { break }
+    if (-not $line.Trim()) { continue }
+
+    $id = $null
+    try {
+        $request = $line | ConvertFrom-Json
+        $id = $request.id
+        $collector = $collectors[[string]$request.script]
+        if (-not $collector) {
+            throw "Unknown collector script '$($request.script)'"
+        }
+
+        $params = @{}
+        if ($request.params) {
+            $request.params.PSObject.Properties | ForEach-Object { $params[$_.Name] = $_.Value }
+        }
+
+        # Only the success stream is the result - keep warnings etc. off stdout
+        $output = @(& $collector @params 3>$null 4>$null 5>$null 6>$null) | ForEach-Object { [string]$_ }
+        Send-Response @{ id = $id; ok = $true; output = ($output -join "`n").Trim() }
+    } catch {
+        Send-Response @{ id = $id; ok = $false; error = $_.Exception.Message }
+    }
+}
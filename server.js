@@ -1,260 +1,1515 @@
 const express = require('express');
 const { WebSocketServer } = require('ws');
-const { spawn } = require('child_process');
+const http = require('http');
 const path = require('path');
-const fs = require('fs');
+const os = require('os');
+const crypto = require('crypto');
 const cors = require('cors');
+const { createBackend, resolveBackendName } = require('./lib/collectors');
+const { createHistoryStore } = require('./lib/history-store');
+const { createEventStore } = require('./lib/event-store');
+const { createIssueStore } = require('./lib/issue-store');
+const { createProcessStore, topProcesses } = require('./lib/process-store');
+const { createNetworkStore } = require('./lib/network-store');
+const { createBaselineStore, anomalyIssues } = require('./lib/baselines');
+const { createForecastStore } = require('./lib/forecasts');
+const { FORMATS, EVENT_COLUMNS, ISSUE_COLUMNS, columnsOf, toCsv, toNdjson, exportFilename, renderHealthReport } = require('./lib/export');
+const { parseDuration, parseTime } = require('./lib/time');
+const { createAlertEngine } = require('./lib/alerts/engine');
+const { createNotifier } = require('./lib/alerts/notifiers');
+const { createCollectorStats } = require('./lib/collector-stats');
+const { createScheduler } = require('./lib/scheduler');
+const { renderMetrics, wantsOpenMetrics } = require('./lib/prometheus');
+const { createHostRegistry, validateIngest } = require('./lib/hosts');
+const { createAuth } = require('./lib/auth');
+const { createRealtimeHub, PROTOCOL } = require('./lib/realtime');
+const { createRecordingStore, isRecordingId } = require('./lib/recordings');
+const { createReplay } = require('./lib/replay');
+const { createPreferenceStore } = require('./lib/preferences');
+const { createPluginManager } = require('./lib/plugins');
+const { createActionRunner } = require('./lib/actions');
+const { createPayloadChecker } = require('./lib/schema');
+const { collectorParams, createConfigStore } = require('./lib/config');
 
-const app = express();
-const PORT = process.env.PORT || 3000;
+const CHART_JS = path.join(path.dirname(require.resolve('chart.js')), 'chart.umd.min.js');
 
-// Middleware
-app.use(cors());
-app.use(express.json());
-app.use(express.static(path.join(__dirname, 'public')));
+// One monitor - Express app, WebSocket server, stores and collectors - per call.
+// options.env stands in for process.env and options.collector for the collector
+// backend, so tests can run the server in-process against fake collectors.
+function createMonitorServer(options = {}) {
+    const env = options.env || process.env;
+    const app = express();
+    const DATA_DIR = env.DATA_DIR || path.join(__dirname, 'data');
 
-// Data storage
-let currentMetrics = {};
-let eventLogs = [];
-let systemDiagnostics = { issues: [], warnings: [], summary: { critical: 0, high: 0, medium: 0, low: 0 } };
-let metricsHistory = [];
-const MAX_HISTORY = 100;
+    // Port, collector intervals, timeouts and parameters, disk thresholds: CONFIG_FILE
+    // (JSON or YAML) under environment overrides, changeable at runtime through
+    // /api/config or by editing the file
+    const config = createConfigStore({
+        file: env.CONFIG_FILE || path.join(DATA_DIR, 'config.json'),
+        env,
+        onChange: applySettings
+    });
+    config.load();
 
-// Detect if running on Windows
-const isWindows = process.platform === 'win32';
-const DEMO_MODE = !isWindows;
+    // Behind a reverse proxy (Render, Railway, nginx) set TRUST_PROXY so req.ip and
+    // req.secure reflect the client connection
+    if (env.TRUST_PROXY) {
+        const trustProxy = env.TRUST_PROXY;
+        app.set('trust proxy', trustProxy === 'true' ? true : (/^\d+$/.test(trustProxy) ? Number(trustProxy) : trustProxy));
+    }
 
-// DEMO MODE - Returns message that real Windows is needed
-function generateDemoMessage() {
-    return {
-        error: "DEMO MODE - Real Windows 11 Required",
-        message: "This monitoring tool requires Windows 11 to collect real system data. Currently running on " + process.platform,
-        instructions: "To see real data from your Windows 11 laptop, run this application on Windows with: npm start",
-        demoMode: true
-    };
-}
+    // Users, API tokens and sessions; AUTH_ENABLED=false turns the login off (local use only)
+    const auth = createAuth({
+        dir: path.join(DATA_DIR, 'auth'),
+        enabled: env.AUTH_ENABLED !== 'false',
+        sessionTtl: parseDuration(env.SESSION_TTL || '12h'),
+        adminUsername: env.ADMIN_USERNAME,
+        adminPassword: env.ADMIN_PASSWORD
+    });
+    const authReady = auth.load().catch((error) => {
+        console.error('Error loading users and API tokens:', error);
+    });
+    const requireAdmin = auth.requireRole('admin');
+
+    // Per-user dashboard layouts
+    const preferences = createPreferenceStore({ file: path.join(DATA_DIR, 'auth', 'preferences.json') });
+    const preferencesReady = preferences.load().catch((error) => {
+        console.error('Error loading preferences:', error);
+    });
+
+    // Cross-origin access is off unless CORS_ORIGINS lists the allowed origins ("*" for any, without cookies)
+    const CORS_ORIGINS = (env.CORS_ORIGINS || '').split(',').map((origin) => origin.trim()).filter(Boolean);
+
+    function isAllowedOrigin(origin, host) {
+        if (!origin || CORS_ORIGINS.includes('*') || CORS_ORIGINS.includes(origin)) return true;
+        try {
+            return new URL(origin).host === host;
+        } catch (e) {
+            return false;
+        }
+    }
+
+    // Routes that do not need a login: the status probe, login itself and agent ingest (own token)
+    const PUBLIC_API_ROUTES = ['/status', '/auth/login', '/ingest'];
+
+    // Middleware
+    app.use(cors(CORS_ORIGINS.includes('*') ? { origin: '*' } : { origin: CORS_ORIGINS, credentials: true }));
+    app.use(express.json({ limit: '5mb' }));
+    app.use(auth.attach);
+    app.get(['/', '/index.html'], (req, res, next) => (req.user ? next() : res.redirect('/login.html')));
+    app.use(express.static(path.join(__dirname, 'public')));
+    // Chart.js from node_modules, so the dashboard works without a CDN
+    app.get('/vendor/chart.umd.min.js', (req, res) => res.sendFile(CHART_JS));
+    app.use('/api', (req, res, next) => (PUBLIC_API_ROUTES.includes(req.path) ? next() : auth.requireRole('viewer')(req, res, next)));
+
+    // Data storage
+    let currentMetrics = {};
+    let eventLogs = [];
+    let systemDiagnostics = { issues: [], warnings: [], summary: { critical: 0, high: 0, medium: 0, low: 0 } };
+
+    // Metrics history on disk, with 1-minute / 1-hour rollups and retention
+    const historyStore = createHistoryStore({
+        dir: path.join(DATA_DIR, 'history'),
+        retention: {
+            raw: parseDuration(env.HISTORY_RETENTION_RAW || '1d'),
+            '1m': parseDuration(env.HISTORY_RETENTION_1M || '14d'),
+            '1h': parseDuration(env.HISTORY_RETENTION_1H || '365d')
+        }
+    });
+    const historyReady = historyStore.open().catch((error) => {
+        console.error('Error opening metrics history:', error);
+    });
+
+    // Event logs of every host, de-duplicated and kept on disk for the explorer
+    const eventStore = createEventStore({
+        dir: path.join(DATA_DIR, 'events'),
+        retention: parseDuration(env.EVENT_RETENTION || '30d')
+    });
+    const eventsReady = eventStore.open().catch((error) => {
+        console.error('Error opening event log store:', error);
+    });
+
+    // Lifecycle of diagnostics issues: stable IDs, acknowledge, snooze, resolution history
+    const issueStore = createIssueStore({
+        file: path.join(DATA_DIR, 'issues', 'issues.json'),
+        retention: parseDuration(env.ISSUE_RETENTION || '30d')
+    });
+    const issuesReady = issueStore.load().catch((error) => {
+        console.error('Error loading issue store:', error);
+    });
+
+    // Per-process CPU / memory / I/O series of every host, in memory
+    const processStore = createProcessStore({
+        history: parseDuration(env.PROCESS_HISTORY || '15m')
+    });
 
-// Helper function to execute PowerShell scripts
-function executePowerShellScript(scriptPath) {
-    return new Promise((resolve, reject) => {
-        const ps = spawn('powershell.exe', [
-            '-ExecutionPolicy', 'Bypass',
-            '-File', scriptPath
-        ]);
+    // Collectors report every process: the store keeps them all, the metrics
+    // payload (and so history, alerts and broadcasts) only the top 10
+    function recordProcesses(hostId, data) {
+        if (data.error || !Array.isArray(data.processes)) return;
+        processStore.record(hostId, data.processes);
+        data.processes = topProcesses(data.processes);
+    }
 
-        let output = '';
-        let errorOutput = '';
+    // Per-adapter receive/transmit rates and their recent series, in memory
+    const networkStore = createNetworkStore({
+        history: parseDuration(env.NETWORK_HISTORY || '15m')
+    });
+
+    // Adds rxBps/txBps and link utilization to each adapter of a sample, so the
+    // dashboard, history and alert rules get rates instead of cumulative totals
+    function recordNetwork(hostId, data) {
+        if (data.error || !Array.isArray(data.network)) return;
+        data.network = networkStore.record(hostId, data.network);
+    }
 
-        ps.stdout.on('data', (data) => {
-            output += data.toString();
+    // Learned per-metric baselines; deviations become "Anomaly" diagnostics warnings
+    const baselineStore = createBaselineStore({
+        file: path.join(DATA_DIR, 'baselines', 'baselines.json'),
+        sensitivity: Number(env.ANOMALY_SENSITIVITY) || undefined,
+        minDuration: parseDuration(env.ANOMALY_MIN_DURATION || '1m')
+    });
+    const BASELINE_SEED_PERIOD = parseDuration('3d');
+    const baselinesReady = baselineStore.load()
+        .then(() => seedBaselines())
+        .catch((error) => {
+            console.error('Error loading baselines:', error);
         });
 
-        ps.stderr.on('data', (data) => {
-            errorOutput += data.toString();
+    // Without saved baselines, this machine learns from the metrics history it already has
+    async function seedBaselines() {
+        if (baselineStore.has(LOCAL_HOST.id)) return;
+        await historyReady;
+        const result = await historyStore.query({
+            from: Date.now() - BASELINE_SEED_PERIOD,
+            resolution: '1m',
+            fields: ['cpu', 'memory.percent', 'disks', 'network']
         });
+        baselineStore.train(LOCAL_HOST.id, result.history);
+    }
 
-        ps.on('close', (code) => {
-            if (code !== 0 && errorOutput) {
-                reject(new Error(errorOutput));
-            } else {
-                try {
-                    const jsonData = JSON.parse(output.trim());
-                    resolve(jsonData);
-                } catch (e) {
-                    resolve({ error: 'Failed to parse JSON', raw: output });
-                }
-            }
+    // Learns from a metrics sample and adds the chart bands and current anomalies to it
+    function observeBaselines(hostId, data) {
+        if (data.error) return;
+        const { anomalies } = baselineStore.observe(hostId, data);
+        const bands = baselineStore.bands(hostId, ['cpu', 'memory.percent']);
+        data.baseline = { cpu: bands.cpu || null, memory: bands['memory.percent'] || null, anomalies: anomalies.length };
+    }
+
+    // Disk usage trends and days-until-full forecasts per drive
+    const DISK_FORECAST_WINDOW = parseDuration(env.DISK_FORECAST_WINDOW || '7d');
+    const forecastStore = createForecastStore({
+        file: path.join(DATA_DIR, 'forecasts', 'disks.json'),
+        window: DISK_FORECAST_WINDOW,
+        horizon: parseDuration(env.DISK_FORECAST_HORIZON || '14d')
+    });
+    const forecastsReady = forecastStore.load()
+        .then(() => seedForecasts())
+        .catch((error) => {
+            console.error('Error loading disk forecasts:', error);
+        });
+
+    // Without saved disk histories, this machine starts from the metrics history it already has
+    async function seedForecasts() {
+        if (forecastStore.has(LOCAL_HOST.id)) return;
+        await historyReady;
+        const result = await historyStore.query({
+            from: Date.now() - DISK_FORECAST_WINDOW,
+            resolution: '1h',
+            fields: ['disks']
+        });
+        forecastStore.train(LOCAL_HOST.id, result.history);
+    }
+
+    // Adds each drive's forecast to a metrics sample
+    function observeDisks(hostId, data) {
+        if (data.error) return;
+        data.disks = forecastStore.observe(hostId, data.disks);
+    }
+
+    // Adds generated warnings (anomalies, disk forecasts) to a diagnostics payload
+    function addWarnings(diagnostics, issues) {
+        if (issues.length === 0) return;
+
+        diagnostics.warnings = (diagnostics.warnings || []).concat(issues);
+        diagnostics.summary = Object.assign({ critical: 0, high: 0, medium: 0, low: 0 }, diagnostics.summary);
+        issues.forEach((issue) => {
+            diagnostics.summary[issue.severity.toLowerCase()]++;
+        });
+        diagnostics.totalIssues = (diagnostics.totalIssues || 0) + issues.length;
+    }
+
+    function addAnomalies(hostId, diagnostics) {
+        const { anomalies, sensitivity } = baselineStore.status(hostId);
+        addWarnings(diagnostics, anomalyIssues(anomalies, sensitivity));
+    }
+
+    // Alert notification channels - the log file is always on, webhook and email when configured
+    const alertNotifiers = {
+        log: createNotifier('log', { file: path.join(DATA_DIR, 'alerts', 'alerts.log') })
+    };
+    if (env.ALERT_WEBHOOK_URL) {
+        alertNotifiers.webhook = createNotifier('webhook', { url: env.ALERT_WEBHOOK_URL });
+    }
+    if (env.SMTP_HOST) {
+        alertNotifiers.email = createNotifier('email', {
+            host: env.SMTP_HOST,
+            port: Number(env.SMTP_PORT) || 587,
+            secure: env.SMTP_SECURE === 'true',
+            user: env.SMTP_USER,
+            pass: env.SMTP_PASS,
+            from: env.ALERT_EMAIL_FROM || env.SMTP_USER,
+            to: env.ALERT_EMAIL_TO
         });
+    }
+
+    // Threshold alert rules evaluated against every metrics/diagnostics sample
+    const alertEngine = createAlertEngine({
+        rulesFile: path.join(DATA_DIR, 'alerts', 'rules.json'),
+        notifiers: alertNotifiers,
+        onChange: () => broadcastToClients('alerts', alertEngine.getAlerts())
     });
-}
+    const alertsReady = alertEngine.load().catch((error) => {
+        console.error('Error loading alert rules:', error);
+    });
+
+    // Collector backend: powershell (Windows), linux (native /proc + journald) or
+    // synthetic (generated data / JSON fixtures). "auto" picks one for this platform.
+    const COLLECTOR_BACKEND = options.collector ? options.collector.name : resolveBackendName(env.COLLECTOR_BACKEND);
+    const collector = options.collector || createBackend(COLLECTOR_BACKEND, {
+        scriptsDir: path.join(__dirname, 'scripts'),
+        fixturesDir: env.COLLECTOR_FIXTURES,
+        workers: env.POWERSHELL_WORKERS !== undefined ? Number(env.POWERSHELL_WORKERS) : undefined
+    });
+    const DEMO_MODE = COLLECTOR_BACKEND === 'synthetic';
+    const collectorStats = createCollectorStats();
 
-// Collect system metrics - REAL DATA ONLY
-async function collectMetrics() {
-    if (DEMO_MODE) {
-        return generateDemoMessage();
+    // Fleet state: this machine plus any agents pushing to /api/ingest
+    const LOCAL_HOST = {
+        id: env.HOST_ID || os.hostname(),
+        name: env.HOST_NAME || env.HOST_ID || os.hostname(),
+        platform: process.platform,
+        collector: collector.name,
+        local: true
+    };
+    const INGEST_TOKENS = (env.INGEST_TOKEN || '').split(',').map((token) => token.trim()).filter(Boolean);
+    const hosts = createHostRegistry({ staleAfter: parseDuration(env.HOST_STALE_AFTER || '30s') });
+
+    // Recorded sessions of the broadcast stream, replayed over the WebSocket protocol
+    const recordings = createRecordingStore({
+        dir: path.join(DATA_DIR, 'recordings'),
+        local: LOCAL_HOST.id,
+        continuous: env.RECORDING_CONTINUOUS === 'true',
+        retention: parseDuration(env.RECORDING_RETENTION || '1d'),
+        maxDuration: parseDuration(env.RECORDING_MAX_DURATION || '24h')
+    });
+    const recordingsReady = recordings.load().catch((error) => {
+        console.error('Error loading recordings:', error);
+    });
+
+    // Custom diagnostics checks: JavaScript plugins in PLUGINS_DIR
+    const plugins = createPluginManager({
+        dir: env.PLUGINS_DIR || path.join(__dirname, 'plugins'),
+        host: LOCAL_HOST,
+        metrics: () => currentMetrics
+    });
+    const pluginsReady = plugins.load().catch((error) => {
+        console.error('Error loading plugins:', error);
+    });
+
+    // Allow-listed remediation actions, run on this machine; with demo data they are only simulated
+    const actions = createActionRunner({
+        file: path.join(DATA_DIR, 'actions', 'audit.log'),
+        platform: DEMO_MODE ? 'win32' : process.platform,
+        simulate: DEMO_MODE,
+        findProcess: (pid) => processStore.get(LOCAL_HOST.id, pid)
+    });
+
+    // Every payload is checked against its schema before it is stored or broadcast
+    const payloads = createPayloadChecker();
+
+    // This machine's collector output without the fields that failed their schema
+    function checkLocal(type, data) {
+        const checked = payloads.check(LOCAL_HOST.id, type, data);
+        return checked.error ? { error: checked.error } : checked.data;
     }
 
-    try {
-        const metricsScript = path.join(__dirname, 'scripts', 'collect-metrics.ps1');
-        const data = await executePowerShellScript(metricsScript);
+    // Store a metrics sample and feed it to history and alerts - REAL DATA ONLY
+    function handleMetrics(payload) {
+        const sample = checkLocal('metrics', payload);
+        recordProcesses(LOCAL_HOST.id, sample);
+        recordNetwork(LOCAL_HOST.id, sample);
 
-        currentMetrics = data;
+        // The baseline bands are for the dashboard; the history keeps the sample itself
+        Promise.all([baselinesReady, forecastsReady]).then(() => {
+            const data = Object.assign({}, sample);
+            observeBaselines(LOCAL_HOST.id, data);
+            observeDisks(LOCAL_HOST.id, data);
+            currentMetrics = data;
+            hosts.update(LOCAL_HOST, 'metrics', data);
 
-        // Add to history
-        metricsHistory.push({
-            timestamp: new Date().toISOString(),
-            cpu: data.cpu || 0,
-            memory: data.memory ? data.memory.percent : 0
+            if (data.error) {
+                console.error('Error collecting metrics:', data.error);
+            } else {
+                historyReady.then(() => historyStore.record(sample));
+                alertsReady.then(() => alertEngine.evaluate('metrics', data));
+            }
+
+            broadcastToClients('metrics', data, LOCAL_HOST.id);
         });
+    }
 
-        // Keep only recent history
-        if (metricsHistory.length > MAX_HISTORY) {
-            metricsHistory.shift();
+    // Event logs - REAL ERRORS ONLY
+    function handleEventLogs(payload) {
+        let data = checkLocal('eventlogs', payload);
+        if (data.error) {
+            console.error('Error collecting event logs:', data.error);
+            data = Object.assign({ events: [] }, data);
         }
 
-        return data;
-    } catch (error) {
-        console.error('Error collecting metrics:', error);
-        return { error: error.message };
+        eventLogs = data.events || [];
+        hosts.update(LOCAL_HOST, 'eventlogs', data);
+        eventsReady.then(() => eventStore.add(LOCAL_HOST.id, eventLogs));
+        broadcastToClients('eventlogs', data, LOCAL_HOST.id);
     }
-}
 
-// Collect event logs - REAL ERRORS ONLY
-async function collectEventLogs() {
-    if (DEMO_MODE) {
-        return { events: [], message: "Run on Windows 11 to see real error logs" };
+    // System diagnostics - REAL PROBLEMS ONLY
+    function handleDiagnostics(payload) {
+        let data = checkLocal('diagnostics', payload);
+        if (data.error) {
+            console.error('Error collecting diagnostics:', data.error);
+            data = Object.assign({
+                issues: [],
+                warnings: [],
+                summary: { critical: 0, high: 0, medium: 0, low: 0 },
+                totalIssues: 0
+            }, data);
+        }
+
+        // A failed collection reports no issues - don't resolve everything because of it
+        issuesReady.then(() => {
+            if (!data.error) {
+                addAnomalies(LOCAL_HOST.id, data);
+                addWarnings(data, forecastStore.issues(LOCAL_HOST.id));
+                plugins.apply(data);
+                issueStore.track(LOCAL_HOST.id, data);
+                actions.annotate(data);
+            }
+            systemDiagnostics = data;
+            hosts.update(LOCAL_HOST, 'diagnostics', data);
+            alertsReady.then(() => alertEngine.evaluate('diagnostics', data));
+            broadcastToClients('diagnostics', data, LOCAL_HOST.id);
+        });
     }
 
-    try {
-        const logsScript = path.join(__dirname, 'scripts', 'collect-eventlogs.ps1');
-        const data = await executePowerShellScript(logsScript);
+    // Each collector runs on its own timer, never overlapping itself, with a
+    // timeout that kills the collector process and backoff after failures
+    const scheduler = createScheduler({ stats: collectorStats });
+    const COLLECTORS = {
+        metrics: { collect: (context) => collector.collectMetrics(context), onResult: handleMetrics },
+        eventlogs: { collect: (context) => collector.collectEventLogs(context), onResult: handleEventLogs },
+        diagnostics: { collect: (context) => collector.collectDiagnostics(context), onResult: handleDiagnostics }
+    };
+    Object.keys(COLLECTORS).forEach((name) => {
+        scheduler.add(name, {
+            interval: config.get().collectors[name].interval,
+            timeout: config.get().collectors[name].timeout,
+            task: (context) => COLLECTORS[name].collect(Object.assign({ params: collectorParams(config.get(), name) }, context)),
+            onResult: COLLECTORS[name].onResult
+        });
+    });
 
-        eventLogs = data.events || [];
+    // What the dashboard is told: how often each collector runs and the disk thresholds
+    function dashboardSettings() {
+        const settings = config.get();
+        const intervals = {};
+        Object.keys(COLLECTORS).forEach((name) => {
+            intervals[name] = settings.collectors[name].interval;
+        });
+        return { intervals, thresholds: settings.thresholds };
+    }
 
-        return data;
-    } catch (error) {
-        console.error('Error collecting event logs:', error);
-        return { error: error.message, events: [] };
+    // Settings changed at runtime: reschedule the collectors and update the dashboards
+    function applySettings(settings, changed) {
+        console.log(`Configuration changed: ${changed.join(', ')}`);
+        Object.keys(COLLECTORS).forEach((name) => scheduler.update(name, settings.collectors[name]));
+        broadcastToClients('settings', dashboardSettings());
     }
-}
 
-// Collect system diagnostics - REAL PROBLEMS ONLY
-async function collectDiagnostics() {
-    if (DEMO_MODE) {
-        return {
-            issues: [],
-            warnings: [],
-            info: [{
-                message: "This monitoring tool requires Windows 11",
-                details: "Currently running on " + process.platform + ". To see real diagnostics (Windows Updates, Driver errors, Disk problems, etc.), run this on your Windows 11 laptop."
-            }],
-            summary: { critical: 0, high: 0, medium: 0, low: 0 },
-            totalIssues: 0,
-            timestamp: new Date().toISOString()
-        };
+    // Resolve ?host= - null means this machine, undefined an unknown host
+    function lookupHost(id) {
+        if (!id || id === LOCAL_HOST.id) return null;
+        return hosts.get(id) || undefined;
     }
 
-    try {
-        const diagnosticsScript = path.join(__dirname, 'scripts', 'collect-diagnostics.ps1');
-        const data = await executePowerShellScript(diagnosticsScript);
+    function hasIngestToken(req) {
+        const header = req.get('Authorization') || '';
+        const token = Buffer.from(header.startsWith('Bearer ') ? header.slice(7) : '');
+        return INGEST_TOKENS.some((expected) => {
+            const candidate = Buffer.from(expected);
+            return candidate.length === token.length && crypto.timingSafeEqual(candidate, token);
+        });
+    }
 
-        systemDiagnostics = data;
+    // Authentication: session login for the dashboard, users and API tokens for admins
+    app.post('/api/auth/login', async (req, res) => {
+        const { username, password } = req.body || {};
+        await authReady;
+        const result = await auth.login(String(username || ''), password, req.ip);
+        if (result.error) {
+            return res.status(result.status).json({ error: result.error });
+        }
 
-        return data;
-    } catch (error) {
-        console.error('Error collecting diagnostics:', error);
-        return {
-            error: error.message,
-            issues: [],
-            warnings: [],
-            summary: { critical: 0, high: 0, medium: 0, low: 0 },
-            totalIssues: 0
+        res.set('Set-Cookie', auth.sessionCookie(result.session, req.secure));
+        res.json(result.user);
+    });
+
+    app.post('/api/auth/logout', (req, res) => {
+        auth.logout(req);
+        res.set('Set-Cookie', auth.sessionCookie(null, req.secure));
+        res.status(204).end();
+    });
+
+    app.get('/api/auth/me', (req, res) => {
+        res.json(Object.assign({ authEnabled: auth.enabled }, req.user));
+    });
+
+    app.get('/api/auth/users', requireAdmin, (req, res) => {
+        res.json({ users: auth.listUsers() });
+    });
+
+    app.post('/api/auth/users', requireAdmin, async (req, res) => {
+        const result = await auth.createUser(req.body);
+        if (result.errors) {
+            return res.status(400).json({ error: 'Invalid user', details: result.errors });
+        }
+        res.status(201).json(result.user);
+    });
+
+    // Admins can change any user; everyone else may only change their own password
+    app.put('/api/auth/users/:username', async (req, res) => {
+        const body = req.body || {};
+        const self = req.user.username === req.params.username && req.user.via === 'session';
+        if (req.user.role !== 'admin' && !(self && body.role === undefined)) {
+            return res.status(403).json({ error: 'This action requires the admin role' });
+        }
+
+        const result = await auth.updateUser(req.params.username, body);
+        if (!result) {
+            return res.status(404).json({ error: 'User not found' });
+        }
+        if (result.errors) {
+            return res.status(400).json({ error: 'Invalid user', details: result.errors });
+        }
+        res.json(result.user);
+    });
+
+    app.delete('/api/auth/users/:username', requireAdmin, async (req, res) => {
+        const result = await auth.deleteUser(req.params.username);
+        if (!result) {
+            return res.status(404).json({ error: 'User not found' });
+        }
+        if (result.errors) {
+            return res.status(400).json({ error: result.errors[0] });
+        }
+        preferencesReady.then(() => preferences.removeUser(req.params.username));
+        res.status(204).end();
+    });
+
+    app.get('/api/auth/tokens', requireAdmin, (req, res) => {
+        res.json({ tokens: auth.listTokens() });
+    });
+
+    app.post('/api/auth/tokens', requireAdmin, async (req, res) => {
+        const result = await auth.createToken(req.body, req.user.username);
+        if (result.errors) {
+            return res.status(400).json({ error: 'Invalid API token', details: result.errors });
+        }
+        res.status(201).json(result.token);
+    });
+
+    app.delete('/api/auth/tokens/:id', requireAdmin, async (req, res) => {
+        if (!await auth.deleteToken(req.params.id)) {
+            return res.status(404).json({ error: 'API token not found' });
+        }
+        res.status(204).end();
+    });
+
+    // The signed-in user's preferences (dashboard layout and time range)
+    app.get('/api/preferences', async (req, res) => {
+        await preferencesReady;
+        res.json(preferences.get(req.user.username));
+    });
+
+    // Body: { dashboard: { timeRange, cards: [...] } }
+    app.put('/api/preferences', async (req, res) => {
+        await preferencesReady;
+        const result = preferences.set(req.user.username, req.body);
+        if (result.errors) {
+            return res.status(400).json({ error: 'Invalid preferences', details: result.errors });
+        }
+        res.json(result.preferences);
+    });
+
+    // Back to the default dashboard
+    app.delete('/api/preferences', async (req, res) => {
+        await preferencesReady;
+        res.json(preferences.reset(req.user.username));
+    });
+
+    // API Routes
+    // The latest sample as stored and broadcast: schema-checked, top processes, rates, baselines and forecasts
+    app.get('/api/metrics', (req, res) => {
+        const host = lookupHost(req.query.host);
+        if (host === undefined) {
+            return res.status(404).json({ error: 'Unknown host' });
+        }
+        res.json(host ? host.metrics : hostData(LOCAL_HOST.id, 'metrics'));
+    });
+
+    // Event log explorer: q (full text, "quoted phrases"), level, category, provider,
+    // source and eventId (comma-separated), from/to, limit and cursor for paging
+    app.get('/api/eventlogs', async (req, res) => {
+        const host = lookupHost(req.query.host);
+        if (host === undefined) {
+            return res.status(404).json({ error: 'Unknown host' });
+        }
+
+        const from = parseTime(req.query.from);
+        const to = parseTime(req.query.to);
+        if (from === null || to === null) {
+            return res.status(400).json({ error: 'from/to must be epoch milliseconds, an ISO date or a duration like 24h' });
+        }
+
+        try {
+            await eventsReady;
+            res.json(eventStore.query(Object.assign({}, req.query, {
+                host: host ? host.id : LOCAL_HOST.id,
+                from,
+                to
+            })));
+        } catch (error) {
+            res.status(400).json({ error: error.message });
+        }
+    });
+
+    // Recurring problems: events grouped by fingerprint, with the same filters as
+    // /api/eventlogs plus sort=lastSeen|count, correlated with diagnostics issues
+    app.get('/api/problems', async (req, res) => {
+        const host = lookupHost(req.query.host);
+        if (host === undefined) {
+            return res.status(404).json({ error: 'Unknown host' });
+        }
+
+        const from = parseTime(req.query.from);
+        const to = parseTime(req.query.to);
+        if (from === null || to === null) {
+            return res.status(400).json({ error: 'from/to must be epoch milliseconds, an ISO date or a duration like 24h' });
+        }
+        if (req.query.sort && !['lastSeen', 'count'].includes(req.query.sort)) {
+            return res.status(400).json({ error: 'sort must be lastSeen or count' });
+        }
+
+        await eventsReady;
+        res.json(eventStore.problems(Object.assign({}, req.query, {
+            host: host ? host.id : LOCAL_HOST.id,
+            from,
+            to
+        }), {
+            diagnosticsFor: (id) => (hosts.get(id) || {}).diagnostics
+        }));
+    });
+
+    // Process explorer: sort (cpu, memory, io, handles, threads, pid, name), order,
+    // q (name or PID), minCpu/minMemory, limit; tree=true nests children under parents
+    app.get('/api/processes', (req, res) => {
+        const host = lookupHost(req.query.host);
+        if (host === undefined) {
+            return res.status(404).json({ error: 'Unknown host' });
+        }
+
+        try {
+            res.json(processStore.list(host ? host.id : LOCAL_HOST.id, Object.assign({}, req.query, {
+                tree: req.query.tree === 'true' || req.query.tree === '1'
+            })));
+        } catch (error) {
+            res.status(400).json({ error: error.message });
+        }
+    });
+
+    // Network adapters of a host with their receive/transmit rate samples (from: since when, default the whole history)
+    app.get('/api/network', (req, res) => {
+        const host = lookupHost(req.query.host);
+        if (host === undefined) {
+            return res.status(404).json({ error: 'Unknown host' });
+        }
+        const from = parseTime(req.query.from);
+        if (from === null) {
+            return res.status(400).json({ error: 'from must be epoch milliseconds, an ISO date or a duration like 15m' });
+        }
+
+        res.json(networkStore.history(host ? host.id : LOCAL_HOST.id, { from }) || { updatedAt: null, adapters: [] });
+    });
+
+    // Drives of a host with their usage history and days-until-full forecast
+    app.get('/api/disks', async (req, res) => {
+        const host = lookupHost(req.query.host);
+        if (host === undefined) {
+            return res.status(404).json({ error: 'Unknown host' });
+        }
+        await forecastsReady;
+        res.json(forecastStore.status(host ? host.id : LOCAL_HOST.id));
+    });
+
+    // Learned baselines of a host: expected value and normal range per metric, and the current anomalies
+    app.get('/api/anomalies', async (req, res) => {
+        const host = lookupHost(req.query.host);
+        if (host === undefined) {
+            return res.status(404).json({ error: 'Unknown host' });
+        }
+        await baselinesReady;
+        res.json(baselineStore.status(host ? host.id : LOCAL_HOST.id));
+    });
+
+    // One process's samples; startTime picks an instance when the PID was reused
+    app.get('/api/processes/:pid/history', (req, res) => {
+        const host = lookupHost(req.query.host);
+        if (host === undefined) {
+            return res.status(404).json({ error: 'Unknown host' });
+        }
+        if (!/^\d+$/.test(req.params.pid)) {
+            return res.status(400).json({ error: 'pid must be a number' });
+        }
+        const from = parseTime(req.query.from);
+        if (from === null) {
+            return res.status(400).json({ error: 'from must be epoch milliseconds, an ISO date or a duration like 15m' });
+        }
+
+        const result = processStore.history(host ? host.id : LOCAL_HOST.id, Number(req.params.pid), {
+            startTime: req.query.startTime,
+            from
+        });
+        if (!result) {
+            return res.status(404).json({ error: 'No history for this process' });
+        }
+        res.json(result);
+    });
+
+    app.get('/api/eventlogs/:key', async (req, res) => {
+        await eventsReady;
+        const event = eventStore.get(req.params.key);
+        if (!event) {
+            return res.status(404).json({ error: 'Event not found' });
+        }
+        res.json(event);
+    });
+
+    app.get('/api/diagnostics', (req, res) => {
+        const host = lookupHost(req.query.host);
+        if (host === undefined) {
+            return res.status(404).json({ error: 'Unknown host' });
+        }
+        // The tracked issues (ids, acknowledge/snooze state, actions) and added warnings, as broadcast
+        res.json(host ? host.diagnostics : hostData(LOCAL_HOST.id, 'diagnostics'));
+    });
+
+    // Diagnostics check plugins of this server: schedule, run stats, current results and load errors
+    app.get('/api/plugins', async (req, res) => {
+        await pluginsReady;
+        res.json(plugins.list());
+    });
+
+    // Picks up added, changed and removed plugin files
+    app.post('/api/plugins/reload', requireAdmin, async (req, res) => {
+        await pluginsReady;
+        try {
+            res.json(await plugins.load());
+        } catch (error) {
+            res.status(500).json({ error: 'Could not read the plugins directory', details: error.message });
+        }
+    });
+
+    // Runs one check now; its results join the diagnostics with the next collection
+    app.post('/api/plugins/:id/run', requireAdmin, async (req, res) => {
+        await pluginsReady;
+        const result = await plugins.run(req.params.id);
+        if (!result) {
+            return res.status(404).json({ error: 'Unknown plugin check' });
+        }
+        res.json(result);
+    });
+
+    // Diagnostics issue lifecycle: ?host= selects the host (default: this machine)
+    app.get('/api/issues', async (req, res) => {
+        const host = lookupHost(req.query.host);
+        if (host === undefined) {
+            return res.status(404).json({ error: 'Unknown host' });
+        }
+
+        const from = parseTime(req.query.from);
+        const to = parseTime(req.query.to);
+        if (from === null || to === null) {
+            return res.status(400).json({ error: 'from/to must be epoch milliseconds, an ISO date or a duration like 24h' });
+        }
+
+        await issuesReady;
+        try {
+            const issues = issueStore.list({ host: host ? host.id : LOCAL_HOST.id, state: req.query.state, from, to });
+            res.json({ issues, count: issues.length });
+        } catch (error) {
+            res.status(400).json({ error: error.message });
+        }
+    });
+
+    app.get('/api/issues/:id', async (req, res) => {
+        const host = lookupHost(req.query.host);
+        if (host === undefined) {
+            return res.status(404).json({ error: 'Unknown host' });
+        }
+
+        await issuesReady;
+        const issue = issueStore.get(host ? host.id : LOCAL_HOST.id, req.params.id);
+        if (!issue) {
+            return res.status(404).json({ error: 'Issue not found' });
+        }
+        res.json(issue);
+    });
+
+    // Runs an acknowledge/snooze action and pushes the re-annotated diagnostics to clients
+    function issueAction(action, input) {
+        return async (req, res) => {
+            const host = lookupHost(req.query.host);
+            if (host === undefined) {
+                return res.status(404).json({ error: 'Unknown host' });
+            }
+
+            const hostId = host ? host.id : LOCAL_HOST.id;
+            const options = input ? input(req) : {};
+            if (options.error) {
+                return res.status(400).json({ error: options.error });
+            }
+
+            await issuesReady;
+            const result = issueStore[action](hostId, req.params.id, Object.assign({ by: req.user.username }, options));
+            if (result.error) {
+                return res.status(result.status).json({ error: result.error });
+            }
+
+            const current = hosts.get(hostId);
+            if (current) {
+                issueStore.annotate(hostId, current.diagnostics);
+                broadcastToClients('diagnostics', current.diagnostics, hostId);
+            }
+            res.json(result.issue);
         };
     }
-}
 
-// API Routes
-app.get('/api/metrics', async (req, res) => {
-    const data = await collectMetrics();
-    res.json(data);
-});
-
-app.get('/api/eventlogs', async (req, res) => {
-    const data = await collectEventLogs();
-    res.json(data);
-});
-
-app.get('/api/diagnostics', async (req, res) => {
-    const data = await collectDiagnostics();
-    res.json(data);
-});
-
-app.get('/api/history', (req, res) => {
-    res.json({
-        history: metricsHistory,
-        count: metricsHistory.length
-    });
-});
-
-app.get('/api/status', (req, res) => {
-    res.json({
-        status: 'online',
-        timestamp: new Date().toISOString(),
-        platform: process.platform,
-        nodeVersion: process.version,
-        demoMode: DEMO_MODE
+    // Body: { note }
+    app.post('/api/issues/:id/acknowledge', requireAdmin, issueAction('acknowledge', (req) => ({
+        note: (req.body || {}).note
+    })));
+    app.delete('/api/issues/:id/acknowledge', requireAdmin, issueAction('unacknowledge'));
+
+    // Body: { for: "1d" } or { until: <epoch ms | ISO date> }
+    app.post('/api/issues/:id/snooze', requireAdmin, issueAction('snooze', (req) => {
+        const body = req.body || {};
+        if (body.for !== undefined) {
+            const duration = parseDuration(body.for);
+            return duration ? { until: Date.now() + duration } : { error: 'for must be a duration like 4h or 7d' };
+        }
+        const until = parseTime(body.until);
+        return until ? { until } : { error: 'Provide for (a duration) or until (a date)' };
+    }));
+    app.delete('/api/issues/:id/snooze', requireAdmin, issueAction('unsnooze'));
+
+    // Remediation actions: the catalog, dry runs and confirmed runs on this machine, and the audit log
+    app.get('/api/actions', (req, res) => {
+        res.json(actions.list());
     });
-});
 
-// Start HTTP server
-const server = app.listen(PORT, () => {
-    console.log(`Server running on http://localhost:${PORT}`);
-    console.log(`Mode: ${DEMO_MODE ? 'DEMO' : 'PRODUCTION (Windows)'}`);
-    console.log('Starting periodic data collection...');
+    app.get('/api/actions/audit', requireAdmin, async (req, res) => {
+        const from = parseTime(req.query.from);
+        if (from === null) {
+            return res.status(400).json({ error: 'from must be epoch milliseconds, an ISO date or a duration like 24h' });
+        }
 
-    // Initial data collection
-    collectMetrics();
-    collectEventLogs();
-    collectDiagnostics();
-});
+        try {
+            const entries = await actions.audit({ limit: req.query.limit, action: req.query.action, from });
+            res.json({ entries, count: entries.length });
+        } catch (error) {
+            res.status(500).json({ error: 'Could not read the audit log', details: error.message });
+        }
+    });
 
-// WebSocket Server
-const wss = new WebSocketServer({ server });
+    function findIssue(diagnostics, id) {
+        return [...(diagnostics.issues || []), ...(diagnostics.warnings || [])].find((issue) => issue && issue.id === id) || null;
+    }
 
-wss.on('connection', (ws) => {
-    console.log('WebSocket client connected');
+    // Body: { issue: <issue id> } or { params }, plus { dryRun: true } for the
+    // preview and confirm token, then { confirm: <token> } to run it
+    app.post('/api/actions/:id/run', async (req, res) => {
+        const host = lookupHost(req.query.host);
+        if (host === undefined) {
+            return res.status(404).json({ error: 'Unknown host' });
+        }
+        if (host) {
+            return res.status(400).json({ error: `Actions only run on the server's own machine (${LOCAL_HOST.id})` });
+        }
 
-    // Send current data immediately
-    ws.send(JSON.stringify({
-        type: 'metrics',
-        data: currentMetrics
-    }));
+        const body = req.body || {};
+        let issue = null;
+        if (body.issue !== undefined) {
+            await issuesReady;
+            issue = findIssue(systemDiagnostics, body.issue);
+            if (!issue) {
+                return res.status(404).json({ error: 'Issue not found' });
+            }
+        }
 
-    ws.send(JSON.stringify({
-        type: 'eventlogs',
-        data: { events: eventLogs }
-    }));
+        const result = await actions.run(req.params.id, {
+            params: body.params,
+            issue,
+            dryRun: body.dryRun === true,
+            confirm: body.confirm
+        }, req.user);
+        if (result.error) {
+            return res.status(result.status).json({ error: result.error, details: result.details });
+        }
 
-    ws.send(JSON.stringify({
-        type: 'diagnostics',
-        data: systemDiagnostics
-    }));
+        // Collect again so a fixed issue or an ended process clears without waiting for the next run
+        if (result.result.status === 'succeeded') {
+            scheduler.run(issue ? 'diagnostics' : 'metrics');
+        }
+        res.json(result.result);
+    });
+
+    // Fleet overview and per-host state
+    app.get('/api/hosts', (req, res) => {
+        res.json({ local: LOCAL_HOST.id, hosts: hosts.overview() });
+    });
+
+    app.get('/api/hosts/:id', (req, res) => {
+        const host = hosts.get(req.params.id);
+        if (!host) {
+            return res.status(404).json({ error: 'Unknown host' });
+        }
+        res.json(host);
+    });
+
+    app.delete('/api/hosts/:id', requireAdmin, (req, res) => {
+        if (req.params.id === LOCAL_HOST.id) {
+            return res.status(400).json({ error: 'The local host cannot be removed' });
+        }
+        if (!hosts.remove(req.params.id)) {
+            return res.status(404).json({ error: 'Unknown host' });
+        }
+        issuesReady.then(() => issueStore.removeHost(req.params.id));
+        processStore.removeHost(req.params.id);
+        networkStore.removeHost(req.params.id);
+        baselinesReady.then(() => baselineStore.removeHost(req.params.id));
+        forecastsReady.then(() => forecastStore.removeHost(req.params.id));
+        recordings.removeHost(req.params.id);
+        payloads.removeHost(req.params.id);
+        res.status(204).end();
+    });
+
+    // Agents push samples here: { host: { id, name, platform, collector }, type, data }
+    app.post('/api/ingest', async (req, res) => {
+        if (INGEST_TOKENS.length === 0) {
+            return res.status(403).json({ error: 'Ingest is disabled - set INGEST_TOKEN on this server' });
+        }
+        if (!hasIngestToken(req)) {
+            return res.status(401).json({ error: 'Invalid or missing ingest token' });
+        }
+
+        const errors = validateIngest(req.body);
+        if (errors.length) {
+            return res.status(400).json({ error: 'Invalid ingest payload', details: errors });
+        }
+        if (req.body.host.id === LOCAL_HOST.id) {
+            return res.status(409).json({ error: `Host id "${LOCAL_HOST.id}" is used by the central server itself` });
+        }
+
+        const { host, type } = req.body;
+        const checked = payloads.check(host.id, type, req.body.data);
+        if (checked.error) {
+            return res.status(400).json({ error: 'Invalid ingest payload', details: [checked.error] });
+        }
+        const data = checked.data;
+        if (type === 'metrics') {
+            recordProcesses(host.id, data);
+            recordNetwork(host.id, data);
+            await Promise.all([baselinesReady, forecastsReady]);
+            observeBaselines(host.id, data);
+            observeDisks(host.id, data);
+        }
+        if (type === 'diagnostics' && !data.error) {
+            await issuesReady;
+            addAnomalies(host.id, data);
+            addWarnings(data, forecastStore.issues(host.id));
+            issueStore.track(host.id, data);
+        }
+        hosts.update({
+            id: host.id,
+            name: typeof host.name === 'string' ? host.name.slice(0, 128) : host.id,
+            platform: typeof host.platform === 'string' ? host.platform.slice(0, 32) : undefined,
+            collector: typeof host.collector === 'string' ? host.collector.slice(0, 32) : undefined
+        }, type, data);
+        if (type === 'eventlogs') {
+            eventsReady.then(() => eventStore.add(host.id, data.events));
+        }
+        broadcastToClients(type, data, host.id);
+
+        // Fields that failed their schema were dropped; the agent is told which
+        res.status(202).json(checked.errors.length ? { accepted: true, rejected: checked.errors } : { accepted: true });
+    });
+
+    // Query: from/to (epoch ms, ISO date or "24h" ago), fields (comma-separated
+    // prefixes such as cpu,memory.percent,disks) and resolution (raw, 1m, 1h, auto)
+    app.get('/api/history', async (req, res) => {
+        const from = parseTime(req.query.from);
+        const to = parseTime(req.query.to);
+        if (from === null || to === null) {
+            return res.status(400).json({ error: 'from/to must be epoch milliseconds, an ISO date or a duration like 24h' });
+        }
+
+        const fields = req.query.fields
+            ? String(req.query.fields).split(',').map((field) => field.trim()).filter(Boolean)
+            : ['cpu', 'memory.percent'];
+
+        try {
+            await historyReady;
+            const result = await historyStore.query({ from, to, fields, resolution: req.query.resolution });
+            res.json(result);
+        } catch (error) {
+            res.status(400).json({ error: error.message });
+        }
+    });
+
+    // Exports: format=csv|ndjson (html for the report) and from/to, the last 24 hours by default
+    const EXPORT_MAX_POINTS = 100000;
+
+    function exportRequest(req, res, formats = FORMATS) {
+        const host = lookupHost(req.query.host);
+        if (host === undefined) {
+            res.status(404).json({ error: 'Unknown host' });
+            return null;
+        }
+        const format = req.query.format || formats[0];
+        if (!formats.includes(format)) {
+            res.status(400).json({ error: `format must be one of: ${formats.join(', ')}` });
+            return null;
+        }
+        const from = parseTime(req.query.from || '24h');
+        const to = parseTime(req.query.to);
+        if (from === null || to === null) {
+            res.status(400).json({ error: 'from/to must be epoch milliseconds, an ISO date or a duration like 24h' });
+            return null;
+        }
+        return { host, hostId: host ? host.id : LOCAL_HOST.id, format, from, to: to === undefined ? Date.now() : to };
+    }
+
+    function sendExport(res, kind, request, rows, options = {}) {
+        const csv = request.format === 'csv';
+        res.set('Content-Type', csv ? 'text/csv; charset=utf-8' : 'application/x-ndjson; charset=utf-8');
+        res.set('Content-Disposition', `attachment; filename="${exportFilename(kind, request.hostId, request.format)}"`);
+        if (options.truncated) res.set('X-Export-Truncated', 'true');
+        res.send(csv ? toCsv(rows, options.columns) : toNdjson(rows));
+    }
+
+    // Metrics history (this machine only): fields and resolution as for /api/history
+    app.get('/api/export/history', async (req, res) => {
+        const request = exportRequest(req, res);
+        if (!request) return;
+        if (request.host) {
+            return res.status(400).json({ error: 'Metrics history is only kept for this server' });
+        }
+
+        const fields = req.query.fields
+            ? String(req.query.fields).split(',').map((field) => field.trim()).filter(Boolean)
+            : null;
+        const rows = [];
+        let truncated = false;
+        try {
+            await historyReady;
+            await historyStore.each({ from: request.from, to: request.to, fields, resolution: req.query.resolution }, (point) => {
+                if (rows.length >= EXPORT_MAX_POINTS) {
+                    truncated = true;
+                    return false;
+                }
+                rows.push(point);
+                return true;
+            });
+        } catch (error) {
+            return res.status(400).json({ error: error.message });
+        }
+        sendExport(res, 'history', request, rows, { truncated, columns: columnsOf(rows, ['timestamp']) });
+    });
+
+    // Event logs with the /api/eventlogs filters
+    app.get('/api/export/eventlogs', async (req, res) => {
+        const request = exportRequest(req, res);
+        if (!request) return;
 
-    ws.on('close', () => {
-        console.log('WebSocket client disconnected');
+        await eventsReady;
+        const { events, truncated } = eventStore.select(Object.assign({}, req.query, {
+            host: request.hostId,
+            from: request.from,
+            to: request.to
+        }));
+        sendExport(res, 'eventlogs', request, events, {
+            truncated,
+            columns: columnsOf(events, EVENT_COLUMNS).filter((column) => column !== 'timeAgo')
+        });
+    });
+
+    // Diagnostics issues open at any time in the range, with their lifecycle (history in NDJSON only)
+    app.get('/api/export/diagnostics', async (req, res) => {
+        const request = exportRequest(req, res);
+        if (!request) return;
+
+        await issuesReady;
+        const issues = issueStore.list({ host: request.hostId }).filter((issue) =>
+            Date.parse(issue.openedAt) <= request.to && (!issue.resolvedAt || Date.parse(issue.resolvedAt) >= request.from));
+        sendExport(res, 'diagnostics', request, issues, { columns: ISSUE_COLUMNS });
     });
-});
 
-// Broadcast to all connected clients
-function broadcastToClients(type, data) {
-    wss.clients.forEach((client) => {
-        if (client.readyState === 1) { // WebSocket.OPEN
-            client.send(JSON.stringify({ type, data }));
+    // Self-contained HTML health report; download=true saves it instead of opening it
+    app.get('/api/export/report', async (req, res) => {
+        const request = exportRequest(req, res, ['html']);
+        if (!request) return;
+
+        const { host, hostId, from, to } = request;
+        await Promise.all([eventsReady, issuesReady, historyReady]);
+
+        const eventSummary = eventStore.query({ host: hostId, from, to, limit: 1 });
+        const byLevel = {};
+        eventSummary.facets.level.forEach((facet) => {
+            byLevel[facet.value] = facet.count;
+        });
+
+        let history = null;
+        if (!host) {
+            try {
+                history = (await historyStore.query({ from, to, fields: ['cpu', 'memory.percent'] })).history;
+            } catch (error) {
+                history = [];
+            }
         }
+
+        const info = host || LOCAL_HOST;
+        const html = renderHealthReport({
+            host: { id: info.id, name: info.name, platform: info.platform, collector: info.collector },
+            generatedAt: new Date().toISOString(),
+            from,
+            to,
+            metrics: hostData(hostId, 'metrics'),
+            diagnostics: hostData(hostId, 'diagnostics'),
+            issues: issueStore.list({ host: hostId, from, to }),
+            events: { total: eventSummary.total, byLevel },
+            problems: eventStore.problems({ host: hostId, from, to, sort: 'count', limit: 5 }).problems,
+            alerts: host ? [] : alertEngine.getAlerts().firing,
+            history,
+            processes: {
+                cpu: processStore.list(hostId, { sort: 'cpu', limit: 10 }).processes,
+                memory: processStore.list(hostId, { sort: 'memory', limit: 10 }).processes
+            }
+        });
+
+        res.set('Content-Type', 'text/html; charset=utf-8');
+        if (req.query.download === 'true') {
+            res.set('Content-Disposition', `attachment; filename="${exportFilename('report', hostId, 'html')}"`);
+        }
+        res.send(html);
+    });
+
+    // Session recordings: list, start/stop (admins), download and delete; replay is a WebSocket connection
+    app.get('/api/recordings', async (req, res) => {
+        await recordingsReady;
+        res.json(recordings.list());
+    });
+
+    // Body: { name }
+    app.post('/api/recordings', requireAdmin, async (req, res) => {
+        const name = (req.body || {}).name;
+        if (name !== undefined && (typeof name !== 'string' || name.length > 100)) {
+            return res.status(400).json({ error: 'name must be a string of at most 100 characters' });
+        }
+
+        await recordingsReady;
+        const result = recordings.start({ name: name && name.trim(), by: req.user.username });
+        if (result.error) {
+            return res.status(result.status).json({ error: result.error });
+        }
+        res.status(201).json(result.recording);
+    });
+
+    app.post('/api/recordings/stop', requireAdmin, async (req, res) => {
+        await recordingsReady;
+        const result = recordings.stop();
+        if (result.error) {
+            return res.status(result.status).json({ error: result.error });
+        }
+        res.json(result.recording);
     });
+
+    app.get('/api/recordings/:id', async (req, res) => {
+        await recordingsReady;
+        const recording = recordings.get(req.params.id);
+        if (!recording) {
+            return res.status(404).json({ error: 'Recording not found' });
+        }
+        res.json(recording);
+    });
+
+    app.get('/api/recordings/:id/download', async (req, res) => {
+        await recordingsReady;
+        const file = await recordings.file(req.params.id);
+        if (!file) {
+            return res.status(404).json({ error: 'Recording not found' });
+        }
+        res.set('Content-Type', 'application/x-ndjson; charset=utf-8');
+        res.set('Content-Disposition', `attachment; filename="recording-${req.params.id}.ndjson"`);
+        res.sendFile(path.resolve(file));
+    });
+
+    app.delete('/api/recordings/:id', requireAdmin, async (req, res) => {
+        await recordingsReady;
+        const result = recordings.remove(req.params.id);
+        if (result.error) {
+            return res.status(result.status).json({ error: result.error });
+        }
+        res.status(204).end();
+    });
+
+    // Alerts: current state plus CRUD for rules
+    app.get('/api/alerts', (req, res) => {
+        res.json(Object.assign(alertEngine.getAlerts(), {
+            notifiers: Object.keys(alertNotifiers)
+        }));
+    });
+
+    app.get('/api/alerts/rules', (req, res) => {
+        res.json({ rules: alertEngine.listRules() });
+    });
+
+    app.get('/api/alerts/rules/:id', (req, res) => {
+        const rule = alertEngine.getRule(req.params.id);
+        if (!rule) {
+            return res.status(404).json({ error: 'Alert rule not found' });
+        }
+        res.json(rule);
+    });
+
+    app.post('/api/alerts/rules', requireAdmin, async (req, res) => {
+        const result = await alertEngine.createRule(req.body);
+        if (result.errors) {
+            return res.status(400).json({ error: 'Invalid alert rule', details: result.errors });
+        }
+        res.status(201).json(result.rule);
+    });
+
+    app.put('/api/alerts/rules/:id', requireAdmin, async (req, res) => {
+        const result = await alertEngine.updateRule(req.params.id, req.body);
+        if (!result) {
+            return res.status(404).json({ error: 'Alert rule not found' });
+        }
+        if (result.errors) {
+            return res.status(400).json({ error: 'Invalid alert rule', details: result.errors });
+        }
+        res.json(result.rule);
+    });
+
+    app.delete('/api/alerts/rules/:id', requireAdmin, async (req, res) => {
+        const deleted = await alertEngine.deleteRule(req.params.id);
+        if (!deleted) {
+            return res.status(404).json({ error: 'Alert rule not found' });
+        }
+        res.status(204).end();
+    });
+
+    // Prometheus / OpenMetrics scrape endpoint (scrape with a viewer API token)
+    app.get('/metrics', auth.requireRole('viewer'), (req, res) => {
+        const { contentType, body } = renderMetrics({
+            metrics: currentMetrics,
+            diagnostics: systemDiagnostics,
+            collectorStats: collectorStats.snapshot()
+        }, wantsOpenMetrics(req.get('Accept')));
+
+        res.set('Content-Type', contentType);
+        res.send(body);
+    });
+
+    // Runtime configuration; settings an environment variable provides are locked
+    app.get('/api/config', requireAdmin, (req, res) => {
+        res.json(config.describe());
+    });
+
+    // Changes the settings given (nested as in the file); null puts one back to its default
+    app.put('/api/config', requireAdmin, async (req, res) => {
+        const result = await config.update(req.body);
+        if (result.errors) {
+            return res.status(400).json({ error: 'Invalid configuration', details: result.errors });
+        }
+        res.json(Object.assign({ changed: result.changed }, config.describe()));
+    });
+
+    app.get('/api/status', (req, res) => {
+        res.json({
+            status: 'online',
+            timestamp: new Date().toISOString(),
+            platform: process.platform,
+            nodeVersion: process.version,
+            collector: collector.name,
+            demoMode: DEMO_MODE,
+            host: LOCAL_HOST.id,
+            ingest: INGEST_TOKENS.length > 0,
+            auth: auth.enabled,
+            collectors: scheduler.snapshot(),
+            realtime: realtime.status(),
+            workers: collector.status ? collector.status() : null,
+            rejectedPayloads: payloads.status()
+        });
+    });
+
+    // HTTP server; listening and collection start with listen()
+    const server = http.createServer(app);
+
+    // Topics of the monitor.v2 WebSocket protocol; the local host is known before its first collection
+    function hostData(id, type) {
+        const host = hosts.get(id);
+        if (host) return host[type];
+        if (id !== LOCAL_HOST.id) return undefined;
+        return { metrics: currentMetrics, eventlogs: { events: eventLogs }, diagnostics: systemDiagnostics }[type];
+    }
+
+    const WS_HEARTBEAT = parseDuration(env.WS_HEARTBEAT || '30s');
+    const realtime = createRealtimeHub({
+        defaultHost: LOCAL_HOST.id,
+        heartbeat: WS_HEARTBEAT,
+        topics: {
+            hosts: { source: 'hosts', global: true, get: () => ({ local: LOCAL_HOST.id, hosts: hosts.overview() }) },
+            alerts: { source: 'alerts', global: true, get: () => alertEngine.getAlerts() },
+            settings: { source: 'settings', global: true, get: dashboardSettings },
+            metrics: { source: 'metrics', get: (id) => hostData(id, 'metrics') },
+            eventlogs: { source: 'eventlogs', get: (id) => hostData(id, 'eventlogs') },
+            diagnostics: { source: 'diagnostics', get: (id) => hostData(id, 'diagnostics') },
+            processes: {
+                source: 'metrics',
+                get: (id) => {
+                    const metrics = hostData(id, 'metrics');
+                    return metrics && (metrics.processes || []);
+                }
+            },
+            process: {
+                source: 'metrics',
+                keyed: true,
+                get: (id, pid) => {
+                    if (!hostData(id, 'metrics')) return undefined;
+                    return /^\d+$/.test(pid) ? processStore.get(id, Number(pid)) : null;
+                }
+            }
+        }
+    });
+
+    // WebSocket Server - the upgrade needs an allowed origin and a session cookie or bearer token.
+    // Clients asking for the monitor.v2 subprotocol get subscriptions and deltas;
+    // others get the original full-payload messages.
+    const wss = new WebSocketServer({
+        server,
+        handleProtocols: (protocols) => (protocols.has(PROTOCOL) ? PROTOCOL : false),
+        verifyClient: (info, done) => {
+            if (!isAllowedOrigin(info.origin, info.req.headers.host)) {
+                return done(false, 403, 'Origin not allowed');
+            }
+            if (!auth.authenticate(info.req)) {
+                return done(false, 401, 'Authentication required');
+            }
+            done(true);
+        }
+    });
+
+    wss.on('connection', (ws, req) => {
+        console.log('WebSocket client connected');
+        ws.upgradeReq = req;
+        ws.on('close', () => {
+            console.log('WebSocket client disconnected');
+        });
+
+        const replay = new URL(req.url, 'http://localhost').searchParams.get('replay');
+        if (replay !== null) {
+            startReplay(ws, replay);
+            return;
+        }
+        if (ws.protocol === PROTOCOL) {
+            realtime.attach(ws);
+            return;
+        }
+        realtime.watch(ws);
+
+        // Send current data immediately
+        ws.send(JSON.stringify({
+            type: 'hosts',
+            data: { local: LOCAL_HOST.id, hosts: hosts.overview() }
+        }));
+
+        ws.send(JSON.stringify({
+            type: 'metrics',
+            data: currentMetrics,
+            host: LOCAL_HOST.id
+        }));
+
+        ws.send(JSON.stringify({
+            type: 'eventlogs',
+            data: { events: eventLogs },
+            host: LOCAL_HOST.id
+        }));
+
+        ws.send(JSON.stringify({
+            type: 'diagnostics',
+            data: systemDiagnostics,
+            host: LOCAL_HOST.id
+        }));
+
+        ws.send(JSON.stringify({
+            type: 'alerts',
+            data: alertEngine.getAlerts()
+        }));
+    });
+
+    // A connection to /?replay=<recording id> plays that recording back instead of the live data
+    function startReplay(ws, id) {
+        if (ws.protocol !== PROTOCOL) {
+            ws.close(4400, `Replay needs the ${PROTOCOL} protocol`);
+            return;
+        }
+        if (!isRecordingId(id)) {
+            ws.close(4404, 'Recording not found');
+            return;
+        }
+
+        recordingsReady
+            .then(() => recordings.read(id))
+            .then((recording) => {
+                if (!recording) {
+                    ws.close(4404, 'Recording not found');
+                } else if (ws.readyState === 1) { // WebSocket.OPEN
+                    createReplay(recording, { heartbeat: WS_HEARTBEAT }).attach(ws);
+                }
+            })
+            .catch((error) => ws.close(4400, error.message.slice(0, 120)));
+    }
+
+    // Sends subscribed monitor.v2 clients their deltas and everyone else the full
+    // payload; host-specific data is tagged with its host id and goes to the
+    // running session recording, if any
+    function broadcastToClients(type, data, host) {
+        realtime.publish(type, host);
+        if (host) recordings.record(type, hosts.get(host), data);
+
+        const message = JSON.stringify(host ? { type, data, host } : { type, data });
+        wss.clients.forEach((client) => {
+            if (client.readyState === 1 && client.protocol !== PROTOCOL) { // WebSocket.OPEN
+                client.send(message);
+            }
+        });
+    }
+
+    const timers = [];
+
+    // Initial data collection, then every collector on its own schedule
+    function start() {
+        config.watch();
+        scheduler.start();
+        realtime.start();
+        pluginsReady.then(() => plugins.start());
+
+        timers.push(setInterval(() => {
+            if (wss.clients.size > 0) {
+                broadcastToClients('hosts', { local: LOCAL_HOST.id, hosts: hosts.overview() });
+            }
+        }, 5000)); // Fleet overview every 5 seconds
+
+        // Drop connections whose session expired or was logged out, or whose token was revoked
+        timers.push(setInterval(() => {
+            wss.clients.forEach((client) => {
+                if (!auth.authenticate(client.upgradeReq)) {
+                    client.close(4401, 'Authentication required');
+                }
+            });
+        }, 30000));
+    }
+
+    // Listens on `port` (0 picks a free one) and starts collecting; resolves to the port
+    function listen(port) {
+        return new Promise((resolve, reject) => {
+            server.once('error', reject);
+            server.listen(port, () => {
+                server.removeListener('error', reject);
+                start();
+                resolve(server.address().port);
+            });
+        });
+    }
+
+    // Stops collecting, drops every connection and flushes the stores to disk
+    async function close() {
+        timers.forEach((timer) => clearInterval(timer));
+        const collecting = scheduler.stop();
+        const configSaved = config.stop();
+        plugins.stop();
+        realtime.stop();
+        if (collector.close) collector.close();
+        wss.clients.forEach((client) => client.terminate());
+        if (server.listening) {
+            await new Promise((resolve) => {
+                server.close(resolve);
+                if (server.closeAllConnections) server.closeAllConnections();
+            });
+        }
+        await Promise.all([collecting, configSaved]);
+        await Promise.all([historyStore.flush(), eventStore.flush(), issueStore.flush(), baselineStore.flush(), forecastStore.flush(), recordings.flush()]);
+    }
+
+    return {
+        app,
+        server,
+        wss,
+        collector,
+        scheduler,
+        config,
+        demoMode: DEMO_MODE,
+        listen,
+        close
+    };
 }
 
-// Periodic data collection and broadcast
-setInterval(async () => {
-    const metrics = await collectMetrics();
-    broadcastToClients('metrics', metrics);
-}, 3000); // Every 3 seconds
-
-setInterval(async () => {
-    const logs = await collectEventLogs();
-    broadcastToClients('eventlogs', logs);
-}, 10000); // Every 10 seconds
-
-setInterval(async () => {
-    const diagnostics = await collectDiagnostics();
-    broadcastToClients('diagnostics', diagnostics);
-}, 30000); // Every 30 seconds
-
-// Graceful shutdown
-process.on('SIGINT', () => {
-    console.log('Shutting down server...');
-    server.close(() => {
-        console.log('Server closed');
-        process.exit(0);
-    });
-});
+module.exports = {
+    createMonitorServer
+};
+
+if (require.main === module) {
+    let monitor;
+    try {
+        monitor = createMonitorServer();
+    } catch (error) {
+        console.error(error.message);
+        process.exit(1);
+    }
+    const PORT = monitor.config.get().port;
+
+    monitor.listen(PORT).then(() => {
+        console.log(`Server running on http://localhost:${PORT}`);
+        console.log(`Collector backend: ${monitor.collector.name}${monitor.demoMode ? ' (DEMO)' : ''}`);
+        console.log('Starting periodic data collection...');
+    });
+
+    // Graceful shutdown
+    process.on('SIGINT', () => {
+        console.log('Shutting down server...');
+        monitor.close().then(() => {
+            console.log('Server closed');
+            process.exit(0);
+        });
+    });
+}
@@ -0,0 +1,487 @@
+const { describe, it, before, after } = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const path = require('path');
+const { startServer, waitFor } = require('./helpers/server');
+const { createFakePowerShell } = require('./helpers/fake-powershell');
+
+const INGEST = { Authorization: 'Bearer ingest-secret' };
+const AGENT = { id: 'agent-1', name: 'Agent One', platform: 'win32', collector: 'powershell' };
+
+// Every /api route against a server collecting Windows fixtures through the fake PowerShell
+describe('REST API', () => {
+    let server;
+    let request;
+    let issueId;
+
+    before(async () => {
+        server = await startServer({
+            collector: createFakePowerShell().backend(),
+            env: { INGEST_TOKEN: 'ingest-secret' }
+        });
+        request = server.request;
+        // The first collection of each kind has been handled
+        issueId = await waitFor(async () => {
+            const { body } = await request('GET', '/api/issues');
+            return body.issues.length && body.issues[0].id;
+        });
+        await waitFor(async () => (await request('GET', '/api/eventlogs')).body.total > 0);
+    });
+
+    after(() => server.close());
+
+    describe('status and metrics', () => {
+        it('GET /api/status reports the collector and scheduler', async () => {
+            const { status, body } = await request('GET', '/api/status');
+            assert.strictEqual(status, 200);
+            assert.strictEqual(body.status, 'online');
+            assert.strictEqual(body.collector, 'powershell');
+            assert.strictEqual(body.demoMode, false);
+            assert.strictEqual(body.host, 'test-host');
+            assert.strictEqual(body.ingest, true);
+            assert.ok(body.collectors.metrics.runs >= 1);
+            assert.deepStrictEqual(body.rejectedPayloads, []);
+        });
+
+        it('GET /api/metrics returns the processed sample the WebSocket sends', async () => {
+            const { status, body } = await request('GET', '/api/metrics');
+            assert.strictEqual(status, 200);
+            assert.strictEqual(body.cpu, 23.5);
+            assert.strictEqual(body.cpuInfo.logicalProcessors, 8);
+            assert.deepStrictEqual(body.disks.map((disk) => disk.drive), ['C:', 'D:']);
+            assert.ok('rxBps' in body.network[0], 'adapters carry rates');
+            assert.ok('forecast' in body.disks[0], 'disks carry forecasts');
+            assert.deepStrictEqual(body, (await request('GET', '/api/hosts/test-host')).body.metrics);
+        });
+
+        it('routes taking ?host= answer 404 for an unknown host', async () => {
+            const routes = ['/api/metrics', '/api/eventlogs', '/api/problems', '/api/processes', '/api/network',
+                '/api/disks', '/api/anomalies', '/api/diagnostics', '/api/issues', '/api/issues/x', '/api/processes/1/history',
+                '/api/export/eventlogs', '/api/export/report'];
+            for (const route of routes) {
+                const { status, body } = await request('GET', `${route}?host=nope`);
+                assert.strictEqual(status, 404, route);
+                assert.strictEqual(body.error, 'Unknown host');
+            }
+        });
+
+        it('GET /api/history returns the recorded samples', async () => {
+            const { status, body } = await request('GET', '/api/history?from=1h&fields=cpu');
+            assert.strictEqual(status, 200);
+            assert.ok(body.history.length >= 1);
+            assert.strictEqual(body.history[0].cpu, 23.5);
+
+            assert.strictEqual((await request('GET', '/api/history?from=yesterday')).status, 400);
+        });
+
+        it('GET /metrics renders Prometheus text', async () => {
+            const { status, headers, body } = await request('GET', '/metrics');
+            assert.strictEqual(status, 200);
+            assert.match(headers.get('content-type'), /text\/plain/);
+            assert.match(body, /cpu/);
+        });
+    });
+
+    describe('processes, network, disks and anomalies', () => {
+        it('GET /api/processes sorts and filters', async () => {
+            const { body } = await request('GET', '/api/processes?sort=memory&order=asc');
+            assert.deepStrictEqual(body.processes.map((proc) => proc.name), ['explorer', 'MsMpEng', 'chrome']);
+
+            const filtered = await request('GET', '/api/processes?q=chrome');
+            assert.deepStrictEqual(filtered.body.processes.map((proc) => proc.pid), [4812]);
+
+            assert.strictEqual((await request('GET', '/api/processes?sort=colour')).status, 400);
+        });
+
+        it('GET /api/processes?tree=true nests children under their parent', async () => {
+            const { body } = await request('GET', '/api/processes?tree=true');
+            const explorer = body.processes.find((proc) => proc.pid === 4100);
+            assert.deepStrictEqual(explorer.children.map((child) => child.pid), [4812]);
+        });
+
+        it('GET /api/processes/:pid/history', async () => {
+            const { status, body } = await request('GET', '/api/processes/4812/history');
+            assert.strictEqual(status, 200);
+            assert.strictEqual(body.process.name, 'chrome');
+            assert.ok(body.samples.length >= 1);
+
+            assert.strictEqual((await request('GET', '/api/processes/abc/history')).status, 400);
+            assert.strictEqual((await request('GET', '/api/processes/999999/history')).status, 404);
+        });
+
+        it('GET /api/network lists the adapters', async () => {
+            const { status, body } = await request('GET', '/api/network');
+            assert.strictEqual(status, 200);
+            assert.deepStrictEqual(body.adapters.map((adapter) => adapter.name), ['Wi-Fi']);
+            assert.strictEqual((await request('GET', '/api/network?from=soon')).status, 400);
+        });
+
+        it('GET /api/disks lists the drives with a forecast', async () => {
+            const { body } = await request('GET', '/api/disks');
+            assert.deepStrictEqual(body.drives.map((drive) => drive.drive), ['C:', 'D:']);
+            assert.strictEqual(body.drives[0].forecast.trend, 'learning');
+        });
+
+        it('GET /api/anomalies returns the baselines', async () => {
+            const { status, body } = await request('GET', '/api/anomalies');
+            assert.strictEqual(status, 200);
+            assert.ok(Array.isArray(body.anomalies));
+        });
+    });
+
+    describe('event logs and problems', () => {
+        it('GET /api/eventlogs searches the stored events', async () => {
+            const { body } = await request('GET', '/api/eventlogs?q=spooler');
+            assert.strictEqual(body.total, 1);
+            assert.strictEqual(body.events[0].id, 7031);
+            assert.strictEqual(body.events[0].host, 'test-host');
+
+            const byLevel = await request('GET', '/api/eventlogs?level=Error');
+            assert.strictEqual(byLevel.body.total, 2);
+            assert.strictEqual((await request('GET', '/api/eventlogs?from=never')).status, 400);
+        });
+
+        it('GET /api/eventlogs/:key returns one event', async () => {
+            const { body } = await request('GET', '/api/eventlogs?q=notepad');
+            const event = await request('GET', `/api/eventlogs/${body.events[0].key}`);
+            assert.strictEqual(event.status, 200);
+            assert.strictEqual(event.body.appName, 'notepad.exe');
+            assert.strictEqual((await request('GET', '/api/eventlogs/missing')).status, 404);
+        });
+
+        it('GET /api/problems groups events', async () => {
+            const { status, body } = await request('GET', '/api/problems?sort=count');
+            assert.strictEqual(status, 200);
+            assert.strictEqual(body.problems.length, 2);
+            assert.strictEqual((await request('GET', '/api/problems?sort=colour')).status, 400);
+        });
+    });
+
+    describe('diagnostics and issues', () => {
+        it('GET /api/diagnostics returns the collected issues', async () => {
+            const { body } = await request('GET', '/api/diagnostics');
+            assert.deepStrictEqual(body.issues.map((issue) => issue.title), ['Critical Service Stopped: Spooler']);
+            assert.strictEqual(body.summary.high, 1);
+        });
+
+        it('GET /api/issues and /api/issues/:id', async () => {
+            const { body } = await request('GET', '/api/issues?state=open');
+            assert.ok(body.issues.some((issue) => issue.id === issueId));
+
+            const one = await request('GET', `/api/issues/${issueId}`);
+            assert.strictEqual(one.body.title, 'Critical Service Stopped: Spooler');
+            assert.strictEqual((await request('GET', '/api/issues/missing')).status, 404);
+            assert.strictEqual((await request('GET', '/api/issues?from=whenever')).status, 400);
+        });
+
+        it('acknowledges and snoozes an issue, and undoes both', async () => {
+            const acknowledged = await request('POST', `/api/issues/${issueId}/acknowledge`, { note: 'Known' });
+            assert.strictEqual(acknowledged.status, 200);
+            assert.strictEqual(acknowledged.body.state, 'acknowledged');
+            assert.strictEqual(acknowledged.body.note, 'Known');
+            assert.strictEqual((await request('DELETE', `/api/issues/${issueId}/acknowledge`)).body.state, 'open');
+
+            assert.strictEqual((await request('POST', `/api/issues/${issueId}/snooze`, { for: 'a while' })).status, 400);
+            const snoozed = await request('POST', `/api/issues/${issueId}/snooze`, { for: '4h' });
+            assert.strictEqual(snoozed.body.state, 'snoozed');
+            assert.strictEqual((await request('DELETE', `/api/issues/${issueId}/snooze`)).body.state, 'open');
+
+            assert.strictEqual((await request('POST', '/api/issues/missing/acknowledge', {})).status, 404);
+        });
+    });
+
+    describe('plugins', () => {
+        it('lists, reloads and runs check plugins', async () => {
+            assert.deepStrictEqual((await request('GET', '/api/plugins')).body.checks, []);
+
+            await fs.promises.mkdir(path.join(server.dir, 'plugins'), { recursive: true });
+            await fs.promises.writeFile(path.join(server.dir, 'plugins', 'always.js'), `module.exports = {
+                id: 'always',
+                category: 'Test',
+                run: async () => [{ severity: 'Low', title: 'Always there' }]
+            };`);
+            const reloaded = await request('POST', '/api/plugins/reload');
+            assert.deepStrictEqual(reloaded.body.checks.map((check) => check.id), ['always']);
+
+            const run = await request('POST', '/api/plugins/always/run');
+            assert.strictEqual(run.status, 200);
+            assert.strictEqual(run.body.issues[0].title, 'Always there');
+            assert.strictEqual((await request('POST', '/api/plugins/missing/run')).status, 404);
+        });
+    });
+
+    describe('remediation actions', () => {
+        it('GET /api/actions lists the catalog for this platform', async () => {
+            const { body } = await request('GET', '/api/actions');
+            assert.strictEqual(body.simulated, false);
+            const restart = body.actions.find((action) => action.id === 'restart-service');
+            assert.strictEqual(restart.role, 'operator');
+        });
+
+        it('dry-runs an action for an issue and refuses to run it unconfirmed', async () => {
+            const diagnostics = await waitFor(async () => {
+                const { body } = await request('GET', `/api/hosts/${'test-host'}`);
+                return body.diagnostics.issues[0].actions && body.diagnostics;
+            });
+            const issue = diagnostics.issues[0];
+            assert.deepStrictEqual(issue.actions, ['restart-service']);
+
+            const dryRun = await request('POST', '/api/actions/restart-service/run', { issue: issue.id, dryRun: true });
+            assert.strictEqual(dryRun.status, 200);
+            assert.strictEqual(dryRun.body.target, 'Spooler');
+            assert.ok(dryRun.body.confirm);
+
+            const unconfirmed = await request('POST', '/api/actions/restart-service/run', { issue: issue.id });
+            assert.strictEqual(unconfirmed.status, 428);
+
+            assert.strictEqual((await request('POST', '/api/actions/restart-service/run', { issue: 'missing', dryRun: true })).status, 404);
+            assert.strictEqual((await request('POST', '/api/actions/reboot/run', { dryRun: true })).status, 404);
+            const invalid = await request('POST', '/api/actions/kill-process/run', { params: { pid: 'all' }, dryRun: true });
+            assert.strictEqual(invalid.status, 400);
+            assert.deepStrictEqual(invalid.body.details, ['params.pid must be a process ID']);
+        });
+
+        it('GET /api/actions/audit lists the dry runs', async () => {
+            const { body } = await request('GET', '/api/actions/audit?action=restart-service');
+            assert.ok(body.count >= 1);
+            assert.strictEqual(body.entries[0].status, 'dry-run');
+            assert.strictEqual((await request('GET', '/api/actions/audit?from=later')).status, 400);
+        });
+    });
+
+    describe('hosts and ingest', () => {
+        it('rejects ingest without the token, with a bad body or with the local host id', async () => {
+            const payload = { host: AGENT, type: 'metrics', data: { cpu: 1 } };
+            assert.strictEqual((await request('POST', '/api/ingest', payload)).status, 401);
+            assert.strictEqual((await request('POST', '/api/ingest', payload, { Authorization: 'Bearer wrong' })).status, 401);
+
+            const invalid = await request('POST', '/api/ingest', { host: {}, type: 'logs' }, INGEST);
+            assert.strictEqual(invalid.status, 400);
+            assert.strictEqual(invalid.body.details.length, 3);
+
+            const local = await request('POST', '/api/ingest', { host: { id: 'test-host' }, type: 'metrics', data: {} }, INGEST);
+            assert.strictEqual(local.status, 409);
+        });
+
+        it('accepts agent samples, reporting rejected fields', async () => {
+            const metrics = JSON.parse(await fs.promises.readFile(path.join(__dirname, 'fixtures', 'powershell', 'metrics.json'), 'utf8'));
+            metrics.cpu = 61;
+            metrics.gpu.usage = 'busy';
+            const accepted = await request('POST', '/api/ingest', { host: AGENT, type: 'metrics', data: metrics }, INGEST);
+            assert.strictEqual(accepted.status, 202);
+            assert.deepStrictEqual(accepted.body, { accepted: true, rejected: ['metrics.gpu.usage must be a number'] });
+
+            const events = { events: [{ message: 'Disk error on agent', level: 'Error', source: 'System', timestamp: new Date().toISOString() }] };
+            assert.strictEqual((await request('POST', '/api/ingest', { host: AGENT, type: 'eventlogs', data: events }, INGEST)).status, 202);
+
+            const { body } = await request('GET', '/api/hosts');
+            assert.strictEqual(body.local, 'test-host');
+            const agent = body.hosts.find((host) => host.id === 'agent-1');
+            assert.strictEqual(agent.name, 'Agent One');
+            assert.strictEqual(agent.cpu, 61);
+
+            assert.strictEqual((await request('GET', '/api/metrics?host=agent-1')).body.cpu, 61);
+            assert.strictEqual((await request('GET', '/api/processes?host=agent-1')).body.processes.length, 3);
+            await waitFor(async () => (await request('GET', '/api/eventlogs?host=agent-1')).body.total === 1);
+
+            const status = await request('GET', '/api/status');
+            assert.deepStrictEqual(status.body.rejectedPayloads.map((entry) => [entry.host, entry.type]), [['agent-1', 'metrics']]);
+        });
+
+        it('does not run actions on an agent', async () => {
+            const { status } = await request('POST', '/api/actions/flush-dns/run?host=agent-1', { dryRun: true });
+            assert.strictEqual(status, 400);
+        });
+
+        it('GET /api/hosts/:id and DELETE /api/hosts/:id', async () => {
+            assert.strictEqual((await request('GET', '/api/hosts/agent-1')).body.metrics.cpu, 61);
+            assert.strictEqual((await request('GET', '/api/hosts/missing')).status, 404);
+            assert.strictEqual((await request('DELETE', '/api/hosts/test-host')).status, 400);
+            assert.strictEqual((await request('DELETE', '/api/hosts/agent-1')).status, 204);
+            assert.strictEqual((await request('DELETE', '/api/hosts/agent-1')).status, 404);
+            assert.deepStrictEqual((await request('GET', '/api/status')).body.rejectedPayloads, []);
+        });
+    });
+
+    describe('exports', () => {
+        it('exports history, events and issues as CSV or NDJSON', async () => {
+            const history = await request('GET', '/api/export/history?fields=cpu');
+            assert.strictEqual(history.status, 200);
+            assert.match(history.headers.get('content-type'), /text\/csv/);
+            assert.match(history.body.split('\n')[0], /^timestamp,cpu/);
+
+            const events = await request('GET', '/api/export/eventlogs?format=ndjson');
+            assert.match(events.headers.get('content-disposition'), /attachment; filename="win11-monitor-eventlogs-test-host-/);
+            assert.strictEqual(events.body.trim().split('\n').length, 2);
+
+            const issues = await request('GET', '/api/export/diagnostics');
+            assert.match(issues.body, /Critical Service Stopped: Spooler/);
+
+            assert.strictEqual((await request('GET', '/api/export/eventlogs?format=xml')).status, 400);
+            assert.strictEqual((await request('GET', '/api/export/history?from=someday')).status, 400);
+        });
+
+        it('GET /api/export/report renders the health report', async () => {
+            const { status, headers, body } = await request('GET', '/api/export/report?download=true');
+            assert.strictEqual(status, 200);
+            assert.match(headers.get('content-type'), /text\/html/);
+            assert.match(headers.get('content-disposition'), /attachment/);
+            assert.match(body, /Critical Service Stopped: Spooler/);
+        });
+    });
+
+    describe('recordings', () => {
+        it('records, lists, downloads and deletes a session', async () => {
+            const started = await request('POST', '/api/recordings', { name: 'Test run' });
+            assert.strictEqual(started.status, 201);
+            assert.strictEqual((await request('POST', '/api/recordings', {})).status, 409);
+            assert.strictEqual((await request('POST', '/api/recordings', { name: 42 })).status, 400);
+
+            await server.monitor.scheduler.run('metrics');
+            const { id } = started.body;
+            assert.strictEqual((await request('DELETE', `/api/recordings/${id}`)).status, 409);
+            assert.strictEqual((await request('POST', '/api/recordings/stop')).status, 200);
+            assert.strictEqual((await request('POST', '/api/recordings/stop')).status, 409);
+
+            const list = await request('GET', '/api/recordings');
+            assert.deepStrictEqual(list.body.recordings.map((recording) => recording.id), [id]);
+            assert.strictEqual((await request('GET', `/api/recordings/${id}`)).body.name, 'Test run');
+
+            const download = await request('GET', `/api/recordings/${id}/download`);
+            assert.strictEqual(download.status, 200);
+            assert.ok(download.body.trim().split('\n').length >= 1);
+
+            assert.strictEqual((await request('DELETE', `/api/recordings/${id}`)).status, 204);
+            assert.strictEqual((await request('GET', `/api/recordings/${id}`)).status, 404);
+            assert.strictEqual((await request('GET', `/api/recordings/${id}/download`)).status, 404);
+        });
+    });
+
+    describe('alerts', () => {
+        const rule = {
+            name: 'CPU above 10%',
+            source: 'metrics',
+            metric: 'cpu',
+            comparator: '>',
+            threshold: 10,
+            for: '0s',
+            cooldown: '15m',
+            severity: 'High',
+            notifiers: ['log'],
+            enabled: true
+        };
+
+        it('creates, reads, updates and deletes rules', async () => {
+            const created = await request('POST', '/api/alerts/rules', rule);
+            assert.strictEqual(created.status, 201);
+            const { id } = created.body;
+
+            assert.ok((await request('GET', '/api/alerts/rules')).body.rules.some((item) => item.id === id));
+            assert.strictEqual((await request('GET', `/api/alerts/rules/${id}`)).body.name, 'CPU above 10%');
+
+            const updated = await request('PUT', `/api/alerts/rules/${id}`, Object.assign({}, rule, { threshold: 20 }));
+            assert.strictEqual(updated.body.threshold, 20);
+
+            const invalid = await request('POST', '/api/alerts/rules', Object.assign({}, rule, { comparator: '~' }));
+            assert.strictEqual(invalid.status, 400);
+            assert.strictEqual((await request('PUT', '/api/alerts/rules/missing', rule)).status, 404);
+
+            await server.monitor.scheduler.run('metrics');
+            const alerts = await waitFor(async () => {
+                const { body } = await request('GET', '/api/alerts');
+                return body.firing.length && body;
+            });
+            assert.strictEqual(alerts.firing[0].ruleName, 'CPU above 10%');
+            assert.deepStrictEqual(alerts.notifiers, ['log']);
+
+            assert.strictEqual((await request('DELETE', `/api/alerts/rules/${id}`)).status, 204);
+            assert.strictEqual((await request('DELETE', `/api/alerts/rules/${id}`)).status, 404);
+            assert.strictEqual((await request('GET', `/api/alerts/rules/${id}`)).status, 404);
+        });
+    });
+
+    describe('preferences', () => {
+        it('stores the dashboard layout and resets it', async () => {
+            const defaults = await request('GET', '/api/preferences');
+            assert.strictEqual(defaults.body.dashboard.timeRange, 'live');
+
+            const dashboard = Object.assign({}, defaults.body.dashboard, { timeRange: '24h' });
+            const saved = await request('PUT', '/api/preferences', { dashboard });
+            assert.strictEqual(saved.status, 200);
+            assert.strictEqual((await request('GET', '/api/preferences')).body.dashboard.timeRange, '24h');
+
+            assert.strictEqual((await request('PUT', '/api/preferences', { dashboard: { timeRange: 'forever' } })).status, 400);
+            assert.strictEqual((await request('DELETE', '/api/preferences')).body.dashboard.timeRange, 'live');
+        });
+    });
+
+    describe('dashboard shell', () => {
+        it('serves Chart.js, the service worker and the manifest from the app', async () => {
+            const chart = await request('GET', '/vendor/chart.umd.min.js');
+            assert.strictEqual(chart.status, 200);
+            assert.match(chart.headers.get('content-type'), /javascript/);
+            assert.match(chart.body, /Chart\.js v4\./);
+
+            const worker = await request('GET', '/sw.js');
+            assert.strictEqual(worker.status, 200);
+            assert.match(worker.body, /'\/vendor\/chart\.umd\.min\.js'/);
+
+            const manifest = await request('GET', '/manifest.webmanifest');
+            assert.match(manifest.headers.get('content-type'), /application\/manifest\+json/);
+            const { icons, start_url: startUrl } = JSON.parse(manifest.body);
+            assert.strictEqual(startUrl, '/');
+            for (const icon of icons) {
+                assert.strictEqual((await request('GET', `/${icon.src}`)).headers.get('content-type'), 'image/png');
+            }
+
+            const page = await request('GET', '/');
+            assert.ok(!/https?:\/\//.test(page.body.match(/<script[^>]*>/g).join('')), 'no script comes from another site');
+        });
+    });
+
+    describe('with login off', () => {
+        it('GET /api/auth/me is the anonymous admin', async () => {
+            const { body } = await request('GET', '/api/auth/me');
+            assert.deepStrictEqual(body, { authEnabled: false, username: 'anonymous', role: 'admin', via: 'disabled' });
+        });
+    });
+});
+
+describe('remediation actions for collected issues', () => {
+    const HOSTILE_SERVICE = "Spooler' -Force; Stop-Computer -Force; '";
+    let server;
+
+    before(async () => {
+        const issue = {
+            category: 'Service',
+            severity: 'High',
+            title: 'Critical Service Stopped: Spooler',
+            description: 'Print Spooler is Stopped',
+            serviceName: HOSTILE_SERVICE,
+            timestamp: '2024-05-02 12:12:00'
+        };
+        server = await startServer({
+            collector: createFakePowerShell({ 'collect-diagnostics': { fixture: 'diagnostics', merge: { issues: [issue] } } }).backend()
+        });
+    });
+
+    after(() => server.close());
+
+    it('checks parameters taken from an issue like a client\'s', async () => {
+        const diagnostics = await waitFor(async () => {
+            const { body } = await server.request('GET', '/api/hosts/test-host');
+            return body.diagnostics && body.diagnostics.issues[0] && body.diagnostics.issues[0].id && body.diagnostics;
+        });
+        const issue = diagnostics.issues[0];
+        assert.strictEqual(issue.serviceName, HOSTILE_SERVICE);
+        assert.strictEqual(issue.actions, undefined, 'no action is offered for the issue');
+
+        const dryRun = await server.request('POST', '/api/actions/restart-service/run', { issue: issue.id, dryRun: true });
+        assert.strictEqual(dryRun.status, 400);
+        assert.strictEqual(dryRun.body.error, 'Invalid parameters');
+        assert.deepStrictEqual(dryRun.body.details, ['params.service must be a service name (letters, digits, ".", "_", "@" or "-")']);
+
+        const audit = await server.request('GET', '/api/actions/audit');
+        assert.strictEqual(audit.body.count, 0, 'nothing was dry-run or run');
+    });
+});
@@ -0,0 +1,206 @@
+const { describe, it, before, after } = require('node:test');
+const assert = require('node:assert');
+const crypto = require('crypto');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { startServer } = require('./helpers/server');
+const { createAuth } = require('../lib/auth');
+
+describe('authentication', () => {
+    let server;
+    let admin; // cookie header of the admin session
+
+    async function login(username, password) {
+        const res = await server.request('POST', '/api/auth/login', { username, password });
+        const cookie = (res.headers.get('set-cookie') || '').split(';')[0];
+        return Object.assign(res, { cookie });
+    }
+
+    before(async () => {
+        server = await startServer({ env: { AUTH_ENABLED: 'true', ADMIN_USERNAME: 'root', ADMIN_PASSWORD: 'correct horse' } });
+        admin = (await login('root', 'correct horse')).cookie;
+    });
+
+    after(async () => {
+        await server.close();
+    });
+
+    it('sends the dashboard to the login page without a session', async () => {
+        const res = await server.request('GET', '/');
+        assert.strictEqual(res.status, 302);
+        assert.strictEqual(res.headers.get('location'), '/login.html');
+        assert.strictEqual((await server.request('GET', '/', undefined, { Cookie: admin })).status, 200);
+    });
+
+    it('serves the shell a service worker caches without a session', async () => {
+        for (const url of ['/sw.js', '/app.js', '/vendor/chart.umd.min.js', '/manifest.webmanifest', '/login.html']) {
+            assert.strictEqual((await server.request('GET', url)).status, 200, url);
+        }
+    });
+
+    it('keeps the API closed except for status and login', async () => {
+        assert.strictEqual((await server.request('GET', '/api/status')).status, 200);
+        const res = await server.request('GET', '/api/metrics');
+        assert.strictEqual(res.status, 401);
+        assert.deepStrictEqual(res.body, { error: 'Authentication required' });
+        assert.strictEqual((await server.request('GET', '/metrics')).status, 401);
+    });
+
+    it('logs in with a session cookie and rejects a wrong password', async () => {
+        assert.match(admin, /^monitor_session=[0-9a-f]{64}$/);
+        const me = await server.request('GET', '/api/auth/me', undefined, { Cookie: admin });
+        assert.deepStrictEqual(me.body, { authEnabled: true, username: 'root', role: 'admin', via: 'session' });
+
+        const wrong = await login('root', 'nope');
+        assert.strictEqual(wrong.status, 401);
+        assert.deepStrictEqual(wrong.body, { error: 'Invalid username or password' });
+        assert.strictEqual(wrong.cookie, '');
+    });
+
+    it('lets admins manage users and enforces roles', async () => {
+        const invalid = await server.request('POST', '/api/auth/users', { username: 'bad name', password: 'short', role: 'owner' }, { Cookie: admin });
+        assert.strictEqual(invalid.status, 400);
+        assert.strictEqual(invalid.body.details.length, 3);
+
+        const created = await server.request('POST', '/api/auth/users', { username: 'val', password: 'viewer-pass', role: 'viewer' }, { Cookie: admin });
+        assert.strictEqual(created.status, 201);
+        assert.deepStrictEqual(created.body, { username: 'val', role: 'viewer', createdAt: created.body.createdAt });
+        assert.deepStrictEqual((await server.request('GET', '/api/auth/users', undefined, { Cookie: admin })).body.users.map((user) => user.username), ['root', 'val']);
+
+        const viewer = (await login('val', 'viewer-pass')).cookie;
+        assert.strictEqual((await server.request('GET', '/api/metrics', undefined, { Cookie: viewer })).status, 200);
+        const denied = await server.request('GET', '/api/auth/users', undefined, { Cookie: viewer });
+        assert.strictEqual(denied.status, 403);
+        assert.deepStrictEqual(denied.body, { error: 'This action requires the admin role' });
+        assert.strictEqual((await server.request('POST', '/api/actions/restart-service/run', { target: 'Spooler' }, { Cookie: viewer })).status, 403);
+
+        // A viewer may change their own password but not their role
+        assert.strictEqual((await server.request('PUT', '/api/auth/users/val', { role: 'admin' }, { Cookie: viewer })).status, 403);
+        assert.strictEqual((await server.request('PUT', '/api/auth/users/root', { password: 'hijacked!!' }, { Cookie: viewer })).status, 403);
+        assert.strictEqual((await server.request('PUT', '/api/auth/users/val', { password: 'new-viewer-pass' }, { Cookie: viewer })).status, 200);
+        assert.strictEqual((await login('val', 'new-viewer-pass')).status, 200);
+
+        const promoted = await server.request('PUT', '/api/auth/users/val', { role: 'operator' }, { Cookie: admin });
+        assert.strictEqual(promoted.body.role, 'operator');
+        assert.strictEqual((await server.request('PUT', '/api/auth/users/ghost', { role: 'viewer' }, { Cookie: admin })).status, 404);
+
+        const last = await server.request('DELETE', '/api/auth/users/root', undefined, { Cookie: admin });
+        assert.strictEqual(last.status, 400);
+        assert.deepStrictEqual(last.body, { error: 'cannot delete the last admin' });
+        assert.strictEqual((await server.request('DELETE', '/api/auth/users/val', undefined, { Cookie: admin })).status, 204);
+        assert.strictEqual((await server.request('DELETE', '/api/auth/users/val', undefined, { Cookie: admin })).status, 404);
+        assert.strictEqual((await server.request('GET', '/api/metrics', undefined, { Cookie: viewer })).status, 401, 'a deleted user loses their session');
+    });
+
+    it('rejects role names that only exist on Object.prototype', async () => {
+        for (const role of ['toString', 'constructor', '__proto__']) {
+            const user = await server.request('POST', '/api/auth/users', { username: 'proto', password: 'proto-pass', role }, { Cookie: admin });
+            assert.strictEqual(user.status, 400, role);
+            assert.deepStrictEqual(user.body.details, ['role must be one of: viewer, operator, admin']);
+            assert.strictEqual((await server.request('POST', '/api/auth/tokens', { name: 'proto', role }, { Cookie: admin })).status, 400, role);
+            assert.strictEqual((await server.request('PUT', '/api/auth/users/root', { role }, { Cookie: admin })).status, 400, role);
+        }
+        assert.deepStrictEqual((await server.request('GET', '/api/auth/users', undefined, { Cookie: admin })).body.users.map((user) => user.username), ['root']);
+        assert.deepStrictEqual((await server.request('GET', '/api/auth/tokens', undefined, { Cookie: admin })).body.tokens, []);
+    });
+
+    it('issues API tokens that work until they are revoked', async () => {
+        assert.strictEqual((await server.request('POST', '/api/auth/tokens', { role: 'viewer' }, { Cookie: admin })).status, 400);
+
+        const created = await server.request('POST', '/api/auth/tokens', { name: 'grafana', role: 'viewer' }, { Cookie: admin });
+        assert.strictEqual(created.status, 201);
+        assert.match(created.body.token, /^wm_[0-9a-f]{48}$/);
+        const bearer = { Authorization: `Bearer ${created.body.token}` };
+
+        assert.strictEqual((await server.request('GET', '/metrics', undefined, bearer)).status, 200);
+        const me = await server.request('GET', '/api/auth/me', undefined, bearer);
+        assert.deepStrictEqual(me.body, { authEnabled: true, username: 'root', role: 'viewer', via: 'token', tokenId: created.body.id });
+        assert.strictEqual((await server.request('PUT', '/api/auth/users/root', { password: 'from-a-token' }, bearer)).status, 403);
+
+        const listed = await server.request('GET', '/api/auth/tokens', undefined, { Cookie: admin });
+        assert.deepStrictEqual(listed.body.tokens.map((token) => token.name), ['grafana']);
+        assert.strictEqual(listed.body.tokens[0].token, undefined, 'the token itself is shown only once');
+        assert.strictEqual(listed.body.tokens[0].tokenHash, undefined);
+
+        assert.strictEqual((await server.request('DELETE', `/api/auth/tokens/${created.body.id}`, undefined, { Cookie: admin })).status, 204);
+        assert.strictEqual((await server.request('DELETE', `/api/auth/tokens/${created.body.id}`, undefined, { Cookie: admin })).status, 404);
+        assert.strictEqual((await server.request('GET', '/metrics', undefined, bearer)).status, 401);
+    });
+
+    it('ends the session on logout', async () => {
+        const session = (await login('root', 'correct horse')).cookie;
+        const res = await server.request('POST', '/api/auth/logout', undefined, { Cookie: session });
+        assert.strictEqual(res.status, 204);
+        assert.match(res.headers.get('set-cookie'), /^monitor_session=; .*Max-Age=0/);
+        assert.strictEqual((await server.request('GET', '/api/auth/me', undefined, { Cookie: session })).body.username, undefined);
+        assert.strictEqual((await server.request('GET', '/api/metrics', undefined, { Cookie: session })).status, 401);
+    });
+
+    it('locks out a username after repeated failures', async () => {
+        for (let i = 0; i < 5; i++) {
+            assert.strictEqual((await login('locked', 'wrong')).status, 401);
+        }
+        const res = await login('locked', 'wrong');
+        assert.strictEqual(res.status, 429);
+        assert.match(res.body.error, /Too many failed login attempts/);
+    });
+});
+
+describe('login lockout', () => {
+    let dir;
+
+    before(async () => {
+        dir = await fs.promises.mkdtemp(path.join(os.tmpdir(), 'monitor-auth-'));
+    });
+
+    after(() => fs.promises.rm(dir, { recursive: true, force: true }));
+
+    async function createLoadedAuth(options = {}) {
+        const auth = createAuth(Object.assign({ dir, adminUsername: 'root', adminPassword: 'correct horse' }, options));
+        await auth.load();
+        return auth;
+    }
+
+    it('locks out an address trying many usernames, whatever the username', async () => {
+        const auth = await createLoadedAuth();
+        for (let i = 0; i < 20; i++) {
+            assert.strictEqual((await auth.login(`user${i}`, 'wrong', '10.0.0.1')).status, 401);
+        }
+        assert.strictEqual((await auth.login('root', 'correct horse', '10.0.0.1')).status, 429);
+        assert.ok((await auth.login('root', 'correct horse', '10.0.0.2')).session, 'other addresses can still log in');
+    });
+
+    it('checks unknown usernames against a password hash too', async () => {
+        const auth = await createLoadedAuth();
+        const hashes = [];
+        const original = crypto.scrypt;
+        crypto.scrypt = function (password, salt, ...rest) {
+            hashes.push(salt.toString('hex'));
+            return original.call(this, password, salt, ...rest);
+        };
+        try {
+            assert.strictEqual((await auth.login('nobody', 'guess', '10.0.0.3')).status, 401);
+            assert.strictEqual((await auth.login('nobody', 'guess', '10.0.0.3')).status, 401);
+            assert.strictEqual((await auth.login('nobody', undefined, '10.0.0.3')).status, 401);
+        } finally {
+            crypto.scrypt = original;
+        }
+        // one hash made for the dummy password, then one check per attempt against it
+        assert.strictEqual(hashes.length, 4);
+        assert.ok(hashes.slice(1).every((salt) => salt === hashes[0]));
+    });
+
+    it('keeps a bounded number of failure records', async () => {
+        const auth = await createLoadedAuth({ maxTrackedFailures: 4 });
+        for (let i = 0; i < 5; i++) {
+            assert.strictEqual((await auth.login('root', 'wrong', '10.0.0.4')).status, 401);
+        }
+        assert.strictEqual((await auth.login('root', 'correct horse', '10.0.0.4')).status, 429);
+
+        // Two more addresses fill the table and push out the oldest records
+        await auth.login('root', 'wrong', '10.0.0.5');
+        await auth.login('root', 'wrong', '10.0.0.6');
+        assert.ok((await auth.login('root', 'correct horse', '10.0.0.4')).session);
+    });
+});
@@ -0,0 +1,238 @@
+const { describe, it, before, after } = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { startServer, waitFor } = require('./helpers/server');
+const { createFakePowerShell } = require('./helpers/fake-powershell');
+const { createConfigStore } = require('../lib/config');
+const { createAgent } = require('../lib/agent');
+
+describe('configuration file', () => {
+    let dir;
+
+    before(async () => {
+        dir = await fs.promises.mkdtemp(path.join(os.tmpdir(), 'monitor-config-'));
+    });
+
+    after(() => fs.promises.rm(dir, { recursive: true, force: true }));
+
+    it('uses the defaults without a file', () => {
+        const config = createConfigStore({ file: path.join(dir, 'missing.json'), env: {} });
+        const settings = config.load();
+        assert.strictEqual(settings.port, 3000);
+        assert.deepStrictEqual(settings.collectors.metrics, { interval: 3000, timeout: 15000 });
+        assert.deepStrictEqual(settings.collectors.eventlogs, { interval: 10000, timeout: 30000, maxEvents: 30 });
+        assert.deepStrictEqual(settings.thresholds, { diskWarning: 80, diskCritical: 90 });
+        assert.strictEqual(config.describe().sources.port, 'default');
+    });
+
+    it('reads YAML with environment variables taking precedence', async () => {
+        const file = path.join(dir, 'config.yaml');
+        await fs.promises.writeFile(file, 'port: 8080\ncollectors:\n  metrics:\n    interval: 5s\n  eventlogs:\n    maxEvents: 100\n');
+        const config = createConfigStore({ file, env: { PORT: '9000', DISK_WARNING_PERCENT: '75' } });
+        const settings = config.load();
+
+        assert.strictEqual(settings.port, 9000);
+        assert.strictEqual(settings.collectors.metrics.interval, 5000);
+        assert.strictEqual(settings.collectors.eventlogs.maxEvents, 100);
+        assert.strictEqual(settings.thresholds.diskWarning, 75);
+        const described = config.describe();
+        assert.strictEqual(described.sources['collectors.metrics.interval'], 'file');
+        assert.deepStrictEqual(described.locked, { port: 'PORT', 'thresholds.diskWarning': 'DISK_WARNING_PERCENT' });
+    });
+
+    it('refuses to load an invalid configuration', async () => {
+        const file = path.join(dir, 'invalid.json');
+        await fs.promises.writeFile(file, JSON.stringify({ collectors: { metrics: { interval: '5 minutes' }, gpu: { interval: '5s' } } }));
+        assert.throws(() => createConfigStore({ file, env: {} }).load(), (error) => {
+            assert.match(error.message, /collectors\.metrics\.interval must be a duration between 1s and 1h/);
+            assert.match(error.message, /collectors\.gpu\.interval is not a known setting/);
+            return true;
+        });
+        assert.throws(() => createConfigStore({ file: path.join(dir, 'missing.json'), env: { EVENTLOG_MAX_EVENTS: 'lots' } }).load(),
+            /EVENTLOG_MAX_EVENTS must be a whole number from 1 to 500/);
+
+        const inherited = path.join(dir, 'inherited.json');
+        await fs.promises.writeFile(inherited, '{ "toString": 1, "__proto__": { "port": 1 } }');
+        assert.throws(() => createConfigStore({ file: inherited, env: {} }).load(),
+            /toString is not a known setting; __proto__\.port is not a known setting/);
+    });
+
+    it('keeps the last good settings when the file turns invalid', async () => {
+        const file = path.join(dir, 'reload.json');
+        await fs.promises.writeFile(file, JSON.stringify({ thresholds: { diskWarning: 70 } }));
+        const changes = [];
+        const config = createConfigStore({ file, env: {}, onChange: (settings, changed) => changes.push(changed) });
+        config.load();
+
+        await fs.promises.writeFile(file, '{ "thresholds": ');
+        assert.deepStrictEqual(config.reload(), []);
+        await fs.promises.writeFile(file, JSON.stringify({ thresholds: { diskWarning: 95 } }));
+        assert.deepStrictEqual(config.reload(), [], 'the warning has to stay below the critical threshold');
+        assert.strictEqual(config.get().thresholds.diskWarning, 70);
+
+        await fs.promises.writeFile(file, JSON.stringify({ thresholds: { diskWarning: 85 } }));
+        assert.deepStrictEqual(config.reload(), ['thresholds.diskWarning']);
+        assert.strictEqual(config.get().thresholds.diskWarning, 85);
+        assert.deepStrictEqual(changes, [['thresholds.diskWarning']]);
+    });
+});
+
+describe('/api/config', () => {
+    let server;
+    let fake;
+    let file;
+
+    before(async () => {
+        fake = createFakePowerShell();
+        server = await startServer({ collector: fake.backend(), env: { METRICS_TIMEOUT: '20s' } });
+        file = path.join(server.dir, 'config.json');
+        await waitFor(async () => (await server.request('GET', '/api/hosts/test-host')).body.diagnostics);
+    });
+
+    after(() => server.close());
+
+    it('shows the settings and where they come from', async () => {
+        const { status, body } = await server.request('GET', '/api/config');
+        assert.strictEqual(status, 200);
+        assert.strictEqual(body.file, file);
+        assert.deepStrictEqual(body.settings.collectors.metrics, { interval: 3000, timeout: 20000 });
+        assert.strictEqual(body.sources['collectors.metrics.timeout'], 'env');
+        assert.deepStrictEqual(body.locked, { 'collectors.metrics.timeout': 'METRICS_TIMEOUT' });
+        assert.deepStrictEqual(body.restartRequired, []);
+        assert.strictEqual(server.monitor.scheduler.snapshot().metrics.timeoutMs, 20000);
+    });
+
+    it('rejects invalid and locked settings', async () => {
+        const invalid = await server.request('PUT', '/api/config', { collectors: { eventlogs: { maxEvents: 0, interval: -1 } }, colour: 'red' });
+        assert.strictEqual(invalid.status, 400);
+        assert.strictEqual(invalid.body.error, 'Invalid configuration');
+        assert.deepStrictEqual(invalid.body.details, [
+            'colour is not a known setting',
+            'collectors.eventlogs.interval must be a duration between 1s and 1h, e.g. "5s"',
+            'collectors.eventlogs.maxEvents must be a whole number from 1 to 500'
+        ]);
+
+        const locked = await server.request('PUT', '/api/config', { collectors: { metrics: { timeout: '30s' } } });
+        assert.strictEqual(locked.status, 400);
+        assert.deepStrictEqual(locked.body.details, ["collectors.metrics.timeout is set by the environment variable METRICS_TIMEOUT and can't be changed here"]);
+        assert.strictEqual(fs.existsSync(file), false, 'nothing was saved');
+    });
+
+    it('rejects names that only exist on Object.prototype', async () => {
+        const inherited = await server.request('PUT', '/api/config', { toString: 1 });
+        assert.strictEqual(inherited.status, 400);
+        assert.deepStrictEqual(inherited.body.details, ['toString is not a known setting']);
+
+        const proto = await server.request('PUT', '/api/config', '{ "__proto__": { "port": 1 } }');
+        assert.strictEqual(proto.status, 400);
+        assert.deepStrictEqual(proto.body.details, ['__proto__.port is not a known setting']);
+
+        const nested = await server.request('PUT', '/api/config', '{ "collectors": { "__proto__": 1 } }');
+        assert.deepStrictEqual(nested.body.details, ['collectors.__proto__ is not a known setting']);
+        assert.strictEqual(fs.existsSync(file), false, 'nothing was saved');
+    });
+
+    it('applies changes at once and passes them to the collector scripts', async () => {
+        const { status, body } = await server.request('PUT', '/api/config', {
+            collectors: { eventlogs: { interval: '2m', maxEvents: 12 } },
+            thresholds: { diskWarning: 70, diskCritical: 85 }
+        });
+        assert.strictEqual(status, 200);
+        assert.deepStrictEqual(body.changed, ['collectors.eventlogs.interval', 'collectors.eventlogs.maxEvents', 'thresholds.diskWarning', 'thresholds.diskCritical']);
+        assert.strictEqual(body.sources['thresholds.diskWarning'], 'file');
+        assert.deepStrictEqual(JSON.parse(await fs.promises.readFile(file, 'utf8')), {
+            collectors: { eventlogs: { interval: '2m', maxEvents: 12 } },
+            thresholds: { diskWarning: 70, diskCritical: 85 }
+        });
+
+        const eventlogs = server.monitor.scheduler.snapshot().eventlogs;
+        assert.strictEqual(eventlogs.intervalMs, 120000);
+        assert.ok(Date.parse(eventlogs.nextRun) - Date.now() > 60000, 'the next run moved out');
+
+        await server.monitor.scheduler.run('eventlogs');
+        assert.deepStrictEqual(fake.params['collect-eventlogs'], { MaxEvents: 12 });
+        await server.monitor.scheduler.run('diagnostics');
+        assert.deepStrictEqual(fake.params['collect-diagnostics'], { DiskWarningPercent: 70, DiskCriticalPercent: 85 });
+
+        const reset = await server.request('PUT', '/api/config', { collectors: { eventlogs: { interval: null } } });
+        assert.strictEqual(reset.body.settings.collectors.eventlogs.interval, 10000);
+        assert.strictEqual(reset.body.sources['collectors.eventlogs.interval'], 'default');
+    });
+
+    it('flags settings that only take effect after a restart', async () => {
+        const { body } = await server.request('PUT', '/api/config', { port: 8123 });
+        assert.deepStrictEqual(body.changed, ['port']);
+        assert.deepStrictEqual(body.restartRequired, ['port']);
+    });
+
+    it('picks up edits to the file', async () => {
+        const edited = JSON.parse(await fs.promises.readFile(file, 'utf8'));
+        edited.collectors.diagnostics = { interval: '45s' };
+        await fs.promises.writeFile(file, JSON.stringify(edited));
+
+        await waitFor(() => server.monitor.scheduler.snapshot().diagnostics.intervalMs === 45000, 6000);
+        assert.strictEqual((await server.request('GET', '/api/config')).body.sources['collectors.diagnostics.interval'], 'file');
+    });
+});
+
+describe('/api/config with login on', () => {
+    let server;
+
+    before(async () => {
+        server = await startServer({ env: { AUTH_ENABLED: 'true', ADMIN_PASSWORD: 'correct horse' } });
+    });
+
+    after(() => server.close());
+
+    it('is for admins only', async () => {
+        assert.strictEqual((await server.request('GET', '/api/config')).status, 401);
+        const created = await server.request('POST', '/api/auth/tokens', { name: 'viewer', role: 'viewer' }, {
+            Cookie: (await server.request('POST', '/api/auth/login', { username: 'admin', password: 'correct horse' })).headers.get('set-cookie').split(';')[0]
+        });
+        const viewer = { Authorization: `Bearer ${created.body.token}` };
+        assert.strictEqual((await server.request('GET', '/api/config', undefined, viewer)).status, 403);
+        assert.strictEqual((await server.request('PUT', '/api/config', { port: 1 }, viewer)).status, 403);
+    });
+});
+
+describe('agent mode', () => {
+    let server;
+
+    before(async () => {
+        server = await startServer({ env: { INGEST_TOKEN: 'ingest-secret' } });
+    });
+
+    after(() => server.close());
+
+    it('collects with the intervals, timeouts and parameters of its configuration file', async () => {
+        const file = path.join(server.dir, 'agent.yaml');
+        await fs.promises.writeFile(file, 'collectors:\n  metrics:\n    interval: 5s\n  eventlogs:\n    maxEvents: 12\nthresholds:\n  diskWarning: 70\n');
+        const fake = createFakePowerShell();
+        const agent = createAgent({
+            collector: fake.backend(),
+            centralUrl: server.base,
+            token: 'ingest-secret',
+            configFile: file,
+            env: { EVENTLOG_TIMEOUT: '45s' },
+            host: { id: 'agent-1', name: 'Agent One', platform: 'win32' }
+        });
+        try {
+            const stats = agent.stats();
+            assert.strictEqual(stats.metrics.intervalMs, 5000);
+            assert.strictEqual(stats.eventlogs.timeoutMs, 45000);
+
+            await agent.push('eventlogs');
+            assert.deepStrictEqual(fake.params['collect-eventlogs'], { MaxEvents: 12 });
+            await agent.push('diagnostics');
+            assert.deepStrictEqual(fake.params['collect-diagnostics'], { DiskWarningPercent: 70, DiskCriticalPercent: 90 });
+
+            await fs.promises.writeFile(file, 'collectors:\n  metrics:\n    interval: 20s\n');
+            assert.deepStrictEqual(agent.config.reload(), ['collectors.metrics.interval', 'collectors.eventlogs.maxEvents', 'thresholds.diskWarning']);
+            assert.strictEqual(agent.stats().metrics.intervalMs, 20000);
+        } finally {
+            await agent.stop();
+        }
+    });
+});
@@ -0,0 +1,270 @@
+const { describe, it, before, after } = require('node:test');
+const assert = require('node:assert');
+const { startServer, waitFor } = require('./helpers/server');
+const { createFakePowerShell } = require('./helpers/fake-powershell');
+const { loadDashboard } = require('./helpers/dashboard');
+const { formatTimestamp } = require('../lib/collectors/format');
+const { IDBFactory } = require('fake-indexeddb');
+
+const HOSTILE = '<img src=x onerror="window.pwned=1"><script>window.pwned=1</script>';
+
+// Rendered data must stay text: no element the payload tried to inject
+function assertInert(element, label) {
+    assert.strictEqual(element.querySelectorAll('script, img, iframe').length, 0, `${label} contains injected markup`);
+    assert.ok(!element.querySelector('[onerror], [onload], [onmouseover]'), `${label} contains an injected handler`);
+}
+
+describe('dashboard', () => {
+    let server;
+    let fake;
+    let page;
+    let document;
+
+    before(async () => {
+        fake = createFakePowerShell();
+        server = await startServer({ collector: fake.backend() });
+        await waitFor(async () => {
+            const { body } = await server.request('GET', '/api/hosts/test-host');
+            return body.diagnostics && body.diagnostics.issues;
+        });
+        page = loadDashboard(server);
+        document = page.document;
+    });
+
+    after(async () => {
+        await page.close();
+        await server.close();
+    });
+
+    it('connects and renders what the server collected', async () => {
+        await waitFor(() => document.getElementById('statusText').textContent === 'Connected');
+        await waitFor(() => document.querySelectorAll('#processTableBody .process-row').length === 3);
+
+        assert.deepStrictEqual(Array.from(document.querySelectorAll('#diskList .disk-label')).map((label) => label.textContent), ['C:', 'D:']);
+        assert.match(document.querySelector('#diskList .disk-stats').textContent, /\(\d+\.\d%\)$/);
+        assert.strictEqual(document.querySelector('#networkInfo .network-name').textContent, 'Wi-Fi');
+        assert.match(document.getElementById('uptimeValue').textContent, /^\d+d \d+h \d+m$/);
+        assert.deepStrictEqual(
+            Array.from(document.querySelectorAll('#processTableBody .process-row td:first-child')).map((cell) => cell.textContent).sort(),
+            ['MsMpEng', 'chrome', 'explorer']
+        );
+
+        await waitFor(() => document.querySelectorAll('#diagnosticsIssues .diagnostic-item').length === 2);
+        assert.strictEqual(document.querySelector('#diagnosticsIssues .diagnostic-title').textContent, 'Critical Service Stopped: Spooler');
+        assert.strictEqual(document.getElementById('highCount').textContent, '1');
+
+        await waitFor(() => document.querySelectorAll('#eventLogsList .event-item').length === 2);
+        assert.ok(document.getElementById('eventLogsList').textContent.includes('The Print Spooler service terminated unexpectedly.'));
+
+        const cpu = page.charts.find((chart) => !chart.destroyed && chart.data.datasets[0].data.includes(23.5));
+        assert.ok(cpu, 'the CPU chart got the collected value');
+        assert.deepStrictEqual(page.logs.filter((entry) => entry.level === 'error'), []);
+    });
+
+    it('renders diagnostics as text and shows a healthy state', () => {
+        page.window.updateDiagnostics({
+            issues: [{ category: 'Service', severity: 'Critical', title: HOSTILE, description: HOSTILE, recommendation: HOSTILE, timestamp: '2024-05-02 12:00:00' }],
+            warnings: [{ category: HOSTILE, severity: 'Low', title: 'ok', description: 'ok', timestamp: '2024-05-02 12:00:00' }],
+            summary: { critical: 1, high: 0, medium: 0, low: 1 }
+        });
+        const list = document.getElementById('diagnosticsIssues');
+        assertInert(list, 'diagnostics');
+        assert.strictEqual(list.querySelector('.severity-critical .diagnostic-title').textContent, HOSTILE);
+        assert.strictEqual(list.querySelector('.severity-low .category-badge').textContent, HOSTILE);
+        assert.strictEqual(document.getElementById('criticalCount').textContent, '1');
+
+        page.window.updateDiagnostics({ issues: [], warnings: [], summary: { critical: 0, high: 0, medium: 0, low: 0 } });
+        assert.strictEqual(list.querySelector('.diagnostic-title').textContent, 'System Healthy');
+    });
+
+    it('renders disks, adapters and processes as text', () => {
+        page.window.updateDisks([{ drive: HOSTILE, total: 100, used: 95, free: 5, percent: 95 }]);
+        const disks = document.getElementById('diskList');
+        assertInert(disks, 'disks');
+        assert.strictEqual(disks.querySelector('.disk-label').textContent, HOSTILE);
+        assert.ok(disks.querySelector('.progress-fill').classList.contains('warning'));
+        assert.strictEqual(disks.querySelector('.progress-fill').style.width, '95%');
+
+        page.window.updateNetwork([{ name: HOSTILE, interfaceDescription: '" onmouseover="window.pwned=1', rxBps: 2048, txBps: 0, linkSpeed: 100, rxUtilization: 90 }]);
+        const network = document.getElementById('networkInfo');
+        assertInert(network, 'network');
+        assert.strictEqual(network.querySelector('.network-name').textContent, HOSTILE);
+        assert.strictEqual(network.querySelector('.network-name').title, '" onmouseover="window.pwned=1');
+        assert.ok(network.querySelector('.network-link').classList.contains('busy'));
+
+        page.window.updateNetwork([]);
+        assert.strictEqual(network.textContent.trim(), 'No active network connections');
+
+        page.window.renderProcesses({ processes: [{ name: HOSTILE, pid: 7, cpu: 1.5, memory: 20, startTime: HOSTILE }], total: 1, count: 1 });
+        const processes = document.getElementById('processTableBody');
+        assertInert(processes, 'processes');
+        assert.strictEqual(processes.querySelector('td').textContent, HOSTILE);
+        assert.strictEqual(processes.querySelector('tr').dataset.start, HOSTILE);
+        assert.strictEqual(document.getElementById('processInfo').textContent, '1 processes');
+    });
+
+    it('renders collected events as text', async () => {
+        const event = { source: 'System', category: '<img src=x>', level: 'Error', id: 1, provider: HOSTILE, message: HOSTILE, timestamp: formatTimestamp() };
+        fake.set('collect-eventlogs', { stdout: JSON.stringify({ events: [event], count: 1 }) });
+        await server.monitor.scheduler.run('eventlogs');
+
+        const events = document.getElementById('eventLogsList');
+        const item = await waitFor(() => Array.from(events.querySelectorAll('.event-item')).find((element) => element.querySelector('.event-message').textContent === HOSTILE));
+        assertInert(events, 'events');
+        assert.strictEqual(item.querySelector('.event-category').textContent, '<img src=x>');
+        assert.strictEqual(item.querySelector('.event-provider').textContent, HOSTILE);
+    });
+
+    it('renders alerts and the fleet as text', () => {
+
+        page.window.updateAlerts({ firing: [{ severity: 'High', ruleName: HOSTILE, key: 'cpu', value: 99, since: new Date().toISOString() }], pending: [], recent: [] });
+        const alerts = document.getElementById('alertsList');
+        assert.strictEqual(document.getElementById('alertsCard').hidden, false);
+        assertInert(alerts, 'alerts');
+        assert.strictEqual(alerts.querySelector('.alert-name').textContent, HOSTILE);
+
+        page.window.updateAlerts({ firing: [], pending: [], recent: [] });
+        assert.strictEqual(document.getElementById('alertsCard').hidden, true);
+
+        page.window.updateHosts({
+            local: 'test-host',
+            hosts: [
+                { id: 'test-host', name: 'Local', local: true, platform: 'win32', cpu: 10, memory: 20, summary: {}, lastSeen: new Date().toISOString() },
+                { id: 'agent-1', name: HOSTILE, platform: HOSTILE, cpu: null, memory: null, stale: true, summary: { high: 2 }, lastSeen: null }
+            ]
+        });
+        const fleet = document.getElementById('fleetGrid');
+        assert.strictEqual(document.getElementById('fleetCard').hidden, false);
+        assert.strictEqual(document.getElementById('hostSelect').options.length, 2);
+        assert.strictEqual(document.getElementById('hostSelect').options[1].textContent, `${HOSTILE} - stale`);
+        assertInert(fleet, 'fleet');
+        assert.strictEqual(fleet.querySelectorAll('.fleet-name')[1].textContent, HOSTILE);
+        assert.strictEqual(fleet.querySelectorAll('.fleet-count.high')[1].textContent, '2');
+
+        assert.strictEqual(page.window.pwned, undefined);
+    });
+
+    it('follows setting changes made while it is open', async () => {
+        const disks = () => Array.from(document.querySelectorAll('#diskList .progress-fill'));
+        await waitFor(() => disks().length === 2 && disks().every((fill) => !fill.classList.contains('warning')));
+        assert.strictEqual(document.getElementById('refreshRate').textContent, '3s (metrics) | 10s (logs) | 30s (diagnostics)');
+
+        const { status } = await server.request('PUT', '/api/config', {
+            collectors: { metrics: { interval: '5s' }, diagnostics: { interval: '2m' } },
+            thresholds: { diskWarning: 10, diskCritical: 20 }
+        });
+        assert.strictEqual(status, 200);
+        await waitFor(() => document.getElementById('refreshRate').textContent === '5s (metrics) | 10s (logs) | 2m (diagnostics)');
+        await waitFor(() => disks().every((fill) => fill.classList.contains('warning')));
+    });
+});
+
+describe('dashboard issue actions', () => {
+    let server;
+    let page;
+
+    before(async () => {
+        server = await startServer({ collector: createFakePowerShell().backend() });
+        await waitFor(async () => {
+            const { body } = await server.request('GET', '/api/hosts/test-host');
+            return body.diagnostics && body.diagnostics.issues.some((issue) => issue.id);
+        });
+        page = loadDashboard(server);
+    });
+
+    after(async () => {
+        await page.close();
+        await server.close();
+    });
+
+    it('keeps the tracked state after acknowledging an issue', async () => {
+        const { document, window } = page;
+        const spooler = () => Array.from(document.querySelectorAll('#diagnosticsIssues .diagnostic-item'))
+            .find((item) => item.querySelector('.diagnostic-title').textContent === 'Critical Service Stopped: Spooler');
+        const buttons = () => Array.from(spooler().querySelectorAll('.issue-actions button')).map((button) => button.textContent);
+        await waitFor(() => spooler() && buttons().includes('Acknowledge'));
+
+        // The page re-fetches /api/diagnostics after the change and renders that
+        const refetched = [];
+        const fetch = window.fetch;
+        window.fetch = (url, init) => {
+            const response = fetch(url, init);
+            if (String(url).startsWith('/api/diagnostics')) refetched.push(response);
+            return response;
+        };
+        window.prompt = () => 'Known';
+        Array.from(spooler().querySelectorAll('.issue-actions button')).find((button) => button.textContent === 'Acknowledge').click();
+
+        await waitFor(() => refetched.length === 1);
+        await refetched[0];
+        await new Promise((resolve) => setTimeout(resolve, 50));
+        assert.match(spooler().querySelector('.issue-state').textContent, /Acknowledged/);
+        assert.deepStrictEqual(buttons(), ['Unacknowledge', '🔧 Restart service']);
+        assert.ok(spooler().querySelector('.issue-actions select'), 'the snooze control is still there');
+    });
+});
+
+describe('dashboard offline buffer', () => {
+    // Samples the page has written to its IndexedDB buffer; the database is
+    // only opened once the page has created it
+    async function bufferedSamples(indexedDB) {
+        if (!(await indexedDB.databases()).some((database) => database.name === 'win11-monitor')) return [];
+        return new Promise((resolve, reject) => {
+            const open = indexedDB.open('win11-monitor');
+            open.onerror = () => reject(open.error);
+            open.onsuccess = () => {
+                const db = open.result;
+                const request = db.transaction('samples').objectStore('samples').getAll();
+                request.onsuccess = () => {
+                    db.close();
+                    resolve(request.result);
+                };
+            };
+        });
+    }
+
+    it('refills the charts after a reload with the server down', async () => {
+        const indexedDB = new IDBFactory();
+        const server = await startServer({ collector: createFakePowerShell().backend() });
+        const online = loadDashboard(server, { indexedDB });
+        try {
+            await waitFor(async () => (await bufferedSamples(indexedDB)).length > 0);
+        } finally {
+            await online.close();
+            await server.close();
+        }
+
+        const [sample] = await bufferedSamples(indexedDB);
+        assert.strictEqual(sample.host, 'test-host');
+        assert.strictEqual(sample.metrics.cpu, 23.5);
+        assert.strictEqual(sample.metrics.processes, undefined, 'the process list is not buffered');
+
+        // Same browser storage, nothing listening any more
+        const offline = loadDashboard(server, { indexedDB });
+        try {
+            const { document } = offline;
+            await waitFor(() => document.getElementById('lastUpdate').textContent.endsWith('(buffered)'));
+            await waitFor(() => offline.charts.some((chart) => !chart.destroyed && chart.data.datasets[0].data.includes(23.5)));
+            const cpuCard = Array.from(document.querySelectorAll('.chart-card')).find((card) => card.dataset.card === 'cpu');
+            assert.strictEqual(cpuCard.querySelector('.chart-value').textContent, '23.5%');
+            assert.strictEqual(document.getElementById('statusText').textContent, 'Disconnected');
+        } finally {
+            await offline.close();
+        }
+    });
+
+    it('forgets the buffer on sign-out', async () => {
+        const indexedDB = new IDBFactory();
+        const server = await startServer({ collector: createFakePowerShell().backend() });
+        const page = loadDashboard(server, { indexedDB });
+        try {
+            await waitFor(async () => (await bufferedSamples(indexedDB)).length > 0);
+            await page.window.clearBuffer();
+            const databases = await indexedDB.databases();
+            assert.deepStrictEqual(databases, []);
+        } finally {
+            await page.close();
+            await server.close();
+        }
+    });
+});
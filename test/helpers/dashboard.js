@@ -0,0 +1,87 @@
+// Loads public/index.html and public/app.js into jsdom against a test server:
+// fetch and WebSocket go to the server, Chart.js is replaced by a stub that
+// records its charts, and canvases hand out an empty 2D context. The
+// top-level functions of app.js are on `window`. jsdom has no IndexedDB; pass
+// options.indexedDB (a fake-indexeddb IDBFactory) for the offline buffer, and
+// the same one again to load the page as if reloaded.
+const fs = require('fs');
+const path = require('path');
+const WebSocket = require('ws');
+const { JSDOM, VirtualConsole } = require('jsdom');
+const { IDBKeyRange } = require('fake-indexeddb');
+
+const PUBLIC = path.join(__dirname, '..', '..', 'public');
+
+class FakeChart {
+    constructor(context, config) {
+        this.config = config;
+        this.data = config.data;
+        this.options = config.options;
+        this.destroyed = false;
+        FakeChart.instances.push(this);
+    }
+
+    update() {}
+
+    destroy() {
+        this.destroyed = true;
+    }
+}
+
+function loadDashboard(server, options = {}) {
+    // The page's own scripts (Chart.js from the CDN, app.js) are loaded here instead
+    const page = fs.readFileSync(path.join(PUBLIC, 'index.html'), 'utf8').replace(/<script\b[^>]*><\/script>/g, '');
+    const app = fs.readFileSync(path.join(PUBLIC, 'app.js'), 'utf8');
+    const logs = [];
+    const virtualConsole = new VirtualConsole();
+    ['log', 'warn', 'error'].forEach((level) => {
+        virtualConsole.on(level, (...args) => logs.push({ level, message: args.map(String).join(' ') }));
+    });
+    virtualConsole.on('jsdomError', (error) => logs.push({ level: 'error', message: error.message }));
+
+    const dom = new JSDOM(page, { url: `${server.base}/`, runScripts: 'outside-only', pretendToBeVisual: true, virtualConsole });
+    const { window } = dom;
+    const sockets = [];
+    let pending = 0; // fetches not yet answered
+
+    FakeChart.instances = [];
+    window.Chart = FakeChart;
+    window.HTMLCanvasElement.prototype.getContext = () => ({});
+    if (options.indexedDB) {
+        window.indexedDB = options.indexedDB;
+        window.IDBKeyRange = IDBKeyRange;
+    }
+    window.fetch = (url, init) => {
+        pending++;
+        return fetch(new URL(url, window.location.href), init).finally(() => pending--);
+    };
+    window.WebSocket = class extends WebSocket {
+        constructor(url, protocols) {
+            super(url, protocols);
+            sockets.push(this);
+        }
+    };
+
+    window.eval(app); // before jsdom fires DOMContentLoaded, which starts the page
+
+    return {
+        window,
+        document: window.document,
+        charts: FakeChart.instances,
+        logs,
+        // Disconnects, lets the page handle the answers still on their way, then
+        // stops its timers so nothing reconnects
+        close: async () => {
+            sockets.forEach((socket) => socket.terminate());
+            for (let quiet = 0; quiet < 2;) {
+                await new Promise((resolve) => setTimeout(resolve, 25));
+                quiet = pending === 0 ? quiet + 1 : 0;
+            }
+            window.close();
+        }
+    };
+}
+
+module.exports = {
+    loadDashboard
+};
@@ -0,0 +1,34 @@
+// Stands in for powershell.exe in tests:
+//   node fake-powershell-script.js '<scenario JSON>' <script path>
+// { fixture } prints that JSON file with its timestamps moved so the newest is
+// now and the top-level fields of { merge } laid over it, { stdout, stderr, exit } prints those and exits with that code, and
+// { hang: true } never returns
+const fs = require('fs');
+const { formatTimestamp, parseTimestamp } = require('../../lib/collectors/format');
+
+const TIME_FIELDS = ['timestamp', 'startTime'];
+const scenario = JSON.parse(process.argv[2]);
+
+// Shifts every timestamp of the payload by the same amount
+function shift(value, offset) {
+    if (Array.isArray(value)) return value.map((item) => shift(item, offset));
+    if (!value || typeof value !== 'object') return value;
+    Object.keys(value).forEach((key) => {
+        const time = TIME_FIELDS.includes(key) ? parseTimestamp(value[key]) : null;
+        value[key] = time === null ? shift(value[key], offset) : formatTimestamp(new Date(time + offset));
+    });
+    return value;
+}
+
+if (scenario.hang) {
+    setInterval(() => {}, 60000);
+} else {
+    if (scenario.fixture) {
+        const payload = JSON.parse(fs.readFileSync(scenario.fixture, 'utf8'));
+        const offset = Date.now() - parseTimestamp(payload.timestamp);
+        process.stdout.write(JSON.stringify(Object.assign(shift(payload, offset), scenario.merge)));
+    }
+    if (scenario.stdout) process.stdout.write(scenario.stdout);
+    if (scenario.stderr) process.stderr.write(scenario.stderr);
+    process.exitCode = scenario.exit || 0;
+}
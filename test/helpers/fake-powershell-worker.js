@@ -0,0 +1,44 @@
+// Stands in for scripts/worker.ps1 in tests:
+//   node fake-powershell-worker.js '<scenario JSON>'
+// Announces itself with {"ready":true} ({ readyAfter } ms later) unless
+// { failStart } is set, in which case it prints that to stderr and exits with 2.
+// The request's script picks the answer: "echo" returns the script, params and
+// pid, "fail" answers ok:false, "garbage" returns output that isn't JSON,
+// "stale" first answers for another id, "crash" exits and "hang" never answers
+const readline = require('readline');
+
+const scenario = JSON.parse(process.argv[2] || '{}');
+
+function send(message) {
+    process.stdout.write(JSON.stringify(message) + '\n');
+}
+
+function answer(request) {
+    const echo = JSON.stringify({ script: request.script, params: request.params, pid: process.pid });
+    switch (request.script) {
+        case 'echo':
+            return send({ id: request.id, ok: true, output: echo });
+        case 'fail':
+            return send({ id: request.id, ok: false, error: 'Get-CimInstance : Invalid class' });
+        case 'garbage':
+            return send({ id: request.id, ok: true, output: 'not json' });
+        case 'stale':
+            process.stdout.write('WARNING: not part of the protocol\n');
+            send({ id: request.id + 1000, ok: true, output: '{"stale":true}' });
+            return send({ id: request.id, ok: true, output: echo });
+        case 'crash':
+            process.stderr.write('worker.ps1 : Out of memory\n');
+            return process.exit(1);
+        default:
+            return undefined; // "hang"
+    }
+}
+
+if (scenario.failStart) {
+    process.stderr.write(`${scenario.failStart}\n`);
+    process.exit(2);
+}
+
+setTimeout(() => send({ ready: true }), scenario.readyAfter || 0);
+readline.createInterface({ input: process.stdin, crlfDelay: Infinity })
+    .on('line', (line) => answer(JSON.parse(line)));
@@ -0,0 +1,57 @@
+// Fake PowerShell collectors for tests
+// An `execute` for the powershell backend that runs the real
+// executePowerShellScript - spawning, output parsing, exit codes, timeouts -
+// against fake-powershell-script.js instead of powershell.exe. Each collector
+// script ('collect-metrics', 'collect-eventlogs', 'collect-diagnostics') has a
+// scenario:
+//   { fixture: 'metrics' }            test/fixtures/powershell/metrics.json
+//   { fixture: 'metrics', merge: { cpu: 90 } }
+//   { stdout: 'WARNING: ...' }        output that isn't JSON
+//   { exit: 1, stderr: 'Access denied' }
+//   { hang: true }                    runs until the timeout kills it
+// The parameters each script was last run with are kept in `params`.
+const path = require('path');
+const { createBackend } = require('../../lib/collectors');
+const { executePowerShellScript } = require('../../lib/collectors/powershell');
+
+const FIXTURES = path.join(__dirname, '..', 'fixtures', 'powershell');
+const SCRIPT = path.join(__dirname, 'fake-powershell-script.js');
+
+const DEFAULT_SCENARIOS = {
+    'collect-metrics': { fixture: 'metrics' },
+    'collect-eventlogs': { fixture: 'eventlogs' },
+    'collect-diagnostics': { fixture: 'diagnostics' }
+};
+
+function createFakePowerShell(scenarios = {}) {
+    const current = Object.assign({}, DEFAULT_SCENARIOS, scenarios);
+    const calls = [];
+    const params = {};
+
+    function execute(scriptPath, options = {}) {
+        const script = path.basename(scriptPath, '.ps1');
+        const scenario = Object.assign({}, current[script]);
+        if (scenario.fixture) scenario.fixture = path.join(FIXTURES, `${scenario.fixture}.json`);
+        calls.push(script);
+        params[script] = options.params;
+        return executePowerShellScript(scriptPath, Object.assign({}, options, {
+            command: process.execPath,
+            args: [SCRIPT, JSON.stringify(scenario)]
+        }));
+    }
+
+    return {
+        execute,
+        calls,
+        params,
+        // Changes what one script does from its next run on
+        set: (script, scenario) => {
+            current[script] = scenario;
+        },
+        backend: () => createBackend('powershell', { execute })
+    };
+}
+
+module.exports = {
+    createFakePowerShell
+};
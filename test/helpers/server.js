@@ -0,0 +1,65 @@
+// Runs a monitor server in-process for tests: a fresh DATA_DIR and an empty
+// plugins directory under the OS temp dir, login off unless env turns it on,
+// listening on a free port. The collector is the synthetic one unless
+// options.collector is given.
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { createMonitorServer } = require('../../server');
+
+// Polls `check` until it returns something truthy; rejects after `timeout` ms
+async function waitFor(check, timeout = 5000) {
+    const until = Date.now() + timeout;
+    for (;;) {
+        const result = await check();
+        if (result) return result;
+        if (Date.now() > until) throw new Error('Timed out waiting for the condition');
+        await new Promise((resolve) => setTimeout(resolve, 25));
+    }
+}
+
+async function startServer(options = {}) {
+    const dir = await fs.promises.mkdtemp(path.join(os.tmpdir(), 'monitor-test-'));
+    const env = Object.assign({
+        DATA_DIR: dir,
+        PLUGINS_DIR: path.join(dir, 'plugins'),
+        AUTH_ENABLED: 'false',
+        HOST_ID: 'test-host',
+        COLLECTOR_BACKEND: 'synthetic'
+    }, options.env);
+    const monitor = createMonitorServer({ env, collector: options.collector });
+    const port = await monitor.listen(0);
+    const base = `http://127.0.0.1:${port}`;
+
+    // Resolves to { status, headers, body } - body parsed when it is JSON
+    async function request(method, url, body, headers = {}) {
+        const init = { method, headers: Object.assign({}, headers), redirect: 'manual' };
+        if (body !== undefined) {
+            init.headers['Content-Type'] = 'application/json';
+            init.body = typeof body === 'string' ? body : JSON.stringify(body);
+        }
+        const res = await fetch(base + url, init);
+        const text = await res.text();
+        const json = (res.headers.get('content-type') || '').includes('application/json');
+        return { status: res.status, headers: res.headers, body: json && text ? JSON.parse(text) : text };
+    }
+
+    async function close() {
+        await monitor.close();
+        await fs.promises.rm(dir, { recursive: true, force: true });
+    }
+
+    return {
+        monitor,
+        base,
+        port,
+        dir,
+        request,
+        close
+    };
+}
+
+module.exports = {
+    startServer,
+    waitFor
+};
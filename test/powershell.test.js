@@ -0,0 +1,236 @@
+const { describe, it } = require('node:test');
+const assert = require('node:assert');
+const path = require('path');
+const { startServer, waitFor } = require('./helpers/server');
+const { createFakePowerShell } = require('./helpers/fake-powershell');
+const { executePowerShellScript } = require('../lib/collectors/powershell');
+const { createWorkerPool } = require('../lib/collectors/powershell-pool');
+
+describe('PowerShell backend', () => {
+    it('parses the JSON a script prints', async () => {
+        const backend = createFakePowerShell().backend();
+        const metrics = await backend.collectMetrics({ timeout: 5000 });
+        assert.strictEqual(metrics.cpu, 23.5);
+        assert.strictEqual(metrics.battery.status, 2);
+
+        const diagnostics = await backend.collectDiagnostics({ timeout: 5000 });
+        assert.strictEqual(diagnostics.issues[0].serviceName, 'Spooler');
+    });
+
+    it('falls back to "Failed to parse JSON" with the raw output', async () => {
+        const fake = createFakePowerShell({ 'collect-metrics': { stdout: 'WARNING: Get-Counter is not available\n' } });
+        const result = await fake.backend().collectMetrics({ timeout: 5000 });
+        assert.deepStrictEqual(result, { error: 'Failed to parse JSON', raw: 'WARNING: Get-Counter is not available\n' });
+    });
+
+    it('rejects with stderr when a script exits non-zero', async () => {
+        const fake = createFakePowerShell({ 'collect-eventlogs': { exit: 1, stderr: 'Get-WinEvent : Access is denied' } });
+        await assert.rejects(fake.backend().collectEventLogs({ timeout: 5000 }), { message: 'Get-WinEvent : Access is denied' });
+    });
+
+    it('still parses the output of a non-zero exit without stderr', async () => {
+        const fake = createFakePowerShell({ 'collect-diagnostics': { exit: 3, stdout: '{"issues":[],"warnings":[]}' } });
+        assert.deepStrictEqual(await fake.backend().collectDiagnostics({ timeout: 5000 }), { issues: [], warnings: [] });
+    });
+
+    it('kills a hung script after the timeout', async () => {
+        const fake = createFakePowerShell({ 'collect-metrics': { hang: true } });
+        const started = Date.now();
+        await assert.rejects(fake.backend().collectMetrics({ timeout: 300 }), (error) => {
+            assert.strictEqual(error.code, 'ETIMEDOUT');
+            assert.strictEqual(error.message, 'collect-metrics.ps1 timed out after 300 ms');
+            return true;
+        });
+        assert.ok(Date.now() - started < 3000);
+    });
+
+    it('rejects when PowerShell is not installed', async () => {
+        await assert.rejects(executePowerShellScript('collect-metrics.ps1', { command: 'no-such-powershell' }), { code: 'ENOENT' });
+    });
+});
+
+describe('server with a failing collector', () => {
+    it('reports collector failures and keeps serving', async () => {
+        const fake = createFakePowerShell();
+        const server = await startServer({ collector: fake.backend() });
+        try {
+            await waitFor(async () => {
+                const { body } = await server.request('GET', '/api/hosts/test-host');
+                return body.metrics && body.metrics.cpu === 23.5;
+            });
+
+            // /api/metrics serves the stored sample, so each collection is waited for
+            const collected = (check) => waitFor(async () => {
+                const { status, body } = await server.request('GET', '/api/metrics');
+                assert.strictEqual(status, 200);
+                return check(body) && body;
+            });
+
+            fake.set('collect-metrics', { stdout: 'not json' });
+            await server.monitor.scheduler.run('metrics');
+            assert.deepStrictEqual(await collected((body) => body.error), { error: 'Failed to parse JSON', raw: 'not json' });
+
+            fake.set('collect-metrics', { exit: 1, stderr: 'Access is denied' });
+            await server.monitor.scheduler.run('metrics');
+            assert.deepStrictEqual(await collected((body) => body.error === 'Access is denied'), { error: 'Access is denied' });
+
+            const { body } = await server.request('GET', '/api/status');
+            assert.ok(body.collectors.metrics.failures >= 2);
+            assert.strictEqual(body.collectors.metrics.lastError, 'Access is denied');
+
+            // A failed collection is stored as the error, without losing the host
+            const host = await waitFor(async () => {
+                const { body: state } = await server.request('GET', '/api/hosts/test-host');
+                return state.metrics.error && state;
+            });
+            assert.strictEqual(host.metrics.error, 'Access is denied');
+            assert.ok(host.lastSeen);
+
+            fake.set('collect-metrics', { fixture: 'metrics' });
+            await server.monitor.scheduler.run('metrics');
+            assert.strictEqual((await collected((body) => !body.error)).cpu, 23.5);
+        } finally {
+            await server.close();
+        }
+    });
+
+    it('drops collector fields that fail their schema', async () => {
+        const fake = createFakePowerShell({
+            'collect-diagnostics': { stdout: JSON.stringify({ issues: [{ category: 'Service', severity: 'Urgent', title: 'x' }], warnings: [] }) }
+        });
+        const server = await startServer({ collector: fake.backend() });
+        try {
+            const rejected = await waitFor(async () => (await server.request('GET', '/api/status')).body.rejectedPayloads[0]);
+            assert.strictEqual(rejected.host, 'test-host');
+            assert.deepStrictEqual(rejected.errors, ['diagnostics.issues[0].severity must be one of Critical, High, Medium, Low']);
+            assert.deepStrictEqual((await server.request('GET', '/api/hosts/test-host')).body.diagnostics.issues, []);
+        } finally {
+            await server.close();
+        }
+    });
+});
+
+describe('PowerShell worker pool', () => {
+    const FAKE_WORKER = path.join(__dirname, 'helpers', 'fake-powershell-worker.js');
+
+    function createPool(options = {}, scenario = {}) {
+        return createWorkerPool(Object.assign({
+            size: 1,
+            command: process.execPath,
+            args: [FAKE_WORKER, JSON.stringify(scenario)],
+            restartDelay: 100
+        }, options));
+    }
+
+    function alive(pid) {
+        try {
+            process.kill(pid, 0);
+            return true;
+        } catch (e) {
+            return false;
+        }
+    }
+
+    it('queues requests until the workers are ready and matches responses by id', async () => {
+        const pool = createPool({ size: 2 }, { readyAfter: 200 });
+        try {
+            const results = await Promise.all([
+                pool.run('echo', { timeout: 5000, params: { MaxEvents: 5 } }),
+                pool.run('stale', { timeout: 5000 }),
+                pool.run('echo', { timeout: 5000 })
+            ]);
+            assert.deepStrictEqual(results.map(({ script, params }) => ({ script, params })), [
+                { script: 'echo', params: { MaxEvents: 5 } },
+                { script: 'stale', params: {} },
+                { script: 'echo', params: {} }
+            ]);
+
+            // Whichever worker got ready first answered; both are idle again
+            const status = await waitFor(() => {
+                const current = pool.status();
+                return current.workers.every((worker) => worker.ready) && current;
+            });
+            assert.strictEqual(status.queued, 0);
+            assert.deepStrictEqual(status.workers.map(({ busy, restarts }) => ({ busy, restarts })), [
+                { busy: false, restarts: 0 },
+                { busy: false, restarts: 0 }
+            ]);
+            const pids = status.workers.map((worker) => worker.pid);
+            assert.ok(results.every((result) => pids.includes(result.pid)));
+        } finally {
+            pool.stop();
+        }
+    });
+
+    it("passes on a script's error and output that isn't JSON", async () => {
+        const pool = createPool();
+        try {
+            await assert.rejects(pool.run('fail', { timeout: 5000 }), { message: 'Get-CimInstance : Invalid class' });
+            assert.deepStrictEqual(await pool.run('garbage', { timeout: 5000 }), { error: 'Failed to parse JSON', raw: 'not json' });
+        } finally {
+            pool.stop();
+        }
+    });
+
+    it('restarts a crashed worker, backing off while it keeps crashing', async () => {
+        const pool = createPool();
+        try {
+            const first = await pool.run('echo', { timeout: 5000 });
+            await assert.rejects(pool.run('crash', { timeout: 5000 }), { message: 'PowerShell worker exited (code 1): worker.ps1 : Out of memory' });
+
+            let crashed = Date.now();
+            const second = await pool.run('echo', { timeout: 5000 });
+            assert.notStrictEqual(second.pid, first.pid);
+            assert.ok(Date.now() - crashed >= 180, 'the first restart waits twice the restart delay');
+
+            await assert.rejects(pool.run('crash', { timeout: 5000 }), /PowerShell worker exited/);
+            crashed = Date.now();
+            await pool.run('echo', { timeout: 5000 });
+            assert.ok(Date.now() - crashed >= 380, 'the delay doubles for the next crash');
+            assert.strictEqual(pool.status().workers[0].restarts, 2);
+        } finally {
+            pool.stop();
+        }
+    });
+
+    it('kills a worker that exceeds the timeout and replaces it', async () => {
+        const pool = createPool();
+        try {
+            const { pid } = await pool.run('echo', { timeout: 5000 });
+            await assert.rejects(pool.run('hang', { timeout: 300 }), (error) => {
+                assert.strictEqual(error.code, 'ETIMEDOUT');
+                assert.strictEqual(error.message, 'hang timed out after 300 ms');
+                return true;
+            });
+
+            await waitFor(() => !alive(pid));
+            const replacement = await pool.run('echo', { timeout: 5000 });
+            assert.notStrictEqual(replacement.pid, pid);
+            assert.strictEqual(pool.status().workers[0].restarts, 1);
+        } finally {
+            pool.stop();
+        }
+    });
+
+    it('fails queued requests at once when the workers cannot start', async () => {
+        const pool = createPool({ size: 2 }, { failStart: 'powershell.exe : The term is not recognized' });
+        try {
+            const started = Date.now();
+            await assert.rejects(pool.run('echo', { timeout: 10000 }), {
+                message: 'PowerShell worker failed to start (code 2): powershell.exe : The term is not recognized'
+            });
+            assert.ok(Date.now() - started < 5000, 'without waiting for the timeout');
+        } finally {
+            pool.stop();
+        }
+    });
+
+    it('fails queued requests when the command does not exist', async () => {
+        const pool = createPool({ command: 'no-such-powershell', args: [] });
+        try {
+            await assert.rejects(pool.run('echo', { timeout: 10000 }), /PowerShell worker failed to start \(spawn no-such-powershell ENOENT\)/);
+        } finally {
+            pool.stop();
+        }
+    });
+});
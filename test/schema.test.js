@@ -0,0 +1,147 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const path = require('path');
+const { validatePayload, createPayloadChecker } = require('../lib/schema');
+
+const FIXTURES = path.join(__dirname, 'fixtures', 'hostile');
+
+function fixture(name) {
+    return JSON.parse(fs.readFileSync(path.join(FIXTURES, `${name}.json`), 'utf8'));
+}
+
+test('payloads that are not objects are rejected', () => {
+    [null, undefined, 'metrics', 42, [], [{ cpu: 1 }]].forEach((payload) => {
+        const result = validatePayload('metrics', payload);
+        assert.ok(result.error, `expected ${JSON.stringify(payload)} to be rejected`);
+        assert.strictEqual(result.data, undefined);
+    });
+    assert.match(validatePayload('config', {}).error, /Unknown payload type/);
+});
+
+test('markup in strings is kept as text for the dashboard to escape', () => {
+    const { data, errors } = validatePayload('metrics', fixture('metrics-markup'));
+    assert.deepStrictEqual(errors, []);
+    assert.strictEqual(data.disks[0].drive, '<img src=x onerror=alert(1)>');
+    assert.strictEqual(data.processes[0].name, '<svg onload=alert(1)>');
+    assert.strictEqual(data.network[0].name, "eth0' onmouseover='alert(1)");
+});
+
+test('fields of the wrong type are dropped and reported', () => {
+    const { data, errors } = validatePayload('metrics', fixture('metrics-types'));
+
+    assert.strictEqual(data.cpu, undefined);
+    assert.strictEqual(data.memory, undefined);
+    assert.strictEqual(data.disks, undefined);
+    assert.strictEqual(data.timestamp, undefined);
+    assert.ok(errors.includes('metrics.cpu must be a number'));
+    assert.ok(errors.includes('metrics.memory must be an object'));
+    assert.ok(errors.includes('metrics.disks must be a list'));
+
+    assert.deepStrictEqual(data.network.map((net) => net.name), ['wlan0']);
+    assert.strictEqual(data.network[0].linkSpeed, undefined);
+    assert.ok(errors.includes('metrics.network[0] must be an object'));
+    assert.ok(errors.includes('metrics.network[1].name is required'));
+
+    assert.deepStrictEqual(data.processes.map((proc) => proc.pid), [100, 103]);
+    assert.strictEqual(data.processes[1].startTime, null);
+    assert.strictEqual(data.processes[1].handles, undefined);
+    assert.ok(errors.includes('metrics.processes[1].pid must be an integer'));
+    assert.ok(errors.includes('metrics.processes[2].pid must be an integer'));
+    assert.ok(errors.includes('metrics.processes[3].name is required'));
+    assert.ok(errors.includes('metrics.processes[4].cpu is required'));
+
+    assert.deepStrictEqual(data.battery, { status: 2, percentage: 80 });
+    assert.deepStrictEqual(data.uptime, { days: 1, hours: 2, minutes: 3, totalSeconds: 93780 });
+});
+
+test('prototype keys are dropped without polluting anything', () => {
+    const { data, errors } = validatePayload('metrics', fixture('prototype-keys'));
+
+    assert.strictEqual({}.polluted, undefined);
+    assert.strictEqual({}.isAdmin, undefined);
+    assert.strictEqual(Object.getPrototypeOf(data), Object.prototype);
+    assert.ok(!Object.prototype.hasOwnProperty.call(data, '__proto__'));
+    assert.ok(!Object.prototype.hasOwnProperty.call(data, 'constructor'));
+    assert.deepStrictEqual(data.memory, { percent: 10 });
+    assert.deepStrictEqual(data.processes[0], { name: 'p', pid: 10, cpu: 0, memory: 1 });
+    assert.strictEqual(data.cpu, 5);
+    assert.ok(errors.some((error) => /invalid name: "__proto__"/.test(error)));
+    assert.ok(errors.some((error) => /processes\[0\] has a field with an invalid name: "hasOwnProperty"/.test(error)));
+});
+
+test('diagnostics keep valid issues and drop forged server fields', () => {
+    const { data, errors } = validatePayload('diagnostics', fixture('diagnostics-hostile'));
+
+    assert.strictEqual(data.issues.length, 1);
+    const issue = data.issues[0];
+    assert.strictEqual(issue.title, "<script>alert('title')</script>");
+    assert.strictEqual(issue.serviceName, 'Spooler');
+    ['id', 'state', 'acknowledgedBy', 'note', 'actions', 'nested'].forEach((field) => {
+        assert.strictEqual(issue[field], undefined, `${field} should be dropped`);
+    });
+    assert.ok(errors.includes('diagnostics.issues[0].state is set by the server'));
+    assert.ok(errors.includes('diagnostics.issues[0].nested is not a known field and must be a string, number or boolean'));
+    assert.ok(errors.includes('diagnostics.issues[1].severity must be one of Critical, High, Medium, Low'));
+    assert.ok(errors.includes('diagnostics.issues[2].category is required'));
+    assert.ok(errors.includes('diagnostics.issues[3].title is required'));
+
+    assert.strictEqual(data.warnings, undefined);
+    assert.deepStrictEqual(data.info, [{ message: 'ok' }]);
+    assert.deepStrictEqual(data.summary, { high: 0, medium: 0, low: 0 });
+});
+
+test('events need a text message; a bad optional field is dropped alone', () => {
+    const { data, errors } = validatePayload('eventlogs', fixture('eventlogs-hostile'));
+
+    assert.deepStrictEqual(data.events.map((event) => event.message), ["<script>document.location='//evil'</script>", 'object id']);
+    assert.strictEqual(data.events[0].appName, '<b>app</b>');
+    assert.strictEqual(data.events[1].id, undefined);
+    assert.ok(errors.includes('eventlogs.events[1].id must be an integer or a string of at most 64 characters'));
+    assert.ok(errors.includes('eventlogs.events[2].message is required'));
+    assert.ok(errors.includes('eventlogs.events[3].message must be a string of at most 8000 characters'));
+});
+
+test('oversized lists and strings are cut or dropped', () => {
+    const events = Array.from({ length: 2500 }, (_, i) => ({ message: `event ${i}`, timestamp: '2024-01-01 10:00:00' }));
+    const { data, errors } = validatePayload('eventlogs', { events, count: events.length });
+    assert.strictEqual(data.events.length, 2000);
+    assert.ok(errors.includes('eventlogs.events has 2500 items; only the first 2000 are kept'));
+
+    const long = validatePayload('metrics', { processes: [{ name: 'x'.repeat(10000), pid: 5, cpu: 0, memory: 0 }] });
+    assert.deepStrictEqual(long.data.processes, []);
+
+    const many = validatePayload('metrics', { processes: Array.from({ length: 80 }, () => ({ pid: 'x' })) });
+    assert.strictEqual(many.errors.length, 51);
+    assert.match(many.errors[50], /and \d+ more/);
+});
+
+test('the checker counts rejections per host and type', () => {
+    const checker = createPayloadChecker();
+    const warn = console.warn;
+    const logged = [];
+    console.warn = (message) => logged.push(message);
+    try {
+        checker.check('agent-1', 'metrics', { cpu: 'high' }, 1000);
+        checker.check('agent-1', 'metrics', { cpu: 'high' }, 2000);
+        checker.check('agent-1', 'metrics', { cpu: 3 }, 3000);
+        checker.check('agent-2', 'eventlogs', 'nope', 4000);
+    } finally {
+        console.warn = warn;
+    }
+
+    assert.strictEqual(logged.length, 2, 'the same errors again are not logged twice');
+    const [metrics, eventlogs] = checker.status();
+    assert.deepStrictEqual(metrics, {
+        host: 'agent-1',
+        type: 'metrics',
+        payloads: 2,
+        fields: 2,
+        lastAt: new Date(2000).toISOString(),
+        errors: ['metrics.cpu must be a number']
+    });
+    assert.deepStrictEqual(eventlogs.errors, ['eventlogs payload must be a JSON object']);
+
+    checker.removeHost('agent-1');
+    assert.deepStrictEqual(checker.status().map((entry) => entry.host), ['agent-2']);
+});
@@ -0,0 +1,190 @@
+const { describe, it, before, after } = require('node:test');
+const assert = require('node:assert');
+const WebSocket = require('ws');
+const { startServer, waitFor } = require('./helpers/server');
+const { createFakePowerShell } = require('./helpers/fake-powershell');
+
+// Opens a WebSocket to the server and buffers what it receives; next(test)
+// resolves to the first message passing test that hasn't been taken yet
+function connect(server, options = {}) {
+    const socket = new WebSocket(server.base.replace('http', 'ws') + (options.path || '/'), options.protocol, {
+        headers: options.headers
+    });
+    const received = [];
+    let waiting = null;
+    socket.on('message', (data) => {
+        received.push(JSON.parse(data.toString()));
+        if (waiting) waiting();
+    });
+
+    function next(test = () => true, timeout = 5000) {
+        return new Promise((resolve, reject) => {
+            const timer = setTimeout(() => {
+                waiting = null;
+                reject(new Error('Timed out waiting for a WebSocket message'));
+            }, timeout);
+            const look = () => {
+                const index = received.findIndex(test);
+                if (index === -1) return;
+                clearTimeout(timer);
+                waiting = null;
+                resolve(received.splice(index, 1)[0]);
+            };
+            waiting = look;
+            look();
+        });
+    }
+
+    const opened = new Promise((resolve, reject) => {
+        socket.once('open', resolve);
+        socket.once('error', reject);
+        socket.once('unexpected-response', (req, res) => reject(Object.assign(new Error('Upgrade refused'), { status: res.statusCode })));
+    });
+
+    return {
+        socket,
+        opened,
+        next,
+        send: (message) => socket.send(JSON.stringify(message)),
+        close: () => socket.terminate()
+    };
+}
+
+describe('WebSocket', () => {
+    let server;
+    let fake;
+
+    before(async () => {
+        fake = createFakePowerShell();
+        server = await startServer({ collector: fake.backend() });
+        await waitFor(async () => {
+            const { body } = await server.request('GET', '/api/hosts/test-host');
+            return body.metrics && body.metrics.cpu === 23.5 && body.diagnostics && body.diagnostics.issues;
+        });
+    });
+
+    after(() => server.close());
+
+    it('sends the current data to a new client', async () => {
+        const client = connect(server);
+        try {
+            await client.opened;
+            const types = [];
+            for (let i = 0; i < 5; i++) types.push(await client.next());
+
+            assert.deepStrictEqual(types.map((message) => message.type), ['hosts', 'metrics', 'eventlogs', 'diagnostics', 'alerts']);
+            const [hosts, metrics, eventlogs, diagnostics, alerts] = types;
+            assert.strictEqual(hosts.data.local, 'test-host');
+            assert.deepStrictEqual(hosts.data.hosts.map((host) => host.id), ['test-host']);
+            assert.strictEqual(metrics.host, 'test-host');
+            assert.strictEqual(metrics.data.cpu, 23.5);
+            assert.deepStrictEqual(metrics.data.disks.map((disk) => disk.drive), ['C:', 'D:']);
+            assert.ok(eventlogs.data.events.some((event) => event.id === 7031));
+            assert.strictEqual(diagnostics.data.issues[0].serviceName, 'Spooler');
+            assert.deepStrictEqual(Object.keys(alerts.data), ['firing', 'pending', 'recent']);
+        } finally {
+            client.close();
+        }
+    });
+
+    it('broadcasts every collection to connected clients', async () => {
+        const first = connect(server);
+        const second = connect(server);
+        try {
+            await Promise.all([first.opened, second.opened]);
+            await Promise.all([first.next((message) => message.type === 'alerts'), second.next((message) => message.type === 'alerts')]);
+
+            fake.set('collect-metrics', { fixture: 'metrics', merge: { cpu: 61 } });
+            await server.monitor.scheduler.run('metrics');
+
+            const isUpdate = (message) => message.type === 'metrics' && message.data.cpu === 61;
+            const [a, b] = await Promise.all([first.next(isUpdate), second.next(isUpdate)]);
+            assert.strictEqual(a.host, 'test-host');
+            assert.deepStrictEqual(a, b);
+        } finally {
+            first.close();
+            second.close();
+            fake.set('collect-metrics', { fixture: 'metrics' });
+        }
+    });
+
+    it('broadcasts collector errors as they happen', async () => {
+        const client = connect(server);
+        try {
+            await client.opened;
+            fake.set('collect-diagnostics', { stdout: 'Get-Service : not available' });
+            await server.monitor.scheduler.run('diagnostics');
+            const message = await client.next((item) => item.type === 'diagnostics' && item.data.error);
+            assert.strictEqual(message.data.error, 'Failed to parse JSON');
+        } finally {
+            client.close();
+            fake.set('collect-diagnostics', { fixture: 'diagnostics' });
+        }
+    });
+
+    it('speaks monitor.v2: welcome, snapshot, then deltas', async () => {
+        const client = connect(server, { protocol: 'monitor.v2' });
+        try {
+            await client.opened;
+            assert.strictEqual(client.socket.protocol, 'monitor.v2');
+            const welcome = await client.next();
+            assert.strictEqual(welcome.type, 'welcome');
+            assert.strictEqual(welcome.protocol, 2);
+
+            client.send({ type: 'subscribe', topics: ['metrics:test-host', 'nonsense'] });
+            const snapshot = await client.next((message) => message.type === 'snapshot');
+            assert.strictEqual(snapshot.topic, 'metrics:test-host');
+            assert.strictEqual(snapshot.data.cpu, (await server.request('GET', '/api/hosts/test-host')).body.metrics.cpu);
+            assert.deepStrictEqual(await client.next((message) => message.type === 'error'), { type: 'error', error: 'Unknown topic', topic: 'nonsense' });
+
+            fake.set('collect-metrics', { fixture: 'metrics', merge: { cpu: 75 } });
+            await server.monitor.scheduler.run('metrics');
+            const delta = await client.next((message) => message.type === 'delta');
+            assert.strictEqual(delta.topic, 'metrics:test-host');
+            assert.strictEqual(delta.seq, snapshot.seq + 1);
+            assert.ok(delta.patch.some(([path, value]) => path.join('.') === 'cpu' && value === 75));
+
+            client.send({ type: 'ping', t: 42 });
+            assert.deepStrictEqual(await client.next((message) => message.type === 'pong'), { type: 'pong', t: 42 });
+
+            // Original-protocol messages never reach a monitor.v2 client
+            await assert.rejects(client.next((message) => message.type === 'metrics', 200));
+        } finally {
+            client.close();
+            fake.set('collect-metrics', { fixture: 'metrics' });
+        }
+    });
+});
+
+describe('WebSocket with login on', () => {
+    let server;
+    let cookie;
+
+    before(async () => {
+        server = await startServer({ env: { AUTH_ENABLED: 'true', ADMIN_PASSWORD: 'correct horse' } });
+        const res = await server.request('POST', '/api/auth/login', { username: 'admin', password: 'correct horse' });
+        cookie = res.headers.get('set-cookie').split(';')[0];
+    });
+
+    after(() => server.close());
+
+    it('refuses an upgrade without a session or token', async () => {
+        const client = connect(server);
+        await assert.rejects(client.opened, { status: 401 });
+    });
+
+    it('refuses an upgrade from another origin', async () => {
+        const client = connect(server, { headers: { Cookie: cookie, Origin: 'https://evil.example' } });
+        await assert.rejects(client.opened, { status: 403 });
+    });
+
+    it('accepts a session from the same origin', async () => {
+        const client = connect(server, { headers: { Cookie: cookie, Origin: server.base } });
+        try {
+            await client.opened;
+            assert.strictEqual((await client.next()).type, 'hosts');
+        } finally {
+            client.close();
+        }
+    });
+});